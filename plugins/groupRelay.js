@@ -0,0 +1,143 @@
+// Vite 插件：在开发和预览服务器上提供组队训练的 WebSocket 中继（路径见 GROUP_RELAY_PATH）
+//
+// 用 `npm run dev -- --host` 或 `npm run preview -- --host` 在局域网中启动后，同一网络的手机打开页面即可组队。
+// 这里只实现中继用到的 WebSocket 子集：文本帧、ping / pong 和关闭帧，不支持分片消息和扩展。
+// 其他路径的升级请求（如 Vite 的 HMR）留给各自的处理程序。
+
+import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
+import { createGroupRelay, GROUP_RELAY_PATH } from '../src/lib/groupRelay.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 256 * 1024; // bytes
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+// 关闭码：协议错误、不支持的数据、消息过大
+const CLOSE_CODES = { protocolError: 1002, unsupportedData: 1003, messageTooBig: 1009 };
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+// 从缓冲区开头解析一个完整的帧；数据还不够时返回 null
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const masked = Boolean(buffer[1] & 0x80);
+    const size = offset + (masked ? 4 : 0) + length;
+    const frame = { fin: Boolean(buffer[0] & 0x80), opcode: buffer[0] & 0x0f, masked, length, size, payload: null };
+    if (length > MAX_MESSAGE_SIZE || buffer.length < size) return frame;
+
+    const payload = Buffer.from(buffer.subarray(size - length, size));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    return { ...frame, payload };
+};
+
+const closeSocket = (socket, code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(OPCODES.close, payload));
+};
+
+const handleUpgrade = (relay) => (request, socket, head) => {
+    if (new URL(request.url, 'http://localhost').pathname !== GROUP_RELAY_PATH) return;
+
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = relay.connect(message => {
+        if (socket.writable) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    });
+
+    let buffer = Buffer.from(head);
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = decodeFrame(buffer))) {
+            if (frame.length > MAX_MESSAGE_SIZE) return closeSocket(socket, CLOSE_CODES.messageTooBig);
+            if (!frame.payload) return;
+            buffer = buffer.subarray(frame.size);
+
+            // 浏览器发出的帧必须带掩码；中继的消息都很小，不接受分片
+            if (!frame.masked) return closeSocket(socket, CLOSE_CODES.protocolError);
+            if (!frame.fin || frame.opcode === OPCODES.continuation) return closeSocket(socket, CLOSE_CODES.unsupportedData);
+
+            switch (frame.opcode) {
+                case OPCODES.text: {
+                    let message;
+                    try {
+                        message = JSON.parse(frame.payload.toString('utf8'));
+                    } catch {
+                        return closeSocket(socket, CLOSE_CODES.unsupportedData);
+                    }
+                    connection.receive(message);
+                    break;
+                }
+                case OPCODES.ping:
+                    socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                    break;
+                case OPCODES.pong:
+                    break;
+                case OPCODES.close:
+                    socket.end(encodeFrame(OPCODES.close));
+                    return;
+                default:
+                    return closeSocket(socket, CLOSE_CODES.unsupportedData);
+            }
+        }
+    });
+    socket.on('close', () => connection.disconnect());
+    socket.on('error', () => socket.destroy());
+};
+
+export default function groupRelay() {
+    const relay = createGroupRelay();
+    const attach = (server) => {
+        server.httpServer?.on('upgrade', handleUpgrade(relay));
+    };
+
+    return {
+        name: 'farklet-group-relay',
+        configureServer: attach,
+        configurePreviewServer: attach
+    };
+}
@@ -0,0 +1,51 @@
+// Vite 插件：构建时把 src/sw.js 输出为 dist/sw.js，并填入预缓存清单
+//
+// 清单包括打包产物（index.html、带 hash 的 JS / CSS）和 public/ 下的全部文件（含 mp3/ 音效）；
+// 缓存版本取清单文件内容的 hash，任何文件变化都会让浏览器安装新的 Service Worker。
+
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+const listFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+});
+
+export default function serviceWorker({ src = 'src/sw.js', fileName = 'sw.js' } = {}) {
+    let config;
+
+    return {
+        name: 'farklet-service-worker',
+        apply: 'build',
+        // 排在 Vite 自身插件之后，确保 index.html 已加入 bundle
+        enforce: 'post',
+        configResolved(resolvedConfig) {
+            config = resolvedConfig;
+        },
+        generateBundle(_options, bundle) {
+            const hash = createHash('sha256');
+            const urls = [];
+            const addUrl = (file, content) => {
+                urls.push(`${config.base}${file.split(sep).join('/')}`);
+                hash.update(file).update(content);
+            };
+
+            Object.values(bundle).forEach(output => {
+                addUrl(output.fileName, output.type === 'chunk' ? output.code : output.source);
+            });
+            if (config.publicDir) {
+                listFiles(config.publicDir).forEach(path => {
+                    addUrl(relative(config.publicDir, path), readFileSync(path));
+                });
+            }
+            urls.sort();
+
+            const source = readFileSync(src, 'utf8')
+                .replace('= __PRECACHE_MANIFEST__;', `= ${JSON.stringify(urls, null, 4)};`)
+                .replace('${__CACHE_VERSION__}', hash.digest('hex').slice(0, 12))
+                .replace('${__BASE_URL__}', config.base);
+            this.emitFile({ type: 'asset', fileName, source });
+        }
+    };
+}
@@ -1,464 +1,1681 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw, Clock, Repeat, Footprints, Volume2, VolumeX, ChevronDown, ChevronUp, Music } from 'lucide-react';
+import { Play, Pause, RotateCcw, Clock, Repeat, Footprints, Volume2, VolumeX, ChevronDown, ChevronUp, Music, Library, BarChart3, CalendarDays, Heart, MapPin, Languages, Eye, Keyboard } from 'lucide-react';
+import WorkoutBuilder from './components/WorkoutBuilder';
+import ResumePrompt from './components/ResumePrompt';
+import WorkoutLibrary from './components/WorkoutLibrary';
+import HistoryView from './components/HistoryView';
+import SharePrompt from './components/SharePrompt';
+import VoiceSettings from './components/VoiceSettings';
+import AudioMixer from './components/AudioMixer';
+import CustomSoundManager from './components/CustomSoundManager';
+import UpdatePrompt from './components/UpdatePrompt';
+import AlertSettings from './components/AlertSettings';
+import LiveControls from './components/LiveControls';
+import HeartRatePanel from './components/HeartRatePanel';
+import CadenceSensorPanel from './components/CadenceSensorPanel';
+import LocationPanel from './components/LocationPanel';
+import GroupSessionPanel from './components/GroupSessionPanel';
+import GlanceView from './components/GlanceView';
+import PhaseIcon from './components/PhaseIcon';
+import WorkoutTimeline from './components/WorkoutTimeline';
+import WorkoutPreview from './components/WorkoutPreview';
+import PlanView from './components/PlanView';
+import TodayPlanCard from './components/TodayPlanCard';
+import { beatSounds, getBeatSoundUrl, DEFAULT_BEAT_SOUND } from './audio/beatSounds';
+import { processBeatSample } from './audio/sampleProcessing';
+import {
+    SYNTH_SOUNDS,
+    SYNTH_TUNING_RANGE,
+    isSynthSoundId,
+    getFallbackSynthId,
+    renderSynthSound
+} from './audio/synthSounds';
+import { createCadenceScheduler, beatInterval, DEFAULT_LOOK_AHEAD, HIDDEN_LOOK_AHEAD } from './audio/cadenceScheduler';
+import { BEAT_PATTERNS, getAccentPair, getBeatPattern, getStepSound, getPreviewSteps } from './audio/beatPattern';
+import { createWorkerTimers } from './audio/workerTimers';
+import { createVoiceCoach, collectVoiceCues, selectVoiceCues, getCueText } from './audio/voiceCoach';
+import { createAudioMixer, getChannelVolume } from './audio/mixer';
+import { createTimerEngine } from './lib/timerEngine';
+import { preferencesStore, sessionStore, libraryStore, historyStore, planStore } from './lib/persistence';
+import { createSessionRecord, addRecord, MIN_RECORD_DURATION } from './lib/history';
+import { addPreset } from './lib/library';
+import { getPlanEntries, setDayCompleted, toDateKey } from './lib/plan';
+import { parseExchangeDocument, mergePlans, mergeRecords } from './lib/exchange';
+import { readShareLink, clearShareHash } from './lib/shareLink';
+import {
+    isCustomSoundId,
+    createCustomSound,
+    listCustomSounds,
+    saveCustomSound,
+    renameCustomSound,
+    deleteCustomSound
+} from './lib/customSounds';
+import { getBuiltInPresets } from './lib/presets';
+import { registerServiceWorker } from './lib/serviceWorker';
+import { createWakeLock } from './lib/wakeLock';
+import { createMediaSession, describeMediaState } from './lib/mediaSession';
+import { getPhaseAlert, showPhaseAlert, getAnnouncement } from './lib/phaseAlerts';
+import { skipPhase, extendPhase, jumpToPhase, dropLastCycle, findDroppableRepeat } from './lib/liveEdit';
+import {
+    HEART_RATE_ZONES,
+    getHeartRateZone,
+    describeEndCondition,
+    isEndConditionMet,
+    trackEndCondition,
+    compactHeartRateSamples
+} from './lib/heartRate';
+import { PHASE_INTENSITY, IDLE_INTENSITY } from './lib/heartRateSimulator';
+import { isBluetoothSupported, connectBluetoothHeartRateMonitor, connectSimulatedHeartRateMonitor } from './lib/heartRateMonitor';
+import { createStepDetector } from './lib/stepDetector';
+import { startMotionTracking } from './lib/motionSensor';
+import { getCadenceDrift, trackCadenceDrift } from './lib/cadenceFeedback';
+import { createDistanceTracker, compactTrackSamples, getAveragePace, trackPhaseDistance } from './lib/gps';
+import { PHASE_SPEED, IDLE_SPEED } from './lib/routeSimulator';
+import { isGeolocationSupported, connectGeolocation, connectSimulatedPositions } from './lib/positionSource';
+import { createGroupSession, connectWebSocket, createRoomCode, parseGroupState } from './lib/groupSession';
+import { formatTime, formatDistance, formatPace } from './lib/format';
+import { KEYBOARD_SHORTCUTS, getShortcutAction, getAriaKeyShortcut, getPreviousPhaseTarget } from './lib/keyboardShortcuts';
+import { LOCALES, detectLocale, getLocale, setLocale, t } from './lib/i18n';
+import {
+    createIntervalWorkout,
+    flattenWorkout,
+    getTotalDuration,
+    getCycleInfo,
+    getCadenceAt,
+    getSegmentLabel,
+    summarizeWorkout,
+    validateWorkout,
+    toPositiveInt
+} from './lib/workout';
+
+// 计时器唤醒间隔；实际时间以时间戳为准，这里只影响显示刷新频率
+const TIMER_TICK_INTERVAL = 250; // ms
+// 组队训练中更频繁地结算，各设备的阶段切换提示相差不超过这个间隔
+const GROUP_TICK_INTERVAL = 50; // ms
+// 实测步频的刷新间隔
+const CADENCE_UPDATE_INTERVAL = 1000; // ms
+
+// 阶段在音频时钟上的步频：没有渐变时为固定值，有渐变时为 (音频时刻) => 步频，
+// phaseStartTime 为阶段起点对应的音频时刻
+const getCadenceCurve = (phase, phaseStartTime) => (
+    phase.cadenceEnd ? (time) => getCadenceAt(phase, time - phaseStartTime) : phase.cadence
+);
+
+// 各分段类型在计时面板上的文字颜色
+const PHASE_TEXT_COLORS = {
+    warmup: 'text-amber-300',
+    run: 'text-cyan-300',
+    walk: 'text-red-300',
+    cooldown: 'text-green-300'
+};
 
 export default function App() {
+    // 上次保存的偏好设置和未完成的训练
+    const [storedPreferences] = useState(() => preferencesStore.load());
+    // 界面语言：null 表示跟随浏览器。其余状态初始化时（如解析分享链接）就会用到文案，需最先设置
+    const [localeSetting, setLocaleSetting] = useState(() => {
+        setLocale(storedPreferences.locale || detectLocale());
+        return storedPreferences.locale;
+    });
+    const [resumeSession, setResumeSession] = useState(() => sessionStore.load());
+    // 通过分享链接打开时链接中的训练（或解析错误）
+    const [sharedLink, setSharedLink] = useState(() => readShareLink());
+
     const [isRunning, setIsRunning] = useState(false);
-    const [isWalking, setIsWalking] = useState(false);
-    const [currentTime, setCurrentTime] = useState(0);
-    const [currentCycle, setCurrentCycle] = useState(0);
-    const [isMuted, setIsMuted] = useState(false); // 控制步频声音
+    const [currentTime, setCurrentTime] = useState(0); // 已用时间（秒，可含小数）
+    const [phaseIndex, setPhaseIndex] = useState(0);
+    const [mixer, setMixer] = useState(storedPreferences.mixer); // 各通道音量与静音
+    const isMuted = mixer.metronome.muted; // 控制步频声音
     const [showSettings, setShowSettings] = useState(false);
+    const [showLibrary, setShowLibrary] = useState(false);
+    const [libraryPresets, setLibraryPresets] = useState(() => libraryStore.load());
+    const [showHistory, setShowHistory] = useState(false);
+    const [history, setHistory] = useState(() => historyStore.load());
+    const [plans, setPlans] = useState(() => planStore.load());
+    const [showPlans, setShowPlans] = useState(false);
+    const [isTodayDismissed, setIsTodayDismissed] = useState(false); // 本次打开时收起了今日训练
     const [isAudioInitialized, setIsAudioInitialized] = useState(false);
-    const [selectedBeatSound, setSelectedBeatSound] = useState('snare_drum_hard'); // 默认音效
-
-    // 完整的音效列表（根据您提供的文件名）
-    const beatSounds = [
-        { id: '808_kick_hard', name: '808底鼓(强)', file: '808_kick_hard.mp3' },
-        { id: '808_kick_soft', name: '808底鼓(弱)', file: '808_kick_soft.mp3' },
-        { id: '808_snare_hard', name: '808军鼓(强)', file: '808_snare_hard.mp3' },
-        { id: '808_snare_soft', name: '808军鼓(弱)', file: '808_snare_soft.mp3' },
-        { id: '909_kick_hard', name: '909底鼓(强)', file: '909_kick_hard.mp3' },
-        { id: '909_kick_soft', name: '909底鼓(弱)', file: '909_kick_soft.mp3' },
-        { id: '909_snare_hard', name: '909军鼓(强)', file: '909_snare_hard.mp3' },
-        { id: '909_snare_soft', name: '909军鼓(弱)', file: '909_snare_soft.mp3' },
-        { id: 'beep_hard', name: '蜂鸣声(强)', file: 'beep_hard.mp3' },
-        { id: 'beep_soft', name: '蜂鸣声(弱)', file: 'beep_soft.mp3' },
-        { id: 'bongo_drum_hard', name: '邦戈鼓(强)', file: 'bongo_drum_hard.mp3' },
-        { id: 'bongo_drum_soft', name: '邦戈鼓(弱)', file: 'bongo_drum_soft.mp3' },
-        { id: 'clave_hard', name: '克拉韦(强)', file: 'clave_hard.mp3' },
-        { id: 'clave_soft', name: '克拉韦(弱)', file: 'clave_soft.mp3' },
-        { id: 'click_hard', name: '点击声(强)', file: 'click_hard.mp3' },
-        { id: 'click_soft', name: '点击声(弱)', file: 'click_soft.mp3' },
-        { id: 'clock_tick_hard', name: '钟表滴答(强)', file: 'clock_tick_hard.mp3' },
-        { id: 'clock_tick_soft', name: '钟表滴答(弱)', file: 'clock_tick_soft.mp3' },
-        { id: 'cowbell_hard', name: '牛铃(强)', file: 'cowbell_hard.mp3' },
-        { id: 'cowbell_soft', name: '牛铃(弱)', file: 'cowbell_soft.mp3' },
-        { id: 'hammer_hit_hard', name: '锤击声(强)', file: 'hammer_hit_hard.mp3' },
-        { id: 'hammer_hit_soft', name: '锤击声(弱)', file: 'hammer_hit_soft.mp3' },
-        { id: 'kick_drum_hard', name: '底鼓(强)', file: 'kick_drum_hard.mp3' },
-        { id: 'kick_drum_soft', name: '底鼓(弱)', file: 'kick_drum_soft.mp3' },
-        { id: 'metronome_click_hard', name: '节拍器(强)', file: 'metronome_click_hard.mp3' },
-        { id: 'metronome_click_soft', name: '节拍器(弱)', file: 'metronome_click_soft.mp3' },
-        { id: 'snare_drum_hard', name: '军鼓(强)', file: 'snare_drum_hard.mp3' },
-        { id: 'snare_drum_soft', name: '军鼓(弱)', file: 'snare_drum_soft.mp3' },
-        { id: 'woodblock_hard', name: '木鱼(强)', file: 'woodblock_hard.mp3' },
-        { id: 'woodblock_soft', name: '木鱼(弱)', file: 'woodblock_soft.mp3' },
-        { id: 'woodfish_hard', name: '木鱼声(强)', file: 'woodfish_hard.mp3' },
-        { id: 'woodfish_soft', name: '木鱼声(弱)', file: 'woodfish_soft.mp3' }
-    ];
-
-    const [settings, setSettings] = useState({
+    const [loadedSoundCount, setLoadedSoundCount] = useState(0);
+    const [failedSounds, setFailedSounds] = useState([]); // 加载失败的音效 id，用于界面提示
+    const [selectedBeatSound, setSelectedBeatSound] = useState(storedPreferences.selectedBeatSound);
+    const [beatPattern, setBeatPattern] = useState(storedPreferences.beatPattern);
+    const [customSounds, setCustomSounds] = useState([]); // 用户上传的音效，从 IndexedDB 载入
+    const [synthTuning, setSynthTuning] = useState(storedPreferences.synthTuning); // 合成音效的音高 / 衰减倍数
+    const [voiceSettings, setVoiceSettings] = useState(storedPreferences.voice);
+    const [isVoiceAvailable, setIsVoiceAvailable] = useState(false);
+    const [alertSettings, setAlertSettings] = useState(storedPreferences.alerts); // 阶段切换的系统通知和振动
+    const [heartRateSettings, setHeartRateSettings] = useState(storedPreferences.heartRate);
+    const [heartRateDevice, setHeartRateDevice] = useState(null); // 已连接的心率带名称
+    const [heartRate, setHeartRate] = useState(null); // 最新的心率读数，未佩戴或未连接时为 null
+    const [heartRateError, setHeartRateError] = useState(null);
+    const [cadenceSensorSettings, setCadenceSensorSettings] = useState(storedPreferences.cadenceSensor);
+    const [measuredCadence, setMeasuredCadence] = useState(null); // 加速度计估计的实际步频，未检测到时为 null
+    const [locationSource, setLocationSource] = useState(null); // 已开启的定位来源名称
+    const [locationAccuracy, setLocationAccuracy] = useState(null); // 最新定位点的精度（米）
+    const [locationError, setLocationError] = useState(null);
+    const [distance, setDistance] = useState(0); // 本次训练累计距离（米）
+    const [pace, setPace] = useState(null); // 当前配速（秒/公里）
+    const [phaseDistance, setPhaseDistance] = useState(null); // 当前阶段已跑距离 { phaseIndex, covered }
+    const [applyUpdate, setApplyUpdate] = useState(null); // 新版本等待接管时为触发更新的函数
+    const [glanceMode, setGlanceMode] = useState(storedPreferences.glanceMode); // 全屏高对比度的大字倒计时
+    const [announcement, setAnnouncement] = useState(''); // 读屏软件播报的阶段 / 轮次变化
+    const [groupStatus, setGroupStatus] = useState(null); // 组队训练的连接状态（见 createGroupSession），未组队时为 null
+    const [groupError, setGroupError] = useState(null);
+    const [groupAlignment, setGroupAlignment] = useState(0); // 组员每次对齐主机的计时后递增，节拍随之重新对齐
+
+    // 当前训练（分段列表）
+    const [settings, setSettings] = useState(storedPreferences.settings);
+
+    const [tempSettings, setTempSettings] = useState(storedPreferences.draft);
+    // 快速生成经典跑/走间歇的参数
+    const [intervalForm, setIntervalForm] = useState({
         runTime: 60, // seconds
         walkTime: 30, // seconds
         cycles: 5,
         cadence: 180 // steps per minute
     });
-
-    const [tempSettings, setTempSettings] = useState(settings);
+    const settingsErrors = validateWorkout(tempSettings);
     const intervalRef = useRef(null);
-    const cadenceTimeoutRef = useRef(null);
     const audioContextRef = useRef(null);
-    const gainNodeRef = useRef(null);
+    const mixerRef = useRef(null);
     const audioBuffersRef = useRef(new Map()); // 存储加载的音频缓冲区
+    const audioLoadsRef = useRef(new Map()); // 正在加载的音频 soundId -> Promise
+    const failedSoundsRef = useRef(new Set()); // 加载失败的音效
+    const schedulerRef = useRef(null);
+    // 节拍调度器在音频时钟回调中读取最新状态
+    const isMutedRef = useRef(isMuted);
+    const selectedBeatSoundRef = useRef(selectedBeatSound);
+    const beatPatternRef = useRef(beatPattern);
+    const customSoundsRef = useRef(customSounds);
+    const synthTuningRef = useRef(synthTuning);
+    const voiceCoachRef = useRef(null);
+    if (voiceCoachRef.current === null) {
+        voiceCoachRef.current = createVoiceCoach();
+    }
+    const lastCueElapsedRef = useRef(0); // 上次结算语音提示时的已用时间
+    const mediaSessionRef = useRef(null);
+    if (mediaSessionRef.current === null) {
+        mediaSessionRef.current = createMediaSession();
+    }
+    const mediaHandlersRef = useRef(null); // 锁屏 / 耳机按键调用的最新处理函数
+    const shortcutHandlerRef = useRef(null); // 键盘快捷键调用的最新处理函数
+    const heartRateMonitorRef = useRef(null);
+    const heartRateHandlerRef = useRef(null); // 心率带回调调用的最新处理函数
+    const heartRateSamplesRef = useRef([]); // 本次训练的心率采样 { time, bpm }
+    const endConditionRef = useRef(null); // 当前阶段心率结束条件的满足情况
+    const cadenceDriftRef = useRef(null); // 实测步频偏离目标的持续情况
+    const locationSourceRef = useRef(null);
+    const positionHandlerRef = useRef(null); // 定位回调调用的最新处理函数
+    const distanceTrackerRef = useRef(null);
+    if (distanceTrackerRef.current === null) {
+        distanceTrackerRef.current = createDistanceTracker();
+    }
+    const trackSamplesRef = useRef([]); // 本次训练的轨迹 { time, distance, latitude, longitude }
+    const phaseDistanceRef = useRef(null); // 当前阶段起点的累计距离
+    const planDayRef = useRef(null); // 当前训练来自训练计划时为 { planId, date }，完成后在计划中打勾
+    const groupSessionRef = useRef(null);
+    const groupStateHandlerRef = useRef(null); // 组员收到主机状态时调用的最新处理函数
+    const groupBroadcastRef = useRef(null); // 主机上次广播的 { revision, status, phases, workout }
+    const groupRevisionRef = useRef(null); // 组员已载入的训练版本
 
     // Initialize audio context on first user interaction
     const initAudio = () => {
         if (!audioContextRef.current) {
             try {
                 audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-                gainNodeRef.current = audioContextRef.current.createGain();
-                gainNodeRef.current.connect(audioContextRef.current.destination);
-                gainNodeRef.current.gain.value = 0.3;
+                mixerRef.current = createAudioMixer(audioContextRef.current);
+                mixerRef.current.apply(mixer);
+                schedulerRef.current = createCadenceScheduler({
+                    getTime: () => audioContextRef.current.currentTime,
+                    onBeat: (when, beatIndex) => scheduleBeatSound(when, beatIndex),
+                    lookAhead: document.hidden ? HIDDEN_LOOK_AHEAD : DEFAULT_LOOK_AHEAD,
+                    timers: createWorkerTimers()
+                });
                 setIsAudioInitialized(true);
+                preloadAllBeatSounds();
             } catch (error) {
                 console.error('Audio initialization failed:', error);
             }
+        } else if (audioContextRef.current.state === 'suspended') {
+            // 锁屏或切到后台后浏览器可能挂起音频
+            audioContextRef.current.resume();
         }
     };
 
     // Load audio file and store in buffer
-    const loadAudioBuffer = async (soundId, filePath) => {
-        try {
-            if (audioBuffersRef.current.has(soundId)) {
-                return audioBuffersRef.current.get(soundId);
+    const loadAudioBuffer = (soundId, filePath) => {
+        if (audioBuffersRef.current.has(soundId)) {
+            return Promise.resolve(audioBuffersRef.current.get(soundId));
+        }
+        if (audioLoadsRef.current.has(soundId)) {
+            return audioLoadsRef.current.get(soundId);
+        }
+
+        const load = (async () => {
+            try {
+                const response = await fetch(filePath);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const arrayBuffer = await response.arrayBuffer();
+                const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
+                audioBuffersRef.current.set(soundId, audioBuffer);
+                failedSoundsRef.current.delete(soundId);
+                setLoadedSoundCount(beatSounds.filter(sound => audioBuffersRef.current.has(sound.id)).length);
+                return audioBuffer;
+            } catch (error) {
+                console.error(`Failed to load audio file ${filePath}:`, error);
+                failedSoundsRef.current.add(soundId);
+                setFailedSounds([...failedSoundsRef.current]);
+                // 准备好替代用的合成音效
+                preloadBeatSound(getFallbackSynthId(soundId));
+                return null;
+            } finally {
+                audioLoadsRef.current.delete(soundId);
             }
+        })();
+        audioLoadsRef.current.set(soundId, load);
+        return load;
+    };
 
-            const response = await fetch(filePath);
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
-            audioBuffersRef.current.set(soundId, audioBuffer);
-            return audioBuffer;
-        } catch (error) {
-            console.error(`Failed to load audio file ${filePath}:`, error);
-            return null;
+    // 按当前音高 / 衰减渲染合成音效；渲染期间参数又变了则丢弃结果
+    const loadSynthBuffer = (soundId) => {
+        if (audioBuffersRef.current.has(soundId)) {
+            return Promise.resolve(audioBuffersRef.current.get(soundId));
+        }
+        const tuning = synthTuningRef.current;
+        const loadKey = `${soundId}@${tuning.pitch}/${tuning.decay}`;
+        if (audioLoadsRef.current.has(loadKey)) {
+            return audioLoadsRef.current.get(loadKey);
+        }
+
+        const load = renderSynthSound(soundId, tuning, audioContextRef.current.sampleRate)
+            .then(audioBuffer => {
+                if (synthTuningRef.current !== tuning) return null;
+                audioBuffersRef.current.set(soundId, audioBuffer);
+                return audioBuffer;
+            })
+            .catch(error => {
+                console.error(`Failed to render synth sound ${soundId}:`, error);
+                return null;
+            })
+            .finally(() => audioLoadsRef.current.delete(loadKey));
+        audioLoadsRef.current.set(loadKey, load);
+        return load;
+    };
+
+    // 自定义音效已经解码并处理过，直接由保存的声道数据生成 AudioBuffer
+    const createCustomBuffer = (sound) => {
+        if (!audioBuffersRef.current.has(sound.id)) {
+            const buffer = audioContextRef.current.createBuffer(sound.channels.length, sound.channels[0].length, sound.sampleRate);
+            sound.channels.forEach((channel, i) => buffer.copyToChannel(channel, i));
+            audioBuffersRef.current.set(sound.id, buffer);
         }
+        return audioBuffersRef.current.get(sound.id);
     };
 
-    // Play beep sound with specified frequency (ignores isMuted for phase transitions)
-    const playBeep = (frequency = 880, duration = 0.1, ignoreMute = false) => {
-        // Only respect mute for cadence sounds, not phase transition sounds
-        if (!ignoreMute && isMuted && frequency === 660) return;
-        if (!audioContextRef.current || !gainNodeRef.current) return;
+    const preloadBeatSound = (soundId) => {
+        if (isSynthSoundId(soundId)) {
+            return loadSynthBuffer(soundId);
+        }
+        if (isCustomSoundId(soundId)) {
+            const custom = customSoundsRef.current.find(item => item.id === soundId);
+            return Promise.resolve(custom ? createCustomBuffer(custom) : null);
+        }
+        const sound = beatSounds.find(item => item.id === soundId);
+        return sound ? loadAudioBuffer(sound.id, getBeatSoundUrl(sound)) : Promise.resolve(null);
+    };
+
+    // 初始化音频后一次性解码全部音效，加载失败的会在音量面板中列出
+    const preloadAllBeatSounds = () => {
+        preloadAccentPair(selectedBeatSoundRef.current);
+        beatSounds.forEach(sound => preloadBeatSound(sound.id));
+        SYNTH_SOUNDS.forEach(sound => preloadBeatSound(sound.id));
+        customSoundsRef.current.forEach(sound => preloadBeatSound(sound.id));
+    };
+
+    // 切换界面语言；value 为 null 时跟随浏览器。先切换文案再更新状态触发重新渲染
+    const handleLocaleChange = (value) => {
+        setLocale(value || detectLocale());
+        setLocaleSetting(value);
+    };
+
+    // 调整合成音效参数后重新渲染
+    const handleSynthTuningChange = (tuning) => {
+        synthTuningRef.current = tuning;
+        setSynthTuning(tuning);
+        SYNTH_SOUNDS.forEach(sound => audioBuffersRef.current.delete(sound.id));
+        if (audioContextRef.current) {
+            SYNTH_SOUNDS.forEach(sound => preloadBeatSound(sound.id));
+        }
+    };
+
+    const retryFailedSounds = () => {
+        const soundIds = [...failedSoundsRef.current];
+        failedSoundsRef.current.clear();
+        setFailedSounds([]);
+        soundIds.forEach(soundId => preloadBeatSound(soundId));
+    };
+
+    // Play beep sound with specified frequency on a mixer channel ('cues' for phase transitions).
+    // `when` is on the AudioContext clock; defaults to now. Returns the oscillator so callers can cancel it.
+    const playBeep = (frequency = 880, duration = 0.1, channel = 'cues', when = null) => {
+        if (!audioContextRef.current || !mixerRef.current) return null;
 
         try {
+            const startTime = when ?? audioContextRef.current.currentTime;
             const oscillator = audioContextRef.current.createOscillator();
-            oscillator.connect(gainNodeRef.current);
+            oscillator.connect(mixerRef.current.getInput(channel));
             oscillator.frequency.value = frequency;
             oscillator.type = 'sine';
-            oscillator.start();
-
-            setTimeout(() => {
-                oscillator.stop();
-                oscillator.disconnect();
-            }, duration * 1000);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + duration);
+            oscillator.onended = () => oscillator.disconnect();
+            return oscillator;
         } catch (error) {
             console.error('Beep sound failed:', error);
+            return null;
         }
     };
 
-    // Play custom beat sound
-    const playCustomBeat = async () => {
-        if (isWalking || !isRunning || isMuted) return;
+    // 预加载所选音效的强 / 弱一对
+    const preloadAccentPair = (soundId) => {
+        const pair = getAccentPair(soundId);
+        return Promise.all([preloadBeatSound(pair.hard), preloadBeatSound(pair.soft)]);
+    };
 
-        if (!audioContextRef.current || !gainNodeRef.current) return;
+    // Queue the metronome hit for step `stepIndex` at `when` on the AudioContext clock
+    const scheduleBeatSound = (when, stepIndex) => {
+        if (isMutedRef.current) return null;
+        if (!audioContextRef.current || !mixerRef.current) return null;
 
-        try {
-            // 找到选中的音效
-            const selectedSound = beatSounds.find(sound => sound.id === selectedBeatSound);
-            if (!selectedSound) return;
-
-            // 加载音频缓冲区
-            const audioBuffer = await loadAudioBuffer(
-                selectedSound.id,
-                `/mp3/${selectedSound.file}`
-            );
+        // 节拍型决定这一步用强音、弱音还是不发声（半速）
+        const soundId = getStepSound(stepIndex, selectedBeatSoundRef.current, beatPatternRef.current);
+        if (!soundId) return null;
+        let audioBuffer = audioBuffersRef.current.get(soundId);
 
-            if (!audioBuffer) {
-                // 如果自定义音效加载失败，回退到默认蜂鸣声
-                playBeep(660, 0.05, false);
-                return;
+        if (!audioBuffer) {
+            if (!failedSoundsRef.current.has(soundId)) {
+                // 还在加载中：本拍跳过，加载完成后自动生效
+                preloadBeatSound(soundId);
+                return null;
             }
+            // 采样加载失败时改用相近的合成音效，合成音效也不可用时退回蜂鸣声
+            audioBuffer = audioBuffersRef.current.get(getFallbackSynthId(soundId));
+            if (!audioBuffer) return playBeep(660, 0.05, 'metronome', when);
+        }
 
-            // 播放自定义音效
+        try {
             const source = audioContextRef.current.createBufferSource();
             source.buffer = audioBuffer;
-            source.connect(gainNodeRef.current);
-            source.start();
+            source.connect(mixerRef.current.getInput('metronome'));
+            source.start(when);
 
             // 自动清理
             source.onended = () => {
                 source.disconnect();
             };
+            return source;
         } catch (error) {
-            console.error('Custom beat sound failed:', error);
-            // 回退到默认蜂鸣声
-            playBeep(660, 0.05, false);
+            console.error('Beat sound failed:', error);
+            return playBeep(660, 0.05, 'metronome', when);
         }
     };
 
-    // Schedule next cadence beat
-    const scheduleNextCadenceBeat = () => {
-        if (!isRunning || isWalking || cadenceTimeoutRef.current) return;
+    // Derive the phase list and the current phase from the segment workout
+    // 阶段列表由计时引擎持有（训练中可跳过、延长等），这里是它的快照，在 syncTimer 中更新
+    const [phases, setPhases] = useState(() => flattenWorkout(storedPreferences.settings));
+    const totalDuration = getTotalDuration(phases);
+    const currentPhase = phases[phaseIndex];
+    // 当前时刻的目标步频（渐变阶段随时间变化），null 表示当前阶段不播放节拍
+    const currentCadence = currentPhase?.cadence
+        ? Math.round(getCadenceAt(currentPhase, currentTime - currentPhase.start))
+        : null;
+    const cycleInfo = getCycleInfo(phases, currentPhase);
+    const workoutSummary = summarizeWorkout(phases);
+
+    // 计时引擎持有训练的时间线，React 状态只是它的快照
+    const engineRef = useRef(null);
+    if (engineRef.current === null) {
+        engineRef.current = createTimerEngine(phases);
+    }
+    const sessionStartRef = useRef(null); // 本次训练开始的时间戳，用于训练记录
+    const today = toDateKey();
+    const todayEntries = getPlanEntries(plans, today);
 
-        const cadenceInterval = (60 / settings.cadence) * 1000;
-        cadenceTimeoutRef.current = setTimeout(() => {
-            playCustomBeat();
-            cadenceTimeoutRef.current = null;
-            // Schedule the next beat only if we're still running and in running phase
-            if (isRunning && !isWalking) {
-                scheduleNextCadenceBeat();
+    // 把当前训练写入训练记录；太短的训练（误触）不记录
+    const recordSession = (aborted) => {
+        const engine = engineRef.current;
+        const elapsed = engine.getElapsed(Date.now());
+        if (elapsed < MIN_RECORD_DURATION) return;
+
+        setHistory(prev => addRecord(prev, createSessionRecord({
+            workoutName: settings.name,
+            phases: engine.getPhases(),
+            elapsed,
+            aborted,
+            startedAt: sessionStartRef.current,
+            heartRateSamples: compactHeartRateSamples(heartRateSamplesRef.current),
+            trackSamples: compactTrackSamples(trackSamplesRef.current)
+        })));
+    };
+
+    // 计划中的训练完成后在日历上打勾
+    const completePlanDay = () => {
+        const planDay = planDayRef.current;
+        if (!planDay) return;
+        planDayRef.current = null;
+        setPlans(prev => setDayCompleted(prev, planDay.planId, planDay.date, true));
+    };
+
+    // Calculate current phase time remaining
+    const currentPhaseTime = currentPhase ? Math.max(0, Math.ceil(currentPhase.end - currentTime)) : 0;
+    const heartRateZone = heartRate !== null ? getHeartRateZone(heartRate, heartRateSettings.maxHeartRate) : 0;
+    const cadenceDrift = getCadenceDrift(measuredCadence, currentCadence, cadenceSensorSettings.tolerance);
+    const currentPhaseDistance = phaseDistance?.phaseIndex === phaseIndex ? phaseDistance.covered : 0;
+    // 训练已开始且未结束（含暂停中）
+    const isSessionActive = isRunning || (currentTime > 0 && currentTime < totalDuration);
+    const timerStatus = isRunning ? 'running' : isSessionActive ? 'paused' : currentTime > 0 ? 'finished' : 'idle';
+    // 组队训练中组员的计时跟随主机，不能自己开始、暂停或修改训练
+    const isInGroup = groupStatus !== null && groupStatus.status !== 'closed';
+    const isGroupGuest = isInGroup && groupStatus.role === 'guest';
+
+    // Copy the engine snapshot into React state and react to the events it produced
+    const syncTimer = (events = []) => {
+        const snapshot = engineRef.current.getSnapshot(Date.now());
+        setPhases(engineRef.current.getPhases());
+        setCurrentTime(snapshot.elapsed);
+        setPhaseIndex(snapshot.phaseIndex);
+
+        // 补发的多个切换只对最后一个发出提示音
+        const phaseEvents = events.filter(event => event.type === 'phase' && event.phaseIndex > 0);
+        const lastPhaseEvent = phaseEvents[phaseEvents.length - 1];
+        const isComplete = events.some(event => event.type === 'complete');
+
+        // 有可用语音时由语音播报代替对应的提示音
+        const voiceVolume = getChannelVolume(mixer, 'voice');
+        const voiceActive = voiceSettings.enabled && isVoiceAvailable && voiceVolume > 0;
+        const cues = collectVoiceCues(engineRef.current.getPhases(), lastCueElapsedRef.current, snapshot.elapsed);
+        lastCueElapsedRef.current = snapshot.elapsed;
+        if (voiceActive && (snapshot.status === 'running' || isComplete)) {
+            selectVoiceCues(cues, voiceSettings, snapshot.elapsed).forEach((cue, i) => {
+                voiceCoachRef.current.speak(getCueText(cue, voiceSettings.language), voiceSettings.language, i === 0, voiceVolume);
+            });
+        }
+
+        if (isComplete) {
+            setIsRunning(false);
+            schedulerRef.current?.stop();
+            recordSession(false);
+            completePlanDay();
+            const alert = getPhaseAlert(null);
+            showPhaseAlert(alert, alertSettings);
+            setAnnouncement(getAnnouncement(alert));
+            if (!(voiceActive && voiceSettings.cues.complete)) {
+                playBeep(440, 0.3); // Final completion beep
             }
-        }, cadenceInterval);
+        } else if (lastPhaseEvent) {
+            const { phase } = lastPhaseEvent;
+            const alert = getPhaseAlert(phase, getCycleInfo(engineRef.current.getPhases(), phase));
+            showPhaseAlert(alert, alertSettings);
+            setAnnouncement(getAnnouncement(alert));
+            if (!(voiceActive && voiceSettings.cues.phase)) {
+                // 进入有节拍的阶段用高音，其余用低音
+                playBeep(phase.cadence ? 880 : 440, 0.2); // Transition beep
+            }
+        }
     };
 
-    // Start cadence timer
-    const startCadenceTimer = () => {
-        stopCadenceTimer();
-        if (isRunning && !isWalking) {
-            scheduleNextCadenceBeat();
+    // Timer logic: 定时器只负责唤醒，时间以 Date.now() 为准
+    const timerTickRef = useRef(null);
+    useEffect(() => {
+        timerTickRef.current = () => syncTimer(engineRef.current.tick(Date.now()));
+    });
+
+    useEffect(() => {
+        if (!isRunning) return;
+
+        const tick = () => timerTickRef.current();
+        intervalRef.current = setInterval(tick, isInGroup ? GROUP_TICK_INTERVAL : TIMER_TICK_INTERVAL);
+        // 从后台切回或设备唤醒时立即结算
+        document.addEventListener('visibilitychange', tick);
+
+        return () => {
+            clearInterval(intervalRef.current);
+            document.removeEventListener('visibilitychange', tick);
+        };
+    }, [isRunning, isInGroup]);
+
+    // 训练进行中保持屏幕常亮，暂停、重置或结束时释放
+    useEffect(() => {
+        if (!isRunning) return;
+
+        const wakeLock = createWakeLock();
+        wakeLock.acquire();
+        return () => wakeLock.release();
+    }, [isRunning]);
+
+    // 锁屏 / 耳机控件显示当前阶段、剩余时间和轮次；暂停时保留控件以便从锁屏继续，重置或完成后移除
+    const updateMediaSession = () => {
+        const session = mediaSessionRef.current;
+        if (!isSessionActive || !currentPhase) {
+            session.deactivate();
+            return;
         }
+        session.setPlaybackState(isRunning ? 'playing' : 'paused');
+        session.update(
+            describeMediaState({
+                phase: currentPhase,
+                remaining: currentPhaseTime,
+                cycleInfo,
+                phaseCount: phases.length,
+                workoutName: settings.name
+            }),
+            { duration: currentPhase.duration, position: currentTime - currentPhase.start }
+        );
     };
 
-    // Stop cadence timer immediately
-    const stopCadenceTimer = () => {
-        if (cadenceTimeoutRef.current) {
-            clearTimeout(cadenceTimeoutRef.current);
-            cadenceTimeoutRef.current = null;
+    // 实测步频持续偏离目标时提醒：有语音时播报，否则两声高音表示加快、两声低音表示放慢
+    const playCadenceFeedback = (direction) => {
+        const voiceVolume = getChannelVolume(mixer, 'voice');
+        if (voiceSettings.enabled && isVoiceAvailable && voiceVolume > 0) {
+            voiceCoachRef.current.speak(
+                getCueText({ cue: 'cadenceDrift', direction, target: currentCadence }, voiceSettings.language),
+                voiceSettings.language,
+                false,
+                voiceVolume
+            );
+            return;
         }
+        const frequency = direction === 'faster' ? 1320 : 330;
+        const now = audioContextRef.current?.currentTime ?? 0;
+        playBeep(frequency, 0.08, 'cues', now);
+        playBeep(frequency, 0.08, 'cues', now + 0.15);
     };
 
-    // Calculate total duration
-    const totalDuration = (settings.runTime + settings.walkTime) * settings.cycles;
+    // 读取实测步频，并检查是否需要偏差提醒
+    const updateMeasuredCadence = (detector) => {
+        const now = performance.now() / 1000;
+        const measured = detector.getCadence(now);
+        setMeasuredCadence(measured);
 
-    // Format time for display
-    const formatTime = (seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        const { state, cue } = trackCadenceDrift(cadenceDriftRef.current, {
+            measured,
+            target: currentCadence,
+            tolerance: cadenceSensorSettings.tolerance,
+            time: now
+        });
+        cadenceDriftRef.current = state;
+        if (cue && cadenceSensorSettings.feedback) {
+            playCadenceFeedback(cue);
+        }
     };
 
-    // Calculate progress percentage
-    const progress = totalDuration > 0 ? (currentTime / totalDuration) * 100 : 0;
+    const updateMediaSessionRef = useRef(null);
+    const updateMeasuredCadenceRef = useRef(null);
+    const preloadAccentPairRef = useRef(null);
+    useEffect(() => {
+        updateMediaSessionRef.current = updateMediaSession;
+        // 与界面按钮和快捷键一样，组员的锁屏 / 耳机按键不控制计时
+        mediaHandlersRef.current = isGroupGuest
+            ? { play: () => {}, pause: () => {}, nexttrack: () => {} }
+            : { play: handleStart, pause: handlePause, nexttrack: handleSkip };
+        shortcutHandlerRef.current = handleShortcut;
+        heartRateHandlerRef.current = handleHeartRateMeasurement;
+        positionHandlerRef.current = handlePosition;
+        groupStateHandlerRef.current = handleGroupState;
+        updateMeasuredCadenceRef.current = updateMeasuredCadence;
+        preloadAccentPairRef.current = preloadAccentPair;
+    });
 
-    // Calculate current phase time remaining
-    const currentPhaseTime = (() => {
-        const cycleDuration = settings.runTime + settings.walkTime;
-        const timeInCycle = currentTime % cycleDuration;
+    // 暂停期间的移动不计入距离
+    useEffect(() => {
+        if (!isRunning) return;
+
+        const tracker = distanceTrackerRef.current;
+        return () => {
+            tracker.pause();
+            setPace(null);
+        };
+    }, [isRunning]);
+
+    // 训练进行中用加速度计检测步频；暂停后重新开始检测
+    useEffect(() => {
+        if (!isRunning || !cadenceSensorSettings.enabled) return;
+
+        const detector = createStepDetector();
+        cadenceDriftRef.current = null;
+        const stopTracking = startMotionTracking(sample => detector.push(sample));
+        const timer = setInterval(() => updateMeasuredCadenceRef.current(detector), CADENCE_UPDATE_INTERVAL);
+        return () => {
+            stopTracking();
+            clearInterval(timer);
+            setMeasuredCadence(null);
+        };
+    }, [isRunning, cadenceSensorSettings.enabled]);
+
+    useEffect(() => () => {
+        heartRateMonitorRef.current?.disconnect();
+        locationSourceRef.current?.disconnect();
+        groupSessionRef.current?.leave();
+    }, []);
+
+    useEffect(() => {
+        updateMediaSessionRef.current();
+    }, [isRunning, phaseIndex, currentPhaseTime, settings]);
+
+    useEffect(() => {
+        document.documentElement.lang = getLocale();
+        document.title = t('app.title');
+    }, [localeSetting]);
+
+    // 离线缓存；部署新版本后提示刷新
+    useEffect(() => registerServiceWorker(update => setApplyUpdate(() => update)), []);
+
+    // Persist preferences whenever they change
+    useEffect(() => {
+        preferencesStore.save({
+            settings,
+            draft: tempSettings,
+            selectedBeatSound,
+            beatPattern,
+            synthTuning,
+            mixer,
+            voice: voiceSettings,
+            alerts: alertSettings,
+            heartRate: heartRateSettings,
+            cadenceSensor: cadenceSensorSettings,
+            locale: localeSetting,
+            glanceMode
+        });
+    }, [settings, tempSettings, selectedBeatSound, beatPattern, synthTuning, mixer, voiceSettings, alertSettings, heartRateSettings, cadenceSensorSettings, localeSetting, glanceMode]);
+
+    useEffect(() => {
+        libraryStore.save(libraryPresets);
+    }, [libraryPresets]);
+
+    useEffect(() => {
+        historyStore.save(history);
+    }, [history]);
+
+    useEffect(() => {
+        planStore.save(plans);
+    }, [plans]);
+
+    // Persist the in-progress session (about once per second) so a reload can resume it
+    const persistSession = () => {
+        // 等待用户决定是否继续上次的训练，避免覆盖
+        if (resumeSession) return;
 
-        if (isWalking) {
-            return Math.max(0, settings.walkTime - (timeInCycle - settings.runTime));
+        const engine = engineRef.current;
+        const status = engine.getStatus();
+        if (status === 'running' || status === 'paused') {
+            sessionStore.save({
+                workout: settings,
+                phases: engine.getPhases(),
+                elapsed: engine.getElapsed(Date.now()),
+                startedAt: sessionStartRef.current,
+                savedAt: Date.now(),
+                heartRateSamples: compactHeartRateSamples(heartRateSamplesRef.current),
+                trackSamples: compactTrackSamples(trackSamplesRef.current),
+                planDay: planDayRef.current
+            });
         } else {
-            return Math.max(0, settings.runTime - timeInCycle);
+            sessionStore.clear();
         }
-    })();
+    };
 
-    // Timer logic
+    const persistSessionRef = useRef(null);
     useEffect(() => {
-        if (isRunning) {
-            intervalRef.current = setInterval(() => {
-                setCurrentTime(prev => {
-                    const newTime = prev + 1;
-
-                    // Check if workout is complete
-                    if (newTime >= totalDuration) {
-                        setIsRunning(false);
-                        setIsWalking(false);
-                        playBeep(440, 0.3, true); // Final completion beep - ignore mute
-                        stopCadenceTimer();
-                        return totalDuration;
-                    }
-
-                    // Check phase transitions
-                    const cycleDuration = settings.runTime + settings.walkTime;
-                    const timeInCycle = newTime % cycleDuration;
-                    const newCycle = Math.floor(newTime / cycleDuration) + 1;
-
-                    // Transition from run to walk
-                    if (timeInCycle === settings.runTime && !isWalking) {
-                        setIsWalking(true);
-                        setCurrentCycle(newCycle);
-                        playBeep(440, 0.2, true); // Walk transition beep - ignore mute
-                        stopCadenceTimer();
-                    }
-                    // Transition from walk to run
-                    else if (timeInCycle === 0 && isWalking && newTime > 0) {
-                        setIsWalking(false);
-                        setCurrentCycle(newCycle);
-                        playBeep(880, 0.2, true); // Run transition beep - ignore mute
-                        // Start cadence after a small delay to ensure audio context is ready
-                        setTimeout(() => {
-                            if (isRunning && !isWalking) {
-                                startCadenceTimer();
-                            }
-                        }, 100);
-                    }
-
-                    return newTime;
-                });
-            }, 1000);
-        } else {
-            clearInterval(intervalRef.current);
-            stopCadenceTimer();
+        persistSessionRef.current = persistSession;
+    });
+
+    const savedSecond = Math.floor(currentTime);
+    useEffect(() => {
+        persistSessionRef.current();
+    }, [isRunning, savedSecond, settings, resumeSession]);
+
+    // 组队训练的主机：计时状态或训练（含训练中的修改）变化时广播给组员，revision 随训练或阶段列表递增
+    const publishGroupState = () => {
+        const session = groupSessionRef.current;
+        if (session?.role !== 'host') return;
+
+        const engine = engineRef.current;
+        const status = engine.getStatus();
+        const list = engine.getPhases();
+        const last = groupBroadcastRef.current;
+        if (last && last.status === status && last.phases === list && last.workout === settings) return;
+
+        const changed = !last || last.phases !== list || last.workout !== settings;
+        const revision = (last?.revision ?? 0) + (changed ? 1 : 0);
+        groupBroadcastRef.current = { revision, status, phases: list, workout: settings };
+        const now = Date.now();
+        session.publish({ revision, workout: settings, phases: list, status, elapsed: engine.getElapsed(now), at: now });
+    };
+
+    const publishGroupStateRef = useRef(null);
+    useEffect(() => {
+        publishGroupStateRef.current = publishGroupState;
+    });
+
+    useEffect(() => {
+        publishGroupStateRef.current();
+    }, [timerStatus, phases, settings]);
+
+    useEffect(() => {
+        // 关闭或刷新页面前记录精确的已用时间
+        const handlePageHide = () => persistSessionRef.current();
+        window.addEventListener('pagehide', handlePageHide);
+        return () => window.removeEventListener('pagehide', handlePageHide);
+    }, []);
+
+    // 应用已打开时粘贴新的分享链接
+    useEffect(() => {
+        const handleHashChange = () => setSharedLink(readShareLink());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    // 语音列表可能异步加载，切换语言或列表变化时重新检查是否有可用语音
+    useEffect(() => {
+        const coach = voiceCoachRef.current;
+        const update = () => setIsVoiceAvailable(coach.isAvailable(voiceSettings.language));
+        update();
+        return coach.onVoicesChanged(update);
+    }, [voiceSettings.language]);
+
+    useEffect(() => {
+        mixerRef.current?.apply(mixer);
+    }, [mixer, isAudioInitialized]);
+
+    // Keep the audio-clock callbacks in sync with React state
+    useEffect(() => {
+        isMutedRef.current = isMuted;
+        if (isMuted) {
+            // 静音时立即取消已排队的节拍，节拍网格继续运行以便取消静音后保持相位
+            schedulerRef.current?.cancelPending();
         }
+    }, [isMuted]);
 
+    // 切换音效不重启节拍器，下一拍起使用新音效
+    useEffect(() => {
+        selectedBeatSoundRef.current = selectedBeatSound;
+        if (isAudioInitialized) {
+            preloadAccentPairRef.current(selectedBeatSound);
+        }
+    }, [selectedBeatSound, isAudioInitialized]);
+
+    // 载入自定义音效；之前选择的自定义音效已被删除时回到默认音效
+    useEffect(() => {
+        let cancelled = false;
+        listCustomSounds()
+            .then(sounds => {
+                if (cancelled) return;
+                customSoundsRef.current = sounds;
+                setCustomSounds(sounds);
+                setSelectedBeatSound(prev => (
+                    isCustomSoundId(prev) && !sounds.some(sound => sound.id === prev) ? DEFAULT_BEAT_SOUND : prev
+                ));
+            })
+            .catch(error => {
+                console.error('Failed to load custom sounds:', error);
+                setSelectedBeatSound(prev => (isCustomSoundId(prev) ? DEFAULT_BEAT_SOUND : prev));
+            });
         return () => {
-            clearInterval(intervalRef.current);
-            stopCadenceTimer();
+            cancelled = true;
         };
-    }, [isRunning, settings, isWalking, totalDuration]);
+    }, []);
 
-    // Handle mute toggle - immediately stop cadence if muted
     useEffect(() => {
-        if (isMuted) {
-            // When muting, immediately stop any pending cadence beats
-            stopCadenceTimer();
+        customSoundsRef.current = customSounds;
+    }, [customSounds]);
+
+    // 节拍型同样从下一拍起生效
+    useEffect(() => {
+        beatPatternRef.current = beatPattern;
+    }, [beatPattern]);
+
+    // Drive the metronome from the current phase cadence
+    // 渐变阶段的步频曲线交给调度器逐拍计算，这里只在阶段（含训练中的修改）、运行状态变化时更新
+    const phaseCadence = currentPhase?.cadence || null;
+    useEffect(() => {
+        const scheduler = schedulerRef.current;
+        if (!scheduler) return;
+
+        if (!phaseCadence) {
+            scheduler.stop();
+            return;
+        }
+        if (!isRunning) {
+            scheduler.pause();
+            return;
+        }
+
+        const offset = engineRef.current.getElapsed(Date.now()) - currentPhase.start;
+        const cadence = getCadenceCurve(currentPhase, audioContextRef.current.currentTime - offset);
+        // 组队训练中节拍总是从阶段起点排起，各设备的节拍才能同相
+        if (scheduler.getState() === 'paused' && !isInGroup) {
+            scheduler.resume(cadence);
+        } else if (scheduler.getState() === 'active' && !isInGroup) {
+            scheduler.setCadence(cadence);
         } else {
-            // When unmuting, restart cadence if we're in running phase
-            if (isRunning && !isWalking) {
-                startCadenceTimer();
-            }
+            // 切换被检测到时可能已经迟了一点，把第一拍对齐到阶段起点
+            scheduler.start(cadence, audioContextRef.current.currentTime - Math.max(0, offset));
         }
-    }, [isMuted, isRunning, isWalking]);
+    }, [isRunning, phaseCadence, currentPhase, isAudioInitialized, isInGroup, groupAlignment]);
 
-    // Handle beat sound change
+    // 后台标签页中定时器会被节流，加大前瞻窗口以免漏拍
     useEffect(() => {
-        if (isRunning && !isWalking && !isMuted) {
-            // 当音效改变时，重新开始节拍器以使用新音效
-            startCadenceTimer();
-        }
-    }, [selectedBeatSound, isRunning, isWalking, isMuted]);
+        const handleVisibilityChange = () => {
+            schedulerRef.current?.setLookAhead(document.hidden ? HIDDEN_LOOK_AHEAD : DEFAULT_LOOK_AHEAD);
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            schedulerRef.current?.stop();
+        };
+    }, []);
 
-    // Handle settings changes that affect cadence
+    // 键盘快捷键：经 ref 调用最新的处理函数，处理了的按键阻止默认行为（如空格滚动页面）
     useEffect(() => {
-        if (isRunning && !isWalking && !isMuted) {
-            startCadenceTimer();
-        }
-    }, [settings.cadence, isRunning, isWalking, isMuted]);
+        const handleKeyDown = (event) => {
+            const action = getShortcutAction(event);
+            if (action && shortcutHandlerRef.current(action)) {
+                event.preventDefault();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // 从头开始一次训练：清空上次的心率、轨迹和距离
+    const beginSession = () => {
+        sessionStartRef.current = Date.now();
+        heartRateSamplesRef.current = [];
+        distanceTrackerRef.current = createDistanceTracker();
+        trackSamplesRef.current = [];
+        phaseDistanceRef.current = null;
+        setDistance(0);
+        setPhaseDistance(null);
+        // 让第一个阶段也有语音播报
+        lastCueElapsedRef.current = -1;
+    };
 
     const handleStart = () => {
         // Initialize audio on start (this ensures audio works on first start)
         initAudio();
-        setIsRunning(true);
-
-        if (currentTime === 0) {
-            setIsWalking(false);
-            setCurrentCycle(1);
-            // Start cadence immediately if we're in running phase
-            setTimeout(() => {
-                if (isRunning && !isWalking && !isMuted) {
-                    startCadenceTimer();
-                }
-            }, 100);
-        } else if (!isWalking) {
-            // If resuming in running phase, start cadence
-            setTimeout(() => {
-                if (isRunning && !isWalking && !isMuted) {
-                    startCadenceTimer();
-                }
-            }, 100);
+        // 开始新的训练即放弃上次未完成的训练
+        setResumeSession(null);
+        const status = engineRef.current.getStatus();
+        if (status === 'idle' || status === 'finished') {
+            beginSession();
         }
+        const events = engineRef.current.start(Date.now());
+        setIsRunning(true);
+        setAnnouncement(t('timer.started'));
+        // 在用户操作中启动媒体会话，锁屏和耳机按键才能控制训练
+        mediaSessionRef.current.activate();
+        mediaSessionRef.current.setHandlers({
+            play: () => mediaHandlersRef.current.play(),
+            pause: () => mediaHandlersRef.current.pause(),
+            nexttrack: () => mediaHandlersRef.current.nexttrack()
+        });
+        syncTimer(events);
     };
 
     const handlePause = () => {
+        const events = engineRef.current.pause(Date.now());
         setIsRunning(false);
-        stopCadenceTimer();
+        setAnnouncement(t('timer.paused'));
+        voiceCoachRef.current.cancel();
+        syncTimer(events);
+    };
+
+    // 训练中修改阶段列表；倒计时、进度、轮次和节拍都随之更新
+    const editPhases = (fn) => syncTimer(engineRef.current.edit(Date.now(), fn));
+
+    // 跳过当前阶段剩余的时间（也是耳机 / 锁屏的“下一曲”）
+    const handleSkip = () => editPhases(skipPhase);
+    const handleExtend = () => editPhases((list, elapsed, index) => extendPhase(list, index));
+    const handleDropCycle = () => editPhases((list, elapsed, index) => dropLastCycle(list, index));
+    const handleJump = (target) => editPhases((list, elapsed, index) => jumpToPhase(list, elapsed, index, target));
+    const handlePrevious = () => editPhases((list, elapsed, index) =>
+        jumpToPhase(list, elapsed, index, getPreviousPhaseTarget(list, elapsed, index)));
+
+    const toggleMute = () => setMixer(prev => ({ ...prev, metronome: { ...prev.metronome, muted: !prev.metronome.muted } }));
+
+    // 键盘快捷键；切换阶段只在训练进行中（含暂停）可用，组员不能控制计时。返回是否处理了该按键
+    const handleShortcut = (action) => {
+        const canControl = !isGroupGuest;
+        const handlers = {
+            toggle: canControl ? (isRunning ? handlePause : handleStart) : null,
+            reset: canControl ? handleReset : null,
+            mute: toggleMute,
+            previous: canControl && isSessionActive ? handlePrevious : null,
+            next: canControl && isSessionActive ? handleSkip : null,
+            glance: () => setGlanceMode(prev => !prev),
+            exitGlance: glanceMode ? () => setGlanceMode(false) : null
+        };
+        const handler = handlers[action];
+        if (!handler) return false;
+        handler();
+        return true;
+    };
+
+    // 心率读数：训练进行中记录采样，并检查当前阶段的心率结束条件
+    const handleHeartRateMeasurement = ({ bpm, contactDetected }) => {
+        if (contactDetected === false || bpm === 0) {
+            setHeartRate(null);
+            return;
+        }
+        setHeartRate(bpm);
+
+        const engine = engineRef.current;
+        if (engine.getStatus() !== 'running') return;
+        const snapshot = engine.getSnapshot(Date.now());
+        heartRateSamplesRef.current.push({ time: snapshot.elapsed, bpm });
+
+        const phase = engine.getPhases()[snapshot.phaseIndex];
+        if (!phase?.until) return;
+        endConditionRef.current = trackEndCondition(endConditionRef.current, {
+            phaseIndex: snapshot.phaseIndex,
+            met: isEndConditionMet(phase.until, bpm, heartRateSettings.maxHeartRate),
+            time: snapshot.elapsed
+        });
+        // 组员的阶段由主机决定
+        if (endConditionRef.current.done && !isGroupGuest) {
+            endConditionRef.current = null;
+            editPhases((list, elapsed, index) => skipPhase(list, elapsed, index, 'heartRate'));
+        }
+    };
+
+    // 模拟设备按当前阶段类型决定运动强度
+    const getSimulatedIntensity = () => {
+        const engine = engineRef.current;
+        if (engine.getStatus() !== 'running') return IDLE_INTENSITY;
+        const phase = engine.getPhases()[engine.getSnapshot(Date.now()).phaseIndex];
+        return PHASE_INTENSITY[phase?.type] ?? IDLE_INTENSITY;
+    };
+
+    const connectHeartRate = async (simulated) => {
+        const connect = simulated ? connectSimulatedHeartRateMonitor : connectBluetoothHeartRateMonitor;
+        setHeartRateError(null);
+        try {
+            const monitor = await connect({
+                onMeasurement: (measurement) => heartRateHandlerRef.current(measurement),
+                onDisconnect: () => {
+                    heartRateMonitorRef.current = null;
+                    setHeartRateDevice(null);
+                    setHeartRate(null);
+                },
+                getIntensity: getSimulatedIntensity,
+                maxHeartRate: heartRateSettings.maxHeartRate
+            });
+            heartRateMonitorRef.current = monitor;
+            setHeartRateDevice(monitor.name);
+        } catch (error) {
+            // 用户在设备选择框中取消
+            if (error.name === 'NotFoundError') return;
+            console.error('Failed to connect heart rate monitor:', error);
+            setHeartRateError(t('errors.heartRateConnect', { message: error.message }));
+        }
+    };
+
+    const disconnectHeartRate = () => {
+        heartRateMonitorRef.current?.disconnect();
+    };
+
+    // 定位点：训练进行中累计距离、记录轨迹，并检查当前阶段的距离
+    const handlePosition = ({ latitude, longitude, accuracy }) => {
+        setLocationAccuracy(Math.round(accuracy));
+        setLocationError(null);
+
+        const engine = engineRef.current;
+        if (engine.getStatus() !== 'running') return;
+        const snapshot = engine.getSnapshot(Date.now());
+        const tracker = distanceTrackerRef.current;
+        if (!tracker.push({ time: snapshot.elapsed, latitude, longitude, accuracy })) return;
+
+        const total = tracker.getDistance();
+        trackSamplesRef.current.push({ time: snapshot.elapsed, distance: total, latitude, longitude });
+        setDistance(total);
+        setPace(tracker.getPace(snapshot.elapsed));
+
+        phaseDistanceRef.current = trackPhaseDistance(phaseDistanceRef.current, { phaseIndex: snapshot.phaseIndex, distance: total });
+        setPhaseDistance(phaseDistanceRef.current);
+        const phase = engine.getPhases()[snapshot.phaseIndex];
+        if (phase?.distance && phaseDistanceRef.current.covered >= phase.distance && !isGroupGuest) {
+            phaseDistanceRef.current = null;
+            editPhases((list, elapsed, index) => skipPhase(list, elapsed, index, 'distance'));
+        }
+    };
+
+    // 模拟跑道按当前阶段类型决定速度
+    const getSimulatedSpeed = () => {
+        const engine = engineRef.current;
+        if (engine.getStatus() !== 'running') return IDLE_SPEED;
+        const phase = engine.getPhases()[engine.getSnapshot(Date.now()).phaseIndex];
+        return PHASE_SPEED[phase?.type] ?? IDLE_SPEED;
+    };
+
+    const connectLocation = async (simulated) => {
+        const connect = simulated ? connectSimulatedPositions : connectGeolocation;
+        setLocationError(null);
+        try {
+            const source = await connect({
+                onPosition: (position) => positionHandlerRef.current(position),
+                onError: setLocationError,
+                onDisconnect: () => {
+                    locationSourceRef.current = null;
+                    setLocationSource(null);
+                    setLocationAccuracy(null);
+                },
+                getSpeed: getSimulatedSpeed
+            });
+            locationSourceRef.current = source;
+            setLocationSource(source.name);
+        } catch (error) {
+            console.error('Failed to start location tracking:', error);
+            setLocationError(t('errors.location', { message: error.message }));
+        }
+    };
+
+    const disconnectLocation = () => {
+        locationSourceRef.current?.disconnect();
     };
 
     const handleReset = () => {
+        // 中途结束的训练也记入训练记录
+        const status = engineRef.current.getStatus();
+        if (status === 'running' || status === 'paused') {
+            recordSession(true);
+        }
+        engineRef.current.reset();
         setIsRunning(false);
-        setIsWalking(false);
-        setCurrentTime(0);
-        setCurrentCycle(0);
-        stopCadenceTimer();
+        setAnnouncement(t('timer.resetDone'));
+        schedulerRef.current?.stop();
+        voiceCoachRef.current.cancel();
+        syncTimer();
     };
 
-    const handleSaveSettings = () => {
-        setSettings(tempSettings);
+    // 组队训练：在用户操作中初始化音频，组员跟随主机开始时才能发声
+    const startGroupSession = (role, relayUrl, room) => {
+        initAudio();
+        groupSessionRef.current?.leave();
+        groupBroadcastRef.current = null;
+        groupRevisionRef.current = null;
+        setGroupError(null);
+        try {
+            groupSessionRef.current = createGroupSession({
+                connect: connectWebSocket(relayUrl),
+                room,
+                role,
+                onState: (state) => groupStateHandlerRef.current(state),
+                onStatus: setGroupStatus
+            });
+        } catch (error) {
+            // 地址格式不对时 WebSocket 构造函数直接抛出
+            console.error('Failed to connect group relay:', error);
+            groupSessionRef.current = null;
+            setGroupError(t('errors.groupConnect', { message: error.message }));
+            return;
+        }
+        if (role === 'host') {
+            publishGroupState();
+        } else {
+            setShowSettings(false);
+            setShowLibrary(false);
+            setShowPlans(false);
+            setResumeSession(null);
+        }
+    };
+
+    const handleHostGroup = (relayUrl) => startGroupSession('host', relayUrl, createRoomCode());
+    const handleJoinGroup = (relayUrl, room) => startGroupSession('guest', relayUrl, room);
+
+    // 退出后计时停在本机继续，像单人训练一样由自己控制
+    const handleLeaveGroup = () => {
+        groupSessionRef.current?.leave();
+        groupSessionRef.current = null;
+        setGroupStatus(null);
+    };
+
+    // 组员收到主机的状态（at 已换算为本机时钟）：载入主机的训练，把计时对齐到主机
+    const handleGroupState = (message) => {
+        const state = parseGroupState(message);
+        if (!state) {
+            console.warn('Ignoring invalid group state');
+            return;
+        }
+        const engine = engineRef.current;
+        const isNewRevision = state.revision !== groupRevisionRef.current;
+        groupRevisionRef.current = state.revision;
+        if (isNewRevision) {
+            setSettings(state.workout);
+            setTempSettings(state.workout);
+            planDayRef.current = null;
+        }
+
+        // 主机重置或换了训练
+        if (state.status === 'idle') {
+            if (engine.getStatus() !== 'idle') handleReset();
+            if (isNewRevision) {
+                engine.load(state.phases);
+                syncTimer();
+            }
+            return;
+        }
+
+        const status = engine.getStatus();
+        const events = [];
+        if (isNewRevision && (status === 'running' || status === 'paused')) {
+            // 训练中的修改（跳过、延长等）：已用时间不变，只换阶段列表
+            events.push(...engine.edit(Date.now(), () => state.phases));
+        } else if (isNewRevision) {
+            engine.load(state.phases);
+        }
+        // 主机已经结束的训练不从头跟
+        if (state.status === 'finished' && engine.getStatus() === 'idle') {
+            syncTimer();
+            return;
+        }
+        if (engine.getStatus() === 'idle' || (engine.getStatus() === 'finished' && state.status !== 'finished')) {
+            beginSession();
+        }
+
+        const now = Date.now();
+        const elapsed = state.elapsed + (state.status === 'running' ? (now - state.at) / 1000 : 0);
+        events.push(...engine.align(now, elapsed, state.status === 'running'));
+        setIsRunning(engine.getStatus() === 'running');
+        setGroupAlignment(prev => prev + 1);
+        syncTimer(events);
+    };
+
+    // 从中断处继续：载入当时的训练并停在当时的时间点，由用户点击开始继续
+    const handleResumeSession = () => {
+        setSettings(resumeSession.workout);
+        setTempSettings(resumeSession.workout);
+        engineRef.current.load(resumeSession.phases);
+        engineRef.current.restore(resumeSession.elapsed);
+        planDayRef.current = resumeSession.planDay;
+        sessionStartRef.current = resumeSession.startedAt ?? resumeSession.savedAt - resumeSession.elapsed * 1000;
+        heartRateSamplesRef.current = resumeSession.heartRateSamples.map(([time, bpm]) => ({ time, bpm }));
+        trackSamplesRef.current = resumeSession.trackSamples.map(([time, distance, latitude, longitude]) => ({ time, distance, latitude, longitude }));
+        const resumedDistance = trackSamplesRef.current[trackSamplesRef.current.length - 1]?.distance ?? 0;
+        distanceTrackerRef.current = createDistanceTracker({ distance: resumedDistance });
+        phaseDistanceRef.current = null;
+        setDistance(resumedDistance);
+        setPhaseDistance(null);
+        setResumeSession(null);
+        syncTimer();
+    };
+
+    // 放弃的训练按中途结束记录
+    const handleDiscardSession = () => {
+        if (resumeSession.elapsed >= MIN_RECORD_DURATION) {
+            setHistory(prev => addRecord(prev, createSessionRecord({
+                workoutName: resumeSession.workout.name,
+                phases: resumeSession.phases,
+                elapsed: resumeSession.elapsed,
+                aborted: true,
+                startedAt: resumeSession.startedAt,
+                endedAt: resumeSession.savedAt,
+                heartRateSamples: resumeSession.heartRateSamples,
+                trackSamples: resumeSession.trackSamples
+            })));
+        }
+        sessionStore.clear();
+        setResumeSession(null);
+    };
+
+    // 换用一套新的训练并回到起点；先重置，进行中或暂停的训练按中途结束记入训练记录
+    const applyWorkout = (workout) => {
         handleReset();
+        planDayRef.current = null;
+        setSettings(workout);
+        setTempSettings(workout);
+        engineRef.current.load(flattenWorkout(workout));
+        syncTimer();
+    };
+
+    const closeSharedLink = () => {
+        clearShareHash();
+        setSharedLink(null);
+    };
+
+    // 用分享链接中的训练替换当前训练；内置采样和合成音效随链接切换，本机没有的音效保持当前选择
+    const handleApplySharedLink = () => {
+        applyWorkout(sharedLink.workout);
+        if (beatSounds.some(sound => sound.id === sharedLink.beatSound) || isSynthSoundId(sharedLink.beatSound)) {
+            setSelectedBeatSound(sharedLink.beatSound);
+        }
+        closeSharedLink();
+    };
+
+    // 载入训练计划中某天的训练并立即开始
+    const handleStartPlanDay = (entry) => {
+        applyWorkout(entry.workout);
+        planDayRef.current = { planId: entry.planId, date: entry.date };
+        setShowPlans(false);
+        handleStart();
+    };
+
+    const handleSaveSharedLink = () => {
+        setLibraryPresets(prev => addPreset(prev, sharedLink.workout, sharedLink.workout.name));
+        closeSharedLink();
+    };
+
+    const handleSaveSettings = () => {
+        if (settingsErrors.length > 0) return;
+        applyWorkout(tempSettings);
         setShowSettings(false);
     };
 
+    // 导入训练文件：训练加入训练库，训练记录按 id 合并
+    const handleImport = (text) => {
+        const { workouts, history: records, plans: importedPlans, errors } = parseExchangeDocument(text);
+        if (workouts.length > 0) {
+            setLibraryPresets(prev => workouts.reduce((list, workout) => addPreset(list, workout, workout.name), prev));
+        }
+        if (records.length > 0) {
+            setHistory(prev => mergeRecords(prev, records));
+        }
+        // 重复导入同一文件时不再添加相同的计划
+        const planImport = mergePlans(plans, importedPlans);
+        if (planImport.added.length > 0) {
+            setPlans(planImport.plans);
+        }
+        const messages = [t('import.done', { workouts: workouts.length, records: records.length, plans: planImport.added.length })];
+        if (planImport.skipped > 0) {
+            messages.push(t('import.skippedPlans', { count: planImport.skipped }));
+        }
+        return { message: messages.join(t('common.listSeparator')), errors };
+    };
+
+    const handleLoadPreset = (preset) => {
+        applyWorkout(preset.workout);
+        setShowLibrary(false);
+    };
+
     const handleInputChange = (field, value) => {
-        setTempSettings(prev => ({
+        setIntervalForm(prev => ({
             ...prev,
-            [field]: Math.max(1, parseInt(value) || 1)
+            [field]: toPositiveInt(value)
         }));
     };
 
+    // 用快速间歇参数替换当前编辑中的分段
+    const handleGenerateInterval = () => {
+        setTempSettings(prev => ({ ...createIntervalWorkout(intervalForm), name: prev.name }));
+    };
+
     const toggleSettings = () => {
-        if (!isRunning) {
+        if (!isRunning && !isGroupGuest) {
             setShowSettings(!showSettings);
+            setShowLibrary(false);
+            setShowHistory(false);
+            setShowPlans(false);
+        }
+    };
+
+    const toggleLibrary = () => {
+        if (!isRunning && !isGroupGuest) {
+            setShowLibrary(!showLibrary);
+            setShowSettings(false);
+            setShowHistory(false);
+            setShowPlans(false);
         }
     };
 
+    const togglePlans = () => {
+        if (!isRunning && !isGroupGuest) {
+            setShowPlans(!showPlans);
+            setShowSettings(false);
+            setShowLibrary(false);
+            setShowHistory(false);
+        }
+    };
+
+    const toggleHistory = () => {
+        setShowHistory(!showHistory);
+        setShowSettings(false);
+        setShowLibrary(false);
+        setShowPlans(false);
+    };
+
     // Test audio function
     const testAudio = () => {
         initAudio();
-        playBeep(880, 0.2, true);
-        setTimeout(() => playBeep(440, 0.2, true), 300);
+        playBeep(880, 0.2);
+        setTimeout(() => playBeep(440, 0.2), 300);
+    };
+
+    // 试听当前阶段（或第一个阶段）的语音播报
+    const testVoice = () => {
+        const phase = currentPhase || phases[0];
+        if (phase) {
+            voiceCoachRef.current.speak(
+                getCueText({ cue: 'phase', phase }, voiceSettings.language),
+                voiceSettings.language,
+                true,
+                getChannelVolume(mixer, 'voice')
+            );
+        }
+    };
+
+    // 上传音效：解码、从第一个瞬态处裁剪并归一化后存入 IndexedDB，并设为当前音效
+    const handleUploadSound = async (file) => {
+        initAudio();
+        if (!audioContextRef.current) throw new Error(t('errors.audioInit'));
+
+        let decoded;
+        try {
+            decoded = await audioContextRef.current.decodeAudioData(await file.arrayBuffer());
+        } catch {
+            throw new Error(t('errors.decodeAudio'));
+        }
+        const channels = Array.from({ length: decoded.numberOfChannels }, (_, i) => decoded.getChannelData(i));
+        const sound = createCustomSound(file.name, processBeatSample({ channels, sampleRate: decoded.sampleRate }));
+        await saveCustomSound(sound);
+
+        customSoundsRef.current = [...customSoundsRef.current, sound];
+        setCustomSounds(customSoundsRef.current);
+        setSelectedBeatSound(sound.id);
+        return sound;
+    };
+
+    const handleRenameSound = async (id, name) => {
+        try {
+            const renamed = await renameCustomSound(id, name);
+            if (renamed) {
+                setCustomSounds(prev => prev.map(sound => (sound.id === id ? renamed : sound)));
+            }
+        } catch (error) {
+            console.error('Failed to rename custom sound:', error);
+        }
+    };
+
+    const handleDeleteSound = async (sound) => {
+        try {
+            await deleteCustomSound(sound.id);
+        } catch (error) {
+            console.error('Failed to delete custom sound:', error);
+            return;
+        }
+        setCustomSounds(prev => prev.filter(item => item.id !== sound.id));
+        audioBuffersRef.current.delete(sound.id);
+        if (selectedBeatSound === sound.id) {
+            setSelectedBeatSound(DEFAULT_BEAT_SOUND);
+        }
     };
 
-    // Test beat sound function
+    // Test beat sound function: 按当前步频试听两小节节拍型
     const testBeatSound = async () => {
         initAudio();
-        await playCustomBeat();
+        await preloadAccentPair(selectedBeatSound);
+        const interval = beatInterval(currentCadence || workoutSummary.cadenceMax || 180);
+        const startTime = audioContextRef.current.currentTime + 0.05;
+        for (let step = 0; step < getPreviewSteps(beatPattern); step++) {
+            scheduleBeatSound(startTime + step * interval, step);
+        }
     };
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-900 via-purple-900 to-indigo-900 text-white">
+            {/* 读屏软件播报阶段 / 轮次变化和开始、暂停 */}
+            <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
+            {glanceMode && (
+                <GlanceView
+                    phase={currentPhase}
+                    nextPhase={phases[phaseIndex + 1]}
+                    remaining={currentPhaseTime}
+                    cycleInfo={cycleInfo}
+                    phaseCount={phases.length}
+                    cadence={isRunning ? currentCadence : null}
+                    isRunning={isRunning}
+                    canControl={!isGroupGuest}
+                    onStart={handleStart}
+                    onPause={handlePause}
+                    onExit={() => setGlanceMode(false)}
+                />
+            )}
+
             {/* Header */}
-            <div className="container mx-auto px-4 py-6">
+            <div className="container mx-auto px-4 py-6" inert={glanceMode}>
                 <div className="text-center mb-6">
                     <h1 className="text-3xl font-bold mb-2 bg-gradient-to-r from-cyan-400 to-purple-400 bg-clip-text text-transparent">
-                        法特莱克跑训练器
+                        {t('app.title')}
                     </h1>
-                    <p className="text-blue-200 text-sm">间歇式跑步训练，提升耐力与速度</p>
+                    <p className="text-blue-200 text-sm">{t('app.subtitle')}</p>
+                    <label className="mt-2 inline-flex items-center gap-1 text-xs text-blue-200">
+                        <Languages size={14} />
+                        <select
+                            value={localeSetting ?? ''}
+                            onChange={(e) => handleLocaleChange(e.target.value || null)}
+                            className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 text-xs"
+                            aria-label={t('app.language')}
+                        >
+                            <option value="" style={{ backgroundColor: '#1a2a6c' }}>{t('app.autoLanguage')}</option>
+                            {LOCALES.map(locale => (
+                                <option key={locale.id} value={locale.id} style={{ backgroundColor: '#1a2a6c' }}>{locale.name}</option>
+                            ))}
+                        </select>
+                    </label>
                     {!isAudioInitialized && (
                         <button
                             onClick={testAudio}
                             className="mt-2 text-xs text-cyan-300 hover:text-cyan-200 underline"
                         >
-                            点击测试音频
+                            {t('app.testAudio')}
                         </button>
                     )}
                 </div>
 
                 <div className="max-w-2xl mx-auto">
+                    {applyUpdate && !isRunning && (
+                        <UpdatePrompt onUpdate={applyUpdate} onDismiss={() => setApplyUpdate(null)} />
+                    )}
+
+                    {sharedLink && !isRunning && (
+                        <SharePrompt
+                            link={sharedLink}
+                            onApply={handleApplySharedLink}
+                            onSave={handleSaveSharedLink}
+                            onDismiss={closeSharedLink}
+                        />
+                    )}
+
+                    {resumeSession && !isRunning && !isGroupGuest && (
+                        <ResumePrompt
+                            session={resumeSession}
+                            onResume={handleResumeSession}
+                            onDiscard={handleDiscardSession}
+                        />
+                    )}
+
+                    {todayEntries.length > 0 && !isTodayDismissed && !isSessionActive && !resumeSession && !isGroupGuest && (
+                        <TodayPlanCard
+                            entries={todayEntries}
+                            onStart={handleStartPlanDay}
+                            onDismiss={() => setIsTodayDismissed(true)}
+                        />
+                    )}
+
                     {/* Main Timer Display */}
                     <div className="bg-white/10 backdrop-blur-sm rounded-2xl p-6 mb-4 border border-white/20">
                         <div className="text-center mb-4">
-                            <div className="text-5xl font-mono font-bold mb-3 text-cyan-300 tracking-tight">
+                            {settings.name && (
+                                <div className="text-xs text-blue-300 mb-1">{settings.name}</div>
+                            )}
+                            <div className="text-5xl font-mono font-bold mb-3 text-cyan-300 tracking-tight" role="timer">
                                 {formatTime(currentPhaseTime)}
                             </div>
-                            <div className={`text-lg font-semibold mb-2 ${isWalking ? 'text-red-300' : 'text-cyan-300'}`}>
-                                {isWalking ? '步行阶段' : '跑步阶段'}
+                            <div className={`flex items-center justify-center gap-2 text-lg font-semibold mb-2 ${PHASE_TEXT_COLORS[currentPhase?.type] || 'text-cyan-300'}`}>
+                                {currentPhase && <PhaseIcon type={currentPhase.type} />}
+                                {currentPhase ? t('timer.phase', { label: getSegmentLabel(currentPhase) }) : t('timer.noWorkout')}
                             </div>
+                            {currentPhase?.until && (
+                                <div className="text-xs text-blue-200 mb-2">
+                                    {t('timer.until', {
+                                        condition: describeEndCondition(currentPhase.until),
+                                        duration: formatTime(Math.round(currentPhase.duration))
+                                    })}
+                                    {!heartRateDevice && ` · ${t('timer.noHeartRateMonitor')}`}
+                                </div>
+                            )}
+                            {currentPhase?.distance && (
+                                <div className="text-xs text-blue-200 mb-2">
+                                    {t('timer.phaseDistance', {
+                                        covered: Math.min(currentPhase.distance, Math.round(currentPhaseDistance)),
+                                        distance: currentPhase.distance,
+                                        duration: formatTime(Math.round(currentPhase.duration))
+                                    })}
+                                    {!locationSource && ` · ${t('timer.noLocation')}`}
+                                </div>
+                            )}
+                            {locationSource && isSessionActive && (
+                                <div className="flex items-center justify-center gap-1 text-sm text-blue-100 mb-2">
+                                    <MapPin size={14} />
+                                    {formatDistance(distance)}
+                                    {' · '}{t('common.pace', { pace: formatPace(pace) })}
+                                    {' · '}{t('timer.averagePace', { pace: formatPace(getAveragePace(currentTime, distance)) })}
+                                </div>
+                            )}
+                            {heartRate !== null && (
+                                <div className={`flex items-center justify-center gap-1 text-sm font-semibold mb-2 ${HEART_RATE_ZONES[heartRateZone - 1]?.color || 'text-blue-200'}`}>
+                                    <Heart size={14} />
+                                    {t('heartRatePanel.bpm', { bpm: heartRate })}
+                                    {heartRateZone > 0 && ` · ${t('timer.zone', { zone: heartRateZone, name: HEART_RATE_ZONES[heartRateZone - 1].name })}`}
+                                </div>
+                            )}
                             <div className="text-blue-200 text-sm">
-                                第 {currentCycle || 1} / {settings.cycles} 轮
+                                {cycleInfo.unit === 'cycle'
+                                    ? `${t('common.cycle', cycleInfo)} · `
+                                    : ''}
+                                {t('common.phase', { current: phaseIndex + 1, total: phases.length })}
                             </div>
-                            {isRunning && !isWalking && (
+                            {isRunning && currentCadence && (
                                 <div className="text-xs text-green-300 mt-1">
-                                    步频节拍: {settings.cadence} 步/分钟 {isMuted && '(已静音)'}
+                                    {t('timer.cadence', { cadence: currentCadence })}
+                                    {currentPhase.cadenceEnd && ` (${currentPhase.cadence}→${currentPhase.cadenceEnd})`}
+                                    {isMuted && ` ${t('timer.muted')}`}
+                                    {cadenceSensorSettings.enabled && (
+                                        <span className={cadenceDrift ? 'text-amber-300' : ''}>
+                                            {' · '}{t('timer.measured', { cadence: measuredCadence ?? '--' })}
+                                            {cadenceDrift === 'faster' && ' ↑'}
+                                            {cadenceDrift === 'slower' && ' ↓'}
+                                        </span>
+                                    )}
                                     <br />
-                                    音效: {beatSounds.find(s => s.id === selectedBeatSound)?.name || '军鼓(强)'}
+                                    {t('timer.sound', {
+                                        name: [...beatSounds, ...SYNTH_SOUNDS, ...customSounds].find(s => s.id === selectedBeatSound)?.name
+                                            || beatSounds.find(s => s.id === DEFAULT_BEAT_SOUND).name
+                                    })}
+                                    {' · '}{getBeatPattern(beatPattern.pattern).name}{beatPattern.halfTime && ` · ${t('sound.halfTime')}`}
                                 </div>
                             )}
                         </div>
 
-                        {/* Progress Bar */}
-                        <div className="mb-4">
-                            <div className="w-full bg-white/20 rounded-full h-2 mb-2 overflow-hidden">
-                                <div
-                                    className="bg-gradient-to-r from-cyan-400 to-purple-400 h-full rounded-full transition-all duration-1000 ease-linear"
-                                    style={{ width: `${progress}%` }}
-                                ></div>
-                            </div>
-                            <div className="flex justify-between text-xs text-blue-200">
-                                <span>0:00</span>
-                                <span>{formatTime(totalDuration)}</span>
-                            </div>
-                        </div>
+                        {/* 分段时间线：颜色区分类型，宽度对应时长，训练中显示播放头 */}
+                        <WorkoutTimeline
+                            phases={phases}
+                            currentTime={currentTime}
+                            phaseIndex={phaseIndex}
+                            totalDuration={totalDuration}
+                            isActive={isSessionActive}
+                        />
+
+                        {!isSessionActive && <WorkoutPreview workout={settings} />}
 
                         {/* Controls */}
                         <div className="flex justify-center gap-2 mb-4 flex-wrap">
                             {!isRunning ? (
                                 <button
                                     onClick={handleStart}
-                                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 px-5 py-2.5 rounded-full flex items-center gap-2 font-semibold text-sm md:text-base transition-all duration-200 transform hover:scale-105 min-w-[100px]"
+                                    disabled={isGroupGuest}
+                                    aria-keyshortcuts={getAriaKeyShortcut('toggle')}
+                                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:opacity-40 disabled:cursor-not-allowed px-5 py-2.5 rounded-full flex items-center gap-2 font-semibold text-sm md:text-base transition-all duration-200 transform hover:scale-105 min-w-[100px]"
                                 >
                                     <Play size={18} />
-                                    开始
+                                    {t('timer.start')}
                                 </button>
                             ) : (
                                 <button
                                     onClick={handlePause}
-                                    className="bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 px-5 py-2.5 rounded-full flex items-center gap-2 font-semibold text-sm md:text-base transition-all duration-200 transform hover:scale-105 min-w-[100px]"
+                                    disabled={isGroupGuest}
+                                    aria-keyshortcuts={getAriaKeyShortcut('toggle')}
+                                    className="bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 disabled:opacity-40 disabled:cursor-not-allowed px-5 py-2.5 rounded-full flex items-center gap-2 font-semibold text-sm md:text-base transition-all duration-200 transform hover:scale-105 min-w-[100px]"
                                 >
                                     <Pause size={18} />
-                                    暂停
+                                    {t('timer.pause')}
                                 </button>
                             )}
 
                             <button
                                 onClick={handleReset}
-                                className="bg-white/20 hover:bg-white/30 px-4 py-2.5 rounded-full flex items-center gap-2 font-semibold transition-all duration-200 min-w-[80px]"
+                                disabled={isGroupGuest}
+                                className="bg-white/20 hover:bg-white/30 disabled:opacity-40 disabled:cursor-not-allowed px-4 py-2.5 rounded-full flex items-center gap-2 font-semibold transition-all duration-200 min-w-[80px]"
+                                title={t('timer.reset')}
+                                aria-label={t('timer.reset')}
+                                aria-keyshortcuts={getAriaKeyShortcut('reset')}
                             >
                                 <RotateCcw size={18} />
                             </button>
 
                             <button
-                                onClick={() => setIsMuted(!isMuted)}
+                                onClick={toggleMute}
                                 className="bg-white/20 hover:bg-white/30 px-4 py-2.5 rounded-full flex items-center gap-2 font-semibold transition-all duration-200 min-w-[80px]"
+                                title={t('timer.muteBeat')}
+                                aria-label={t('timer.muteBeat')}
+                                aria-pressed={isMuted}
+                                aria-keyshortcuts={getAriaKeyShortcut('mute')}
                             >
                                 {isMuted ? <VolumeX size={18} /> : <Volume2 size={18} />}
                             </button>
+
+                            <button
+                                onClick={() => setGlanceMode(true)}
+                                className="bg-white/20 hover:bg-white/30 px-4 py-2.5 rounded-full flex items-center gap-2 font-semibold transition-all duration-200 min-w-[80px]"
+                                title={t('glance.title')}
+                                aria-label={t('glance.title')}
+                                aria-keyshortcuts={getAriaKeyShortcut('glance')}
+                            >
+                                <Eye size={18} />
+                            </button>
                         </div>
 
+                        {isGroupGuest && (
+                            <div className="text-center text-xs text-blue-200 mb-4">{t('timer.following', { room: groupStatus.room })}</div>
+                        )}
+
+                        {/* 键盘快捷键说明，手机上不显示 */}
+                        <div className="hidden sm:flex items-center justify-center gap-x-3 gap-y-1 flex-wrap text-xs text-blue-300 mb-4">
+                            <Keyboard size={14} aria-hidden="true" />
+                            <span className="sr-only">{t('shortcuts.title')}</span>
+                            {KEYBOARD_SHORTCUTS.filter(shortcut => shortcut.action !== 'exitGlance').map(shortcut => (
+                                <span key={shortcut.action}>
+                                    <kbd className="px-1.5 py-0.5 rounded bg-white/10 border border-white/20 font-mono">{shortcut.label}</kbd>
+                                    {' '}{shortcut.description}
+                                </span>
+                            ))}
+                        </div>
+
+                        {isSessionActive && !isGroupGuest && (
+                            <LiveControls
+                                phases={phases}
+                                phaseIndex={phaseIndex}
+                                canDropCycle={findDroppableRepeat(phases, phaseIndex) !== null}
+                                onSkip={handleSkip}
+                                onExtend={handleExtend}
+                                onDropCycle={handleDropCycle}
+                                onJump={handleJump}
+                            />
+                        )}
+
                         {/* Beat Sound Selection - 修复样式问题 */}
                         <div className="mb-4">
                             <label className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
                                 <Music size={14} />
-                                节拍器音效
+                                {t('sound.title')}
                             </label>
                             <select
                                 value={selectedBeatSound}
@@ -482,46 +1699,250 @@ export default function App() {
                                             color: 'white'
                                         }}
                                     >
-                                        {sound.name}
+                                        {failedSounds.includes(sound.id) ? t('sound.loadFailed', { name: sound.name }) : sound.name}
                                     </option>
                                 ))}
+                                <optgroup label={t('sound.synthGroup')} style={{ backgroundColor: '#1a2a6c', color: 'white' }}>
+                                    {SYNTH_SOUNDS.map(sound => (
+                                        <option key={sound.id} value={sound.id} style={{ backgroundColor: '#1a2a6c', color: 'white' }}>
+                                            {sound.name}
+                                        </option>
+                                    ))}
+                                </optgroup>
+                                {customSounds.length > 0 && (
+                                    <optgroup label={t('sound.customGroup')} style={{ backgroundColor: '#1a2a6c', color: 'white' }}>
+                                        {customSounds.map(sound => (
+                                            <option key={sound.id} value={sound.id} style={{ backgroundColor: '#1a2a6c', color: 'white' }}>
+                                                {sound.name}
+                                            </option>
+                                        ))}
+                                    </optgroup>
+                                )}
                             </select>
                             {/* 下拉箭头图标 */}
                             <div className="relative -mt-7 ml-auto w-6 h-6 flex items-center justify-center pointer-events-none">
                                 <ChevronDown size={16} className="text-blue-200" />
                             </div>
+                            <div className="mt-2 flex items-center gap-2 flex-wrap">
+                                {BEAT_PATTERNS.map(pattern => (
+                                    <button
+                                        key={pattern.id}
+                                        onClick={() => setBeatPattern(prev => ({ ...prev, pattern: pattern.id }))}
+                                        className={`text-xs px-2 py-1 rounded-full border ${beatPattern.pattern === pattern.id
+                                            ? 'bg-cyan-500/30 border-cyan-300/60 text-white'
+                                            : 'bg-white/5 border-white/20 text-blue-300'}`}
+                                    >
+                                        {pattern.name}
+                                    </button>
+                                ))}
+                                <label className="flex items-center gap-1 text-xs text-blue-200 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={beatPattern.halfTime}
+                                        onChange={(e) => setBeatPattern(prev => ({ ...prev, halfTime: e.target.checked }))}
+                                        className="accent-cyan-400"
+                                    />
+                                    {t('sound.halfTime')}
+                                </label>
+                                <button
+                                    onClick={testBeatSound}
+                                    className="text-xs text-cyan-300 hover:text-cyan-200 underline"
+                                    disabled={!isAudioInitialized}
+                                >
+                                    {t('sound.test')}
+                                </button>
+                            </div>
+                            {isSynthSoundId(selectedBeatSound) && (
+                                <div className="mt-2 grid grid-cols-2 gap-2 text-xs text-blue-200">
+                                    {['pitch', 'decay'].map(field => (
+                                        <label key={field} className="flex items-center gap-2">
+                                            {t(`sound.${field}`)}
+                                            <input
+                                                type="range"
+                                                min={SYNTH_TUNING_RANGE.min}
+                                                max={SYNTH_TUNING_RANGE.max}
+                                                step="0.05"
+                                                value={synthTuning[field]}
+                                                onChange={(e) => handleSynthTuningChange({ ...synthTuning, [field]: Number(e.target.value) })}
+                                                className="flex-1 accent-cyan-400"
+                                            />
+                                            <span className="w-8 text-right">{synthTuning[field].toFixed(2)}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                            {!isRunning && (
+                                <CustomSoundManager
+                                    sounds={customSounds}
+                                    onUpload={handleUploadSound}
+                                    onRename={handleRenameSound}
+                                    onDelete={handleDeleteSound}
+                                />
+                            )}
+                        </div>
+
+                        <VoiceSettings
+                            settings={voiceSettings}
+                            available={isVoiceAvailable}
+                            onChange={setVoiceSettings}
+                            onTest={testVoice}
+                        />
+
+                        <AlertSettings settings={alertSettings} onChange={setAlertSettings} />
+
+                        <HeartRatePanel
+                            device={heartRateDevice}
+                            heartRate={heartRate}
+                            settings={heartRateSettings}
+                            error={heartRateError}
+                            bluetoothSupported={isBluetoothSupported()}
+                            onChange={setHeartRateSettings}
+                            onConnect={connectHeartRate}
+                            onDisconnect={disconnectHeartRate}
+                        />
+
+                        <LocationPanel
+                            source={locationSource}
+                            accuracy={locationAccuracy}
+                            error={locationError}
+                            geolocationSupported={isGeolocationSupported()}
+                            onConnect={connectLocation}
+                            onDisconnect={disconnectLocation}
+                        />
+
+                        <GroupSessionPanel
+                            status={groupStatus}
+                            error={groupError}
+                            onHost={handleHostGroup}
+                            onJoin={handleJoinGroup}
+                            onLeave={handleLeaveGroup}
+                        />
+
+                        <CadenceSensorPanel
+                            settings={cadenceSensorSettings}
+                            measuredCadence={measuredCadence}
+                            isRunning={isRunning}
+                            onChange={setCadenceSensorSettings}
+                        />
+
+                        <AudioMixer
+                            mixer={mixer}
+                            onChange={setMixer}
+                            loadedCount={loadedSoundCount}
+                            totalCount={beatSounds.length}
+                            failedSounds={failedSounds.map(id => beatSounds.find(sound => sound.id === id)).filter(Boolean)}
+                            onRetry={retryFailedSounds}
+                            isAudioInitialized={isAudioInitialized}
+                        />
+
+                        {/* Settings / Library / Plans / History Toggle Buttons */}
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            <button
+                                onClick={toggleSettings}
+                                disabled={isRunning || isGroupGuest}
+                                aria-expanded={showSettings}
+                                className="w-full bg-white/10 hover:bg-white/20 disabled:bg-white/5 disabled:cursor-not-allowed px-4 py-3 rounded-xl flex items-center justify-between font-semibold text-sm transition-all duration-200"
+                            >
+                                <span>{t('panels.settings')}</span>
+                                {showSettings ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                            </button>
                             <button
-                                onClick={testBeatSound}
-                                className="mt-2 text-xs text-cyan-300 hover:text-cyan-200 underline"
-                                disabled={!isAudioInitialized}
+                                onClick={toggleLibrary}
+                                disabled={isRunning || isGroupGuest}
+                                aria-expanded={showLibrary}
+                                className="w-full bg-white/10 hover:bg-white/20 disabled:bg-white/5 disabled:cursor-not-allowed px-4 py-3 rounded-xl flex items-center justify-between font-semibold text-sm transition-all duration-200"
                             >
-                                测试音效
+                                <span className="flex items-center gap-2">
+                                    <Library size={16} />
+                                    {t('panels.library')}
+                                </span>
+                                {showLibrary ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                            </button>
+                            <button
+                                onClick={togglePlans}
+                                disabled={isRunning || isGroupGuest}
+                                aria-expanded={showPlans}
+                                className="w-full bg-white/10 hover:bg-white/20 disabled:bg-white/5 disabled:cursor-not-allowed px-4 py-3 rounded-xl flex items-center justify-between font-semibold text-sm transition-all duration-200"
+                            >
+                                <span className="flex items-center gap-2">
+                                    <CalendarDays size={16} />
+                                    {t('panels.plans')}
+                                </span>
+                                {showPlans ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                            </button>
+                            <button
+                                onClick={toggleHistory}
+                                aria-expanded={showHistory}
+                                className="w-full bg-white/10 hover:bg-white/20 px-4 py-3 rounded-xl flex items-center justify-between font-semibold text-sm transition-all duration-200"
+                            >
+                                <span className="flex items-center gap-2">
+                                    <BarChart3 size={16} />
+                                    {t('panels.history')}
+                                </span>
+                                {showHistory ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
                             </button>
                         </div>
 
-                        {/* Settings Toggle Button */}
-                        <button
-                            onClick={toggleSettings}
-                            disabled={isRunning}
-                            className="w-full bg-white/10 hover:bg-white/20 disabled:bg-white/5 disabled:cursor-not-allowed px-4 py-3 rounded-xl flex items-center justify-between font-semibold text-sm transition-all duration-200"
-                        >
-                            <span>训练设置</span>
-                            {showSettings ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
-                        </button>
+                        {/* History Panel */}
+                        {showHistory && (
+                            <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
+                                <HistoryView records={history} onChange={setHistory} onImport={handleImport} />
+                            </div>
+                        )}
+
+                        {/* Training Plans Panel */}
+                        {showPlans && (
+                            <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
+                                <PlanView
+                                    plans={plans}
+                                    presets={[...libraryPresets, ...getBuiltInPresets()]}
+                                    currentWorkout={settings}
+                                    today={today}
+                                    onChange={setPlans}
+                                    onStartDay={handleStartPlanDay}
+                                    onImport={handleImport}
+                                />
+                            </div>
+                        )}
+
+                        {/* Workout Library Panel */}
+                        {showLibrary && (
+                            <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
+                                <WorkoutLibrary
+                                    presets={libraryPresets}
+                                    builtInPresets={getBuiltInPresets()}
+                                    currentWorkout={settings}
+                                    beatSound={selectedBeatSound}
+                                    onChange={setLibraryPresets}
+                                    onLoad={handleLoadPreset}
+                                    onImport={handleImport}
+                                />
+                            </div>
+                        )}
 
                         {/* Settings Panel - Integrated */}
                         {showSettings && (
                             <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
-                                <div className="space-y-4">
+                                <label className="block text-blue-200 mb-2 text-sm">{t('settings.name')}</label>
+                                <input
+                                    type="text"
+                                    placeholder={t('library.untitled')}
+                                    value={tempSettings.name}
+                                    onChange={(e) => setTempSettings(prev => ({ ...prev, name: e.target.value }))}
+                                    className="w-full mb-5 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm"
+                                />
+
+                                <div className="text-sm font-semibold text-blue-100 mb-3">{t('settings.quickInterval')}</div>
+                                <div className="grid grid-cols-2 gap-4">
                                     <div>
                                         <label className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
                                             <Clock size={14} />
-                                            跑步时间 (秒)
+                                            {t('settings.runTime')}
                                         </label>
                                         <input
                                             type="number"
                                             min="1"
-                                            value={tempSettings.runTime}
+                                            value={intervalForm.runTime}
                                             onChange={(e) => handleInputChange('runTime', e.target.value)}
                                             className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm"
                                         />
@@ -530,12 +1951,12 @@ export default function App() {
                                     <div>
                                         <label className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
                                             <Clock size={14} />
-                                            步行时间 (秒)
+                                            {t('settings.walkTime')}
                                         </label>
                                         <input
                                             type="number"
                                             min="1"
-                                            value={tempSettings.walkTime}
+                                            value={intervalForm.walkTime}
                                             onChange={(e) => handleInputChange('walkTime', e.target.value)}
                                             className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm"
                                         />
@@ -544,12 +1965,12 @@ export default function App() {
                                     <div>
                                         <label className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
                                             <Repeat size={14} />
-                                            循环次数
+                                            {t('settings.cycles')}
                                         </label>
                                         <input
                                             type="number"
                                             min="1"
-                                            value={tempSettings.cycles}
+                                            value={intervalForm.cycles}
                                             onChange={(e) => handleInputChange('cycles', e.target.value)}
                                             className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm"
                                         />
@@ -558,25 +1979,41 @@ export default function App() {
                                     <div>
                                         <label className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
                                             <Footprints size={14} />
-                                            跑步步频 (步/分钟)
+                                            {t('settings.cadence')}
                                         </label>
                                         <input
                                             type="number"
                                             min="60"
                                             max="240"
-                                            value={tempSettings.cadence}
+                                            value={intervalForm.cadence}
                                             onChange={(e) => handleInputChange('cadence', e.target.value)}
                                             className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm"
                                         />
                                     </div>
                                 </div>
+                                <button
+                                    onClick={handleGenerateInterval}
+                                    className="mt-3 w-full bg-white/10 hover:bg-white/20 px-4 py-2 rounded-lg font-semibold text-sm transition-all duration-200"
+                                >
+                                    {t('settings.generate')}
+                                </button>
+
+                                <div className="text-sm font-semibold text-blue-100 mt-5 mb-3">{t('settings.segments')}</div>
+                                <WorkoutBuilder workout={tempSettings} onChange={setTempSettings} />
+
+                                {settingsErrors.length > 0 && (
+                                    <ul className="mt-3 text-xs text-red-300 space-y-1">
+                                        {settingsErrors.map(error => <li key={error}>{error}</li>)}
+                                    </ul>
+                                )}
 
                                 <div className="mt-4">
                                     <button
                                         onClick={handleSaveSettings}
-                                        className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 px-4 py-2 rounded-lg font-semibold text-sm transition-all duration-200 transform hover:scale-102"
+                                        disabled={settingsErrors.length > 0}
+                                        className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold text-sm transition-all duration-200 transform hover:scale-102"
                                     >
-                                        保存设置并重置
+                                        {t('settings.save')}
                                     </button>
                                 </div>
                             </div>
@@ -587,20 +2024,26 @@ export default function App() {
                     <div className="bg-white/10 backdrop-blur-sm rounded-2xl p-4 border border-white/20">
                         <div className="grid grid-cols-2 gap-2 text-center">
                             <div className="bg-white/5 rounded-lg p-2">
-                                <div className="text-blue-300 mb-1 text-xs">跑步时间</div>
-                                <div className="text-sm font-bold">{settings.runTime}s</div>
+                                <div className="text-blue-300 mb-1 text-xs">{t('settings.summary.totalDuration')}</div>
+                                <div className="text-sm font-bold">{formatTime(workoutSummary.totalDuration)}</div>
                             </div>
                             <div className="bg-white/5 rounded-lg p-2">
-                                <div className="text-blue-300 mb-1 text-xs">步行时间</div>
-                                <div className="text-sm font-bold">{settings.walkTime}s</div>
+                                <div className="text-blue-300 mb-1 text-xs">{t('settings.summary.phaseCount')}</div>
+                                <div className="text-sm font-bold">{workoutSummary.phaseCount}</div>
                             </div>
                             <div className="bg-white/5 rounded-lg p-2">
-                                <div className="text-blue-300 mb-1 text-xs">循环次数</div>
-                                <div className="text-sm font-bold">{settings.cycles}</div>
+                                <div className="text-blue-300 mb-1 text-xs">{t('settings.summary.runWalk')}</div>
+                                <div className="text-sm font-bold">{workoutSummary.runTime}s / {workoutSummary.walkTime}s</div>
                             </div>
                             <div className="bg-white/5 rounded-lg p-2">
-                                <div className="text-blue-300 mb-1 text-xs">步频</div>
-                                <div className="text-sm font-bold">{settings.cadence}</div>
+                                <div className="text-blue-300 mb-1 text-xs">{t('settings.summary.cadence')}</div>
+                                <div className="text-sm font-bold">
+                                    {workoutSummary.cadenceMin === null
+                                        ? '-'
+                                        : workoutSummary.cadenceMin === workoutSummary.cadenceMax
+                                            ? workoutSummary.cadenceMin
+                                            : `${workoutSummary.cadenceMin}-${workoutSummary.cadenceMax}`}
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -0,0 +1,57 @@
+// 节拍型：决定每一步用强音还是弱音，以及半速时哪些步不发声
+//
+// 强 / 弱取自 beatSounds 中同名的 _hard / _soft 一对音效，
+// 例如选择「军鼓(强)」时重音为 snare_drum_hard，弱拍为 snare_drum_soft。
+
+import { beatSounds } from './beatSounds';
+import { t } from '../lib/i18n';
+
+const beatPattern = (id, accents) => ({
+    id,
+    accents,
+    get name() { return t(`beatPatterns.${id}`); }
+});
+
+// accents 为一小节内每一拍的强弱；null 表示使用所选音效本身
+export const BEAT_PATTERNS = [
+    beatPattern('steady', [null]),
+    beatPattern('feet', ['hard', 'soft']),
+    beatPattern('bar4', ['hard', 'soft', 'soft', 'soft'])
+];
+
+export const DEFAULT_BEAT_PATTERN = {
+    pattern: 'steady',
+    halfTime: false // 半速：每两步响一次（每个左脚）
+};
+
+export const sanitizeBeatPattern = (data) => ({
+    pattern: BEAT_PATTERNS.some(pattern => pattern.id === data?.pattern) ? data.pattern : DEFAULT_BEAT_PATTERN.pattern,
+    halfTime: Boolean(data?.halfTime)
+});
+
+export const getBeatPattern = (id) => BEAT_PATTERNS.find(pattern => pattern.id === id) || BEAT_PATTERNS[0];
+
+// 所选音效对应的强 / 弱一对；没有配对的音效强弱都用它本身
+export const getAccentPair = (soundId, sounds = beatSounds) => {
+    const match = /^(.*)_(hard|soft)$/.exec(soundId);
+    const hard = match && `${match[1]}_hard`;
+    const soft = match && `${match[1]}_soft`;
+    if (match && sounds.some(sound => sound.id === hard) && sounds.some(sound => sound.id === soft)) {
+        return { hard, soft };
+    }
+    return { hard: soundId, soft: soundId };
+};
+
+// 第 stepIndex 步（从 0 开始，每个阶段从左脚开始）应播放的音效 id；返回 null 表示这一步不发声
+export const getStepSound = (stepIndex, soundId, beatPattern, sounds = beatSounds) => {
+    if (beatPattern.halfTime && stepIndex % 2 !== 0) return null;
+
+    const { accents } = getBeatPattern(beatPattern.pattern);
+    const beat = beatPattern.halfTime ? stepIndex / 2 : stepIndex;
+    const accent = accents[beat % accents.length];
+    return accent ? getAccentPair(soundId, sounds)[accent] : soundId;
+};
+
+// 预览两小节节拍型所需的步数（至少 4 步）
+export const getPreviewSteps = (beatPattern) =>
+    Math.max(4, 2 * getBeatPattern(beatPattern.pattern).accents.length * (beatPattern.halfTime ? 2 : 1));
@@ -0,0 +1,18 @@
+import { t } from '../lib/i18n';
+
+// 音效名称随界面语言变化：乐器名见各语言的 sounds.instruments，再加上强 / 弱
+const INSTRUMENTS = [
+    '808_kick', '808_snare', '909_kick', '909_snare', 'beep', 'bongo_drum', 'clave', 'click',
+    'clock_tick', 'cowbell', 'hammer_hit', 'kick_drum', 'metronome_click', 'snare_drum', 'woodblock', 'woodfish'
+];
+
+// 完整的音效列表（根据您提供的文件名）
+export const beatSounds = INSTRUMENTS.flatMap(instrument => ['hard', 'soft'].map(strength => ({
+    id: `${instrument}_${strength}`,
+    file: `${instrument}_${strength}.mp3`,
+    get name() { return t(`sounds.${strength}`, { name: t(`sounds.instruments.${instrument}`) }); }
+})));
+
+export const DEFAULT_BEAT_SOUND = 'snare_drum_hard';
+
+export const getBeatSoundUrl = (sound) => `/mp3/${sound.file}`;
@@ -0,0 +1,164 @@
+// 前瞻式节拍调度器
+//
+// 定时器只负责周期性地唤醒调度器，真正的发声时刻由 AudioContext 时钟决定：
+// 每次唤醒时，把 [now, now + lookAhead) 内的节拍通过 onBeat(when, beatIndex)
+// 交给调用方用 AudioBufferSourceNode.start(when) 排入队列。
+//
+// 步频可以是固定值，也可以是 (音频时刻) => 步频 的函数，用于阶段内的步频渐变：
+// 每一拍到下一拍的间隔按该拍时刻的步频计算。
+//
+// 时钟和定时器都可以注入，方便用假时钟验证节拍时间戳。
+
+export const DEFAULT_LOOK_AHEAD = 0.1; // seconds
+// 页面隐藏时定时器可能被节流到每秒一次，需要更长的前瞻窗口
+export const HIDDEN_LOOK_AHEAD = 1.5; // seconds
+export const DEFAULT_TICK_INTERVAL = 25; // ms
+// 迟到不超过该值的节拍仍然立即播放，更晚的视为错过
+export const LATE_TOLERANCE = 0.05; // seconds
+
+export const beatInterval = (cadence) => 60 / cadence;
+
+export const createCadenceScheduler = ({
+    getTime,
+    onBeat,
+    lookAhead = DEFAULT_LOOK_AHEAD,
+    tickInterval = DEFAULT_TICK_INTERVAL,
+    timers = { setInterval: (fn, ms) => setInterval(fn, ms), clearInterval: (id) => clearInterval(id) }
+}) => {
+    let state = 'stopped'; // 'stopped' | 'active' | 'paused'
+    let cadence = null; // number 或 (time) => number
+    let nextBeatTime = 0;
+    let beatIndex = 0;
+    let pausedRemaining = 0; // 暂停时距离下一拍的剩余时间
+    let timerId = null;
+    let pending = []; // 已排入音频队列但尚未发声的节拍 { time, handle }
+
+    const intervalAt = (time) => beatInterval(typeof cadence === 'function' ? cadence(time) : cadence);
+
+    const startTimer = () => {
+        if (timerId === null) {
+            timerId = timers.setInterval(tick, tickInterval);
+        }
+    };
+
+    const stopTimer = () => {
+        if (timerId !== null) {
+            timers.clearInterval(timerId);
+            timerId = null;
+        }
+    };
+
+    // 取消尚未发声的节拍（暂停、停止、静音时调用）
+    const cancelPending = () => {
+        const now = getTime();
+        for (const beat of pending) {
+            if (beat.time > now) beat.handle?.stop?.();
+        }
+        pending = [];
+    };
+
+    function tick() {
+        if (state !== 'active') return;
+
+        const now = getTime();
+        pending = pending.filter(beat => beat.time > now);
+
+        // 后台节流导致唤醒过晚时，跳过已经错过的节拍但保持相位
+        if (nextBeatTime < now - LATE_TOLERANCE) {
+            while (nextBeatTime < now - LATE_TOLERANCE) {
+                nextBeatTime += intervalAt(nextBeatTime);
+                beatIndex++;
+            }
+        }
+
+        while (nextBeatTime < now + lookAhead) {
+            const handle = onBeat(nextBeatTime, beatIndex);
+            pending.push({ time: nextBeatTime, handle });
+            nextBeatTime += intervalAt(nextBeatTime);
+            beatIndex++;
+        }
+    }
+
+    // 从 startTime（默认为当前时刻）开始第一拍；startTime 可以在过去，用于对齐阶段起点
+    const start = (newCadence, startTime = getTime()) => {
+        cancelPending();
+        cadence = newCadence;
+        nextBeatTime = startTime;
+        beatIndex = 0;
+        state = 'active';
+        startTimer();
+        tick();
+    };
+
+    // 修改步频：最近的一拍保持不变，之后的节拍按新间隔排列，相位连续
+    const setCadence = (newCadence) => {
+        if (newCadence === cadence) return;
+        const lastBeatTime = nextBeatTime - intervalAt(nextBeatTime);
+        cadence = newCadence;
+        if (state !== 'active') return;
+
+        const now = getTime();
+        const upcoming = pending.filter(beat => beat.time > now);
+        if (upcoming.length > 0) {
+            // 丢弃最近一拍之后按旧间隔排好的节拍
+            for (const beat of upcoming.slice(1)) beat.handle?.stop?.();
+            pending = pending.filter(beat => beat.time <= upcoming[0].time);
+            beatIndex -= upcoming.length - 1;
+            nextBeatTime = upcoming[0].time + intervalAt(upcoming[0].time);
+        } else {
+            nextBeatTime = Math.max(now, lastBeatTime + intervalAt(lastBeatTime));
+        }
+        tick();
+    };
+
+    const pause = () => {
+        if (state !== 'active') return;
+        const now = getTime();
+        const upcoming = pending.find(beat => beat.time > now);
+        const nextTime = upcoming ? upcoming.time : nextBeatTime;
+        if (upcoming) {
+            beatIndex -= pending.filter(beat => beat.time > now).length;
+        }
+        pausedRemaining = Math.max(0, nextTime - now);
+        cancelPending();
+        stopTimer();
+        state = 'paused';
+    };
+
+    // 恢复时下一拍与暂停前的剩余间隔一致
+    const resume = (newCadence = cadence) => {
+        if (state !== 'paused') return;
+        cadence = newCadence;
+        nextBeatTime = getTime() + pausedRemaining;
+        state = 'active';
+        startTimer();
+        tick();
+    };
+
+    const stop = () => {
+        cancelPending();
+        stopTimer();
+        state = 'stopped';
+        cadence = null;
+        beatIndex = 0;
+    };
+
+    const setLookAhead = (seconds) => {
+        lookAhead = seconds;
+        tick();
+    };
+
+    return {
+        start,
+        setCadence,
+        pause,
+        resume,
+        stop,
+        tick,
+        cancelPending,
+        setLookAhead,
+        getState: () => state,
+        getCadence: () => cadence,
+        getNextBeatTime: () => nextBeatTime
+    };
+};
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { createCadenceScheduler, LATE_TOLERANCE } from './cadenceScheduler';
+
+// 假时钟：advance 推进音频时钟，并按 tickInterval 依次触发定时器
+const createFakeClock = () => {
+    let now = 0;
+    let nextId = 1;
+    const intervals = new Map();
+    return {
+        getTime: () => now,
+        timers: {
+            setInterval: (fn, ms) => {
+                intervals.set(nextId, { fn, ms, due: now + ms / 1000 });
+                return nextId++;
+            },
+            clearInterval: (id) => intervals.delete(id)
+        },
+        advance(seconds) {
+            const target = now + seconds;
+            for (;;) {
+                const next = [...intervals.values()].sort((a, b) => a.due - b.due)[0];
+                if (!next || next.due > target) break;
+                now = next.due;
+                next.due += next.ms / 1000;
+                next.fn();
+            }
+            now = target;
+        },
+        // 模拟后台节流：时钟前进但定时器没有触发
+        jump(seconds) {
+            now += seconds;
+            for (const interval of intervals.values()) interval.due = now + interval.ms / 1000;
+        },
+        activeTimers: () => intervals.size
+    };
+};
+
+const setup = (options = {}) => {
+    const clock = createFakeClock();
+    const beats = [];
+    const scheduler = createCadenceScheduler({
+        getTime: clock.getTime,
+        timers: clock.timers,
+        onBeat: (when, index) => {
+            const beat = { when, index, stopped: false };
+            beats.push(beat);
+            return { stop: () => { beat.stopped = true; } };
+        },
+        ...options
+    });
+    // 实际会发声的节拍
+    const played = () => beats.filter(beat => !beat.stopped);
+    return { clock, scheduler, beats, played };
+};
+
+const times = (beats) => beats.map(beat => beat.when);
+
+describe('createCadenceScheduler', () => {
+    it('schedules beats at the cadence interval from the start time', () => {
+        const { clock, scheduler, played } = setup();
+        scheduler.start(120);
+        clock.advance(2);
+
+        expect(times(played())).toEqual([0, 0.5, 1, 1.5, 2]);
+        expect(played().map(beat => beat.index)).toEqual([0, 1, 2, 3, 4]);
+        expect(scheduler.getState()).toBe('active');
+    });
+
+    it('only queues beats inside the look-ahead window', () => {
+        const { clock, scheduler, beats } = setup({ lookAhead: 0.1 });
+        scheduler.start(60);
+        expect(times(beats)).toEqual([0]);
+
+        clock.advance(0.85);
+        expect(times(beats)).toEqual([0]);
+        clock.advance(0.1);
+        expect(times(beats)).toEqual([0, 1]);
+    });
+
+    it('accepts a start time in the past to align with the phase start', () => {
+        const { clock, scheduler, played } = setup();
+        clock.advance(10);
+        scheduler.start(120, 10 - LATE_TOLERANCE / 2);
+        clock.advance(1);
+
+        expect(times(played())).toEqual([9.975, 10.475, 10.975]);
+    });
+
+    it('keeps the phase continuous when the cadence changes', () => {
+        const { clock, scheduler, played } = setup({ lookAhead: 0.6 });
+        scheduler.start(120);
+        clock.advance(0.2);
+        // 0.5 的节拍已排入队列，之后的节拍按新的间隔排列
+        scheduler.setCadence(60);
+        clock.advance(3);
+
+        expect(times(played())).toEqual([0, 0.5, 1.5, 2.5, 3.5]);
+    });
+
+    it('cancels beats queued at the old interval after a cadence change', () => {
+        const { clock, scheduler, beats } = setup({ lookAhead: 1.2 });
+        scheduler.start(120);
+        clock.advance(0.1);
+        expect(times(beats)).toEqual([0, 0.5, 1]);
+
+        scheduler.setCadence(60);
+        expect(beats.find(beat => beat.when === 1).stopped).toBe(true);
+        clock.advance(0.3);
+        expect(times(beats.filter(beat => !beat.stopped))).toEqual([0, 0.5, 1.5]);
+    });
+
+    it('resumes with the same remaining interval as before the pause', () => {
+        const { clock, scheduler, beats, played } = setup();
+        scheduler.start(60);
+        clock.advance(0.3);
+        scheduler.pause();
+        expect(scheduler.getState()).toBe('paused');
+        expect(clock.activeTimers()).toBe(0);
+
+        clock.advance(5);
+        expect(beats.length).toBe(1);
+
+        scheduler.resume();
+        clock.advance(1.8);
+        // 暂停时距离下一拍还有 0.7 秒
+        expect(times(played())).toEqual([0, 6, 7]);
+        expect(played().map(beat => beat.index)).toEqual([0, 1, 2]);
+    });
+
+    it('cancels queued beats when pausing', () => {
+        const { clock, scheduler, beats } = setup({ lookAhead: 1.2 });
+        scheduler.start(120);
+        clock.advance(0.2);
+        scheduler.pause();
+
+        expect(beats.filter(beat => beat.when > 0.2).every(beat => beat.stopped)).toBe(true);
+        scheduler.resume();
+        clock.advance(0.01);
+        expect(beats.filter(beat => !beat.stopped)[1]).toMatchObject({ when: expect.closeTo(0.5, 9), index: 1 });
+    });
+
+    it('skips missed beats after a late wakeup without shifting the phase', () => {
+        const { clock, scheduler, played } = setup();
+        scheduler.start(120);
+        clock.advance(0.05);
+        clock.jump(2.2);
+        scheduler.tick();
+
+        // 2.25 时唤醒：0.5 ~ 2.0 的节拍已错过，2.5 仍在 0.5 秒网格上
+        expect(times(played())).toEqual([0]);
+        clock.advance(0.3);
+        expect(times(played())).toEqual([0, 2.5]);
+        expect(played()[1].index).toBe(5);
+    });
+
+    it('still plays a beat that is only slightly late', () => {
+        const { clock, scheduler, played } = setup({ lookAhead: 0.01 });
+        scheduler.start(120);
+        clock.jump(0.5 + LATE_TOLERANCE / 2);
+        scheduler.tick();
+
+        expect(times(played())).toEqual([0, 0.5]);
+    });
+
+    it('follows a cadence function for ramps', () => {
+        const { clock, scheduler, played } = setup();
+        // 0 ~ 2 秒从 60 线性加速到 120
+        const cadenceAt = (time) => 60 + 30 * Math.min(time, 2);
+        scheduler.start(cadenceAt);
+        clock.advance(3);
+
+        // 每拍到下一拍的间隔按该拍时刻的步频计算
+        const when = times(played());
+        expect(when.length).toBeGreaterThan(4);
+        for (let i = 1; i < when.length; i++) {
+            expect(when[i] - when[i - 1]).toBeCloseTo(60 / cadenceAt(when[i - 1]), 9);
+        }
+        expect(when[when.length - 1] - when[when.length - 2]).toBeCloseTo(0.5, 9);
+    });
+
+    it('stops the timer and cancels pending beats on stop', () => {
+        const { clock, scheduler, beats } = setup({ lookAhead: 1.2 });
+        scheduler.start(120);
+        clock.advance(0.1);
+        scheduler.stop();
+
+        expect(scheduler.getState()).toBe('stopped');
+        expect(clock.activeTimers()).toBe(0);
+        expect(beats.filter(beat => beat.when > 0.1).every(beat => beat.stopped)).toBe(true);
+        clock.advance(2);
+        expect(beats.length).toBe(3);
+    });
+});
@@ -0,0 +1,71 @@
+// 音量混合：节拍器、提示音、语音三个通道各自的音量和静音，以及总音量和限幅器
+//
+// 节拍器和提示音经各自的 GainNode 汇入总音量，再经 DynamicsCompressorNode 限幅后输出，
+// 多个声音叠加时不会削波。语音由 speechSynthesis 播放，不经过 Web Audio，
+// 其音量按 总音量 × 语音音量 设置到每条朗读上。
+
+import { t } from '../lib/i18n';
+
+const channel = (id) => ({
+    id,
+    get name() { return t(`mixer.channels.${id}`); }
+});
+
+export const MIXER_CHANNELS = [channel('metronome'), channel('cues'), channel('voice')];
+
+// 默认的节拍器和提示音实际音量为 0.3，与原先的单一音量一致
+export const DEFAULT_MIXER = {
+    master: { volume: 0.5, muted: false },
+    metronome: { volume: 0.6, muted: false },
+    cues: { volume: 0.6, muted: false },
+    voice: { volume: 1, muted: false }
+};
+
+// 音量变化的平滑时间常数，避免调节时出现爆音
+const VOLUME_SMOOTHING = 0.015; // seconds
+
+const sanitizeChannel = (data, defaults) => ({
+    volume: Number.isFinite(data?.volume) ? Math.min(1, Math.max(0, data.volume)) : defaults.volume,
+    muted: typeof data?.muted === 'boolean' ? data.muted : defaults.muted
+});
+
+export const sanitizeMixer = (data) => Object.fromEntries(
+    Object.entries(DEFAULT_MIXER).map(([id, defaults]) => [id, sanitizeChannel(data?.[id], defaults)])
+);
+
+// 通道的实际音量（含总音量和静音）
+export const getChannelVolume = (mixer, channel) => {
+    if (mixer.master.muted || mixer[channel].muted) return 0;
+    return mixer.master.volume * mixer[channel].volume;
+};
+
+export const createAudioMixer = (context) => {
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -6;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.002;
+    limiter.release.value = 0.1;
+    limiter.connect(context.destination);
+
+    const master = context.createGain();
+    master.connect(limiter);
+
+    const channels = {
+        metronome: context.createGain(),
+        cues: context.createGain()
+    };
+    Object.values(channels).forEach(channel => channel.connect(master));
+
+    const setGain = (node, value) => node.gain.setTargetAtTime(value, context.currentTime, VOLUME_SMOOTHING);
+
+    const apply = (mixer) => {
+        setGain(master, mixer.master.muted ? 0 : mixer.master.volume);
+        Object.entries(channels).forEach(([id, node]) => setGain(node, mixer[id].muted ? 0 : mixer[id].volume));
+    };
+
+    // 声音源连接到的通道输入
+    const getInput = (channel) => channels[channel];
+
+    return { apply, getInput };
+};
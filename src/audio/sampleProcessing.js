@@ -0,0 +1,58 @@
+// 上传音效的预处理（纯函数）：从第一个瞬态处裁剪、限制时长、淡出并归一化
+//
+// 输入输出均为 { channels: Float32Array[], sampleRate }，与 AudioBuffer 的声道数据对应。
+
+import { t } from '../lib/i18n';
+
+export const MAX_SAMPLE_DURATION = 1; // seconds
+export const MAX_SAMPLE_CHANNELS = 2;
+// 超过峰值该比例的第一个采样视为瞬态起点
+const TRANSIENT_THRESHOLD = 0.2;
+// 保留瞬态前的一小段，避免切掉起音
+const PRE_ROLL = 0.002; // seconds
+const FADE_OUT = 0.01; // seconds
+const TARGET_PEAK = 0.9;
+
+const getPeak = (channels) => channels.reduce((peak, channel) => {
+    for (let i = 0; i < channel.length; i++) {
+        const value = Math.abs(channel[i]);
+        if (value > peak) peak = value;
+    }
+    return peak;
+}, 0);
+
+// 第一个瞬态的采样位置；整段静音时返回 -1
+export const findFirstTransient = (channels) => {
+    const peak = getPeak(channels);
+    if (peak === 0) return -1;
+
+    const threshold = peak * TRANSIENT_THRESHOLD;
+    const length = Math.max(...channels.map(channel => channel.length));
+    for (let i = 0; i < length; i++) {
+        if (channels.some(channel => Math.abs(channel[i] ?? 0) >= threshold)) return i;
+    }
+    return -1;
+};
+
+export const processBeatSample = ({ channels, sampleRate }) => {
+    const source = channels.slice(0, MAX_SAMPLE_CHANNELS);
+    const transient = findFirstTransient(source);
+    if (transient === -1) {
+        throw new Error(t('customSounds.silent'));
+    }
+
+    const start = Math.max(0, transient - Math.round(PRE_ROLL * sampleRate));
+    const length = Math.min(source[0].length - start, Math.round(MAX_SAMPLE_DURATION * sampleRate));
+    const trimmed = source.map(channel => channel.slice(start, start + length));
+
+    const fadeLength = Math.min(length, Math.round(FADE_OUT * sampleRate));
+    const gain = TARGET_PEAK / getPeak(trimmed);
+    for (const channel of trimmed) {
+        for (let i = 0; i < length; i++) {
+            const fade = i >= length - fadeLength ? (length - i) / fadeLength : 1;
+            channel[i] *= gain * fade;
+        }
+    }
+
+    return { channels: trimmed, sampleRate };
+};
@@ -0,0 +1,158 @@
+// 合成节拍音效：用振荡器、噪声和包络在 OfflineAudioContext 中渲染成 AudioBuffer，不依赖任何音频文件
+//
+// 既可以在「节拍器音效」中直接选择，也在采样文件加载失败时作为自动替代。
+
+import { t } from '../lib/i18n';
+
+const synthSound = (id, voice) => ({
+    id,
+    voice,
+    get name() { return t(`sounds.synth.${voice}`); }
+});
+
+export const SYNTH_SOUNDS = [
+    synthSound('synth_click', 'click'),
+    synthSound('synth_woodblock', 'woodblock'),
+    synthSound('synth_cowbell', 'cowbell'),
+    synthSound('synth_kick', 'kick'),
+    synthSound('synth_hihat', 'hihat')
+];
+
+// pitch、decay 为相对默认值的倍数
+export const SYNTH_TUNING_RANGE = { min: 0.5, max: 2 };
+export const DEFAULT_SYNTH_TUNING = { pitch: 1, decay: 1 };
+
+export const isSynthSoundId = (id) => SYNTH_SOUNDS.some(sound => sound.id === id);
+
+export const sanitizeSynthTuning = (data) => {
+    const clamp = (value, fallback) => (Number.isFinite(value)
+        ? Math.min(SYNTH_TUNING_RANGE.max, Math.max(SYNTH_TUNING_RANGE.min, value))
+        : fallback);
+    return {
+        pitch: clamp(data?.pitch, DEFAULT_SYNTH_TUNING.pitch),
+        decay: clamp(data?.decay, DEFAULT_SYNTH_TUNING.decay)
+    };
+};
+
+// 采样加载失败时按乐器类型挑选相近的合成音效
+const FALLBACK_RULES = [
+    [/kick/, 'synth_kick'],
+    [/cowbell/, 'synth_cowbell'],
+    [/wood|bongo|clave/, 'synth_woodblock'],
+    [/snare|hammer/, 'synth_hihat']
+];
+
+export const getFallbackSynthId = (soundId) =>
+    FALLBACK_RULES.find(([pattern]) => pattern.test(soundId))?.[1] || 'synth_click';
+
+// 以下各音色在 ctx 上搭建声音图，decay 为衰减时长（秒）
+
+const connectEnvelope = (ctx, input, peak, decay) => {
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, 0);
+    gain.gain.linearRampToValueAtTime(peak, 0.001);
+    gain.gain.exponentialRampToValueAtTime(0.0001, 0.001 + decay);
+    input.connect(gain);
+    gain.connect(ctx.destination);
+};
+
+const createNoise = (ctx, duration) => {
+    const buffer = ctx.createBuffer(1, Math.ceil(duration * ctx.sampleRate), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    return source;
+};
+
+const createFilter = (ctx, type, frequency, q = 1) => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = Math.min(frequency, ctx.sampleRate / 2 - 100);
+    filter.Q.value = q;
+    return filter;
+};
+
+const createOscillator = (ctx, type, frequency) => {
+    const oscillator = ctx.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    return oscillator;
+};
+
+const SYNTH_VOICES = {
+    click: {
+        decay: 0.03,
+        build: (ctx, pitch, decay) => {
+            const noise = createNoise(ctx, decay);
+            const filter = createFilter(ctx, 'highpass', 2500 * pitch);
+            noise.connect(filter);
+            connectEnvelope(ctx, filter, 0.8, decay);
+            const tone = createOscillator(ctx, 'sine', 2000 * pitch);
+            connectEnvelope(ctx, tone, 0.4, decay / 2);
+            return [noise, tone];
+        }
+    },
+    woodblock: {
+        decay: 0.08,
+        build: (ctx, pitch, decay) => {
+            const tone = createOscillator(ctx, 'sine', 880 * pitch);
+            const overtone = createOscillator(ctx, 'triangle', 1760 * pitch);
+            const filter = createFilter(ctx, 'bandpass', 1200 * pitch, 3);
+            overtone.connect(filter);
+            connectEnvelope(ctx, tone, 0.8, decay);
+            connectEnvelope(ctx, filter, 0.5, decay / 2);
+            return [tone, overtone];
+        }
+    },
+    cowbell: {
+        decay: 0.3,
+        build: (ctx, pitch, decay) => {
+            const low = createOscillator(ctx, 'square', 562 * pitch);
+            const high = createOscillator(ctx, 'square', 845 * pitch);
+            const filter = createFilter(ctx, 'bandpass', 2640 * pitch, 1);
+            low.connect(filter);
+            high.connect(filter);
+            connectEnvelope(ctx, filter, 0.6, decay);
+            return [low, high];
+        }
+    },
+    kick: {
+        decay: 0.35,
+        build: (ctx, pitch, decay) => {
+            const tone = createOscillator(ctx, 'sine', 160 * pitch);
+            tone.frequency.setValueAtTime(160 * pitch, 0);
+            tone.frequency.exponentialRampToValueAtTime(45 * pitch, decay);
+            connectEnvelope(ctx, tone, 1, decay);
+            return [tone];
+        }
+    },
+    hihat: {
+        decay: 0.06,
+        build: (ctx, pitch, decay) => {
+            const noise = createNoise(ctx, decay);
+            const filter = createFilter(ctx, 'highpass', 7000 * pitch);
+            noise.connect(filter);
+            connectEnvelope(ctx, filter, 0.7, decay);
+            return [noise];
+        }
+    }
+};
+
+// 离线渲染一个合成音效，返回 Promise<AudioBuffer>
+export const renderSynthSound = (soundId, tuning = DEFAULT_SYNTH_TUNING, sampleRate = 44100) => {
+    const sound = SYNTH_SOUNDS.find(item => item.id === soundId);
+    if (!sound) return Promise.reject(new Error(`Unknown synth sound ${soundId}`));
+
+    const voice = SYNTH_VOICES[sound.voice];
+    const decay = voice.decay * tuning.decay;
+    const duration = decay + 0.01;
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const ctx = new OfflineContext(1, Math.ceil(duration * sampleRate), sampleRate);
+
+    voice.build(ctx, tuning.pitch, decay).forEach(source => {
+        source.start(0);
+        source.stop(duration);
+    });
+    return ctx.startRendering();
+};
@@ -0,0 +1,13 @@
+// 运行在 Worker 中的定时器：后台标签页中主线程的 setInterval 会被节流，Worker 受影响较小
+const timers = new Map();
+
+self.onmessage = (event) => {
+    const { type, id, interval } = event.data;
+    if (type === 'start') {
+        clearInterval(timers.get(id));
+        timers.set(id, setInterval(() => self.postMessage(id), interval));
+    } else if (type === 'stop') {
+        clearInterval(timers.get(id));
+        timers.delete(id);
+    }
+};
@@ -0,0 +1,163 @@
+// 语音播报：阶段切换、半程、3-2-1 倒计时、轮次和训练完成（Web Speech API）
+//
+// collectVoiceCues 是纯函数，根据阶段列表算出某段时间内应当播报的提示；
+// createVoiceCoach 负责用 speechSynthesis 朗读，没有可用语音时由调用方回退到提示音。
+
+import { translate, t } from '../lib/i18n';
+
+export const VOICE_LANGUAGES = [
+    { id: 'zh-CN', name: '中文' },
+    { id: 'en-US', name: 'English' }
+];
+
+const voiceCue = (id) => ({
+    id,
+    get name() { return t(`voiceSettings.cues.${id}`); }
+});
+
+export const VOICE_CUES = ['phase', 'cycle', 'halfway', 'countdown', 'complete'].map(voiceCue);
+
+export const DEFAULT_VOICE_SETTINGS = {
+    enabled: true,
+    language: 'zh-CN',
+    cues: Object.fromEntries(VOICE_CUES.map(cue => [cue.id, true]))
+};
+
+// 短于这些时长的阶段不做半程提示 / 倒计时，避免和阶段播报挤在一起
+const MIN_HALFWAY_DURATION = 20; // seconds
+const MIN_COUNTDOWN_DURATION = 8; // seconds
+const COUNTDOWN_FROM = 3;
+// 落后超过该时长的提示不再播报（例如从后台切回时补上的阶段）
+export const STALE_CUE_TOLERANCE = 1.5; // seconds
+
+export const sanitizeVoiceSettings = (data) => ({
+    enabled: typeof data?.enabled === 'boolean' ? data.enabled : DEFAULT_VOICE_SETTINGS.enabled,
+    language: VOICE_LANGUAGES.some(language => language.id === data?.language)
+        ? data.language
+        : DEFAULT_VOICE_SETTINGS.language,
+    cues: Object.fromEntries(VOICE_CUES.map(cue => [
+        cue.id,
+        typeof data?.cues?.[cue.id] === 'boolean' ? data.cues[cue.id] : true
+    ]))
+});
+
+// 朗读文本取自各语言文案的 speech 部分，与界面语言无关；默认类型名按播报语言朗读，自定义名称原样朗读
+export const getCueText = (cue, language) => {
+    const say = (key, params) => translate(language, `speech.${key}`, params);
+    switch (cue.cue) {
+        case 'phase':
+            return [
+                cue.phase.label || translate(language, `segmentTypes.${cue.phase.type}`),
+                // 按距离结束的阶段播报距离
+                cue.phase.distance
+                    ? say('distance', { meters: cue.phase.distance })
+                    : say('duration', { seconds: cue.phase.duration }),
+                cue.phase.cadence ? say('cadence', { cadence: cue.phase.cadence, cadenceEnd: cue.phase.cadenceEnd }) : ''
+            ].filter(Boolean).join(say('separator'));
+        case 'cycle':
+            return say('cycle', { current: cue.current, total: cue.total });
+        case 'halfway':
+            return say('halfway');
+        case 'countdown':
+            return String(cue.value);
+        case 'complete':
+            return say('complete');
+        // 实测步频偏离目标（见 lib/cadenceFeedback），不属于按阶段收集的提示
+        case 'cadenceDrift':
+            return say('cadenceDrift', { direction: cue.direction, target: cue.target });
+        default:
+            return '';
+    }
+};
+
+// 阶段是否为最内层重复块某一轮的第一个阶段
+const startsCycle = (phases, phase) => {
+    const innermost = phase.repeats[phase.repeats.length - 1];
+    if (!innermost) return false;
+    const previous = phases[phase.index - 1];
+    const previousInnermost = previous?.repeats[previous.repeats.length - 1];
+    return !previousInnermost
+        || previousInnermost.id !== innermost.id
+        || previousInnermost.iteration !== innermost.iteration;
+};
+
+// 计算已用时间从 from 走到 to（含 to，不含 from）期间经过的提示，按时间先后排列：
+// { cue: 'phase' | 'cycle' | 'halfway' | 'countdown' | 'complete', at, phase?, current?, total?, value? }
+export const collectVoiceCues = (phases, from, to) => {
+    const cues = [];
+    const crossed = (time) => time > from && time <= to;
+
+    for (const phase of phases) {
+        if (phase.end <= from) continue;
+        if (phase.start > to) break;
+
+        if (crossed(phase.start)) {
+            if (startsCycle(phases, phase)) {
+                const innermost = phase.repeats[phase.repeats.length - 1];
+                cues.push({ cue: 'cycle', at: phase.start, current: innermost.iteration, total: innermost.times });
+            }
+            cues.push({ cue: 'phase', at: phase.start, phase });
+        }
+        if (phase.duration >= MIN_HALFWAY_DURATION && crossed(phase.start + phase.duration / 2)) {
+            cues.push({ cue: 'halfway', at: phase.start + phase.duration / 2, phase });
+        }
+        if (phase.duration >= MIN_COUNTDOWN_DURATION) {
+            for (let value = COUNTDOWN_FROM; value >= 1; value--) {
+                if (crossed(phase.end - value)) {
+                    cues.push({ cue: 'countdown', at: phase.end - value, phase, value });
+                }
+            }
+        }
+    }
+
+    const total = phases.length ? phases[phases.length - 1].end : 0;
+    if (total > 0 && crossed(total)) {
+        cues.push({ cue: 'complete', at: total });
+    }
+    return cues;
+};
+
+// 按设置筛选要朗读的提示：关闭的类型不播，过时的提示只保留完成提示
+export const selectVoiceCues = (cues, settings, now) => cues.filter(cue =>
+    settings.cues[cue.cue] && (cue.cue === 'complete' || cue.at >= now - STALE_CUE_TOLERANCE)
+);
+
+export const createVoiceCoach = (synth = window.speechSynthesis) => {
+    // 优先完全匹配的语言（zh-CN），其次同一语种（zh-TW、zh-HK）
+    const findVoice = (language) => {
+        if (!synth) return null;
+        const voices = synth.getVoices();
+        const normalize = (lang) => lang.replace('_', '-').toLowerCase();
+        return voices.find(voice => normalize(voice.lang) === language.toLowerCase())
+            || voices.find(voice => normalize(voice.lang).startsWith(language.split('-')[0].toLowerCase()))
+            || null;
+    };
+
+    const isAvailable = (language) => Boolean(findVoice(language));
+
+    // interrupt 为 true 时打断正在朗读的内容，保证倒计时等提示准时；volume 为 0-1
+    const speak = (text, language, interrupt = false, volume = 1) => {
+        const voice = findVoice(language);
+        if (!voice || !text) return false;
+        if (interrupt) synth.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+        utterance.rate = 1.05;
+        utterance.volume = volume;
+        synth.speak(utterance);
+        return true;
+    };
+
+    const cancel = () => synth?.cancel();
+
+    // 部分浏览器的语音列表是异步加载的
+    const onVoicesChanged = (callback) => {
+        if (!synth) return () => {};
+        synth.addEventListener('voiceschanged', callback);
+        return () => synth.removeEventListener('voiceschanged', callback);
+    };
+
+    return { isAvailable, speak, cancel, onVoicesChanged };
+};
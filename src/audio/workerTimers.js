@@ -0,0 +1,36 @@
+// 与 window.setInterval / clearInterval 同形的定时器，由 Worker 驱动；不支持 Worker 时退回主线程定时器
+export const createWorkerTimers = () => {
+    let worker = null;
+    try {
+        worker = new Worker(new URL('./tickerWorker.js', import.meta.url));
+    } catch (error) {
+        console.warn('Worker timers unavailable, falling back to setInterval:', error);
+        return {
+            setInterval: (fn, ms) => window.setInterval(fn, ms),
+            clearInterval: (id) => window.clearInterval(id),
+            terminate: () => {}
+        };
+    }
+
+    const callbacks = new Map();
+    let nextId = 1;
+
+    worker.onmessage = (event) => callbacks.get(event.data)?.();
+
+    return {
+        setInterval: (fn, ms) => {
+            const id = nextId++;
+            callbacks.set(id, fn);
+            worker.postMessage({ type: 'start', id, interval: ms });
+            return id;
+        },
+        clearInterval: (id) => {
+            callbacks.delete(id);
+            worker.postMessage({ type: 'stop', id });
+        },
+        terminate: () => {
+            callbacks.clear();
+            worker.terminate();
+        }
+    };
+};
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { Bell } from 'lucide-react';
+import { isNotificationSupported, isVibrationSupported, requestNotificationPermission } from '../lib/phaseAlerts';
+import { t } from '../lib/i18n';
+
+// 阶段切换的系统通知和振动开关；开启通知时申请授权
+export default function AlertSettings({ settings, onChange }) {
+    const [permission, setPermission] = useState(() => (isNotificationSupported() ? Notification.permission : 'unsupported'));
+
+    const toggleNotify = async (enabled) => {
+        if (enabled) {
+            const result = await requestNotificationPermission();
+            setPermission(result);
+            if (result !== 'granted') return;
+        }
+        onChange({ ...settings, notify: enabled });
+    };
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 text-sm">
+                <Bell size={14} />
+                {t('alertSettings.title')}
+                <label className="ml-auto flex items-center gap-1 text-xs cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.notify && permission === 'granted'}
+                        disabled={permission === 'unsupported'}
+                        onChange={(e) => toggleNotify(e.target.checked)}
+                        className="accent-cyan-400"
+                    />
+                    {t('alertSettings.notify')}
+                </label>
+                <label className="flex items-center gap-1 text-xs cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.vibrate}
+                        disabled={!isVibrationSupported()}
+                        onChange={(e) => onChange({ ...settings, vibrate: e.target.checked })}
+                        className="accent-cyan-400"
+                    />
+                    {t('alertSettings.vibrate')}
+                </label>
+            </div>
+            {permission === 'denied' && (
+                <div className="text-xs text-amber-200 mt-1">{t('alertSettings.denied')}</div>
+            )}
+        </div>
+    );
+}
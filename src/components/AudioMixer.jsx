@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Volume2, VolumeX, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
+import { MIXER_CHANNELS } from '../audio/mixer';
+import { t } from '../lib/i18n';
+
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200';
+
+function ChannelRow({ name, channel, onChange }) {
+    return (
+        <div className="flex items-center gap-2 text-xs">
+            <span className="w-12 text-blue-200">{name}</span>
+            <button
+                className={iconButtonClass}
+                onClick={() => onChange({ ...channel, muted: !channel.muted })}
+                title={t(channel.muted ? 'mixer.unmute' : 'mixer.mute', { name })}
+                aria-label={t(channel.muted ? 'mixer.unmute' : 'mixer.mute', { name })}
+            >
+                {channel.muted ? <VolumeX size={14} /> : <Volume2 size={14} />}
+            </button>
+            <input
+                type="range"
+                min="0"
+                max="100"
+                value={Math.round(channel.volume * 100)}
+                onChange={(e) => onChange({ ...channel, volume: Number(e.target.value) / 100 })}
+                disabled={channel.muted}
+                className="flex-1 accent-cyan-400 disabled:opacity-40"
+                aria-label={t('mixer.volumeOf', { name })}
+            />
+            <span className="w-8 text-right text-blue-300">{Math.round(channel.volume * 100)}</span>
+        </div>
+    );
+}
+
+// 音量混合面板：总音量和各通道音量 / 静音，以及音效文件的加载状态
+export default function AudioMixer({ mixer, onChange, loadedCount, totalCount, failedSounds, onRetry, isAudioInitialized }) {
+    const [expanded, setExpanded] = useState(false);
+    const setChannel = (id) => (channel) => onChange({ ...mixer, [id]: channel });
+
+    return (
+        <div className="mb-4">
+            <button
+                onClick={() => setExpanded(!expanded)}
+                className="w-full flex items-center gap-2 text-blue-200 text-sm"
+            >
+                <SlidersHorizontal size={14} />
+                {t('mixer.title')}
+                {failedSounds.length > 0 && <AlertTriangle size={14} className="text-amber-300" />}
+                <span className="ml-auto">{expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}</span>
+            </button>
+            {expanded && (
+                <div className="mt-2 space-y-2">
+                    <ChannelRow name={t('mixer.master')} channel={mixer.master} onChange={setChannel('master')} />
+                    {MIXER_CHANNELS.map(channel => (
+                        <ChannelRow key={channel.id} name={channel.name} channel={mixer[channel.id]} onChange={setChannel(channel.id)} />
+                    ))}
+                    <div className="text-xs text-blue-300">
+                        {isAudioInitialized
+                            ? t('mixer.loaded', { loaded: loadedCount, total: totalCount })
+                            : t('mixer.notLoaded')}
+                    </div>
+                    {failedSounds.length > 0 && (
+                        <div className="text-xs text-amber-200">
+                            {t('mixer.failed', { files: failedSounds.map(sound => sound.file).join(t('common.enumerationSeparator')) })}
+                            <button onClick={onRetry} className="ml-2 text-cyan-300 hover:text-cyan-200 underline">
+                                {t('mixer.retry')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Footprints } from 'lucide-react';
+import { CADENCE_TOLERANCE_RANGE } from '../lib/cadenceFeedback';
+import { isMotionSupported, requestMotionPermission } from '../lib/motionSensor';
+import { toPositiveInt } from '../lib/workout';
+import { t } from '../lib/i18n';
+
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 text-xs w-14';
+
+// 步频检测（手机加速度计）开关和偏差提醒设置；开启时申请传感器授权
+export default function CadenceSensorPanel({ settings, measuredCadence, isRunning, onChange }) {
+    const [permission, setPermission] = useState(() => (isMotionSupported() ? null : 'unsupported'));
+
+    const toggleEnabled = async (enabled) => {
+        if (enabled) {
+            const result = await requestMotionPermission();
+            setPermission(result);
+            if (result !== 'granted') return;
+        }
+        onChange({ ...settings, enabled });
+    };
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 text-sm flex-wrap">
+                <Footprints size={14} />
+                {t('cadenceSensor.title')}
+                {settings.enabled && isRunning && (
+                    <span className="text-xs text-green-300">
+                        {measuredCadence !== null ? t('cadenceSensor.measured', { cadence: measuredCadence }) : t('cadenceSensor.detecting')}
+                    </span>
+                )}
+                <label className="ml-auto flex items-center gap-1 text-xs cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        disabled={permission === 'unsupported'}
+                        onChange={(e) => toggleEnabled(e.target.checked)}
+                        className="accent-cyan-400"
+                    />
+                    {t('cadenceSensor.enabled')}
+                </label>
+            </div>
+            <div className="flex items-center gap-2 text-xs text-blue-200 mt-1">
+                <label className="flex items-center gap-1 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.feedback}
+                        disabled={!settings.enabled}
+                        onChange={(e) => onChange({ ...settings, feedback: e.target.checked })}
+                        className="accent-cyan-400"
+                    />
+                    {t('cadenceSensor.feedbackBefore')}
+                </label>
+                <input
+                    type="number"
+                    min={CADENCE_TOLERANCE_RANGE.min}
+                    max={CADENCE_TOLERANCE_RANGE.max}
+                    value={settings.tolerance}
+                    disabled={!settings.enabled}
+                    onChange={(e) => onChange({ ...settings, tolerance: toPositiveInt(e.target.value) })}
+                    onBlur={() => onChange({
+                        ...settings,
+                        tolerance: Math.min(CADENCE_TOLERANCE_RANGE.max, Math.max(CADENCE_TOLERANCE_RANGE.min, settings.tolerance))
+                    })}
+                    className={`${inputClass} disabled:opacity-40`}
+                />
+                {t('cadenceSensor.feedbackAfter')}
+            </div>
+            {permission === 'unsupported' && (
+                <div className="text-xs text-amber-200 mt-1">{t('cadenceSensor.unsupported')}</div>
+            )}
+            {permission === 'denied' && (
+                <div className="text-xs text-amber-200 mt-1">{t('cadenceSensor.denied')}</div>
+            )}
+            {settings.enabled && (
+                <div className="text-xs text-blue-300 mt-1">{t('cadenceSensor.hint')}</div>
+            )}
+        </div>
+    );
+}
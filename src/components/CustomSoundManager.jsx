@@ -0,0 +1,99 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Pencil, Trash2, Check } from 'lucide-react';
+import { MAX_CUSTOM_SOUND_NAME_LENGTH, MAX_CUSTOM_SOUND_FILE_SIZE } from '../lib/customSounds';
+import { t } from '../lib/i18n';
+
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-xs';
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200';
+
+// 自定义音效：上传本地音频文件，重命名和删除
+export default function CustomSoundManager({ sounds, onUpload, onRename, onDelete }) {
+    const inputRef = useRef(null);
+    const [editingId, setEditingId] = useState(null);
+    const [editingName, setEditingName] = useState('');
+    const [status, setStatus] = useState(null); // { message, error }
+    const [isUploading, setIsUploading] = useState(false);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // 允许再次选择同一个文件
+        if (!file) return;
+
+        if (file.size > MAX_CUSTOM_SOUND_FILE_SIZE) {
+            setStatus({ message: t('common.fileTooLarge', { size: MAX_CUSTOM_SOUND_FILE_SIZE / 1024 / 1024 }), error: true });
+            return;
+        }
+        setIsUploading(true);
+        try {
+            const sound = await onUpload(file);
+            setStatus({ message: t('customSounds.added', { name: sound.name }) });
+        } catch (error) {
+            setStatus({ message: t('customSounds.uploadFailed', { message: error.message }), error: true });
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const startRename = (sound) => {
+        setEditingId(sound.id);
+        setEditingName(sound.name);
+    };
+
+    const commitRename = () => {
+        onRename(editingId, editingName);
+        setEditingId(null);
+    };
+
+    const handleDelete = (sound) => {
+        if (window.confirm(t('customSounds.confirmDelete', { name: sound.name }))) {
+            onDelete(sound);
+        }
+    };
+
+    return (
+        <div className="mt-2 space-y-1">
+            {sounds.map(sound => (
+                <div key={sound.id} className="flex items-center gap-2 text-xs bg-white/5 rounded-lg px-2 py-1">
+                    {editingId === sound.id ? (
+                        <>
+                            <input
+                                type="text"
+                                autoFocus
+                                maxLength={MAX_CUSTOM_SOUND_NAME_LENGTH}
+                                value={editingName}
+                                onChange={(e) => setEditingName(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && commitRename()}
+                                className={`${inputClass} flex-1`}
+                            />
+                            <button className={iconButtonClass} onClick={commitRename} title={t('common.confirm')} aria-label={t('common.confirm')}>
+                                <Check size={12} />
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <span className="flex-1 truncate">{sound.name}</span>
+                            <button className={iconButtonClass} onClick={() => startRename(sound)} title={t('common.rename')} aria-label={t('common.rename')}>
+                                <Pencil size={12} />
+                            </button>
+                        </>
+                    )}
+                    <button className={iconButtonClass} onClick={() => handleDelete(sound)} title={t('common.delete')} aria-label={t('common.delete')}>
+                        <Trash2 size={12} />
+                    </button>
+                </div>
+            ))}
+            <input ref={inputRef} type="file" accept="audio/*" className="hidden" onChange={handleFile} />
+            <button
+                onClick={() => inputRef.current.click()}
+                disabled={isUploading}
+                className="text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1"
+            >
+                <Upload size={12} />
+                {isUploading ? t('customSounds.processing') : t('customSounds.upload')}
+            </button>
+            {status && (
+                <div className={`text-xs ${status.error ? 'text-red-300' : 'text-green-300'}`}>{status.message}</div>
+            )}
+        </div>
+    );
+}
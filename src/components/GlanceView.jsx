@@ -0,0 +1,102 @@
+import React, { useEffect, useRef } from 'react';
+import { Play, Pause, X } from 'lucide-react';
+import PhaseIcon from './PhaseIcon';
+import { formatTime } from '../lib/format';
+import { getSegmentLabel } from '../lib/workout';
+import { getAriaKeyShortcut } from '../lib/keyboardShortcuts';
+import { t } from '../lib/i18n';
+
+// 阶段标签的底色：纯黑背景上的浅色块配黑字，对比度足够；阶段另有图标和文字，不只靠颜色区分
+const PHASE_BLOCK_COLORS = {
+    warmup: 'bg-amber-300',
+    run: 'bg-cyan-300',
+    walk: 'bg-white',
+    cooldown: 'bg-green-300'
+};
+
+const buttonClass = 'flex-1 flex items-center justify-center gap-3 py-5 rounded-2xl text-2xl font-bold border-4 focus:outline-none focus-visible:ring-4 focus-visible:ring-yellow-300';
+
+// 大字模式：全屏高对比度倒计时，供弱视跑者或跑步时隔着一臂距离查看。
+// canControl 为 false 时（组队训练的组员）不显示开始 / 暂停
+export default function GlanceView({ phase, nextPhase, remaining, cycleInfo, phaseCount, cadence, isRunning, canControl = true, onStart, onPause, onExit }) {
+    const exitButtonRef = useRef(null);
+
+    // 打开时把焦点移到退出按钮，读屏软件从这里开始读
+    useEffect(() => {
+        exitButtonRef.current.focus();
+    }, []);
+
+    return (
+        <div
+            className="fixed inset-0 z-50 bg-black text-white flex flex-col p-4 sm:p-8"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('glance.title')}
+        >
+            {phase ? (
+                <div className={`flex items-center justify-center gap-3 rounded-2xl py-3 px-4 text-black text-3xl sm:text-5xl font-black ${PHASE_BLOCK_COLORS[phase.type] || 'bg-white'}`}>
+                    <PhaseIcon type={phase.type} size={40} />
+                    <span className="truncate">{getSegmentLabel(phase)}</span>
+                </div>
+            ) : (
+                <div className="text-center text-3xl font-bold">{t('timer.noWorkout')}</div>
+            )}
+
+            <div className="flex-1 flex items-center justify-center min-h-0">
+                <div
+                    className="font-mono font-black leading-none tabular-nums tracking-tight"
+                    style={{ fontSize: 'min(36vw, 50vh)' }}
+                    role="timer"
+                >
+                    {formatTime(remaining)}
+                </div>
+            </div>
+
+            {phase && (
+                <div className="text-center text-2xl sm:text-4xl font-bold space-y-2 mb-6">
+                    <div>
+                        {cycleInfo.unit === 'cycle' ? `${t('common.cycle', cycleInfo)} · ` : ''}
+                        {t('common.phase', { current: phase.index + 1, total: phaseCount })}
+                    </div>
+                    {cadence && <div>{t('common.cadence', { cadence })}</div>}
+                    <div className="text-xl sm:text-3xl text-gray-300">
+                        {nextPhase
+                            ? t('glance.next', { label: getSegmentLabel(nextPhase), duration: formatTime(Math.round(nextPhase.duration)) })
+                            : t('glance.last')}
+                    </div>
+                </div>
+            )}
+
+            <div className="flex gap-4">
+                {canControl && (isRunning ? (
+                    <button
+                        onClick={onPause}
+                        className={`${buttonClass} bg-yellow-300 text-black border-yellow-300`}
+                        aria-keyshortcuts={getAriaKeyShortcut('toggle')}
+                    >
+                        <Pause size={32} aria-hidden="true" />
+                        {t('timer.pause')}
+                    </button>
+                ) : (
+                    <button
+                        onClick={onStart}
+                        className={`${buttonClass} bg-green-300 text-black border-green-300`}
+                        aria-keyshortcuts={getAriaKeyShortcut('toggle')}
+                    >
+                        <Play size={32} aria-hidden="true" />
+                        {t('timer.start')}
+                    </button>
+                ))}
+                <button
+                    ref={exitButtonRef}
+                    onClick={onExit}
+                    className={`${buttonClass} bg-black text-white border-white`}
+                    aria-keyshortcuts={`${getAriaKeyShortcut('exitGlance')} ${getAriaKeyShortcut('glance')}`}
+                >
+                    <X size={32} aria-hidden="true" />
+                    {t('glance.exit')}
+                </button>
+            </div>
+        </div>
+    );
+}
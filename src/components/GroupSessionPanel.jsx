@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Users, Radio, LogIn, LogOut } from 'lucide-react';
+import { isValidRoomCode, MAX_ROOM_CODE_LENGTH } from '../lib/groupRelay';
+import { getDefaultRelayUrl } from '../lib/groupSession';
+import { t } from '../lib/i18n';
+
+const buttonClass = 'text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1';
+const inputClass = 'bg-white/10 border border-white/20 rounded px-2 py-1 text-white text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400';
+
+// 组队训练：创建房间做主机，或输入房间码加入；已加入时显示房间、成员和时钟偏差
+export default function GroupSessionPanel({ status, error, onHost, onJoin, onLeave }) {
+    const [relayUrl, setRelayUrl] = useState(() => getDefaultRelayUrl());
+    const [room, setRoom] = useState('');
+    const isJoined = status !== null && status.status !== 'closed';
+    const message = error || (status?.error ? t(`groupPanel.errors.${status.error}`) : null);
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 text-sm flex-wrap">
+                <Users size={14} />
+                {t('groupPanel.title')}
+                {isJoined && (
+                    <span className={`text-xs ${status.status === 'connected' ? 'text-green-300' : 'text-amber-200'}`}>
+                        {t(`groupPanel.roles.${status.role}`)}
+                        {' · '}{t('groupPanel.room', { room: status.room })}
+                        {' · '}{status.status === 'connected'
+                            ? t('groupPanel.members', { count: status.memberCount })
+                            : t(`groupPanel.status.${status.status}`)}
+                    </span>
+                )}
+                <div className="ml-auto flex gap-2">
+                    {isJoined ? (
+                        <button onClick={onLeave} className={buttonClass}>
+                            <LogOut size={12} />
+                            {t('groupPanel.leave')}
+                        </button>
+                    ) : (
+                        <>
+                            <input
+                                type="text"
+                                value={room}
+                                onChange={(e) => setRoom(e.target.value.trim().toUpperCase())}
+                                maxLength={MAX_ROOM_CODE_LENGTH}
+                                placeholder={t('groupPanel.roomPlaceholder')}
+                                aria-label={t('groupPanel.roomPlaceholder')}
+                                className={`${inputClass} w-20 font-mono`}
+                            />
+                            <button
+                                onClick={() => onJoin(relayUrl, room)}
+                                disabled={!isValidRoomCode(room)}
+                                className={buttonClass}
+                                title={t('groupPanel.joinTitle')}
+                            >
+                                <LogIn size={12} />
+                                {t('groupPanel.join')}
+                            </button>
+                            <button onClick={() => onHost(relayUrl)} className={buttonClass} title={t('groupPanel.hostTitle')}>
+                                <Radio size={12} />
+                                {t('groupPanel.host')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+            {isJoined ? (
+                <div className="text-xs text-blue-300 mt-1">
+                    {status.role === 'guest' && !status.hostPresent && `${t('groupPanel.waitingHost')} · `}
+                    {status.clock
+                        ? t('groupPanel.clock', status.clock)
+                        : t('groupPanel.syncing')}
+                </div>
+            ) : (
+                <label className="flex items-center gap-2 text-xs text-blue-300 mt-1" title={t('groupPanel.relayTitle')}>
+                    {t('groupPanel.relay')}
+                    <input
+                        type="text"
+                        value={relayUrl}
+                        onChange={(e) => setRelayUrl(e.target.value.trim())}
+                        className={`${inputClass} flex-1 font-mono`}
+                    />
+                </label>
+            )}
+            {message && <div className="text-xs text-red-300 mt-1">{message}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+import { HeartPulse, Bluetooth, FlaskConical, Unplug } from 'lucide-react';
+import { HEART_RATE_ZONES, MAX_HEART_RATE_RANGE, getZoneLowerBound } from '../lib/heartRate';
+import { toPositiveInt } from '../lib/workout';
+import { t } from '../lib/i18n';
+
+const buttonClass = 'text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1';
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 text-xs w-16';
+
+// 心率带连接（蓝牙或模拟设备）、最大心率和各区间范围
+export default function HeartRatePanel({ device, heartRate, settings, error, bluetoothSupported, onChange, onConnect, onDisconnect }) {
+    const bounds = HEART_RATE_ZONES.map(({ zone }) => getZoneLowerBound(zone, settings.maxHeartRate));
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 mb-2 text-sm flex-wrap">
+                <HeartPulse size={14} />
+                {t('heartRatePanel.title')}
+                {device && (
+                    <span className="text-xs text-green-300">
+                        {device}{' · '}{heartRate !== null ? t('heartRatePanel.bpm', { bpm: heartRate }) : t('heartRatePanel.waiting')}
+                    </span>
+                )}
+                <div className="ml-auto flex gap-2">
+                    {device ? (
+                        <button onClick={onDisconnect} className={buttonClass}>
+                            <Unplug size={12} />
+                            {t('heartRatePanel.disconnect')}
+                        </button>
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => onConnect(false)}
+                                disabled={!bluetoothSupported}
+                                className={buttonClass}
+                                title={bluetoothSupported ? t('heartRatePanel.connectTitle') : t('heartRateMonitor.bluetoothUnsupported')}
+                            >
+                                <Bluetooth size={12} />
+                                {t('heartRatePanel.connect')}
+                            </button>
+                            <button onClick={() => onConnect(true)} className={buttonClass} title={t('heartRatePanel.simulateTitle')}>
+                                <FlaskConical size={12} />
+                                {t('heartRatePanel.simulate')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+            <div className="flex items-center gap-2 text-xs text-blue-200 flex-wrap">
+                <label className="flex items-center gap-1">
+                    {t('heartRatePanel.maxHeartRate')}
+                    <input
+                        type="number"
+                        min={MAX_HEART_RATE_RANGE.min}
+                        max={MAX_HEART_RATE_RANGE.max}
+                        value={settings.maxHeartRate}
+                        onChange={(e) => onChange({ ...settings, maxHeartRate: toPositiveInt(e.target.value) })}
+                        onBlur={() => onChange({
+                            ...settings,
+                            maxHeartRate: Math.min(MAX_HEART_RATE_RANGE.max, Math.max(MAX_HEART_RATE_RANGE.min, settings.maxHeartRate))
+                        })}
+                        className={inputClass}
+                    />
+                </label>
+                {HEART_RATE_ZONES.map(({ zone, name, color }, i) => (
+                    <span key={zone} className={color} title={name}>
+                        {t('heartRatePanel.zoneRange', {
+                            zone,
+                            range: i < bounds.length - 1 ? `${bounds[i]}-${bounds[i + 1] - 1}` : `${bounds[i]}+`
+                        })}
+                    </span>
+                ))}
+            </div>
+            {error && <div className="text-xs text-red-300 mt-1">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { Trash2, Flame, CheckCircle2, XCircle, Download, FileDown } from 'lucide-react';
+import ImportButton from './ImportButton';
+import { summarizeHistory, getWeeklyTotals, deleteRecord } from '../lib/history';
+import { formatTime, formatDistance, formatPace } from '../lib/format';
+import { serializeExchangeDocument } from '../lib/exchange';
+import { sessionToTcx, tcxFileName } from '../lib/tcx';
+import { downloadTextFile, todayStamp } from '../lib/download';
+import { t } from '../lib/i18n';
+
+const RECENT_PAGE_SIZE = 10;
+const CHART_WEEKS = 12;
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200';
+
+const formatMinutes = (seconds) => t('format.minutes', { value: Math.round(seconds / 60) });
+
+const formatDay = (date) => t('format.day', { month: date.getMonth() + 1, day: date.getDate() });
+
+const formatDate = (time) => {
+    const date = new Date(time);
+    return t('format.dateTime', {
+        date: formatDay(date),
+        hh: date.getHours().toString().padStart(2, '0'),
+        mm: date.getMinutes().toString().padStart(2, '0')
+    });
+};
+
+function TotalsCard({ title, totals }) {
+    return (
+        <div className="bg-white/5 rounded-lg p-3">
+            <div className="text-blue-300 text-xs mb-1">{title}</div>
+            <div className="text-lg font-bold">{formatMinutes(totals.duration)}</div>
+            <div className="text-xs text-blue-200">
+                {t('history.totals', {
+                    sessions: totals.sessions,
+                    completed: totals.completed,
+                    run: formatMinutes(totals.runTime),
+                    walk: formatMinutes(totals.walkTime)
+                })}
+            </div>
+        </div>
+    );
+}
+
+// 最近几周训练时长的柱状图
+function TrendChart({ weeks }) {
+    const width = 300;
+    const height = 100;
+    const barGap = 4;
+    const barWidth = width / weeks.length - barGap;
+    const max = Math.max(1, ...weeks.map(week => week.duration));
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height + 16}`} className="w-full h-auto">
+            {weeks.map((week, i) => {
+                const barHeight = (week.duration / max) * height;
+                const x = i * (barWidth + barGap);
+                const date = new Date(week.weekStart);
+                return (
+                    <g key={week.weekStart}>
+                        <rect
+                            x={x}
+                            y={height - barHeight}
+                            width={barWidth}
+                            height={Math.max(barHeight, 1)}
+                            rx="2"
+                            className={i === weeks.length - 1 ? 'fill-cyan-400' : 'fill-purple-400/70'}
+                        >
+                            <title>{t('history.weekTitle', { date: formatDay(date), duration: formatMinutes(week.duration), sessions: week.sessions })}</title>
+                        </rect>
+                        {i % 3 === 0 && (
+                            <text x={x} y={height + 12} className="fill-blue-200" fontSize="8">
+                                {formatDay(date)}
+                            </text>
+                        )}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+// 训练记录：本周 / 本月合计、连续训练天数、趋势图和逐次记录
+export default function HistoryView({ records, onChange, onImport }) {
+    const [visibleCount, setVisibleCount] = useState(RECENT_PAGE_SIZE);
+    const summary = summarizeHistory(records);
+    const weeks = getWeeklyTotals(records, CHART_WEEKS);
+
+    const handleClear = () => {
+        if (window.confirm(t('history.confirmClear'))) {
+            onChange([]);
+        }
+    };
+
+    const handleExport = () => {
+        downloadTextFile(`fartlek-history-${todayStamp()}.json`, serializeExchangeDocument({ history: records }));
+    };
+
+    const handleExportTcx = (record) => {
+        downloadTextFile(tcxFileName(record), sessionToTcx(record), 'application/vnd.garmin.tcx+xml');
+    };
+
+    const importExport = (
+        <div className="flex gap-2 flex-wrap items-start">
+            <button
+                onClick={handleExport}
+                disabled={records.length === 0}
+                className="text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1"
+            >
+                <Download size={12} />
+                {t('history.export')}
+            </button>
+            <ImportButton onImport={onImport} />
+        </div>
+    );
+
+    if (records.length === 0) {
+        return (
+            <div className="space-y-4">
+                <div className="text-sm text-blue-300">{t('history.empty')}</div>
+                {importExport}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {importExport}
+
+            <div className="grid grid-cols-2 gap-2">
+                <TotalsCard title={t('history.week')} totals={summary.week} />
+                <TotalsCard title={t('history.month')} totals={summary.month} />
+            </div>
+
+            <div className="flex items-center gap-2 text-sm bg-white/5 rounded-lg p-3">
+                <Flame size={16} className="text-orange-300" />
+                {t('history.streakBefore')}<span className="font-bold">{summary.streaks.current}</span>{t('history.streakAfter')}
+                <span className="text-blue-300 text-xs ml-auto">{t('history.longestStreak', { days: summary.streaks.longest })}</span>
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('history.trend', { weeks: CHART_WEEKS })}</div>
+                <TrendChart weeks={weeks} />
+            </div>
+
+            <div>
+                <div className="flex items-center mb-2">
+                    <div className="text-sm font-semibold text-blue-100">{t('history.records')}</div>
+                    <button onClick={handleClear} className="ml-auto text-xs text-red-300 hover:text-red-200 underline">
+                        {t('history.clear')}
+                    </button>
+                </div>
+                <div className="space-y-2">
+                    {records.slice(0, visibleCount).map(record => (
+                        <div key={record.id} className="flex items-start gap-2 bg-white/5 rounded-lg p-2 text-sm">
+                            {record.aborted
+                                ? <XCircle size={16} className="text-red-300 mt-0.5 shrink-0" />
+                                : <CheckCircle2 size={16} className="text-green-300 mt-0.5 shrink-0" />}
+                            <div className="flex-1 min-w-0">
+                                <div className="flex gap-2">
+                                    <span className="truncate">{record.workoutName || t('library.untitled')}</span>
+                                    <span className="text-xs text-blue-300 ml-auto shrink-0">{formatDate(record.startedAt)}</span>
+                                </div>
+                                <div className="text-xs text-blue-200">
+                                    {formatTime(record.duration)} / {formatTime(record.plannedDuration)}
+                                    {' · '}{t('history.phases', { completed: record.completedPhases, planned: record.plannedPhases })}
+                                    {' · '}{t('summary.runWalk', { run: formatTime(record.runTime), walk: formatTime(record.walkTime) })}
+                                    {record.cadence && ` · ${t('common.cadence', { cadence: record.cadence.average })}`}
+                                    {record.track && ` · ${formatDistance(record.track.distance)} ${t('common.pace', { pace: formatPace(record.track.pace) })}`}
+                                    {record.aborted && ` · ${t('history.aborted')}`}
+                                </div>
+                            </div>
+                            <button className={iconButtonClass} onClick={() => handleExportTcx(record)} title={t('history.exportTcx')} aria-label={t('history.exportTcx')}>
+                                <FileDown size={14} />
+                            </button>
+                            <button className={iconButtonClass} onClick={() => onChange(deleteRecord(records, record.id))} title={t('common.delete')} aria-label={t('common.delete')}>
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+                {visibleCount < records.length && (
+                    <button
+                        onClick={() => setVisibleCount(count => count + RECENT_PAGE_SIZE)}
+                        className="mt-2 text-xs text-cyan-300 hover:text-cyan-200 underline"
+                    >
+                        {t('history.more')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
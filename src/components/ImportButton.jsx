@@ -0,0 +1,51 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { t } from '../lib/i18n';
+
+// 选择本地 JSON 文件并交给 onImport(text) 处理；onImport 返回 { message, errors } 或抛出错误
+export default function ImportButton({ onImport, label = t('import.button') }) {
+    const inputRef = useRef(null);
+    const [result, setResult] = useState(null);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const { message, errors } = onImport(await file.text());
+            setResult({ message, errors });
+        } catch (error) {
+            setResult({ message: '', errors: [error.message] });
+        }
+    };
+
+    return (
+        <div>
+            <button
+                onClick={() => inputRef.current.click()}
+                className="text-xs bg-white/10 hover:bg-white/20 px-2 py-1 rounded flex items-center gap-1"
+            >
+                <Upload size={12} />
+                {label}
+            </button>
+            <input
+                ref={inputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                className="hidden"
+            />
+            {result && (
+                <div className="mt-2 text-xs space-y-1">
+                    {result.message && <div className="text-green-300">{result.message}</div>}
+                    {result.errors.length > 0 && (
+                        <ul className="text-red-300 space-y-1 max-h-32 overflow-y-auto">
+                            {result.errors.map((error, i) => <li key={i}>{error}</li>)}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
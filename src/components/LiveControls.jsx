@@ -0,0 +1,57 @@
+import React from 'react';
+import { SkipForward, TimerReset, ListMinus, ListStart } from 'lucide-react';
+import { EXTEND_SECONDS } from '../lib/liveEdit';
+import { formatTime } from '../lib/format';
+import { getSegmentLabel } from '../lib/workout';
+import { getAriaKeyShortcut } from '../lib/keyboardShortcuts';
+import { t } from '../lib/i18n';
+
+const buttonClass = 'bg-white/10 hover:bg-white/20 disabled:opacity-30 px-3 py-1.5 rounded-full flex items-center gap-1 text-xs';
+const selectClass = 'bg-white/10 border border-white/20 rounded-full px-3 py-1.5 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 text-xs max-w-[10rem]';
+
+const describePhase = (phase) => {
+    const cycle = phase.repeats[phase.repeats.length - 1];
+    const text = `${phase.index + 1}. ${getSegmentLabel(phase)} ${formatTime(Math.round(phase.duration))}`;
+    return cycle ? `${text}${t('liveControls.iteration', { iteration: cycle.iteration })}` : text;
+};
+
+// 训练中（含暂停）调整后续阶段：跳过当前阶段剩余时间、延长当前阶段、删减最后一轮、跳转到指定阶段
+export default function LiveControls({ phases, phaseIndex, canDropCycle, onSkip, onExtend, onDropCycle, onJump }) {
+    return (
+        <div className="flex justify-center gap-2 mb-4 flex-wrap">
+            <button onClick={onSkip} className={buttonClass} title={t('liveControls.skipTitle')} aria-keyshortcuts={getAriaKeyShortcut('next')}>
+                <SkipForward size={14} />
+                {t('liveControls.skip')}
+            </button>
+            <button onClick={onExtend} className={buttonClass} title={t('liveControls.extendTitle', { seconds: EXTEND_SECONDS })}>
+                <TimerReset size={14} />
+                {t('liveControls.extend', { seconds: EXTEND_SECONDS })}
+            </button>
+            <button onClick={onDropCycle} disabled={!canDropCycle} className={buttonClass} title={t('liveControls.dropCycleTitle')}>
+                <ListMinus size={14} />
+                {t('liveControls.dropCycle')}
+            </button>
+            <label className="flex items-center gap-1 text-xs text-blue-200">
+                <ListStart size={14} />
+                <select
+                    value=""
+                    onChange={(e) => onJump(Number(e.target.value))}
+                    className={selectClass}
+                    aria-label={t('liveControls.jumpLabel')}
+                >
+                    <option value="" disabled style={{ backgroundColor: '#1a2a6c' }}>{t('liveControls.jump')}</option>
+                    {phases.map(phase => (
+                        <option
+                            key={phase.index}
+                            value={phase.index}
+                            disabled={phase.duration === 0}
+                            style={{ backgroundColor: '#1a2a6c' }}
+                        >
+                            {phase.index === phaseIndex ? `${describePhase(phase)} · ${t('liveControls.restart')}` : describePhase(phase)}
+                        </option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import { MapPin, LocateFixed, FlaskConical, Unplug } from 'lucide-react';
+import { MAX_ACCURACY } from '../lib/gps';
+import { t } from '../lib/i18n';
+
+const buttonClass = 'text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1';
+
+// 定位来源（设备 GPS 或模拟跑道）和当前定位精度
+export default function LocationPanel({ source, accuracy, error, geolocationSupported, onConnect, onDisconnect }) {
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 text-sm flex-wrap">
+                <MapPin size={14} />
+                {t('locationPanel.title')}
+                {source && (
+                    <span className={`text-xs ${accuracy !== null && accuracy <= MAX_ACCURACY ? 'text-green-300' : 'text-amber-200'}`}>
+                        {source}{' · '}{accuracy !== null ? t('locationPanel.accuracy', { accuracy }) : t('locationPanel.locating')}
+                    </span>
+                )}
+                <div className="ml-auto flex gap-2">
+                    {source ? (
+                        <button onClick={onDisconnect} className={buttonClass}>
+                            <Unplug size={12} />
+                            {t('locationPanel.stop')}
+                        </button>
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => onConnect(false)}
+                                disabled={!geolocationSupported}
+                                className={buttonClass}
+                                title={geolocationSupported ? t('locationPanel.connectTitle') : t('location.unsupported')}
+                            >
+                                <LocateFixed size={12} />
+                                {t('locationPanel.connect')}
+                            </button>
+                            <button onClick={() => onConnect(true)} className={buttonClass} title={t('locationPanel.simulateTitle')}>
+                                <FlaskConical size={12} />
+                                {t('location.simulated')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+            {source && accuracy !== null && accuracy > MAX_ACCURACY && (
+                <div className="text-xs text-amber-200 mt-1">{t('locationPanel.lowAccuracy')}</div>
+            )}
+            {error && <div className="text-xs text-red-300 mt-1">{error}</div>}
+        </div>
+    );
+}
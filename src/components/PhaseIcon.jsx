@@ -0,0 +1,15 @@
+import React from 'react';
+import { Sunrise, Rabbit, Turtle, Sunset } from 'lucide-react';
+
+// 各分段类型的图标，让阶段不只靠文字颜色区分
+const PHASE_ICONS = {
+    warmup: Sunrise,
+    run: Rabbit,
+    walk: Turtle,
+    cooldown: Sunset
+};
+
+export default function PhaseIcon({ type, size = 18, className }) {
+    const Icon = PHASE_ICONS[type];
+    return Icon ? <Icon size={size} className={className} aria-hidden="true" /> : null;
+}
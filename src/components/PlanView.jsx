@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { Play, Trash2, Download, Plus, CheckCircle2, Circle } from 'lucide-react';
+import ImportButton from './ImportButton';
+import { flattenWorkout, getTotalDuration, toPositiveInt } from '../lib/workout';
+import {
+    DAYS_PER_WEEK,
+    MAX_PLAN_WEEKS,
+    MAX_PLAN_NAME_LENGTH,
+    addDays,
+    addPlan,
+    deletePlan,
+    setDayCompleted,
+    getPlanSchedule,
+    getPlanProgress,
+    getPlanEndDate,
+    parseDateKey
+} from '../lib/plan';
+import { formatTime } from '../lib/format';
+import { serializeExchangeDocument } from '../lib/exchange';
+import { downloadTextFile, todayStamp } from '../lib/download';
+import { t } from '../lib/i18n';
+
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm';
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200 disabled:opacity-30';
+const smallButtonClass = 'text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1';
+const optionStyle = { backgroundColor: '#1a2a6c', color: 'white' };
+
+// 训练日在日历上的底色：已完成、已错过、待训练
+const DAY_STATUS_COLORS = {
+    done: 'bg-green-500/40 text-white',
+    missed: 'bg-red-500/20 text-red-200',
+    planned: 'bg-cyan-500/20 text-cyan-100'
+};
+
+// 新建计划时每天的选择：休息、当前训练或训练库中的预设 id
+const REST = '';
+const CURRENT = 'current';
+
+const formatDay = (key) => {
+    const date = parseDateKey(key);
+    return t('format.day', { month: date.getMonth() + 1, day: date.getDate() });
+};
+
+const formatWeekday = (key) => t(`format.weekdays.${parseDateKey(key).getDay()}`);
+
+const getDayStatus = (entries, date, today) => {
+    if (entries.every(entry => entry.completed)) return 'done';
+    return date < today ? 'missed' : 'planned';
+};
+
+const exportPlans = (plans, name) => {
+    downloadTextFile(`fartlek-${name}-${todayStamp()}.json`, serializeExchangeDocument({ plans }));
+};
+
+// 某个训练日的训练：开始训练，或手动标记完成（例如在别处完成了训练）
+function DayDetails({ entries, onStart, onToggleCompleted }) {
+    return (
+        <div className="mt-2 space-y-2">
+            {entries.map((entry, i) => {
+                const phases = flattenWorkout(entry.workout);
+                return (
+                    <div key={i} className="flex items-center gap-2 bg-white/5 rounded-lg p-2 text-sm">
+                        <button className={iconButtonClass} onClick={() => onStart(entry)} title={t('plans.start')} aria-label={t('plans.start')}>
+                            <Play size={14} />
+                        </button>
+                        <div className="flex-1 min-w-0">
+                            <div className="truncate">{entry.workout.name || t('library.untitled')}</div>
+                            <span className="text-xs text-blue-300">
+                                {t('plans.entryInfo', { date: formatDay(entry.date), weekday: formatWeekday(entry.date), week: entry.week })}
+                                {' · '}{formatTime(getTotalDuration(phases))} · {t('summary.phases', { count: phases.length })}
+                            </span>
+                        </div>
+                        <button
+                            className={smallButtonClass}
+                            onClick={() => onToggleCompleted(entry)}
+                            aria-pressed={entry.completed}
+                        >
+                            {entry.completed ? <CheckCircle2 size={12} className="text-green-300" /> : <Circle size={12} />}
+                            {entry.completed ? t('plans.completed') : t('plans.markCompleted')}
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// 按周排列的日历：每行一周，从计划开始那天的星期算起
+function PlanCalendar({ plan, today, selectedDate, onSelect }) {
+    const schedule = getPlanSchedule(plan);
+    const byDate = new Map();
+    schedule.forEach(entry => byDate.set(entry.date, [...(byDate.get(entry.date) || []), entry]));
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full text-xs text-center border-separate border-spacing-1">
+                <thead>
+                    <tr className="text-blue-300">
+                        <th className="font-normal" />
+                        {Array.from({ length: DAYS_PER_WEEK }, (_, day) => (
+                            <th key={day} className="font-normal">{formatWeekday(addDays(plan.startDate, day))}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {Array.from({ length: plan.weeks }, (_, week) => (
+                        <tr key={week}>
+                            <th className="font-normal text-blue-300 text-left whitespace-nowrap pr-1">{t('plans.week', { week: week + 1 })}</th>
+                            {Array.from({ length: DAYS_PER_WEEK }, (_, day) => {
+                                const date = addDays(plan.startDate, week * DAYS_PER_WEEK + day);
+                                const entries = byDate.get(date);
+                                const todayClass = date === today ? 'ring-2 ring-yellow-300' : '';
+                                if (!entries) {
+                                    return <td key={day} className={`py-1 rounded text-blue-300/50 ${todayClass}`}>{parseDateKey(date).getDate()}</td>;
+                                }
+                                const status = getDayStatus(entries, date, today);
+                                return (
+                                    <td key={day} className="p-0">
+                                        <button
+                                            onClick={() => onSelect(date === selectedDate ? null : date)}
+                                            className={`w-full py-1 rounded ${DAY_STATUS_COLORS[status]} ${todayClass} ${date === selectedDate ? 'outline outline-2 outline-white' : ''}`}
+                                            aria-label={t('plans.dayLabel', { date: formatDay(date), status: t(`plans.status.${status}`) })}
+                                            aria-pressed={date === selectedDate}
+                                        >
+                                            {parseDateKey(date).getDate()}
+                                        </button>
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function PlanCard({ plan, today, onChange, onDelete, onStart }) {
+    const [selectedDate, setSelectedDate] = useState(null);
+    const progress = getPlanProgress(plan);
+    const selectedEntries = selectedDate ? getPlanSchedule(plan).filter(entry => entry.date === selectedDate) : [];
+
+    return (
+        <div className="bg-white/5 rounded-lg p-3 text-sm">
+            <div className="flex items-center gap-2 mb-2">
+                <div className="flex-1 min-w-0">
+                    <div className="truncate font-semibold">{plan.name}</div>
+                    <div className="text-xs text-blue-300">
+                        {t('plans.range', { start: formatDay(plan.startDate), end: formatDay(getPlanEndDate(plan)), weeks: plan.weeks })}
+                        {' · '}{t('plans.progress', progress)}
+                        {(plan.progression.cycles > 0 || plan.progression.cadence > 0) && ` · ${t('plans.progressionInfo', plan.progression)}`}
+                    </div>
+                </div>
+                <button className={iconButtonClass} onClick={() => exportPlans([plan], 'plan')} title={t('plans.export')} aria-label={t('plans.export')}>
+                    <Download size={14} />
+                </button>
+                <button className={iconButtonClass} onClick={onDelete} title={t('common.delete')} aria-label={t('common.delete')}>
+                    <Trash2 size={14} />
+                </button>
+            </div>
+            <PlanCalendar plan={plan} today={today} selectedDate={selectedDate} onSelect={setSelectedDate} />
+            {selectedEntries.length > 0 && (
+                <DayDetails
+                    entries={selectedEntries}
+                    onStart={onStart}
+                    onToggleCompleted={(entry) => onChange(entry.date, !entry.completed)}
+                />
+            )}
+        </div>
+    );
+}
+
+// 训练计划：按周把训练排进日历，完成的训练日自动打勾；可新建、导入和导出计划
+export default function PlanView({ plans, presets, currentWorkout, today, onChange, onStartDay, onImport }) {
+    const [form, setForm] = useState(() => ({
+        name: '',
+        startDate: today,
+        weeks: 8,
+        cycles: 0,
+        cadence: 0,
+        days: Array(DAYS_PER_WEEK).fill(REST)
+    }));
+    const [error, setError] = useState('');
+    const startDateValid = parseDateKey(form.startDate) !== null;
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const handleCreate = () => {
+        const sessions = form.days.flatMap((choice, day) => {
+            const workout = choice === CURRENT ? currentWorkout : presets.find(preset => preset.id === choice)?.workout;
+            return workout ? [{ day, week: null, workout }] : [];
+        });
+        try {
+            onChange(addPlan(plans, {
+                name: form.name,
+                startDate: form.startDate,
+                weeks: form.weeks,
+                progression: { cycles: form.cycles, cadence: form.cadence },
+                sessions
+            }));
+            setForm(prev => ({ ...prev, name: '', days: Array(DAYS_PER_WEEK).fill(REST) }));
+            setError('');
+        } catch (createError) {
+            setError(createError.message);
+        }
+    };
+
+    const handleDelete = (plan) => {
+        if (window.confirm(t('plans.confirmDelete', { name: plan.name }))) {
+            onChange(deletePlan(plans, plan.id));
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('library.exchange')}</div>
+                <div className="flex gap-2 flex-wrap items-start">
+                    <button onClick={() => exportPlans(plans, 'plans')} disabled={plans.length === 0} className={smallButtonClass}>
+                        <Download size={12} />
+                        {t('plans.exportAll')}
+                    </button>
+                    <ImportButton onImport={onImport} />
+                </div>
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('plans.mine')}</div>
+                {plans.length === 0 && (
+                    <div className="text-xs text-blue-300">{t('plans.empty')}</div>
+                )}
+                <div className="space-y-2">
+                    {plans.map(plan => (
+                        <PlanCard
+                            key={plan.id}
+                            plan={plan}
+                            today={today}
+                            onChange={(date, completed) => onChange(setDayCompleted(plans, plan.id, date, completed))}
+                            onDelete={() => handleDelete(plan)}
+                            onStart={onStartDay}
+                        />
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('plans.create')}</div>
+                <div className="grid grid-cols-2 gap-2 text-xs text-blue-200">
+                    <label className="col-span-2 flex flex-col gap-1">
+                        {t('plans.name')}
+                        <input
+                            type="text"
+                            placeholder={t('plans.untitled')}
+                            maxLength={MAX_PLAN_NAME_LENGTH}
+                            value={form.name}
+                            onChange={(e) => updateForm('name', e.target.value)}
+                            className={inputClass}
+                        />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                        {t('plans.startDate')}
+                        <input
+                            type="date"
+                            value={form.startDate}
+                            onChange={(e) => updateForm('startDate', e.target.value)}
+                            className={inputClass}
+                        />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                        {t('plans.weeks')}
+                        <input
+                            type="number"
+                            min="1"
+                            max={MAX_PLAN_WEEKS}
+                            value={form.weeks}
+                            onChange={(e) => updateForm('weeks', Math.min(MAX_PLAN_WEEKS, toPositiveInt(e.target.value)))}
+                            className={inputClass}
+                        />
+                    </label>
+                    <label className="flex flex-col gap-1" title={t('plans.cyclesTitle')}>
+                        {t('plans.cycles')}
+                        <input
+                            type="number"
+                            min="0"
+                            value={form.cycles}
+                            onChange={(e) => updateForm('cycles', toPositiveInt(e.target.value, 0))}
+                            className={inputClass}
+                        />
+                    </label>
+                    <label className="flex flex-col gap-1" title={t('plans.cadenceTitle')}>
+                        {t('plans.cadence')}
+                        <input
+                            type="number"
+                            min="0"
+                            value={form.cadence}
+                            onChange={(e) => updateForm('cadence', toPositiveInt(e.target.value, 0))}
+                            className={inputClass}
+                        />
+                    </label>
+                </div>
+                <div className="mt-3 space-y-1 text-xs text-blue-200">
+                    {form.days.map((choice, day) => (
+                        <label key={day} className="flex items-center gap-2">
+                            <span className="w-10 shrink-0">{startDateValid ? formatWeekday(addDays(form.startDate, day)) : t('plans.dayNumber', { day: day + 1 })}</span>
+                            <select
+                                value={choice}
+                                onChange={(e) => updateForm('days', form.days.map((value, i) => (i === day ? e.target.value : value)))}
+                                className={`${inputClass} flex-1 text-xs`}
+                            >
+                                <option value={REST} style={optionStyle}>{t('plans.rest')}</option>
+                                <option value={CURRENT} style={optionStyle}>{t('plans.currentWorkout', { name: currentWorkout.name || t('library.untitled') })}</option>
+                                {presets.map(preset => (
+                                    <option key={preset.id} value={preset.id} style={optionStyle}>{preset.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+                <button
+                    onClick={handleCreate}
+                    className="mt-3 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 px-3 py-1 rounded-lg font-semibold text-sm flex items-center gap-1"
+                >
+                    <Plus size={14} />
+                    {t('plans.add')}
+                </button>
+                {error && <div className="mt-2 text-xs text-red-300">{error}</div>}
+            </div>
+        </div>
+    );
+}
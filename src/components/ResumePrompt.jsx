@@ -0,0 +1,44 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import { getPhaseIndexAt, getSegmentLabel } from '../lib/workout';
+import { formatTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// 检测到上次未完成的训练时，询问是否从中断处继续
+export default function ResumePrompt({ session, onResume, onDiscard }) {
+    const { phases } = session;
+    const phase = phases[getPhaseIndexAt(phases, session.elapsed)];
+
+    return (
+        <div className="bg-amber-500/20 border border-amber-300/40 rounded-2xl p-4 mb-4">
+            <div className="flex items-center gap-2 font-semibold mb-1">
+                <History size={16} />
+                {t('resume.title')}
+            </div>
+            <div className="text-sm text-blue-100 mb-3">
+                {session.workout.name ? t('resume.name', { name: session.workout.name }) : ''}
+                {t('resume.progress', {
+                    elapsed: formatTime(session.elapsed),
+                    current: phase.index + 1,
+                    total: phases.length,
+                    label: getSegmentLabel(phase),
+                    remaining: formatTime(Math.ceil(phase.end - session.elapsed))
+                })}
+            </div>
+            <div className="flex gap-2">
+                <button
+                    onClick={onResume}
+                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 px-4 py-2 rounded-full font-semibold text-sm"
+                >
+                    {t('resume.resume')}
+                </button>
+                <button
+                    onClick={onDiscard}
+                    className="bg-white/20 hover:bg-white/30 px-4 py-2 rounded-full font-semibold text-sm"
+                >
+                    {t('resume.discard')}
+                </button>
+            </div>
+        </div>
+    );
+}
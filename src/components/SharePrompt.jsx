@@ -0,0 +1,89 @@
+import React from 'react';
+import { Link2, AlertTriangle } from 'lucide-react';
+import { flattenWorkout, getSegmentLabel, summarizeWorkout } from '../lib/workout';
+import { beatSounds } from '../audio/beatSounds';
+import { SYNTH_SOUNDS } from '../audio/synthSounds';
+import { formatTime, formatDistance } from '../lib/format';
+import { describeEndCondition } from '../lib/heartRate';
+import { t } from '../lib/i18n';
+
+const buttonClass = 'px-4 py-2 rounded-full font-semibold text-sm';
+
+const describeCadence = (segment) => {
+    if (!segment.cadence) return '';
+    return segment.cadenceEnd ? ` @${segment.cadence}→${segment.cadenceEnd}` : ` @${segment.cadence}`;
+};
+
+// 分段的简短文字描述，例如「热身 5:00 → 5× [跑步 1:00 @180 · 步行 0:30]」
+const describeSegments = (segments) => segments.map(segment => {
+    if (segment.type === 'repeat') {
+        const buildUp = segment.cadenceStep ? ` ${t('share.buildUp', { step: segment.cadenceStep })}` : '';
+        return `${segment.times}×${buildUp} [${describeSegments(segment.children).join(' · ')}]`;
+    }
+    const conditions = [
+        segment.distance && formatDistance(segment.distance),
+        segment.until && describeEndCondition(segment.until)
+    ].filter(Boolean);
+    return conditions.length > 0
+        ? `${getSegmentLabel(segment)}${describeCadence(segment)}${t('share.conditions', {
+            conditions: conditions.join(t('share.or')),
+            duration: formatTime(segment.duration)
+        })}`
+        : `${getSegmentLabel(segment)} ${formatTime(segment.duration)}${describeCadence(segment)}`;
+});
+
+// 通过分享链接打开时，先预览链接中的训练，由用户决定是否替换当前训练
+export default function SharePrompt({ link, onApply, onSave, onDismiss }) {
+    if (link.error) {
+        return (
+            <div className="bg-red-500/20 border border-red-300/40 rounded-2xl p-4 mb-4">
+                <div className="flex items-center gap-2 font-semibold mb-1">
+                    <AlertTriangle size={16} />
+                    {t('share.errorTitle')}
+                </div>
+                <div className="text-sm text-blue-100 mb-3">{link.error}</div>
+                <button onClick={onDismiss} className={`${buttonClass} bg-white/20 hover:bg-white/30`}>
+                    {t('share.dismissError')}
+                </button>
+            </div>
+        );
+    }
+
+    const summary = summarizeWorkout(flattenWorkout(link.workout));
+    const sound = [...beatSounds, ...SYNTH_SOUNDS].find(item => item.id === link.beatSound);
+
+    return (
+        <div className="bg-cyan-500/20 border border-cyan-300/40 rounded-2xl p-4 mb-4">
+            <div className="flex items-center gap-2 font-semibold mb-1">
+                <Link2 size={16} />
+                {link.workout.name ? t('share.namedTitle', { name: link.workout.name }) : t('share.title')}
+            </div>
+            <div className="text-sm text-blue-100 mb-1">
+                {t('summary.totalDuration', { time: formatTime(summary.totalDuration) })}
+                {' · '}{t('summary.phases', { count: summary.phaseCount })}
+                {' · '}{t('summary.runWalk', { run: formatTime(summary.runTime), walk: formatTime(summary.walkTime) })}
+                {summary.cadenceMin && ` · ${t('common.cadence', {
+                    cadence: summary.cadenceMin === summary.cadenceMax ? summary.cadenceMin : `${summary.cadenceMin}-${summary.cadenceMax}`
+                })}`}
+                {sound && ` · ${t('summary.sound', { name: sound.name })}`}
+            </div>
+            <div className="text-xs text-blue-200 mb-3 break-words">
+                {describeSegments(link.workout.segments).join(' → ')}
+            </div>
+            <div className="flex gap-2 flex-wrap">
+                <button
+                    onClick={onApply}
+                    className={`${buttonClass} bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600`}
+                >
+                    {t('share.apply')}
+                </button>
+                <button onClick={onSave} className={`${buttonClass} bg-white/20 hover:bg-white/30`}>
+                    {t('share.save')}
+                </button>
+                <button onClick={onDismiss} className={`${buttonClass} bg-white/20 hover:bg-white/30`}>
+                    {t('share.dismiss')}
+                </button>
+            </div>
+        </div>
+    );
+}
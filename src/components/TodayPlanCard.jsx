@@ -0,0 +1,52 @@
+import React from 'react';
+import { CalendarCheck, CheckCircle2 } from 'lucide-react';
+import { flattenWorkout, getTotalDuration } from '../lib/workout';
+import { formatTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// 打开应用时显示训练计划中今天的训练，一键载入并开始
+export default function TodayPlanCard({ entries, onStart, onDismiss }) {
+    return (
+        <div className="bg-cyan-500/20 border border-cyan-300/40 rounded-2xl p-4 mb-4">
+            <div className="flex items-center gap-2 font-semibold mb-2">
+                <CalendarCheck size={16} />
+                {t('today.title')}
+            </div>
+            <div className="space-y-2 mb-3">
+                {entries.map((entry, i) => {
+                    const phases = flattenWorkout(entry.workout);
+                    return (
+                        <div key={i} className="flex items-center gap-2 text-sm">
+                            <div className="flex-1 min-w-0 text-blue-100">
+                                <div className="truncate">{entry.workout.name || t('library.untitled')}</div>
+                                <div className="text-xs text-blue-200">
+                                    {t('today.info', { plan: entry.planName, week: entry.week })}
+                                    {' · '}{formatTime(getTotalDuration(phases))}
+                                </div>
+                            </div>
+                            {entry.completed ? (
+                                <span className="flex items-center gap-1 text-xs text-green-300">
+                                    <CheckCircle2 size={14} />
+                                    {t('plans.completed')}
+                                </span>
+                            ) : (
+                                <button
+                                    onClick={() => onStart(entry)}
+                                    className="bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 px-4 py-2 rounded-full font-semibold text-sm shrink-0"
+                                >
+                                    {t('today.start')}
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            <button
+                onClick={onDismiss}
+                className="bg-white/20 hover:bg-white/30 px-4 py-2 rounded-full font-semibold text-sm"
+            >
+                {t('today.dismiss')}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { t } from '../lib/i18n';
+
+// 部署了新版本时提示刷新；训练进行中不显示，以免打断
+export default function UpdatePrompt({ onUpdate, onDismiss }) {
+    return (
+        <div className="bg-cyan-500/20 border border-cyan-300/40 rounded-2xl p-4 mb-4 flex items-center gap-3">
+            <RefreshCw size={16} className="shrink-0" />
+            <div className="flex-1 text-sm">{t('update.ready')}</div>
+            <button
+                onClick={onUpdate}
+                className="bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-600 hover:to-blue-600 px-4 py-2 rounded-full font-semibold text-sm"
+            >
+                {t('update.reload')}
+            </button>
+            <button
+                onClick={onDismiss}
+                className="bg-white/20 hover:bg-white/30 px-4 py-2 rounded-full font-semibold text-sm"
+            >
+                {t('update.later')}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Mic } from 'lucide-react';
+import { VOICE_LANGUAGES, VOICE_CUES } from '../audio/voiceCoach';
+import { t } from '../lib/i18n';
+
+const selectClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400 text-xs';
+
+// 语音播报开关、语言和各类提示的开关
+export default function VoiceSettings({ settings, available, onChange, onTest }) {
+    const toggleCue = (cueId) => {
+        onChange({ ...settings, cues: { ...settings.cues, [cueId]: !settings.cues[cueId] } });
+    };
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 text-blue-200 mb-2 text-sm">
+                <Mic size={14} />
+                {t('voiceSettings.title')}
+                <label className="ml-auto flex items-center gap-1 text-xs cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+                        className="accent-cyan-400"
+                    />
+                    {t('voiceSettings.enabled')}
+                </label>
+            </div>
+            {settings.enabled && (
+                <div className="space-y-2">
+                    <div className="flex items-center gap-2 flex-wrap">
+                        <select
+                            value={settings.language}
+                            onChange={(e) => onChange({ ...settings, language: e.target.value })}
+                            className={selectClass}
+                        >
+                            {VOICE_LANGUAGES.map(language => (
+                                <option key={language.id} value={language.id} style={{ backgroundColor: '#1a2a6c' }}>
+                                    {language.name}
+                                </option>
+                            ))}
+                        </select>
+                        {VOICE_CUES.map(cue => (
+                            <button
+                                key={cue.id}
+                                onClick={() => toggleCue(cue.id)}
+                                className={`text-xs px-2 py-1 rounded-full border ${settings.cues[cue.id]
+                                    ? 'bg-cyan-500/30 border-cyan-300/60 text-white'
+                                    : 'bg-white/5 border-white/20 text-blue-300'}`}
+                            >
+                                {cue.name}
+                            </button>
+                        ))}
+                        <button
+                            onClick={onTest}
+                            disabled={!available}
+                            className="text-xs text-cyan-300 hover:text-cyan-200 underline disabled:opacity-40"
+                        >
+                            {t('voiceSettings.test')}
+                        </button>
+                    </div>
+                    {!available && (
+                        <div className="text-xs text-amber-200">
+                            {t('voiceSettings.unavailable', {
+                                language: VOICE_LANGUAGES.find(language => language.id === settings.language)?.name
+                            })}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,245 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, Trash2, Plus, Repeat } from 'lucide-react';
+import {
+    SEGMENT_TYPES,
+    MAX_REPEAT_DEPTH,
+    MAX_REPEAT_TIMES,
+    toPositiveInt,
+    createSegment,
+    createRepeat,
+    updateSegment,
+    removeSegment,
+    appendSegment,
+    moveSegment
+} from '../lib/workout';
+import { HEART_RATE_ZONES, describeEndCondition } from '../lib/heartRate';
+import { t } from '../lib/i18n';
+
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm';
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200 disabled:opacity-30';
+const optionStyle = { backgroundColor: '#1a2a6c', color: 'white' };
+// 步频渐变方式：线性或 2-6 级阶梯
+const RAMP_STEP_OPTIONS = [2, 3, 4, 5, 6];
+
+const toOptionalInt = (value) => (value === '' ? null : toPositiveInt(value));
+
+// 结束条件下拉框的取值：'' 为按时长，否则为 'reach:4' / 'below:2'
+const END_CONDITION_OPTIONS = ['reach', 'below'].flatMap(direction =>
+    HEART_RATE_ZONES.map(({ zone }) => ({ value: `${direction}:${zone}`, until: { direction, zone } }))
+);
+const toEndCondition = (value) => END_CONDITION_OPTIONS.find(option => option.value === value)?.until ?? null;
+
+function AddButtons({ parentId, depth, onAdd }) {
+    return (
+        <div className="flex gap-2 flex-wrap">
+            {Object.entries(SEGMENT_TYPES).map(([type, info]) => (
+                <button
+                    key={type}
+                    onClick={() => onAdd(parentId, createSegment(type))}
+                    className="text-xs bg-white/10 hover:bg-white/20 px-2 py-1 rounded flex items-center gap-1"
+                >
+                    <Plus size={12} />
+                    {info.label}
+                </button>
+            ))}
+            {depth < MAX_REPEAT_DEPTH && (
+                <button
+                    onClick={() => onAdd(parentId, createRepeat(2, [createSegment('run'), createSegment('walk')]))}
+                    className="text-xs bg-white/10 hover:bg-white/20 px-2 py-1 rounded flex items-center gap-1"
+                >
+                    <Repeat size={12} />
+                    {t('builder.repeatBlock')}
+                </button>
+            )}
+        </div>
+    );
+}
+
+function SegmentRow({ segment, index, count, depth, actions }) {
+    const rowControls = (
+        <div className="flex items-center gap-1 ml-auto">
+            <button className={iconButtonClass} disabled={index === 0} onClick={() => actions.move(segment.id, -1)} title={t('common.moveUp')} aria-label={t('common.moveUp')}>
+                <ArrowUp size={14} />
+            </button>
+            <button className={iconButtonClass} disabled={index === count - 1} onClick={() => actions.move(segment.id, 1)} title={t('common.moveDown')} aria-label={t('common.moveDown')}>
+                <ArrowDown size={14} />
+            </button>
+            <button className={iconButtonClass} onClick={() => actions.remove(segment.id)} title={t('common.delete')} aria-label={t('common.delete')}>
+                <Trash2 size={14} />
+            </button>
+        </div>
+    );
+
+    if (segment.type === 'repeat') {
+        return (
+            <div className="border border-purple-400/40 rounded-lg p-2 space-y-2">
+                <div className="flex items-center gap-2 text-sm flex-wrap">
+                    <Repeat size={14} className="text-purple-300" />
+                    <span>{t('builder.repeat')}</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max={MAX_REPEAT_TIMES}
+                        value={segment.times}
+                        onChange={(e) => actions.update(segment.id, { times: Math.min(MAX_REPEAT_TIMES, toPositiveInt(e.target.value)) })}
+                        className={`${inputClass} w-16`}
+                    />
+                    <span>{t('builder.times')}</span>
+                    <span className="text-blue-200 text-xs">{t('builder.cadenceStep')}</span>
+                    <input
+                        type="number"
+                        min="0"
+                        value={segment.cadenceStep || 0}
+                        onChange={(e) => actions.update(segment.id, { cadenceStep: toPositiveInt(e.target.value, 0) })}
+                        className={`${inputClass} w-16`}
+                        title={t('builder.cadenceStepTitle')}
+                    />
+                    <input
+                        type="text"
+                        placeholder={t('builder.labelPlaceholder')}
+                        value={segment.label}
+                        onChange={(e) => actions.update(segment.id, { label: e.target.value })}
+                        className={`${inputClass} w-28`}
+                    />
+                    {rowControls}
+                </div>
+                <SegmentList segments={segment.children} parentId={segment.id} depth={depth + 1} actions={actions} />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex items-center gap-2 text-sm flex-wrap bg-white/5 rounded-lg p-2">
+            <select
+                value={segment.type}
+                onChange={(e) => actions.update(segment.id, {
+                    type: e.target.value,
+                    cadence: SEGMENT_TYPES[e.target.value].defaultCadence,
+                    cadenceEnd: null,
+                    rampSteps: null
+                })}
+                className={`${inputClass} cursor-pointer`}
+            >
+                {Object.entries(SEGMENT_TYPES).map(([type, info]) => (
+                    <option key={type} value={type} style={optionStyle}>{info.label}</option>
+                ))}
+            </select>
+            <input
+                type="number"
+                min="1"
+                value={segment.duration}
+                onChange={(e) => actions.update(segment.id, { duration: toPositiveInt(e.target.value) })}
+                className={`${inputClass} w-20`}
+                title={t('builder.durationTitle')}
+            />
+            <span className="text-blue-200 text-xs">{t('builder.seconds')}</span>
+            <input
+                type="number"
+                min="60"
+                max="240"
+                placeholder={t('builder.noBeat')}
+                value={segment.cadence ?? ''}
+                onChange={(e) => {
+                    const cadence = toOptionalInt(e.target.value);
+                    actions.update(segment.id, cadence === null
+                        ? { cadence, cadenceEnd: null, rampSteps: null }
+                        : { cadence });
+                }}
+                className={`${inputClass} w-20`}
+                title={t('builder.cadenceTitle')}
+            />
+            {segment.cadence != null && (
+                <>
+                    <span className="text-blue-200 text-xs">→</span>
+                    <input
+                        type="number"
+                        min="60"
+                        max="240"
+                        placeholder={t('builder.unchanged')}
+                        value={segment.cadenceEnd ?? ''}
+                        onChange={(e) => actions.update(segment.id, { cadenceEnd: toOptionalInt(e.target.value) })}
+                        className={`${inputClass} w-20`}
+                        title={t('builder.cadenceEndTitle')}
+                    />
+                </>
+            )}
+            <span className="text-blue-200 text-xs">{t('builder.spm')}</span>
+            {segment.cadenceEnd != null && (
+                <select
+                    value={segment.rampSteps ?? ''}
+                    onChange={(e) => actions.update(segment.id, { rampSteps: toOptionalInt(e.target.value) })}
+                    className={`${inputClass} cursor-pointer`}
+                    title={t('builder.rampTitle')}
+                >
+                    <option value="" style={optionStyle}>{t('builder.linear')}</option>
+                    {RAMP_STEP_OPTIONS.map(steps => (
+                        <option key={steps} value={steps} style={optionStyle}>{t('builder.steps', { steps })}</option>
+                    ))}
+                </select>
+            )}
+            <select
+                value={segment.until ? `${segment.until.direction}:${segment.until.zone}` : ''}
+                onChange={(e) => actions.update(segment.id, { until: toEndCondition(e.target.value) })}
+                className={`${inputClass} cursor-pointer`}
+                title={t('builder.untilTitle')}
+            >
+                <option value="" style={optionStyle}>{t('builder.byDuration')}</option>
+                {END_CONDITION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value} style={optionStyle}>
+                        {describeEndCondition(option.until)}
+                    </option>
+                ))}
+            </select>
+            <input
+                type="number"
+                min="1"
+                placeholder={t('builder.unlimited')}
+                value={segment.distance ?? ''}
+                onChange={(e) => actions.update(segment.id, { distance: toOptionalInt(e.target.value) })}
+                className={`${inputClass} w-20`}
+                title={t('builder.distanceTitle')}
+            />
+            <span className="text-blue-200 text-xs">{t('builder.meters')}</span>
+            <input
+                type="text"
+                placeholder={t('builder.labelPlaceholder')}
+                value={segment.label}
+                onChange={(e) => actions.update(segment.id, { label: e.target.value })}
+                className={`${inputClass} w-28`}
+            />
+            {rowControls}
+        </div>
+    );
+}
+
+function SegmentList({ segments, parentId, depth, actions }) {
+    return (
+        <div className="space-y-2">
+            {segments.map((segment, index) => (
+                <SegmentRow
+                    key={segment.id}
+                    segment={segment}
+                    index={index}
+                    count={segments.length}
+                    depth={depth}
+                    actions={actions}
+                />
+            ))}
+            <AddButtons parentId={parentId} depth={depth} onAdd={actions.add} />
+        </div>
+    );
+}
+
+// 分段训练编辑器：按顺序编辑分段，支持嵌套重复块
+export default function WorkoutBuilder({ workout, onChange }) {
+    const setSegments = (segments) => onChange({ ...workout, segments });
+
+    const actions = {
+        update: (id, patch) => setSegments(updateSegment(workout.segments, id, patch)),
+        remove: (id) => setSegments(removeSegment(workout.segments, id)),
+        move: (id, delta) => setSegments(moveSegment(workout.segments, id, delta)),
+        add: (parentId, segment) => setSegments(appendSegment(workout.segments, parentId, segment))
+    };
+
+    return <SegmentList segments={workout.segments} parentId={null} depth={0} actions={actions} />;
+}
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Play, ArrowUp, ArrowDown, Copy, Trash2, Pencil, Save, Check, Download, Link2 } from 'lucide-react';
+import ImportButton from './ImportButton';
+import { flattenWorkout, getTotalDuration } from '../lib/workout';
+import { addPreset, duplicatePreset, renamePreset, movePreset, deletePreset, MAX_PRESET_NAME_LENGTH } from '../lib/library';
+import { formatTime } from '../lib/format';
+import { t } from '../lib/i18n';
+import { serializeExchangeDocument } from '../lib/exchange';
+import { downloadTextFile, todayStamp } from '../lib/download';
+import { buildShareUrl, encodeShareLink, MAX_SHARE_PAYLOAD_LENGTH } from '../lib/shareLink';
+
+const inputClass = 'bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white placeholder-blue-200 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-sm';
+const iconButtonClass = 'p-1 rounded hover:bg-white/20 text-blue-200 disabled:opacity-30';
+const smallButtonClass = 'text-xs bg-white/10 hover:bg-white/20 disabled:opacity-30 px-2 py-1 rounded flex items-center gap-1';
+
+function PresetInfo({ workout }) {
+    const phases = flattenWorkout(workout);
+    return (
+        <span className="text-xs text-blue-300">
+            {formatTime(getTotalDuration(phases))} · {t('summary.phases', { count: phases.length })}
+        </span>
+    );
+}
+
+// 训练库：保存、命名、复制、排序、删除和一键载入训练预设
+export default function WorkoutLibrary({ presets, builtInPresets, currentWorkout, beatSound, onChange, onLoad, onImport }) {
+    const [newName, setNewName] = useState(currentWorkout.name || '');
+    const [editingId, setEditingId] = useState(null);
+    const [editingName, setEditingName] = useState('');
+    const [error, setError] = useState('');
+    const [shareMessage, setShareMessage] = useState('');
+
+    const handleSaveCurrent = () => {
+        try {
+            onChange(addPreset(presets, currentWorkout, newName || currentWorkout.name));
+            setError('');
+        } catch (saveError) {
+            setError(saveError.message);
+        }
+    };
+
+    const startRename = (preset) => {
+        setEditingId(preset.id);
+        setEditingName(preset.name);
+    };
+
+    const commitRename = () => {
+        onChange(renamePreset(presets, editingId, editingName));
+        setEditingId(null);
+    };
+
+    const handleDelete = (preset) => {
+        if (window.confirm(t('library.confirmDelete', { name: preset.name }))) {
+            onChange(deletePreset(presets, preset.id));
+        }
+    };
+
+    const exportWorkouts = (workouts, name) => {
+        downloadTextFile(`fartlek-${name}-${todayStamp()}.json`, serializeExchangeDocument({ workouts }));
+    };
+
+    // 复制当前训练的分享链接；剪贴板不可用时让用户手动复制
+    const handleShare = async () => {
+        if (encodeShareLink(currentWorkout, beatSound).length > MAX_SHARE_PAYLOAD_LENGTH) {
+            setShareMessage(t('library.shareTooLong'));
+            return;
+        }
+        const url = buildShareUrl(currentWorkout, beatSound);
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareMessage(t('library.shareCopied'));
+        } catch {
+            window.prompt(t('library.sharePrompt'), url);
+            setShareMessage('');
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('library.exchange')}</div>
+                <div className="flex gap-2 flex-wrap items-start">
+                    <button onClick={() => exportWorkouts([currentWorkout], 'workout')} className={smallButtonClass}>
+                        <Download size={12} />
+                        {t('library.exportCurrent')}
+                    </button>
+                    <button
+                        onClick={() => exportWorkouts(presets.map(preset => preset.workout), 'library')}
+                        disabled={presets.length === 0}
+                        className={smallButtonClass}
+                    >
+                        <Download size={12} />
+                        {t('library.exportLibrary')}
+                    </button>
+                    <button onClick={handleShare} className={smallButtonClass}>
+                        <Link2 size={12} />
+                        {t('library.copyShareLink')}
+                    </button>
+                    <ImportButton onImport={onImport} />
+                </div>
+                {shareMessage && <div className="mt-2 text-xs text-blue-200">{shareMessage}</div>}
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('library.saveCurrent')}</div>
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        placeholder={t('library.namePlaceholder')}
+                        maxLength={MAX_PRESET_NAME_LENGTH}
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        className={`${inputClass} flex-1`}
+                    />
+                    <button
+                        onClick={handleSaveCurrent}
+                        className="bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 px-3 py-1 rounded-lg font-semibold text-sm flex items-center gap-1"
+                    >
+                        <Save size={14} />
+                        {t('library.save')}
+                    </button>
+                </div>
+                {error && <div className="mt-2 text-xs text-red-300">{error}</div>}
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('library.mine')}</div>
+                {presets.length === 0 && (
+                    <div className="text-xs text-blue-300">{t('library.empty')}</div>
+                )}
+                <div className="space-y-2">
+                    {presets.map((preset, index) => (
+                        <div key={preset.id} className="flex items-center gap-2 bg-white/5 rounded-lg p-2 text-sm">
+                            <button className={iconButtonClass} onClick={() => onLoad(preset)} title={t('library.load')} aria-label={t('library.load')}>
+                                <Play size={14} />
+                            </button>
+                            {editingId === preset.id ? (
+                                <>
+                                    <input
+                                        type="text"
+                                        autoFocus
+                                        maxLength={MAX_PRESET_NAME_LENGTH}
+                                        value={editingName}
+                                        onChange={(e) => setEditingName(e.target.value)}
+                                        onKeyDown={(e) => e.key === 'Enter' && commitRename()}
+                                        className={`${inputClass} flex-1`}
+                                    />
+                                    <button className={iconButtonClass} onClick={commitRename} title={t('common.confirm')} aria-label={t('common.confirm')}>
+                                        <Check size={14} />
+                                    </button>
+                                </>
+                            ) : (
+                                <div className="flex-1 min-w-0">
+                                    <div className="truncate">{preset.name}</div>
+                                    <PresetInfo workout={preset.workout} />
+                                </div>
+                            )}
+                            <div className="flex items-center gap-1">
+                                <button className={iconButtonClass} onClick={() => startRename(preset)} title={t('common.rename')} aria-label={t('common.rename')}>
+                                    <Pencil size={14} />
+                                </button>
+                                <button className={iconButtonClass} disabled={index === 0} onClick={() => onChange(movePreset(presets, preset.id, -1))} title={t('common.moveUp')} aria-label={t('common.moveUp')}>
+                                    <ArrowUp size={14} />
+                                </button>
+                                <button className={iconButtonClass} disabled={index === presets.length - 1} onClick={() => onChange(movePreset(presets, preset.id, 1))} title={t('common.moveDown')} aria-label={t('common.moveDown')}>
+                                    <ArrowDown size={14} />
+                                </button>
+                                <button className={iconButtonClass} onClick={() => onChange(duplicatePreset(presets, preset))} title={t('library.duplicate')} aria-label={t('library.duplicate')}>
+                                    <Copy size={14} />
+                                </button>
+                                <button className={iconButtonClass} onClick={() => handleDelete(preset)} title={t('common.delete')} aria-label={t('common.delete')}>
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <div className="text-sm font-semibold text-blue-100 mb-2">{t('library.builtIn')}</div>
+                <div className="space-y-2">
+                    {builtInPresets.map(preset => (
+                        <div key={preset.id} className="flex items-center gap-2 bg-white/5 rounded-lg p-2 text-sm">
+                            <button className={iconButtonClass} onClick={() => onLoad(preset)} title={t('library.load')} aria-label={t('library.load')}>
+                                <Play size={14} />
+                            </button>
+                            <div className="flex-1 min-w-0">
+                                <div className="truncate">{preset.name}</div>
+                                <PresetInfo workout={preset.workout} />
+                            </div>
+                            <button className={iconButtonClass} onClick={() => onChange(duplicatePreset(presets, preset))} title={t('library.copyToMine')} aria-label={t('library.copyToMine')}>
+                                <Copy size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+import { formatTime, formatRatio } from '../lib/format';
+import { flattenWorkout, summarizeWorkout } from '../lib/workout';
+import { getLocale, t } from '../lib/i18n';
+
+// 开始前的训练概览：按已保存的训练（settings）计算跑步 / 步行总时长、跑走比和预计步数
+export default function WorkoutPreview({ workout }) {
+    const summary = summarizeWorkout(flattenWorkout(workout));
+    const items = [
+        { id: 'runTime', value: formatTime(summary.runTime) },
+        { id: 'walkTime', value: formatTime(summary.walkTime) },
+        { id: 'ratio', value: formatRatio(summary.workRestRatio), title: t('preview.ratioTitle') },
+        {
+            id: 'steps',
+            value: t('preview.stepsValue', { steps: summary.estimatedSteps.toLocaleString(getLocale()) }),
+            title: t('preview.stepsTitle')
+        }
+    ];
+
+    return (
+        <section className="mb-4" aria-label={t('preview.title')}>
+            <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+                {items.map(item => (
+                    <div key={item.id} className="bg-white/5 rounded-lg p-2" title={item.title}>
+                        <dt className="text-blue-300 mb-1 text-xs">{t(`preview.${item.id}`)}</dt>
+                        <dd className="text-sm font-bold">{item.value}</dd>
+                    </div>
+                ))}
+            </dl>
+        </section>
+    );
+}
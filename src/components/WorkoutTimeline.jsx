@@ -0,0 +1,73 @@
+import React from 'react';
+import PhaseIcon from './PhaseIcon';
+import { formatTime } from '../lib/format';
+import { SEGMENT_TYPES, getSegmentLabel } from '../lib/workout';
+import { t } from '../lib/i18n';
+
+// 各分段类型在时间线上的颜色，与计时面板的文字颜色对应
+const PHASE_BAR_COLORS = {
+    warmup: 'bg-amber-400',
+    run: 'bg-cyan-400',
+    walk: 'bg-red-400',
+    cooldown: 'bg-green-400'
+};
+
+// 分段时间线：每个阶段一块，宽度与时长成正比；训练进行中高亮当前阶段并显示播放头
+export default function WorkoutTimeline({ phases, currentTime, phaseIndex, totalDuration, isActive }) {
+    const progress = totalDuration > 0 ? Math.min(100, (currentTime / totalDuration) * 100) : 0;
+    const currentPhase = phases[phaseIndex];
+    // 图例只列出训练中用到的类型
+    const types = Object.keys(PHASE_BAR_COLORS).filter(type => phases.some(phase => phase.type === type));
+
+    return (
+        <div className="mb-4">
+            <div
+                className="relative mb-2"
+                role="progressbar"
+                aria-label={t('timeline.label')}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(progress)}
+                aria-valuetext={currentPhase && isActive
+                    ? t('timeline.valueText', {
+                        phase: t('common.phase', { current: phaseIndex + 1, total: phases.length }),
+                        label: getSegmentLabel(currentPhase)
+                    })
+                    : undefined}
+            >
+                <div className="flex w-full h-4 rounded-full overflow-hidden bg-white/20" aria-hidden="true">
+                    {/* 被跳过的阶段时长为 0，不占位置 */}
+                    {phases.filter(phase => phase.duration > 0).map(phase => (
+                        <div
+                            key={phase.index}
+                            className={`h-full border-r border-black/30 last:border-r-0 transition-opacity duration-300 ${PHASE_BAR_COLORS[phase.type] || 'bg-white/40'} ${
+                                !isActive ? 'opacity-80' : phase.index === phaseIndex ? 'opacity-100' : 'opacity-35'}`}
+                            style={{ width: `${(phase.duration / totalDuration) * 100}%` }}
+                            title={`${phase.index + 1}. ${getSegmentLabel(phase)} ${formatTime(Math.round(phase.duration))}`}
+                        />
+                    ))}
+                </div>
+                {isActive && (
+                    <div
+                        className="absolute -top-1 -bottom-1 w-1 -ml-0.5 rounded-full bg-white shadow-[0_0_4px_rgba(0,0,0,0.8)] transition-[left] duration-300 ease-linear pointer-events-none"
+                        style={{ left: `${progress}%` }}
+                        aria-hidden="true"
+                    />
+                )}
+            </div>
+            <div className="flex justify-between items-center gap-2 text-xs text-blue-200">
+                <span>{formatTime(isActive ? currentTime : 0)}</span>
+                <span className="flex items-center gap-3 flex-wrap justify-center">
+                    {types.map(type => (
+                        <span key={type} className="flex items-center gap-1">
+                            <span className={`w-2.5 h-2.5 rounded-sm ${PHASE_BAR_COLORS[type]}`} aria-hidden="true" />
+                            <PhaseIcon type={type} size={12} />
+                            {SEGMENT_TYPES[type].label}
+                        </span>
+                    ))}
+                </span>
+                <span>{formatTime(totalDuration)}</span>
+            </div>
+        </div>
+    );
+}
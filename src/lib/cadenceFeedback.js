@@ -0,0 +1,40 @@
+// 步频偏差提醒（纯函数）：实测步频持续偏离目标时，提示加快或放慢
+//
+// 偏差需持续 DRIFT_HOLD_SECONDS 才提醒，刚切换阶段或偶尔变速不会误报；
+// 两次提醒至少间隔 FEEDBACK_INTERVAL，避免一直唠叨。
+
+export const CADENCE_TOLERANCE_RANGE = { min: 2, max: 30 }; // 步/分
+export const DEFAULT_CADENCE_SENSOR_SETTINGS = { enabled: false, feedback: false, tolerance: 5 };
+
+export const DRIFT_HOLD_SECONDS = 5;
+export const FEEDBACK_INTERVAL = 20; // seconds
+
+export const sanitizeCadenceSensorSettings = (data) => ({
+    enabled: typeof data?.enabled === 'boolean' ? data.enabled : DEFAULT_CADENCE_SENSOR_SETTINGS.enabled,
+    feedback: typeof data?.feedback === 'boolean' ? data.feedback : DEFAULT_CADENCE_SENSOR_SETTINGS.feedback,
+    tolerance: Number.isInteger(data?.tolerance)
+        ? Math.min(CADENCE_TOLERANCE_RANGE.max, Math.max(CADENCE_TOLERANCE_RANGE.min, data.tolerance))
+        : DEFAULT_CADENCE_SENSOR_SETTINGS.tolerance
+});
+
+// 实测步频相对目标的方向：'faster'（需要加快）、'slower'（需要放慢）或 null（在容差内 / 无法比较）
+export const getCadenceDrift = (measured, target, tolerance) => {
+    if (!measured || !target) return null;
+    if (measured < target - tolerance) return 'faster';
+    if (measured > target + tolerance) return 'slower';
+    return null;
+};
+
+// state 为上一次的返回值（初始为 null），time 为秒；返回新的 state 和此刻要给出的提醒（方向或 null）
+export const trackCadenceDrift = (state, { measured, target, tolerance, time }) => {
+    const lastCueAt = state?.lastCueAt ?? -Infinity;
+    const direction = getCadenceDrift(measured, target, tolerance);
+    if (!direction) return { state: { direction: null, since: null, lastCueAt }, cue: null };
+
+    const since = state?.direction === direction ? state.since : time;
+    const due = time - since >= DRIFT_HOLD_SECONDS && time - lastCueAt >= FEEDBACK_INTERVAL;
+    return {
+        state: { direction, since, lastCueAt: due ? time : lastCueAt },
+        cue: due ? direction : null
+    };
+};
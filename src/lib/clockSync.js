@@ -0,0 +1,26 @@
+// 组队训练的时钟同步（纯函数）：估计本机时钟与中继时钟的偏差
+//
+// 每次报时：本机发出时刻 sent、中继时刻 time、本机收到时刻 received（均为毫秒）。
+// 假设往返两程耗时相同，偏差 = time - (sent + received) / 2，误差不超过往返时间的一半。
+// 网络抖动只会让往返变慢，因此取往返最快的几次报时，用它们偏差的中位数。
+
+export const MAX_CLOCK_SAMPLES = 8;
+const BEST_SAMPLE_COUNT = 3;
+
+export const createClockSample = ({ sent, time }, received) => ({
+    rtt: received - sent,
+    offset: time - (sent + received) / 2
+});
+
+// 只保留最近的报时，设备时钟的漂移不会一直被旧数据拖住
+export const addClockSample = (samples, sample) => [...samples, sample].slice(-MAX_CLOCK_SAMPLES);
+
+// 返回 { offset, uncertainty }（中继时刻 = 本机时刻 + offset），没有报时时返回 null
+export const estimateClockOffset = (samples) => {
+    if (samples.length === 0) return null;
+    const best = [...samples].sort((a, b) => a.rtt - b.rtt).slice(0, BEST_SAMPLE_COUNT);
+    const offsets = best.map(sample => sample.offset).sort((a, b) => a - b);
+    const middle = Math.floor(offsets.length / 2);
+    const offset = offsets.length % 2 ? offsets[middle] : (offsets[middle - 1] + offsets[middle]) / 2;
+    return { offset: Math.round(offset), uncertainty: Math.round(best[0].rtt / 2) };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { createClockSample, addClockSample, estimateClockOffset, MAX_CLOCK_SAMPLES } from './clockSync';
+
+describe('createClockSample', () => {
+    it('assumes the request and the reply take the same time', () => {
+        // 本机 1000 发出、1100 收到；中继在 1050 + 2000 时报时
+        expect(createClockSample({ sent: 1000, time: 3050 }, 1100)).toEqual({ rtt: 100, offset: 2000 });
+    });
+});
+
+describe('addClockSample', () => {
+    it('keeps only the most recent samples', () => {
+        let samples = [];
+        for (let i = 0; i < MAX_CLOCK_SAMPLES + 3; i++) samples = addClockSample(samples, { rtt: i, offset: i });
+        expect(samples).toHaveLength(MAX_CLOCK_SAMPLES);
+        expect(samples[0].offset).toBe(3);
+    });
+});
+
+describe('estimateClockOffset', () => {
+    it('has no estimate without samples', () => {
+        expect(estimateClockOffset([])).toBe(null);
+    });
+
+    it('uses the median offset of the fastest round trips', () => {
+        const samples = [
+            { rtt: 40, offset: 1010 },
+            { rtt: 400, offset: 1300 }, // 网络抖动
+            { rtt: 30, offset: 995 },
+            { rtt: 250, offset: 800 },
+            { rtt: 50, offset: 1004 }
+        ];
+        expect(estimateClockOffset(samples)).toEqual({ offset: 1004, uncertainty: 15 });
+    });
+
+    it('averages the middle two offsets when there are only two samples', () => {
+        expect(estimateClockOffset([{ rtt: 20, offset: -500 }, { rtt: 30, offset: -510 }])).toEqual({ offset: -505, uncertainty: 10 });
+    });
+
+    it('recovers the true offset from pings over an asymmetric, jittery link', () => {
+        const trueOffset = -4321;
+        const delays = [[12, 80], [15, 14], [90, 16], [13, 13], [40, 45], [14, 15], [200, 10], [16, 12]];
+        let local = 10_000;
+        const samples = delays.reduce((list, [up, down]) => {
+            const sent = local;
+            const time = sent + up + trueOffset;
+            local = sent + up + down;
+            return addClockSample(list, createClockSample({ sent, time }, local));
+        }, []);
+        const { offset, uncertainty } = estimateClockOffset(samples);
+        expect(Math.abs(offset - trueOffset)).toBeLessThanOrEqual(uncertainty);
+        expect(uncertainty).toBeLessThanOrEqual(14);
+    });
+});
@@ -0,0 +1,79 @@
+// 用户上传的节拍音效，保存在 IndexedDB 中
+//
+// sound: { id, name, sampleRate, channels: Float32Array[], createdAt }
+// 音频数据体积较大，不适合放进 localStorage；偏好设置里只保存所选音效的 id。
+
+import { createId } from './workout';
+import { t } from './i18n';
+
+export const CUSTOM_SOUND_PREFIX = 'custom-';
+export const MAX_CUSTOM_SOUND_NAME_LENGTH = 40;
+export const MAX_CUSTOM_SOUND_FILE_SIZE = 10 * 1024 * 1024; // bytes
+
+const DB_NAME = 'farklet';
+const DB_VERSION = 1;
+const STORE_NAME = 'customSounds';
+
+export const isCustomSoundId = (id) => typeof id === 'string' && id.startsWith(CUSTOM_SOUND_PREFIX);
+
+export const normalizeSoundName = (name) =>
+    (typeof name === 'string' ? name.trim() : '').slice(0, MAX_CUSTOM_SOUND_NAME_LENGTH) || t('customSounds.defaultName');
+
+// 默认用去掉扩展名的文件名作为音效名称
+export const createCustomSound = (fileName, { channels, sampleRate }) => ({
+    id: `${CUSTOM_SOUND_PREFIX}${createId()}`,
+    name: normalizeSoundName(fileName.replace(/\.[^.]+$/, '')),
+    sampleRate,
+    channels,
+    createdAt: Date.now()
+});
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    return requestToPromise(request);
+};
+
+// 在一个事务中执行 fn(store)，事务完成后返回 fn 的结果
+const withStore = async (mode, fn) => {
+    const db = await openDatabase();
+    try {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const result = await fn(transaction.objectStore(STORE_NAME));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return result;
+    } finally {
+        db.close();
+    }
+};
+
+// 按上传时间排列
+export const listCustomSounds = async () => {
+    const sounds = await withStore('readonly', store => requestToPromise(store.getAll()));
+    return sounds.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const saveCustomSound = (sound) =>
+    withStore('readwrite', store => requestToPromise(store.put(sound)));
+
+export const renameCustomSound = (id, name) => withStore('readwrite', async store => {
+    const sound = await requestToPromise(store.get(id));
+    if (!sound) return null;
+    const renamed = { ...sound, name: normalizeSoundName(name) };
+    await requestToPromise(store.put(renamed));
+    return renamed;
+});
+
+export const deleteCustomSound = (id) =>
+    withStore('readwrite', store => requestToPromise(store.delete(id)));
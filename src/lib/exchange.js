@@ -0,0 +1,233 @@
+// 训练和训练记录的 JSON 交换格式，格式说明见 docs/workout-format.md
+import { SEGMENT_TYPES, createId, sanitizeWorkout, validateWorkout } from './workout';
+import { MAX_HISTORY_RECORDS } from './history';
+import { sanitizePlan, validatePlan } from './plan';
+import { t } from './i18n';
+
+export const EXCHANGE_FORMAT = 'farklet';
+export const EXCHANGE_VERSION = 1;
+export const MAX_IMPORT_SIZE = 5 * 1024 * 1024; // bytes
+
+// 导出时去掉仅供界面编辑使用的 id
+const stripIds = (segments) => segments.map(segment => {
+    const { id: _id, ...rest } = segment;
+    return rest.type === 'repeat' ? { ...rest, children: stripIds(rest.children) } : rest;
+});
+
+export const toExchangeWorkout = (workout) => ({
+    name: workout.name || '',
+    segments: stripIds(workout.segments)
+});
+
+// 计划的 id 和创建时间只在本机有意义，导入时重新生成
+export const toExchangePlan = (plan) => ({
+    name: plan.name,
+    startDate: plan.startDate,
+    weeks: plan.weeks,
+    progression: plan.progression,
+    sessions: plan.sessions.map(session => ({ day: session.day, week: session.week, workout: toExchangeWorkout(session.workout) })),
+    completed: plan.completed
+});
+
+export const createExchangeDocument = ({ workouts = [], history = [], plans = [] }) => ({
+    format: EXCHANGE_FORMAT,
+    version: EXCHANGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workouts: workouts.map(toExchangeWorkout),
+    history,
+    plans: plans.map(toExchangePlan)
+});
+
+export const serializeExchangeDocument = (contents) =>
+    JSON.stringify(createExchangeDocument(contents), null, 2);
+
+const RECORD_NUMBER_FIELDS = ['startedAt', 'duration', 'plannedDuration', 'runTime', 'walkTime'];
+const LAP_TRIGGERS = ['time', 'manual', 'heartRate', 'distance'];
+
+// Date 能表示的时间戳（约前后 27 万年），超出时 toISOString 会抛出 RangeError
+const isValidTimestamp = (time) => Number.isFinite(time) && !Number.isNaN(new Date(time).getTime());
+
+// 相对训练开始 seconds 秒的时刻有效（不早于开始，并能转换为日期）
+const isValidOffset = (record, seconds) =>
+    Number.isFinite(seconds) && seconds >= 0 && isValidTimestamp(record.startedAt + seconds * 1000);
+
+const validateRecord = (record) => {
+    if (!record || typeof record !== 'object') return [t('exchange.notObject')];
+    const errors = RECORD_NUMBER_FIELDS
+        .filter(field => !Number.isFinite(record[field]) || record[field] < 0)
+        .map(field => t('exchange.nonNegative', { field }));
+    if (errors.length === 0 && !isValidOffset(record, record.duration)) {
+        errors.push(t('exchange.invalidTime'));
+    }
+    if (record.laps !== undefined && !Array.isArray(record.laps)) {
+        errors.push(t('exchange.lapsArray'));
+    }
+    return errors;
+};
+
+// 采样是长度固定的数值数组，第一项为相对开始的秒数；格式不对的采样直接丢弃
+const isSample = (record, sample, length) => Array.isArray(sample) && sample.length === length
+    && sample.every(Number.isFinite) && isValidOffset(record, sample[0]);
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+const normalizeHeartRate = (record, heartRate) => (
+    heartRate && Number.isFinite(heartRate.average) && Number.isFinite(heartRate.max)
+        ? {
+            average: heartRate.average,
+            max: heartRate.max,
+            samples: (Array.isArray(heartRate.samples) ? heartRate.samples : []).filter(sample => isSample(record, sample, 2))
+        }
+        : null
+);
+
+const normalizeTrack = (record, track) => (
+    track && Number.isFinite(track.distance)
+        ? {
+            distance: track.distance,
+            pace: finiteOrNull(track.pace),
+            samples: (Array.isArray(track.samples) ? track.samples : []).filter(sample => isSample(record, sample, 4))
+        }
+        : null
+);
+
+// 逐阶段明细：类型未知或起止时间不对的阶段直接丢弃
+const isValidLap = (record, lap) => Boolean(SEGMENT_TYPES[lap?.type])
+    && isValidOffset(record, lap.start)
+    && Number.isFinite(lap.duration) && lap.duration >= 0
+    && isValidOffset(record, lap.start + lap.duration);
+
+const normalizeLap = (lap) => ({
+    type: lap.type,
+    label: typeof lap.label === 'string' ? lap.label : '',
+    start: lap.start,
+    duration: lap.duration,
+    cadence: finiteOrNull(lap.cadence),
+    heartRate: lap.heartRate && Number.isFinite(lap.heartRate.average) && Number.isFinite(lap.heartRate.max)
+        ? { average: lap.heartRate.average, max: lap.heartRate.max }
+        : null,
+    distance: finiteOrNull(lap.distance),
+    pace: finiteOrNull(lap.pace),
+    trigger: LAP_TRIGGERS.includes(lap.trigger) ? lap.trigger : 'time'
+});
+
+const normalizeRecord = (record) => ({
+    id: typeof record.id === 'string' && record.id ? record.id : createId(),
+    startedAt: record.startedAt,
+    endedAt: isValidTimestamp(record.endedAt) ? record.endedAt : record.startedAt + record.duration * 1000,
+    workoutName: typeof record.workoutName === 'string' ? record.workoutName : '',
+    plannedPhases: Number.isInteger(record.plannedPhases) ? record.plannedPhases : 0,
+    completedPhases: Number.isInteger(record.completedPhases) ? record.completedPhases : 0,
+    plannedDuration: record.plannedDuration,
+    duration: record.duration,
+    runTime: record.runTime,
+    walkTime: record.walkTime,
+    cadence: record.cadence && Number.isFinite(record.cadence.average) ? record.cadence : null,
+    heartRate: normalizeHeartRate(record, record.heartRate),
+    track: normalizeTrack(record, record.track),
+    laps: (Array.isArray(record.laps) ? record.laps : []).filter(lap => isValidLap(record, lap)).map(normalizeLap),
+    aborted: Boolean(record.aborted)
+});
+
+// 解析并校验导入的文本。格式层面的问题抛出错误；单个条目的问题收集到 errors 中并跳过该条目
+export const parseExchangeDocument = (text) => {
+    if (text.length > MAX_IMPORT_SIZE) {
+        throw new Error(t('common.fileTooLarge', { size: MAX_IMPORT_SIZE / 1024 / 1024 }));
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error(t('exchange.invalidJson'));
+    }
+
+    if (!data || data.format !== EXCHANGE_FORMAT) {
+        throw new Error(t('exchange.wrongFormat', { format: EXCHANGE_FORMAT }));
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(t('exchange.missingVersion'));
+    }
+    if (data.version > EXCHANGE_VERSION) {
+        throw new Error(t('exchange.newerVersion', { version: data.version, supported: EXCHANGE_VERSION }));
+    }
+    if (data.workouts !== undefined && !Array.isArray(data.workouts)) {
+        throw new Error(t('exchange.fieldArray', { field: 'workouts' }));
+    }
+    if (data.history !== undefined && !Array.isArray(data.history)) {
+        throw new Error(t('exchange.fieldArray', { field: 'history' }));
+    }
+    if (data.plans !== undefined && !Array.isArray(data.plans)) {
+        throw new Error(t('exchange.fieldArray', { field: 'plans' }));
+    }
+
+    const errors = [];
+    const workouts = [];
+    (data.workouts || []).forEach((workout, i) => {
+        const where = workout?.name
+            ? t('exchange.namedWorkout', { index: i + 1, name: workout.name })
+            : t('exchange.workout', { index: i + 1 });
+        const workoutErrors = validateWorkout(workout);
+        if (workoutErrors.length > 0) {
+            errors.push(...workoutErrors.map(error => t('exchange.itemError', { where, error })));
+        } else {
+            workouts.push(sanitizeWorkout(workout));
+        }
+    });
+
+    const history = [];
+    (data.history || []).forEach((record, i) => {
+        const recordErrors = validateRecord(record);
+        if (recordErrors.length > 0) {
+            errors.push(...recordErrors.map(error => t('exchange.itemError', { where: t('exchange.record', { index: i + 1 }), error })));
+        } else {
+            history.push(normalizeRecord(record));
+        }
+    });
+
+    const plans = [];
+    (data.plans || []).forEach((plan, i) => {
+        const where = plan?.name
+            ? t('exchange.namedPlan', { index: i + 1, name: plan.name })
+            : t('exchange.plan', { index: i + 1 });
+        const planErrors = validatePlan(plan);
+        if (planErrors.length > 0) {
+            errors.push(...planErrors.map(error => t('exchange.itemError', { where, error })));
+        } else {
+            plans.push(sanitizePlan({ ...plan, id: null, createdAt: null }));
+        }
+    });
+
+    if (workouts.length === 0 && history.length === 0 && plans.length === 0 && errors.length === 0) {
+        throw new Error(t('exchange.empty'));
+    }
+
+    return { workouts, history, plans, errors };
+};
+
+// 合并导入的训练记录：按 id 去重，按开始时间从新到旧排列
+export const mergeRecords = (records, imported) => {
+    const ids = new Set(records.map(record => record.id));
+    return [...records, ...imported.filter(record => !ids.has(record.id))]
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, MAX_HISTORY_RECORDS);
+};
+
+// 除完成标记外内容都相同的计划视为同一计划（导入的计划和分段都会重新分配 id）
+const planContentKey = (plan) => {
+    const { completed: _completed, ...content } = toExchangePlan(plan);
+    return JSON.stringify(content);
+};
+
+// 合并导入的训练计划：跳过与已有计划相同的计划，同一文件中重复的计划只保留第一个
+// 返回 { plans, added, skipped }：合并后的列表、新增的计划和跳过的个数
+export const mergePlans = (plans, imported) => {
+    const keys = new Set(plans.map(planContentKey));
+    const added = imported.filter(plan => {
+        const key = planContentKey(plan);
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    });
+    return { plans: [...plans, ...added], added, skipped: imported.length - added.length };
+};
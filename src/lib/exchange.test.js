@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { serializeExchangeDocument, parseExchangeDocument, mergePlans } from './exchange';
+import { createSessionRecord } from './history';
+import { createPlan } from './plan';
+import { createIntervalWorkout, createRepeat, createSegment, flattenWorkout } from './workout';
+import { sessionToTcx } from './tcx';
+
+const phases = flattenWorkout(createIntervalWorkout({ runTime: 60, walkTime: 30, cycles: 2, cadence: 180 }));
+
+const roundTrip = (record) => parseExchangeDocument(serializeExchangeDocument({ history: [record] }));
+
+// 手写的交换文件（只含给出的字段）
+const documentWith = (contents) => JSON.stringify({ format: 'farklet', version: 1, ...contents });
+
+describe('workout exchange', () => {
+    const tempo = {
+        name: 'Tempo',
+        segments: [
+            createSegment('warmup', { duration: 600 }),
+            createRepeat(4, [createSegment('run', { duration: 240, cadence: 176, cadenceEnd: 184 }), createSegment('walk', { duration: 90 })], { cadenceStep: 2 }),
+            createSegment('cooldown', { duration: 300 })
+        ]
+    };
+
+    it('imports valid workouts with fresh ids', () => {
+        const { workouts, errors } = parseExchangeDocument(serializeExchangeDocument({ workouts: [tempo] }));
+        expect(errors).toEqual([]);
+        expect(workouts).toHaveLength(1);
+        expect(flattenWorkout(workouts[0])).toEqual(flattenWorkout(tempo).map(phase => ({
+            ...phase,
+            segmentId: expect.any(String),
+            repeats: phase.repeats.map(repeat => ({ ...repeat, id: expect.any(String) }))
+        })));
+        expect(workouts[0].name).toBe('Tempo');
+    });
+
+    it('rejects an invalid workout with the reason', () => {
+        const { workouts, errors } = parseExchangeDocument(documentWith({
+            workouts: [{ name: 'Broken', segments: [{ type: 'sprint', duration: 10 }] }]
+        }));
+        expect(workouts).toEqual([]);
+        expect(errors).toEqual(['第 1 个训练「Broken」：#1: 未知的分段类型 "sprint"']);
+    });
+
+    it('imports the valid workouts of a file that also has invalid ones', () => {
+        const { workouts, errors } = parseExchangeDocument(documentWith({
+            workouts: [
+                { name: 'Short', segments: [{ type: 'run', duration: 60, cadence: 180 }] },
+                { segments: [{ type: 'repeat', times: 0, children: [{ type: 'run', duration: 60 }] }] },
+                { name: 'Walk', segments: [{ type: 'walk', duration: 600 }] },
+                'not a workout'
+            ]
+        }));
+        expect(workouts.map(workout => workout.name)).toEqual(['Short', 'Walk']);
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatch(/^第 2 个训练：#1: 重复次数/);
+        expect(errors[1]).toMatch(/^第 4 个训练：/);
+    });
+
+    it('rejects files that are not exchange documents', () => {
+        expect(() => parseExchangeDocument('{')).toThrow();
+        expect(() => parseExchangeDocument(JSON.stringify({ format: 'other', version: 1 }))).toThrow();
+        expect(() => parseExchangeDocument(documentWith({ version: 2 }))).toThrow();
+        expect(() => parseExchangeDocument(documentWith({ workouts: {} }))).toThrow();
+        expect(() => parseExchangeDocument(documentWith({}))).toThrow();
+    });
+});
+
+describe('history exchange', () => {
+    it('keeps the GPS track and per-lap distances through export and import', () => {
+        const record = createSessionRecord({
+            workoutName: 'GPS',
+            phases,
+            elapsed: 120,
+            aborted: true,
+            endedAt: 1_700_000_120_000,
+            trackSamples: [[0, 0, 39.99, 116.39], [60, 210, 39.9915, 116.3912], [90, 252, 39.9918, 116.3915], [120, 360, 39.9925, 116.3921]]
+        });
+
+        const { history, errors } = roundTrip(record);
+        expect(errors).toEqual([]);
+        expect(history).toEqual([record]);
+        expect(history[0].track).toMatchObject({ distance: 360, pace: 333 });
+        expect(history[0].laps.map(lap => lap.distance)).toEqual([210, 42, 108]);
+        expect(sessionToTcx(history[0])).toContain('<LatitudeDegrees>39.9915</LatitudeDegrees>');
+    });
+
+    it('keeps heart rate data through export and import', () => {
+        const record = createSessionRecord({
+            workoutName: 'HR',
+            phases,
+            elapsed: 180,
+            aborted: false,
+            endedAt: 1_700_000_180_000,
+            heartRateSamples: [[0, 120], [5, 140], [60, 165], [95, 130]]
+        });
+
+        const { history, errors } = roundTrip(record);
+        expect(errors).toEqual([]);
+        expect(history).toEqual([record]);
+        expect(history[0].heartRate).toEqual({ average: 139, max: 165, samples: [[0, 120], [5, 140], [60, 165], [95, 130]] });
+        expect(sessionToTcx(history[0])).toContain('<HeartRateBpm><Value>165</Value></HeartRateBpm>');
+    });
+
+    it('drops malformed heart rate data instead of the whole record', () => {
+        const record = createSessionRecord({ phases, elapsed: 90, aborted: true, endedAt: 1_700_000_090_000 });
+        const base = JSON.parse(serializeExchangeDocument({ history: [record] }));
+        const withHeartRate = (heartRate) => parseExchangeDocument(JSON.stringify({ ...base, history: [{ ...record, heartRate }] })).history[0].heartRate;
+
+        expect(withHeartRate({ average: 'fast', max: 170, samples: [] })).toBe(null);
+        expect(withHeartRate({ average: 150, max: 170, samples: [[0, 150], [5], 'x', [10, 'y'], [15, 170]] }))
+            .toEqual({ average: 150, max: 170, samples: [[0, 150], [15, 170]] });
+        expect(withHeartRate({ average: 150, max: 170 })).toEqual({ average: 150, max: 170, samples: [] });
+    });
+
+    it('drops malformed track data instead of the whole record', () => {
+        const record = createSessionRecord({ phases, elapsed: 90, aborted: true, endedAt: 1_700_000_090_000 });
+        const base = JSON.parse(serializeExchangeDocument({ history: [record] }));
+        const withTrack = (track) => parseExchangeDocument(JSON.stringify({ ...base, history: [{ ...record, track }] })).history[0].track;
+
+        expect(withTrack({ distance: null, pace: 300, samples: [] })).toBe(null);
+        expect(withTrack({ distance: 500, pace: 'slow', samples: [[0, 0, 39.99, 116.39], [5, 20, 39.99], [10, 40, 39.9901, 116.3901]] }))
+            .toEqual({ distance: 500, pace: null, samples: [[0, 0, 39.99, 116.39], [10, 40, 39.9901, 116.3901]] });
+    });
+
+    describe('malformed records', () => {
+        const record = createSessionRecord({
+            workoutName: 'Laps',
+            phases,
+            elapsed: 180,
+            aborted: false,
+            endedAt: 1_700_000_180_000,
+            heartRateSamples: [[0, 120], [60, 160]]
+        });
+        const importRecord = (changes) => parseExchangeDocument(documentWith({ history: [{ ...record, ...changes }] }));
+
+        it('drops laps with an unknown type or invalid start and duration', () => {
+            const { history, errors } = importRecord({
+                laps: [
+                    null,
+                    { ...record.laps[0], start: 'x' },
+                    { ...record.laps[0], type: 'sprint' },
+                    { ...record.laps[0], duration: -5 },
+                    { ...record.laps[0], start: 1e16 },
+                    record.laps[1],
+                    { type: 'run', start: 90, duration: 60 }
+                ]
+            });
+            expect(errors).toEqual([]);
+            expect(history[0].laps).toEqual([
+                record.laps[1],
+                { type: 'run', label: '', start: 90, duration: 60, cadence: null, heartRate: null, distance: null, pace: null, trigger: 'time' }
+            ]);
+            expect(() => sessionToTcx(history[0])).not.toThrow();
+        });
+
+        it('rejects a start time that cannot be represented as a date', () => {
+            const { history, errors } = importRecord({ startedAt: 1e300 });
+            expect(history).toEqual([]);
+            expect(errors).toEqual(['第 1 条训练记录：startedAt 不是有效的时间']);
+        });
+
+        it('drops samples that fall outside the representable time range', () => {
+            const { history } = importRecord({ heartRate: { ...record.heartRate, samples: [[0, 120], [-1, 130], [1e15, 140]] } });
+            expect(history[0].heartRate.samples).toEqual([[0, 120]]);
+            expect(() => sessionToTcx(history[0])).not.toThrow();
+        });
+    });
+});
+
+describe('mergePlans', () => {
+    const plan = (startDate, completed = []) => createPlan({
+        name: 'Spring',
+        startDate,
+        weeks: 4,
+        sessions: [{ day: 0, workout: createIntervalWorkout({ runTime: 60, walkTime: 30, cycles: 4 }) }],
+        completed
+    });
+
+    it('skips a plan that is already present when the same file is imported again', () => {
+        const existing = [plan('2026-03-02', ['2026-03-02'])];
+        const { plans: imported } = parseExchangeDocument(serializeExchangeDocument({ plans: existing }));
+        expect(mergePlans(existing, imported)).toEqual({ plans: existing, added: [], skipped: 1 });
+    });
+
+    it('adds plans that differ and keeps only the first of duplicates in one import', () => {
+        const existing = [plan('2026-03-02')];
+        const later = plan('2026-04-06');
+        const result = mergePlans(existing, [later, plan('2026-04-06')]);
+        expect(result.added).toEqual([later]);
+        expect(result.skipped).toBe(1);
+        expect(result.plans).toEqual([...existing, later]);
+    });
+});
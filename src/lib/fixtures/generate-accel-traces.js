@@ -0,0 +1,94 @@
+// 生成 stepDetector.test.js 使用的合成加速度记录（accel-*.json）
+//
+// 按步频排布每一步的落地冲击（先向上的脉冲，再回落），叠加重力（手机倾斜放置）、
+// 身体晃动和高斯噪声，采样间隔带抖动；随机数使用固定种子，重复运行得到相同的文件。
+// 用法：node src/lib/fixtures/generate-accel-traces.js
+
+import { writeFileSync } from 'node:fs';
+
+const GRAVITY = 9.81;
+const IMPACT_SECONDS = 0.12; // 落地冲击的时长
+const REBOUND_SECONDS = 0.18; // 冲击后回落的时长
+
+// mulberry32：带种子的均匀分布随机数
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        uniform: (min, max) => min + (max - min) * next(),
+        // Box-Muller
+        gauss: (mean, sigma) => mean + sigma * Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next())
+    };
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// segments: [[duration, cadence, amplitude]]，cadence 为 null 表示不走动；gaps: [[from, to]] 内没有采样
+const trace = (name, description, segments, {
+    rate = 50, jitter = 0.15, noise = 0.25, tilt = [0.35, 0.2], seed = 1, gaps = []
+} = {}) => {
+    const random = createRandom(seed);
+    const gx = Math.sin(tilt[0]);
+    const gy = Math.sin(tilt[1]);
+    const gz = Math.sqrt(Math.max(0, 1 - gx * gx - gy * gy));
+
+    const steps = [];
+    let start = 0;
+    segments.forEach(([duration, cadence, amplitude]) => {
+        if (cadence) {
+            const interval = 60 / cadence;
+            for (let time = start + interval / 2; time < start + duration; time += interval) {
+                steps.push({
+                    time: time + random.gauss(0, interval * 0.02),
+                    amplitude: amplitude * random.uniform(0.85, 1.15)
+                });
+            }
+        }
+        start += duration;
+    });
+
+    const samples = [];
+    for (let time = 0; time < start;) {
+        if (gaps.some(([from, to]) => from <= time && time < to)) {
+            time += 1 / rate;
+            continue;
+        }
+        let vertical = 0;
+        steps.forEach(step => {
+            const since = time - step.time;
+            if (since >= 0 && since < IMPACT_SECONDS) {
+                vertical += step.amplitude * Math.sin(Math.PI * since / IMPACT_SECONDS);
+            } else if (since >= IMPACT_SECONDS && since < IMPACT_SECONDS + REBOUND_SECONDS) {
+                vertical -= step.amplitude * 0.45 * Math.sin(Math.PI * (since - IMPACT_SECONDS) / REBOUND_SECONDS);
+            }
+        });
+        const sway = 0.3 * Math.sin(2 * Math.PI * 0.3 * time);
+        const total = GRAVITY + vertical + sway;
+        samples.push([
+            round(time, 3),
+            round(gx * total + random.gauss(0, noise), 2),
+            round(gy * total + random.gauss(0, noise), 2),
+            round(gz * total + random.gauss(0, noise), 2)
+        ]);
+        time += (1 / rate) * (1 + random.uniform(-jitter, jitter));
+    }
+
+    const document = {
+        description: `合成数据（按步频生成落地冲击、叠加重力倾斜、晃动和噪声）：${description}`,
+        samples
+    };
+    writeFileSync(new URL(`${name}.json`, import.meta.url), JSON.stringify(document));
+    console.log(`${name}.json: ${samples.length} samples`);
+};
+
+trace('accel-run-170', '跑步，步频 170，约 50 Hz，采样间隔有抖动，手机倾斜放置', [[20, 170, 9]], { seed: 1 });
+trace('accel-walk-110', '步行，步频 110，幅度较小', [[20, 110, 4]], { seed: 2, tilt: [0.1, 0.6] });
+trace('accel-standing', '原地站立，只有噪声和身体晃动', [[10, null, 0]], { seed: 3, noise: 0.35 });
+trace('accel-run-gap', '跑步，步频 165，第 8 ~ 10 秒采样中断（切到后台）', [[18, 165, 9]], { seed: 4, gaps: [[8, 10]] });
+trace('accel-run-speedup', '跑步，前 15 秒步频 160，之后加快到 180', [[15, 160, 9], [15, 180, 10]], { seed: 5 });
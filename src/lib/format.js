@@ -0,0 +1,32 @@
+import { t } from './i18n';
+
+// Format time for display：写法见各语言的 format.clock（mm 为补零的分钟，m 为不补零的分钟）
+export const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return t('format.clock', {
+        m: mins,
+        mm: mins.toString().padStart(2, '0'),
+        ss: secs.toString().padStart(2, '0')
+    });
+};
+
+// 距离：不足 1 公里按米显示
+export const formatDistance = (meters) => (meters < 1000
+    ? t('format.meters', { value: Math.round(meters) })
+    : t('format.kilometers', { value: (meters / 1000).toFixed(2) }));
+
+// 配速（秒/公里）写成 5'30"；没有配速时为 --
+export const formatPace = (secondsPerKm) => {
+    if (secondsPerKm == null) return '--';
+    const rounded = Math.round(secondsPerKm);
+    return `${Math.floor(rounded / 60)}'${(rounded % 60).toString().padStart(2, '0')}"`;
+};
+
+// 跑走比写成 2:1 或 1:2（保留一位小数）；没有比值时为 --
+export const formatRatio = (ratio) => {
+    if (ratio == null) return '--';
+    if (ratio === 0) return '0:1';
+    const round = (value) => Math.round(value * 10) / 10;
+    return ratio >= 1 ? `${round(ratio)}:1` : `1:${round(1 / ratio)}`;
+};
@@ -0,0 +1,135 @@
+// GPS 距离与配速（纯函数）
+//
+// 定位点：{ time, latitude, longitude, accuracy }，time 为训练已用秒数，accuracy 为定位精度半径（米）。
+// 抖动过滤：
+//   - 精度差于 MAX_ACCURACY 的点丢弃（刚开始定位、高楼之间）
+//   - 相对上一个采用点的速度超过 MAX_SPEED 的点丢弃（定位跳变）
+//   - 离上一个采用点太近（小于 MIN_MOVEMENT 或两点的平均精度）时不计距离，起点也不动，
+//     原地站立时的漂移不会累积成距离，慢走的位移积累到阈值后一次计入
+// 配速以秒/公里表示。
+
+export const MAX_ACCURACY = 30; // m
+export const MAX_SPEED = 12; // m/s，比最快的冲刺还快
+export const MIN_MOVEMENT = 3; // m
+export const PACE_WINDOW = 30; // seconds，当前配速按最近这段时间计算
+const MIN_PACE_DISTANCE = 10; // m，窗口内移动不足该距离时不给出配速
+const MAX_PACE = 30 * 60; // s/km，比这更慢视为没有在移动
+
+const EARTH_RADIUS = 6371000; // m
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// 两点间的大圆距离（米）
+export const getDistanceBetween = (a, b) => {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const isValidPosition = (position) => Number.isFinite(position?.time)
+    && Number.isFinite(position.latitude) && Math.abs(position.latitude) <= 90
+    && Number.isFinite(position.longitude) && Math.abs(position.longitude) <= 180
+    && Number.isFinite(position.accuracy) && position.accuracy >= 0;
+
+// 距离累计器；distance 为初始距离（从中断处继续训练时）
+export const createDistanceTracker = ({ distance: initialDistance = 0 } = {}) => {
+    let distance = initialDistance;
+    let anchor = null; // 上一个采用的点
+    let recent = []; // 最近采用的点 { time, distance }，用于当前配速
+
+    // 处理一个定位点，采用（作为起点或计入距离）时返回 true
+    const push = (position) => {
+        if (!isValidPosition(position) || position.accuracy > MAX_ACCURACY) return false;
+        if (anchor === null) {
+            anchor = position;
+            recent = [{ time: position.time, distance }];
+            return true;
+        }
+
+        const dt = position.time - anchor.time;
+        if (dt <= 0) return false;
+        const moved = getDistanceBetween(anchor, position);
+        if (moved / dt > MAX_SPEED) return false;
+        if (moved < Math.max(MIN_MOVEMENT, (anchor.accuracy + position.accuracy) / 2)) return false;
+
+        distance += moved;
+        anchor = position;
+        recent.push({ time: position.time, distance });
+        // 保留窗口外最近的一个点，作为窗口起点
+        while (recent.length > 2 && recent[1].time <= position.time - PACE_WINDOW) recent.shift();
+        return true;
+    };
+
+    // 暂停后下一个点只作为新的起点，暂停期间的移动不计入
+    const pause = () => {
+        anchor = null;
+        recent = [];
+    };
+
+    // now 时刻的当前配速；数据不足或几乎没有移动时返回 null
+    const getPace = (now) => {
+        const first = recent.find(point => point.time >= now - PACE_WINDOW) ?? null;
+        if (first === null) return null;
+        const covered = distance - first.distance;
+        if (covered < MIN_PACE_DISTANCE) return null;
+        const pace = (now - first.time) / covered * 1000;
+        return pace <= MAX_PACE ? Math.round(pace) : null;
+    };
+
+    return { push, pause, getDistance: () => distance, getPace };
+};
+
+// 平均配速；距离太短时返回 null
+export const getAveragePace = (seconds, distance) => {
+    if (!(distance >= MIN_PACE_DISTANCE) || !(seconds > 0)) return null;
+    const pace = seconds / distance * 1000;
+    return pace <= MAX_PACE ? Math.round(pace) : null;
+};
+
+// 跟踪当前阶段已跑的距离；state 为上次的返回值（初始为 null），换阶段后从当时的累计距离重新计。
+// 返回 { phaseIndex, startDistance, covered }
+export const trackPhaseDistance = (state, { phaseIndex, distance }) => {
+    const startDistance = state?.phaseIndex === phaseIndex ? state.startDistance : distance;
+    return { phaseIndex, startDistance, covered: distance - startDistance };
+};
+
+// 保存到训练记录的轨迹按该间隔取一个点，控制记录体积
+export const TRACK_SAMPLE_INTERVAL = 5; // seconds
+
+// samples: [{ time, distance, latitude, longitude }] → [[time, distance, latitude, longitude]]，
+// 保留第一个点和每个时间段的最后一个点；距离取整到米，坐标保留 6 位小数（约 0.1 米）
+export const compactTrackSamples = (samples, interval = TRACK_SAMPLE_INTERVAL) => {
+    const buckets = new Map();
+    samples.forEach(sample => buckets.set(Math.floor(sample.time / interval), sample));
+    const kept = [...buckets.entries()].sort(([a], [b]) => a - b).map(([, sample]) => sample);
+    if (samples.length > 0 && kept[0] !== samples[0]) kept.unshift(samples[0]);
+    return kept.map(({ time, distance, latitude, longitude }) => [
+        Math.round(time * 10) / 10,
+        Math.round(distance),
+        Math.round(latitude * 1e6) / 1e6,
+        Math.round(longitude * 1e6) / 1e6
+    ]);
+};
+
+// time 时刻的累计距离，在采样（[[time, distance, ...]]）之间线性插值
+const distanceAt = (samples, time) => {
+    if (time <= samples[0][0]) return samples[0][1];
+    for (let i = 1; i < samples.length; i++) {
+        const [t1, d1] = samples[i];
+        if (time <= t1) {
+            const [t0, d0] = samples[i - 1];
+            return d0 + (d1 - d0) * (time - t0) / (t1 - t0);
+        }
+    }
+    return samples[samples.length - 1][1];
+};
+
+// [from, to) 时间段内的距离（米）和平均配速；该时间段没有轨迹时返回 null
+export const summarizeTrack = (samples, from = -Infinity, to = Infinity) => {
+    if (samples.length === 0 || to < samples[0][0] || from > samples[samples.length - 1][0]) return null;
+    const start = Math.max(from, samples[0][0]);
+    const end = Math.min(to, samples[samples.length - 1][0]);
+    const distance = Math.round(distanceAt(samples, end) - distanceAt(samples, start));
+    return { distance, pace: getAveragePace(to - from, distance) };
+};
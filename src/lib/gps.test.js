@@ -0,0 +1,223 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+    getDistanceBetween,
+    createDistanceTracker,
+    getAveragePace,
+    trackPhaseDistance,
+    compactTrackSamples,
+    summarizeTrack,
+    MAX_ACCURACY,
+    PACE_WINDOW
+} from './gps';
+import { createRouteSimulator, PHASE_SPEED } from './routeSimulator';
+import { connectReplayedPositions } from './positionSource';
+
+// 固定种子的随机数（mulberry32），模拟跑道每次生成相同的轨迹
+const seededRandom = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let value = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+};
+
+// 模拟跑道上以 speed 米/秒移动 seconds 秒，每秒一个定位点：[{ time, latitude, longitude, accuracy }]
+const simulateRoute = (speed, seconds, seed = 7) => {
+    const simulator = createRouteSimulator({ random: seededRandom(seed) });
+    return Array.from({ length: seconds + 1 }, (_, time) => ({ time, ...simulator.next(speed, time === 0 ? 0 : 1) }));
+};
+
+const ORIGIN = { latitude: 39.99, longitude: 116.39 };
+const METERS_PER_DEGREE_LATITUDE = 111195;
+// 从起点向北 meters 米
+const north = (meters, time, accuracy = 5) => ({
+    time,
+    latitude: ORIGIN.latitude + meters / METERS_PER_DEGREE_LATITUDE,
+    longitude: ORIGIN.longitude,
+    accuracy
+});
+
+describe('getDistanceBetween', () => {
+    it('measures great-circle distances in meters', () => {
+        expect(getDistanceBetween(ORIGIN, ORIGIN)).toBe(0);
+        expect(getDistanceBetween(north(0, 0), north(100, 0))).toBeCloseTo(100, 1);
+        expect(getDistanceBetween({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(111195, -1);
+    });
+});
+
+describe('createDistanceTracker', () => {
+    it('uses the first accurate position as the starting point', () => {
+        const tracker = createDistanceTracker();
+        expect(tracker.push(north(0, 0, MAX_ACCURACY + 1))).toBe(false);
+        expect(tracker.push(north(0, 1))).toBe(true);
+        expect(tracker.push(north(10, 3))).toBe(true);
+        expect(tracker.getDistance()).toBeCloseTo(10, 1);
+    });
+
+    it('drops inaccurate positions, jumps and malformed readings', () => {
+        const tracker = createDistanceTracker();
+        tracker.push(north(0, 0));
+        expect(tracker.push(north(8, 2, 50))).toBe(false);
+        // 1 秒跳出 100 米
+        expect(tracker.push(north(100, 3))).toBe(false);
+        expect(tracker.push({ time: 4, latitude: NaN, longitude: 0, accuracy: 5 })).toBe(false);
+        expect(tracker.push(north(8, 4))).toBe(true);
+        expect(tracker.getDistance()).toBeCloseTo(8, 1);
+    });
+
+    it('does not turn drift while standing still into distance', () => {
+        const tracker = createDistanceTracker();
+        const random = seededRandom(3);
+        for (let time = 0; time < 120; time++) {
+            tracker.push(north((random() - 0.5) * 6, time, 6));
+        }
+        expect(tracker.getDistance()).toBe(0);
+        const idle = createDistanceTracker();
+        simulateRoute(0, 120).forEach(position => idle.push(position));
+        expect(idle.getDistance()).toBe(0);
+    });
+
+    it('adds up slow movement once it passes the threshold', () => {
+        const tracker = createDistanceTracker();
+        for (let time = 0; time <= 20; time++) tracker.push(north(time, time, 4));
+        // 每秒 1 米，低于阈值的位移累积到 4 米后一次计入
+        expect(tracker.getDistance()).toBeCloseTo(20, 0);
+    });
+
+    it('skips movement during a pause and continues from the initial distance', () => {
+        const tracker = createDistanceTracker({ distance: 1000 });
+        tracker.push(north(0, 0));
+        tracker.push(north(20, 5));
+        tracker.pause();
+        tracker.push(north(500, 100));
+        tracker.push(north(520, 105));
+        expect(tracker.getDistance()).toBeCloseTo(1040, 0);
+    });
+
+    it('reports the current pace over the recent window', () => {
+        const tracker = createDistanceTracker();
+        // 前 60 秒每秒 2.5 米，之后每秒 4 米
+        for (let time = 0; time <= 60; time++) tracker.push(north(time * 2.5, time));
+        expect(tracker.getPace(60)).toBe(400);
+        for (let time = 61; time <= 120; time++) tracker.push(north(150 + (time - 60) * 4, time));
+        expect(tracker.getPace(120)).toBe(250);
+        // 停下后窗口内没有移动
+        expect(tracker.getPace(120 + PACE_WINDOW + 1)).toBe(null);
+    });
+
+    it('has no pace before moving far enough', () => {
+        const tracker = createDistanceTracker();
+        expect(tracker.getPace(0)).toBe(null);
+        tracker.push(north(0, 0));
+        tracker.push(north(5, 2));
+        expect(tracker.getPace(2)).toBe(null);
+    });
+
+    it('measures simulated laps close to the distance actually covered', () => {
+        [['run', 100], ['walk', 100], ['warmup', 200]].forEach(([type, seconds]) => {
+            const tracker = createDistanceTracker();
+            simulateRoute(PHASE_SPEED[type], seconds).forEach(position => tracker.push(position));
+            const expected = PHASE_SPEED[type] * seconds;
+            expect(Math.abs(tracker.getDistance() - expected) / expected).toBeLessThan(0.05);
+            expect(Math.abs(tracker.getPace(seconds) - 1000 / PHASE_SPEED[type]) / (1000 / PHASE_SPEED[type])).toBeLessThan(0.15);
+        });
+    });
+});
+
+describe('pace and phase distance', () => {
+    it('computes average pace and ignores tiny distances', () => {
+        expect(getAveragePace(300, 1000)).toBe(300);
+        expect(getAveragePace(60, 5)).toBe(null);
+        expect(getAveragePace(0, 1000)).toBe(null);
+        expect(getAveragePace(3600, 100)).toBe(null);
+    });
+
+    it('tracks distance covered since the phase started', () => {
+        let state = trackPhaseDistance(null, { phaseIndex: 0, distance: 0 });
+        state = trackPhaseDistance(state, { phaseIndex: 0, distance: 150 });
+        expect(state.covered).toBe(150);
+        state = trackPhaseDistance(state, { phaseIndex: 1, distance: 180 });
+        expect(state).toEqual({ phaseIndex: 1, startDistance: 180, covered: 0 });
+        state = trackPhaseDistance(state, { phaseIndex: 1, distance: 230 });
+        expect(state.covered).toBe(50);
+    });
+});
+
+describe('track samples', () => {
+    it('keeps the first point and the last point of each interval', () => {
+        const samples = [0, 2, 4, 6, 9, 12].map(time => ({ time, distance: time * 3.14159, latitude: 39.1234567, longitude: 116.7654321 }));
+        expect(compactTrackSamples(samples)).toEqual([
+            [0, 0, 39.123457, 116.765432],
+            [4, 13, 39.123457, 116.765432],
+            [9, 28, 39.123457, 116.765432],
+            [12, 38, 39.123457, 116.765432]
+        ]);
+    });
+
+    it('summarizes distance and pace within a time range by interpolating', () => {
+        const samples = [[0, 0, 0, 0], [100, 300, 0, 0], [200, 500, 0, 0]];
+        expect(summarizeTrack(samples, 0, 200)).toEqual({ distance: 500, pace: 400 });
+        expect(summarizeTrack(samples, 50, 150)).toEqual({ distance: 250, pace: 400 });
+        expect(summarizeTrack(samples, 300, 400)).toBe(null);
+        expect(summarizeTrack([], 0, 100)).toBe(null);
+    });
+});
+
+describe('connectReplayedPositions', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('replays recorded positions with their original spacing', async () => {
+        vi.useFakeTimers();
+        const recorded = simulateRoute(PHASE_SPEED.run, 30);
+        const received = [];
+        const onDisconnect = vi.fn();
+        await connectReplayedPositions({ positions: recorded, onPosition: position => received.push(position), onDisconnect });
+
+        await vi.advanceTimersByTimeAsync(10_000);
+        expect(received).toHaveLength(11);
+        expect(onDisconnect).not.toHaveBeenCalled();
+
+        // 最后一个点之后断开
+        await vi.advanceTimersByTimeAsync(20_001);
+        expect(received).toHaveLength(31);
+        expect(onDisconnect).toHaveBeenCalledTimes(1);
+        expect(received.map(({ latitude, longitude, accuracy }) => ({ latitude, longitude, accuracy })))
+            .toEqual(recorded.map(({ latitude, longitude, accuracy }) => ({ latitude, longitude, accuracy })));
+    });
+
+    it('gives the same distance as feeding the recording directly, at any speed', async () => {
+        vi.useFakeTimers({ now: 0 });
+        const recorded = simulateRoute(PHASE_SPEED.run, 60);
+        const direct = createDistanceTracker();
+        recorded.forEach(position => direct.push(position));
+
+        const replayed = createDistanceTracker();
+        const connection = await connectReplayedPositions({
+            positions: recorded,
+            speed: 10,
+            onPosition: ({ timestamp, ...position }) => replayed.push({ ...position, time: timestamp / 1000 * 10 }),
+            onDisconnect: () => {}
+        });
+        await vi.advanceTimersByTimeAsync(6_000);
+        expect(replayed.getDistance()).toBeCloseTo(direct.getDistance(), 6);
+        connection.disconnect();
+    });
+
+    it('stops emitting after disconnect', async () => {
+        vi.useFakeTimers();
+        const received = [];
+        const onDisconnect = vi.fn();
+        const connection = await connectReplayedPositions({
+            positions: simulateRoute(PHASE_SPEED.walk, 10),
+            onPosition: position => received.push(position),
+            onDisconnect
+        });
+        await vi.advanceTimersByTimeAsync(2_000);
+        connection.disconnect();
+        connection.disconnect();
+        await vi.advanceTimersByTimeAsync(10_000);
+        expect(received).toHaveLength(3);
+        expect(onDisconnect).toHaveBeenCalledTimes(1);
+    });
+});
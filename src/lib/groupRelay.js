@@ -0,0 +1,143 @@
+// 组队训练的中继：一台设备做主机，其余设备加入同一个房间，主机的训练和计时状态经中继转发给组员
+//
+// 中继只负责转发和报时，不理解训练内容，不依赖浏览器或 Node 的 API：
+// plugins/groupRelay.js 把它挂到开发 / 预览服务器的 WebSocket 上，connectInProcess 在同一进程内直接连接，
+// 用于在没有网络的环境中验证协议。
+//
+// 客户端 → 中继：
+//   { type: 'join', version, room, role: 'host' | 'guest' }  加入房间，每个连接只能加入一次
+//   { type: 'ping', sent }                                  报时请求，sent 为客户端发出时刻（毫秒）
+//   { type: 'state', state }                                主机广播的状态，中继保存最新一份并转发给组员
+// 中继 → 客户端：
+//   { type: 'joined', room, role }
+//   { type: 'pong', sent, time }                            time 为中继收到请求时的时刻
+//   { type: 'room', hostPresent, memberCount }              房间成员变化
+//   { type: 'state', state }                                组员加入时立即收到最新状态
+//   { type: 'error', code }                                 'version' | 'invalidRoom' | 'hostTaken' | 'notJoined' | 'notHost' | 'invalidMessage'
+
+export const GROUP_PROTOCOL_VERSION = 1;
+export const GROUP_RELAY_PATH = '/group';
+export const MAX_ROOM_CODE_LENGTH = 32;
+
+export const isValidRoomCode = (room) =>
+    typeof room === 'string' && room.length > 0 && room.length <= MAX_ROOM_CODE_LENGTH && /^[A-Za-z0-9_-]+$/.test(room);
+
+export const createGroupRelay = ({ now = Date.now } = {}) => {
+    const rooms = new Map(); // room -> { host, guests: Set, state }
+
+    const broadcastRoom = (room) => {
+        const entry = rooms.get(room);
+        const message = {
+            type: 'room',
+            hostPresent: entry.host !== null,
+            memberCount: entry.guests.size + (entry.host ? 1 : 0)
+        };
+        if (entry.host) entry.host.send(message);
+        entry.guests.forEach(guest => guest.send(message));
+    };
+
+    const join = (client, { version, room, role }) => {
+        if (version !== GROUP_PROTOCOL_VERSION) return client.send({ type: 'error', code: 'version' });
+        if (client.room !== null) return client.send({ type: 'error', code: 'invalidMessage' });
+        if (!isValidRoomCode(room) || (role !== 'host' && role !== 'guest')) {
+            return client.send({ type: 'error', code: 'invalidRoom' });
+        }
+
+        if (!rooms.has(room)) rooms.set(room, { host: null, guests: new Set(), state: null });
+        const entry = rooms.get(room);
+        if (role === 'host') {
+            if (entry.host) return client.send({ type: 'error', code: 'hostTaken' });
+            entry.host = client;
+        } else {
+            entry.guests.add(client);
+        }
+        client.room = room;
+        client.role = role;
+
+        client.send({ type: 'joined', room, role });
+        if (role === 'guest' && entry.state) client.send({ type: 'state', state: entry.state });
+        broadcastRoom(room);
+    };
+
+    const publish = (client, { state }) => {
+        if (client.room === null) return client.send({ type: 'error', code: 'notJoined' });
+        if (client.role !== 'host') return client.send({ type: 'error', code: 'notHost' });
+        if (!state || typeof state !== 'object') return client.send({ type: 'error', code: 'invalidMessage' });
+
+        const entry = rooms.get(client.room);
+        entry.state = state;
+        entry.guests.forEach(guest => guest.send({ type: 'state', state }));
+    };
+
+    const receive = (client, message) => {
+        switch (message?.type) {
+            case 'join':
+                return join(client, message);
+            case 'ping':
+                return client.send({ type: 'pong', sent: message.sent, time: now() });
+            case 'state':
+                return publish(client, message);
+            default:
+                return client.send({ type: 'error', code: 'invalidMessage' });
+        }
+    };
+
+    // 房间在最后一人离开时删除；主机离开后保留状态，主机重连后继续
+    const leave = (client) => {
+        const entry = rooms.get(client.room);
+        if (!entry) return;
+        if (entry.host === client) entry.host = null;
+        entry.guests.delete(client);
+        const room = client.room;
+        client.room = null;
+        if (!entry.host && entry.guests.size === 0) {
+            rooms.delete(room);
+        } else {
+            broadcastRoom(room);
+        }
+    };
+
+    // 新连接：send(message) 把消息发给该客户端，返回用于接收消息和断开的句柄
+    const connect = (send) => {
+        const client = { send, room: null, role: null };
+        return {
+            receive: (message) => receive(client, message),
+            disconnect: () => leave(client)
+        };
+    };
+
+    return { connect, getRoomCount: () => rooms.size };
+};
+
+// 进程内的替身连接，接口与 connectWebSocket（见 groupSession.js）相同：
+// 消息经过一次 JSON 往返并异步送达，模拟网络；delay 为单程延迟（毫秒）
+export const connectInProcess = (relay, { delay = 0 } = {}) => (handlers) => {
+    let connection = null;
+    let closed = false;
+    const deliver = (fn) => setTimeout(() => {
+        if (!closed) fn();
+    }, delay);
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        connection?.disconnect();
+        setTimeout(() => handlers.onClose(), delay);
+    };
+
+    deliver(() => {
+        connection = relay.connect(message => {
+            const copy = JSON.parse(JSON.stringify(message));
+            deliver(() => handlers.onMessage(copy));
+        });
+        handlers.onOpen();
+    });
+
+    return {
+        send: (message) => {
+            const copy = JSON.parse(JSON.stringify(message));
+            deliver(() => connection.receive(copy));
+        },
+        close
+    };
+};
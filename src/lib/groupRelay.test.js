@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { createGroupRelay, isValidRoomCode, GROUP_PROTOCOL_VERSION } from './groupRelay';
+
+// 直接连到中继的测试客户端，收到的消息按顺序记录
+const createClient = (relay) => {
+    const messages = [];
+    const connection = relay.connect(message => messages.push(message));
+    return {
+        messages,
+        send: connection.receive,
+        disconnect: connection.disconnect,
+        join: (room, role) => connection.receive({ type: 'join', version: GROUP_PROTOCOL_VERSION, room, role }),
+        last: (type) => messages.filter(message => message.type === type).pop(),
+        clear: () => messages.splice(0)
+    };
+};
+
+describe('isValidRoomCode', () => {
+    it('accepts short codes of letters, digits, _ and -', () => {
+        expect(isValidRoomCode('AB23')).toBe(true);
+        expect(isValidRoomCode('team_run-1')).toBe(true);
+        expect(isValidRoomCode('')).toBe(false);
+        expect(isValidRoomCode('a b')).toBe(false);
+        expect(isValidRoomCode('x'.repeat(33))).toBe(false);
+        expect(isValidRoomCode(42)).toBe(false);
+    });
+});
+
+describe('createGroupRelay', () => {
+    it('joins a host and guests to a room and reports the members', () => {
+        const relay = createGroupRelay();
+        const host = createClient(relay);
+        host.join('AB23', 'host');
+        expect(host.messages).toEqual([
+            { type: 'joined', room: 'AB23', role: 'host' },
+            { type: 'room', hostPresent: true, memberCount: 1 }
+        ]);
+
+        const guest = createClient(relay);
+        guest.join('AB23', 'guest');
+        expect(guest.messages).toEqual([
+            { type: 'joined', room: 'AB23', role: 'guest' },
+            { type: 'room', hostPresent: true, memberCount: 2 }
+        ]);
+        expect(host.last('room')).toEqual({ type: 'room', hostPresent: true, memberCount: 2 });
+        expect(relay.getRoomCount()).toBe(1);
+    });
+
+    it('allows only one host per room', () => {
+        const relay = createGroupRelay();
+        createClient(relay).join('AB23', 'host');
+        const second = createClient(relay);
+        second.join('AB23', 'host');
+        expect(second.messages).toEqual([{ type: 'error', code: 'hostTaken' }]);
+
+        // 其他房间不受影响
+        const other = createClient(relay);
+        other.join('CD45', 'host');
+        expect(other.last('joined')).toEqual({ type: 'joined', room: 'CD45', role: 'host' });
+    });
+
+    it('rejects other protocol versions, invalid rooms and repeated joins', () => {
+        const relay = createGroupRelay();
+        const client = createClient(relay);
+        client.send({ type: 'join', version: GROUP_PROTOCOL_VERSION + 1, room: 'AB23', role: 'host' });
+        client.join('bad room', 'guest');
+        client.join('AB23', 'admin');
+        client.join('AB23', 'guest');
+        client.join('AB23', 'guest');
+        expect(client.messages.filter(message => message.type === 'error').map(message => message.code))
+            .toEqual(['version', 'invalidRoom', 'invalidRoom', 'invalidMessage']);
+    });
+
+    it('relays the host state to guests and replays the latest state to late joiners', () => {
+        const relay = createGroupRelay();
+        const host = createClient(relay);
+        const guest = createClient(relay);
+        host.join('AB23', 'host');
+        guest.join('AB23', 'guest');
+
+        host.send({ type: 'state', state: { revision: 1, status: 'running' } });
+        host.send({ type: 'state', state: { revision: 1, status: 'paused' } });
+        expect(guest.messages.filter(message => message.type === 'state')).toEqual([
+            { type: 'state', state: { revision: 1, status: 'running' } },
+            { type: 'state', state: { revision: 1, status: 'paused' } }
+        ]);
+        expect(host.last('state')).toBeUndefined();
+
+        const late = createClient(relay);
+        late.join('AB23', 'guest');
+        expect(late.messages[1]).toEqual({ type: 'state', state: { revision: 1, status: 'paused' } });
+    });
+
+    it('only accepts state from the joined host', () => {
+        const relay = createGroupRelay();
+        const stranger = createClient(relay);
+        stranger.send({ type: 'state', state: {} });
+        const guest = createClient(relay);
+        guest.join('AB23', 'guest');
+        guest.send({ type: 'state', state: {} });
+        const host = createClient(relay);
+        host.join('AB23', 'host');
+        host.send({ type: 'state', state: null });
+        host.send({ type: 'hello' });
+
+        expect(stranger.last('error')).toEqual({ type: 'error', code: 'notJoined' });
+        expect(guest.last('error')).toEqual({ type: 'error', code: 'notHost' });
+        expect(host.messages.filter(message => message.type === 'error').map(message => message.code))
+            .toEqual(['invalidMessage', 'invalidMessage']);
+        expect(guest.last('state')).toBeUndefined();
+    });
+
+    it('answers pings with the relay time', () => {
+        let time = 5000;
+        const relay = createGroupRelay({ now: () => time });
+        const client = createClient(relay);
+        client.send({ type: 'ping', sent: 123 });
+        time = 6000;
+        client.send({ type: 'ping', sent: 456 });
+        expect(client.messages).toEqual([
+            { type: 'pong', sent: 123, time: 5000 },
+            { type: 'pong', sent: 456, time: 6000 }
+        ]);
+    });
+
+    it('keeps the room and its state while the host reconnects, and removes it when everyone leaves', () => {
+        const relay = createGroupRelay();
+        const host = createClient(relay);
+        const guest = createClient(relay);
+        host.join('AB23', 'host');
+        guest.join('AB23', 'guest');
+        host.send({ type: 'state', state: { revision: 3 } });
+
+        host.disconnect();
+        expect(guest.last('room')).toEqual({ type: 'room', hostPresent: false, memberCount: 1 });
+
+        const again = createClient(relay);
+        again.join('AB23', 'host');
+        expect(guest.last('room')).toEqual({ type: 'room', hostPresent: true, memberCount: 2 });
+        const late = createClient(relay);
+        late.join('AB23', 'guest');
+        expect(late.last('state')).toEqual({ type: 'state', state: { revision: 3 } });
+
+        [again, guest, late].forEach(client => client.disconnect());
+        expect(relay.getRoomCount()).toBe(0);
+    });
+});
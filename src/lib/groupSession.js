@@ -0,0 +1,191 @@
+// 组队训练的客户端：加入中继房间并报时校准时钟；主机广播训练和计时状态，组员接收后换算为本机时钟
+//
+// connect(handlers) 建立连接并返回 { send(message), close() }，handlers 为 { onOpen, onMessage, onClose }：
+// 浏览器中用 connectWebSocket(url)，进程内验证用 connectInProcess(relay)（见 groupRelay.js）。
+//
+// 广播的状态为 { revision, workout, phases, status, elapsed, at }：at 时刻计时处于 status、已用 elapsed 秒，
+// revision 在训练或阶段列表变化时递增。状态只在变化时广播，组员据此推算之后的计时，
+// 因此中途加入的组员也能接上进行中的训练。at 发送前换算为中继时钟，组员收到后再换算回本机时钟。
+
+import { GROUP_PROTOCOL_VERSION, GROUP_RELAY_PATH } from './groupRelay';
+import { createClockSample, addClockSample, estimateClockOffset } from './clockSync';
+import { flattenWorkout, sanitizeWorkout, validateWorkout } from './workout';
+import { isValidPhaseList } from './liveEdit';
+
+// 加入后先连续报时几次，尽快得到可靠的偏差估计，之后定期报时跟踪时钟漂移
+const SYNC_BURST_COUNT = 5;
+const SYNC_BURST_INTERVAL = 200; // ms
+const SYNC_INTERVAL = 5000; // ms
+// 偏差估计变化超过该值时重新发送 / 换算状态，让组员重新对齐
+export const REALIGN_THRESHOLD = 15; // ms
+const RECONNECT_DELAY = 2000; // ms
+// 重连也无法解决的错误，收到后直接结束
+const FATAL_ERRORS = ['version', 'invalidRoom', 'hostTaken'];
+
+// 4 位房间码，去掉容易看错的 0 / O / 1 / I
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const createRoomCode = () =>
+    Array.from({ length: 4 }, () => ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)]).join('');
+
+// 默认使用提供本页面的开发 / 预览服务器上的中继
+export const getDefaultRelayUrl = (location = window.location) =>
+    `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}${GROUP_RELAY_PATH}`;
+
+const TIMER_STATUSES = ['idle', 'running', 'paused', 'finished'];
+
+// 检查组员收到的状态：训练按分享链接的规则整理，阶段列表不完整时按训练重新展开；不合法时返回 null
+export const parseGroupState = (state) => {
+    if (!state || !TIMER_STATUSES.includes(state.status)) return null;
+    if (![state.revision, state.elapsed, state.at].every(Number.isFinite)) return null;
+    const workout = sanitizeWorkout(state.workout);
+    if (validateWorkout(workout).length > 0) return null;
+    const phases = isValidPhaseList(state.phases) ? state.phases : flattenWorkout(workout);
+    return { revision: state.revision, workout, phases, status: state.status, elapsed: state.elapsed, at: state.at };
+};
+
+export const connectWebSocket = (url) => (handlers) => {
+    const socket = new WebSocket(url);
+    socket.onopen = () => handlers.onOpen();
+    socket.onmessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            console.warn('Ignoring malformed group message');
+            return;
+        }
+        handlers.onMessage(message);
+    };
+    socket.onclose = () => handlers.onClose();
+
+    return {
+        send: (message) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        },
+        close: () => socket.close()
+    };
+};
+
+// role: 'host' | 'guest'；onState(state) 只对组员调用，state.at 已换算为本机时钟；
+// onStatus 在连接、成员或时钟估计变化时调用。定时器可以注入，方便用假时钟验证
+export const createGroupSession = ({
+    connect,
+    room,
+    role,
+    onState = () => {},
+    onStatus = () => {},
+    now = Date.now,
+    timers = { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) }
+}) => {
+    let transport = null;
+    let status = 'connecting'; // 'connecting' | 'connected' | 'reconnecting' | 'closed'
+    let error = null;
+    let hostPresent = false;
+    let memberCount = 0;
+    let samples = [];
+    let clock = null; // { offset, uncertainty }
+    let pingCount = 0;
+    let pingTimer = null;
+    let reconnectTimer = null;
+    let localState = null; // 主机最近一次广播的状态（本机时钟）
+    let remoteState = null; // 组员最近收到的状态（中继时钟）
+
+    const getStatus = () => ({ status, role, room, error, hostPresent, memberCount, clock });
+    const notify = () => onStatus(getStatus());
+
+    const ping = () => {
+        transport.send({ type: 'ping', sent: now() });
+        pingCount++;
+        pingTimer = timers.setTimeout(ping, pingCount < SYNC_BURST_COUNT ? SYNC_BURST_INTERVAL : SYNC_INTERVAL);
+    };
+
+    // 主机的状态要等有了时钟估计才能换算为中继时钟
+    const sendState = () => {
+        if (role !== 'host' || !localState || !clock || status !== 'connected') return;
+        transport.send({ type: 'state', state: { ...localState, at: localState.at + clock.offset } });
+    };
+
+    const emitState = () => {
+        if (role !== 'guest' || !remoteState || !clock) return;
+        onState({ ...remoteState, at: remoteState.at - clock.offset });
+    };
+
+    const leave = () => {
+        if (status === 'closed') return;
+        status = 'closed';
+        timers.clearTimeout(pingTimer);
+        timers.clearTimeout(reconnectTimer);
+        transport?.close();
+        notify();
+    };
+
+    const handleMessage = (message) => {
+        switch (message?.type) {
+            case 'joined':
+                status = 'connected';
+                error = null;
+                pingCount = 0;
+                ping();
+                // 重连后补发，中继据此恢复房间状态
+                sendState();
+                notify();
+                break;
+            case 'pong': {
+                if (typeof message.sent !== 'number' || typeof message.time !== 'number') return;
+                samples = addClockSample(samples, createClockSample(message, now()));
+                const previous = clock;
+                clock = estimateClockOffset(samples);
+                if (!previous || Math.abs(clock.offset - previous.offset) > REALIGN_THRESHOLD) {
+                    sendState();
+                    emitState();
+                }
+                notify();
+                break;
+            }
+            case 'room':
+                hostPresent = Boolean(message.hostPresent);
+                memberCount = Number(message.memberCount) || 0;
+                notify();
+                break;
+            case 'state':
+                remoteState = message.state;
+                emitState();
+                break;
+            case 'error':
+                error = message.code;
+                if (FATAL_ERRORS.includes(message.code)) {
+                    leave();
+                } else {
+                    notify();
+                }
+                break;
+            default:
+                break;
+        }
+    };
+
+    // 意外断开后自动重连，计时在本机继续
+    const open = () => {
+        transport = connect({
+            onOpen: () => transport.send({ type: 'join', version: GROUP_PROTOCOL_VERSION, room, role }),
+            onMessage: handleMessage,
+            onClose: () => {
+                timers.clearTimeout(pingTimer);
+                if (status === 'closed') return;
+                status = 'reconnecting';
+                notify();
+                reconnectTimer = timers.setTimeout(open, RECONNECT_DELAY);
+            }
+        });
+    };
+
+    // 主机：广播训练和计时状态，state.at 为本机时刻
+    const publish = (state) => {
+        localState = state;
+        sendState();
+    };
+
+    open();
+
+    return { role, room, publish, leave, getStatus };
+};
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createGroupRelay, connectInProcess } from './groupRelay';
+import { createGroupSession, parseGroupState } from './groupSession';
+import { createTimerEngine } from './timerEngine';
+import { createIntervalWorkout, flattenWorkout } from './workout';
+
+const LATENCY = 25; // ms，单程
+const HOST_SKEW = 5000; // 主机时钟比中继快 5 秒
+const GUEST_SKEW = -3000; // 组员时钟比中继慢 3 秒
+
+const workout = createIntervalWorkout({ runTime: 60, walkTime: 30, cycles: 3, cadence: 180 }, 'Group');
+const phases = flattenWorkout(workout);
+
+// 中继和两台时钟不一致的设备，都在同一个进程内，经假定时器通信
+const setupGroup = () => {
+    const relay = createGroupRelay({ now: () => Date.now() });
+    const connect = connectInProcess(relay, { delay: LATENCY });
+    const hostNow = () => Date.now() + HOST_SKEW;
+    const guestNow = () => Date.now() + GUEST_SKEW;
+    const guestStates = [];
+    const host = createGroupSession({ connect, room: 'AB23', role: 'host', now: hostNow });
+    const guest = createGroupSession({ connect, room: 'AB23', role: 'guest', now: guestNow, onState: state => guestStates.push(state) });
+    return { relay, connect, host, guest, hostNow, guestNow, guestStates };
+};
+
+// 组员按 App 的做法把收到的状态对齐到本机计时引擎
+const followState = (engine, state, now) => {
+    const parsed = parseGroupState(state);
+    if (engine.getPhases() !== parsed.phases && engine.getStatus() === 'idle') engine.load(parsed.phases);
+    const elapsed = parsed.elapsed + (parsed.status === 'running' ? (now - parsed.at) / 1000 : 0);
+    return engine.align(now, elapsed, parsed.status === 'running');
+};
+
+describe('group session over the in-process relay', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ now: 1_700_000_000_000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('joins the room and estimates each device clock offset to the relay', async () => {
+        const { host, guest } = setupGroup();
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect(host.getStatus()).toMatchObject({ status: 'connected', role: 'host', hostPresent: true, memberCount: 2 });
+        expect(guest.getStatus()).toMatchObject({ status: 'connected', role: 'guest', hostPresent: true, memberCount: 2 });
+        expect(host.getStatus().clock).toEqual({ offset: -HOST_SKEW, uncertainty: LATENCY });
+        expect(guest.getStatus().clock).toEqual({ offset: -GUEST_SKEW, uncertainty: LATENCY });
+    });
+
+    it('delivers the host state converted to the guest clock', async () => {
+        const { host, hostNow, guestNow, guestStates } = setupGroup();
+        await vi.advanceTimersByTimeAsync(2000);
+
+        const at = hostNow();
+        host.publish({ revision: 1, workout, phases, status: 'running', elapsed: 12.5, at });
+        await vi.advanceTimersByTimeAsync(100);
+
+        expect(guestStates).toHaveLength(1);
+        // 同一时刻在组员时钟上的读数
+        expect(guestStates[0].at).toBe(at - HOST_SKEW + GUEST_SKEW);
+        expect(guestStates[0].at).toBe(guestNow() - 100);
+        expect(parseGroupState(guestStates[0])).toMatchObject({ revision: 1, status: 'running', elapsed: 12.5 });
+    });
+
+    it('waits for a clock estimate before sending state published early', async () => {
+        const { host, hostNow, guestStates } = setupGroup();
+        host.publish({ revision: 1, workout, phases, status: 'idle', elapsed: 0, at: hostNow() });
+        expect(guestStates).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(guestStates).toHaveLength(1);
+        expect(guestStates[0].status).toBe('idle');
+    });
+
+    it('keeps the guest timer aligned with the host through start, pause and resume', async () => {
+        const { host, hostNow, guestNow, guestStates } = setupGroup();
+        await vi.advanceTimersByTimeAsync(2000);
+        const hostEngine = createTimerEngine(phases);
+        const guestEngine = createTimerEngine();
+        const publish = (revision) => host.publish({
+            revision,
+            workout,
+            phases,
+            status: hostEngine.getStatus(),
+            elapsed: hostEngine.getElapsed(hostNow()),
+            at: hostNow()
+        });
+        const follow = async () => {
+            await vi.advanceTimersByTimeAsync(100);
+            return followState(guestEngine, guestStates[guestStates.length - 1], guestNow());
+        };
+
+        hostEngine.start(hostNow());
+        publish(1);
+        expect((await follow()).map(event => event.type)).toEqual(['phase']);
+
+        // 各自按本机时钟计时，两边读数一致
+        await vi.advanceTimersByTimeAsync(75_000);
+        hostEngine.tick(hostNow());
+        expect(guestEngine.tick(guestNow()).map(event => event.phaseIndex)).toEqual([1]);
+        expect(guestEngine.getElapsed(guestNow())).toBeCloseTo(hostEngine.getElapsed(hostNow()), 3);
+
+        hostEngine.pause(hostNow());
+        publish(1);
+        await follow();
+        expect(guestEngine.getStatus()).toBe('paused');
+        expect(guestEngine.getElapsed(guestNow())).toBeCloseTo(hostEngine.getElapsed(hostNow()), 3);
+
+        await vi.advanceTimersByTimeAsync(30_000);
+        hostEngine.start(hostNow());
+        publish(1);
+        await follow();
+        await vi.advanceTimersByTimeAsync(20_000);
+        expect(guestEngine.getStatus()).toBe('running');
+        expect(guestEngine.getElapsed(guestNow())).toBeCloseTo(hostEngine.getElapsed(hostNow()), 3);
+        expect(guestEngine.getElapsed(guestNow())).toBeCloseTo(95.2, 3);
+    });
+
+    it('lets a guest that joins mid-workout pick up the running session', async () => {
+        const { relay, connect, host, hostNow } = setupGroup();
+        await vi.advanceTimersByTimeAsync(2000);
+        const hostEngine = createTimerEngine(phases);
+        hostEngine.start(hostNow());
+        host.publish({ revision: 1, workout, phases, status: 'running', elapsed: 0, at: hostNow() });
+        await vi.advanceTimersByTimeAsync(100_000);
+
+        const lateNow = () => Date.now() + 12_345;
+        const lateStates = [];
+        createGroupSession({ connect, room: 'AB23', role: 'guest', now: lateNow, onState: state => lateStates.push(state) });
+        await vi.advanceTimersByTimeAsync(1000);
+
+        const lateEngine = createTimerEngine();
+        const events = followState(lateEngine, lateStates[lateStates.length - 1], lateNow());
+        expect(events.map(event => event.phaseIndex)).toEqual([2]);
+        expect(lateEngine.getElapsed(lateNow())).toBeCloseTo(hostEngine.getElapsed(hostNow()), 3);
+        expect(relay.getRoomCount()).toBe(1);
+    });
+
+    it('closes with an error when the room already has a host', async () => {
+        const { connect } = setupGroup();
+        const statuses = [];
+        const second = createGroupSession({ connect, room: 'AB23', role: 'host', onStatus: status => statuses.push(status) });
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect(second.getStatus()).toMatchObject({ status: 'closed', error: 'hostTaken' });
+        expect(statuses[statuses.length - 1].status).toBe('closed');
+    });
+
+    it('tells guests when the host leaves and empties the relay when everyone has left', async () => {
+        const { relay, host, guest } = setupGroup();
+        await vi.advanceTimersByTimeAsync(2000);
+
+        host.leave();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(host.getStatus().status).toBe('closed');
+        expect(guest.getStatus()).toMatchObject({ hostPresent: false, memberCount: 1 });
+
+        guest.leave();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(relay.getRoomCount()).toBe(0);
+    });
+});
+
+describe('parseGroupState', () => {
+    const valid = { revision: 2, workout, phases, status: 'paused', elapsed: 30, at: 1000 };
+
+    it('accepts a valid state', () => {
+        expect(parseGroupState(valid)).toEqual(valid);
+    });
+
+    it('rejects unknown statuses, missing numbers and invalid workouts', () => {
+        expect(parseGroupState(null)).toBe(null);
+        expect(parseGroupState({ ...valid, status: 'exploded' })).toBe(null);
+        expect(parseGroupState({ ...valid, at: 'now' })).toBe(null);
+        expect(parseGroupState({ ...valid, workout: { segments: [] } })).toBe(null);
+    });
+
+    it('rebuilds the phase list from the workout when it is malformed', () => {
+        expect(parseGroupState({ ...valid, phases: [{ start: 'x' }] }).phases).toEqual(phases);
+    });
+});
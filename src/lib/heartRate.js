@@ -0,0 +1,183 @@
+// 心率（纯函数）：解析蓝牙心率测量数据、心率区间、分段的心率结束条件和心率采样统计
+//
+// 心率测量（Heart Rate Service 0x180D 的特征 0x2A37）格式，多字节数值均为小端序：
+//   flags (uint8)
+//     bit 0    心率值为 uint16（否则为 uint8）
+//     bit 1-2  传感器接触状态：bit 2 表示支持检测，bit 1 表示已接触皮肤
+//     bit 3    带有累计消耗能量 uint16（kJ）
+//     bit 4    带有 RR 间期 uint16 列表（单位 1/1024 秒）
+//   之后依次为心率值、能量、RR 间期。
+//
+// 分段的心率结束条件 until: { direction: 'reach' | 'below', zone }
+//   reach  心率达到该区间（不低于区间下限）时结束
+//   below  心率降到该区间以下（低于区间下限）时结束
+// 分段的 duration 仍然有效，作为时长上限；没有连接心率带时按时长结束。
+
+import { t } from './i18n';
+
+export const HEART_RATE_SERVICE = 0x180d;
+export const HEART_RATE_MEASUREMENT = 0x2a37;
+
+const FLAG_UINT16 = 0x01;
+const FLAG_CONTACT_DETECTED = 0x02;
+const FLAG_CONTACT_SUPPORTED = 0x04;
+const FLAG_ENERGY = 0x08;
+const FLAG_RR_INTERVALS = 0x10;
+
+// 返回 { bpm, contactDetected, energyExpended, rrIntervals }；
+// 不支持接触检测时 contactDetected 为 null，RR 间期单位为秒
+export const parseHeartRateMeasurement = (view) => {
+    const length = view.byteLength;
+    if (length < 2) throw new Error(t('heartRate.truncated'));
+
+    const flags = view.getUint8(0);
+    let offset = 1;
+    let bpm;
+    if (flags & FLAG_UINT16) {
+        if (length < 3) throw new Error(t('heartRate.truncated'));
+        bpm = view.getUint16(offset, true);
+        offset += 2;
+    } else {
+        bpm = view.getUint8(offset);
+        offset += 1;
+    }
+
+    let energyExpended = null;
+    if (flags & FLAG_ENERGY) {
+        if (offset + 2 > length) throw new Error(t('heartRate.truncated'));
+        energyExpended = view.getUint16(offset, true);
+        offset += 2;
+    }
+
+    const rrIntervals = [];
+    if (flags & FLAG_RR_INTERVALS) {
+        for (; offset + 2 <= length; offset += 2) {
+            rrIntervals.push(view.getUint16(offset, true) / 1024);
+        }
+    }
+
+    return {
+        bpm,
+        contactDetected: flags & FLAG_CONTACT_SUPPORTED ? Boolean(flags & FLAG_CONTACT_DETECTED) : null,
+        energyExpended,
+        rrIntervals
+    };
+};
+
+// parseHeartRateMeasurement 的逆操作，供模拟设备生成数据
+export const encodeHeartRateMeasurement = ({ bpm, contactDetected = null, energyExpended = null, rrIntervals = [] }) => {
+    const wide = bpm > 255;
+    let flags = wide ? FLAG_UINT16 : 0;
+    if (contactDetected !== null) flags |= FLAG_CONTACT_SUPPORTED | (contactDetected ? FLAG_CONTACT_DETECTED : 0);
+    if (energyExpended !== null) flags |= FLAG_ENERGY;
+    if (rrIntervals.length > 0) flags |= FLAG_RR_INTERVALS;
+
+    const view = new DataView(new ArrayBuffer(1 + (wide ? 2 : 1) + (energyExpended !== null ? 2 : 0) + rrIntervals.length * 2));
+    view.setUint8(0, flags);
+    let offset = 1;
+    if (wide) {
+        view.setUint16(offset, bpm, true);
+        offset += 2;
+    } else {
+        view.setUint8(offset, bpm);
+        offset += 1;
+    }
+    if (energyExpended !== null) {
+        view.setUint16(offset, energyExpended, true);
+        offset += 2;
+    }
+    rrIntervals.forEach(interval => {
+        view.setUint16(offset, Math.round(interval * 1024), true);
+        offset += 2;
+    });
+    return view;
+};
+
+// 按最大心率百分比划分的 5 个区间，min 为区间下限；name 随界面语言变化
+const zone = (info) => ({
+    ...info,
+    get name() { return t(`heartRate.zones.${info.zone}`); }
+});
+
+export const HEART_RATE_ZONES = [
+    zone({ zone: 1, min: 0.5, color: 'text-blue-300' }),
+    zone({ zone: 2, min: 0.6, color: 'text-green-300' }),
+    zone({ zone: 3, min: 0.7, color: 'text-yellow-300' }),
+    zone({ zone: 4, min: 0.8, color: 'text-orange-300' }),
+    zone({ zone: 5, min: 0.9, color: 'text-red-300' })
+];
+
+export const MAX_HEART_RATE_RANGE = { min: 120, max: 230 };
+export const DEFAULT_HEART_RATE_SETTINGS = { maxHeartRate: 190 };
+
+export const sanitizeHeartRateSettings = (data) => {
+    const value = data?.maxHeartRate;
+    return {
+        maxHeartRate: Number.isInteger(value) && value >= MAX_HEART_RATE_RANGE.min && value <= MAX_HEART_RATE_RANGE.max
+            ? value
+            : DEFAULT_HEART_RATE_SETTINGS.maxHeartRate
+    };
+};
+
+export const getZoneLowerBound = (zone, maxHeartRate) => Math.round(HEART_RATE_ZONES[zone - 1].min * maxHeartRate);
+
+// 心率所在的区间（1-5），低于 1 区下限时为 0
+export const getHeartRateZone = (bpm, maxHeartRate) => HEART_RATE_ZONES.reduce(
+    (current, { zone }) => (bpm >= getZoneLowerBound(zone, maxHeartRate) ? zone : current),
+    0
+);
+
+export const END_CONDITION_DIRECTIONS = ['reach', 'below'];
+// 条件需持续满足的秒数，避免单次读数抖动提前结束分段
+export const CONDITION_HOLD_SECONDS = 3;
+
+export const isValidEndCondition = (until) => Boolean(until)
+    && END_CONDITION_DIRECTIONS.includes(until.direction)
+    && Number.isInteger(until.zone) && until.zone >= 1 && until.zone <= HEART_RATE_ZONES.length;
+
+export const sanitizeEndCondition = (until) => (isValidEndCondition(until)
+    ? { direction: until.direction, zone: until.zone }
+    : null);
+
+export const describeEndCondition = (until) => t(`heartRate.${until.direction}`, { zone: until.zone });
+
+export const isEndConditionMet = (until, bpm, maxHeartRate) => {
+    const bound = getZoneLowerBound(until.zone, maxHeartRate);
+    return until.direction === 'reach' ? bpm >= bound : bpm < bound;
+};
+
+// 跟踪结束条件持续满足的时间；state 为上次的返回值（初始为 null），换阶段后重新计时。
+// 返回 { phaseIndex, metSince, done }，done 为 true 时应结束该阶段
+export const trackEndCondition = (state, { phaseIndex, met, time }) => {
+    if (!met) return { phaseIndex, metSince: null, done: false };
+    const metSince = state?.phaseIndex === phaseIndex && state.metSince !== null ? state.metSince : time;
+    return { phaseIndex, metSince, done: time - metSince >= CONDITION_HOLD_SECONDS };
+};
+
+// 保存到训练记录的心率采样按该间隔取平均，控制记录体积
+export const HEART_RATE_SAMPLE_INTERVAL = 5; // seconds
+
+// samples: [{ time, bpm }]（time 为训练已用秒数）→ [[time, bpm]]，每个时间段取一个平均值
+export const compactHeartRateSamples = (samples, interval = HEART_RATE_SAMPLE_INTERVAL) => {
+    const buckets = new Map();
+    samples.forEach(({ time, bpm }) => {
+        const key = Math.floor(time / interval) * interval;
+        const bucket = buckets.get(key) || { sum: 0, count: 0 };
+        bucket.sum += bpm;
+        bucket.count += 1;
+        buckets.set(key, bucket);
+    });
+    return [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([time, { sum, count }]) => [time, Math.round(sum / count)]);
+};
+
+// [from, to) 时间段内采样（[[time, bpm]]）的平均和最高心率；没有采样时返回 null
+export const summarizeHeartRate = (samples, from = 0, to = Infinity) => {
+    const values = samples.filter(([time]) => time >= from && time < to).map(([, bpm]) => bpm);
+    if (values.length === 0) return null;
+    return {
+        average: Math.round(values.reduce((sum, bpm) => sum + bpm, 0) / values.length),
+        max: Math.max(...values)
+    };
+};
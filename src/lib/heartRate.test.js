@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseHeartRateMeasurement,
+    encodeHeartRateMeasurement,
+    getHeartRateZone,
+    getZoneLowerBound,
+    isEndConditionMet,
+    trackEndCondition,
+    compactHeartRateSamples,
+    summarizeHeartRate,
+    CONDITION_HOLD_SECONDS
+} from './heartRate';
+import { createHeartRateSimulator, PHASE_INTENSITY } from './heartRateSimulator';
+
+const bytes = (...values) => new DataView(Uint8Array.from(values).buffer);
+
+describe('parseHeartRateMeasurement', () => {
+    it('reads a uint8 heart rate without optional fields', () => {
+        expect(parseHeartRateMeasurement(bytes(0x00, 72))).toEqual({
+            bpm: 72, contactDetected: null, energyExpended: null, rrIntervals: []
+        });
+    });
+
+    it('reads a little-endian uint16 heart rate, contact, energy and RR intervals', () => {
+        // flags = uint16 | 已接触 | 支持接触检测 | 能量 | RR；心率 300，能量 513 kJ，RR 1024/1024 和 512/1024 秒
+        const view = bytes(0x1f, 0x2c, 0x01, 0x01, 0x02, 0x00, 0x04, 0x00, 0x02);
+        expect(parseHeartRateMeasurement(view)).toEqual({
+            bpm: 300, contactDetected: true, energyExpended: 513, rrIntervals: [1, 0.5]
+        });
+    });
+
+    it('reports lost skin contact when detection is supported', () => {
+        expect(parseHeartRateMeasurement(bytes(0x04, 80)).contactDetected).toBe(false);
+    });
+
+    it('rejects truncated packets', () => {
+        expect(() => parseHeartRateMeasurement(bytes(0x00))).toThrow('心率数据长度不足');
+        expect(() => parseHeartRateMeasurement(bytes(0x01, 0x2c))).toThrow('心率数据长度不足');
+        expect(() => parseHeartRateMeasurement(bytes(0x08, 72, 0x01))).toThrow('心率数据长度不足');
+    });
+
+    it('round-trips measurements produced by encodeHeartRateMeasurement', () => {
+        const measurements = [
+            { bpm: 60, contactDetected: null, energyExpended: null, rrIntervals: [] },
+            { bpm: 185, contactDetected: true, energyExpended: 42, rrIntervals: [0.3251953125] },
+            { bpm: 256, contactDetected: false, energyExpended: null, rrIntervals: [0.25, 0.2490234375] },
+            { bpm: 120, contactDetected: null, energyExpended: 65535, rrIntervals: [] }
+        ];
+        measurements.forEach(measurement => {
+            expect(parseHeartRateMeasurement(encodeHeartRateMeasurement(measurement))).toEqual(measurement);
+        });
+    });
+});
+
+describe('heart rate zones', () => {
+    it('uses percentages of the maximum heart rate as lower bounds', () => {
+        expect([1, 2, 3, 4, 5].map(zone => getZoneLowerBound(zone, 190))).toEqual([95, 114, 133, 152, 171]);
+    });
+
+    it('finds the zone of a heart rate, with 0 below zone 1', () => {
+        expect(getHeartRateZone(94, 190)).toBe(0);
+        expect(getHeartRateZone(95, 190)).toBe(1);
+        expect(getHeartRateZone(151, 190)).toBe(3);
+        expect(getHeartRateZone(152, 190)).toBe(4);
+        expect(getHeartRateZone(200, 190)).toBe(5);
+        expect(getHeartRateZone(152, 200)).toBe(3);
+    });
+
+    it('checks reach and below end conditions against the zone lower bound', () => {
+        expect(isEndConditionMet({ direction: 'reach', zone: 4 }, 152, 190)).toBe(true);
+        expect(isEndConditionMet({ direction: 'reach', zone: 4 }, 151, 190)).toBe(false);
+        expect(isEndConditionMet({ direction: 'below', zone: 2 }, 113, 190)).toBe(true);
+        expect(isEndConditionMet({ direction: 'below', zone: 2 }, 114, 190)).toBe(false);
+    });
+});
+
+describe('trackEndCondition', () => {
+    it('finishes only after the condition holds long enough', () => {
+        let state = null;
+        state = trackEndCondition(state, { phaseIndex: 1, met: true, time: 10 });
+        expect(state).toEqual({ phaseIndex: 1, metSince: 10, done: false });
+        state = trackEndCondition(state, { phaseIndex: 1, met: true, time: 10 + CONDITION_HOLD_SECONDS - 1 });
+        expect(state.done).toBe(false);
+        state = trackEndCondition(state, { phaseIndex: 1, met: true, time: 10 + CONDITION_HOLD_SECONDS });
+        expect(state.done).toBe(true);
+    });
+
+    it('restarts the hold after a reading that misses the condition or a phase change', () => {
+        let state = trackEndCondition(null, { phaseIndex: 1, met: true, time: 10 });
+        state = trackEndCondition(state, { phaseIndex: 1, met: false, time: 11 });
+        expect(state.metSince).toBe(null);
+        state = trackEndCondition(state, { phaseIndex: 1, met: true, time: 12 });
+        expect(state.metSince).toBe(12);
+        state = trackEndCondition(state, { phaseIndex: 2, met: true, time: 20 });
+        expect(state).toEqual({ phaseIndex: 2, metSince: 20, done: false });
+    });
+
+    // 用模拟心率带的数据包驱动结束条件，返回分段结束的时刻（秒），没有结束时返回 null
+    const runPhase = (simulator, { phaseIndex, intensity, until, maxHeartRate, limit }) => {
+        let state = null;
+        for (let time = 1; time <= limit; time++) {
+            const { bpm } = parseHeartRateMeasurement(simulator.next(intensity, 1));
+            state = trackEndCondition(state, { phaseIndex, met: isEndConditionMet(until, bpm, maxHeartRate), time });
+            if (state.done) return { time, bpm };
+        }
+        return null;
+    };
+
+    it('ends a run when the simulated heart rate reaches the target zone', () => {
+        // random 固定为 0.5 时没有抖动：心率从 65 按 20 秒时间常数趋近 171，第 34 秒的读数达到 4 区下限 152
+        const simulator = createHeartRateSimulator({ restingHeartRate: 65, maxHeartRate: 190, random: () => 0.5 });
+        const result = runPhase(simulator, {
+            phaseIndex: 0,
+            intensity: PHASE_INTENSITY.run,
+            until: { direction: 'reach', zone: 4 },
+            maxHeartRate: 190,
+            limit: 120
+        });
+        expect(result).toEqual({ time: 34 + CONDITION_HOLD_SECONDS, bpm: expect.any(Number) });
+        expect(getHeartRateZone(result.bpm, 190)).toBe(4);
+    });
+
+    it('ends a recovery walk when the simulated heart rate drops below the zone', () => {
+        const simulator = createHeartRateSimulator({ restingHeartRate: 65, maxHeartRate: 190, random: () => 0.5 });
+        runPhase(simulator, { phaseIndex: 0, intensity: 1, until: { direction: 'reach', zone: 5 }, maxHeartRate: 190, limit: 300 });
+
+        const result = runPhase(simulator, {
+            phaseIndex: 1,
+            intensity: PHASE_INTENSITY.walk,
+            until: { direction: 'below', zone: 2 },
+            maxHeartRate: 190,
+            limit: 300
+        });
+        expect(result).not.toBe(null);
+        expect(result.bpm).toBeLessThan(getZoneLowerBound(2, 190));
+    });
+
+    it('never ends when the target zone is out of reach', () => {
+        const simulator = createHeartRateSimulator({ restingHeartRate: 65, maxHeartRate: 190, random: () => 0.5 });
+        expect(runPhase(simulator, {
+            phaseIndex: 0,
+            intensity: PHASE_INTENSITY.walk,
+            until: { direction: 'reach', zone: 3 },
+            maxHeartRate: 190,
+            limit: 600
+        })).toBe(null);
+    });
+});
+
+describe('heart rate samples', () => {
+    it('averages samples into fixed intervals and summarizes a time range', () => {
+        const samples = compactHeartRateSamples([
+            { time: 0, bpm: 100 }, { time: 2, bpm: 110 }, { time: 5.5, bpm: 150 }, { time: 11, bpm: 160 }
+        ]);
+        expect(samples).toEqual([[0, 105], [5, 150], [10, 160]]);
+        expect(summarizeHeartRate(samples)).toEqual({ average: 138, max: 160 });
+        expect(summarizeHeartRate(samples, 5, 10)).toEqual({ average: 150, max: 150 });
+        expect(summarizeHeartRate(samples, 20)).toBe(null);
+    });
+});
@@ -0,0 +1,64 @@
+// 连接心率带：Web Bluetooth 真实设备，或模拟设备，两者接口相同
+//
+// connect({ onMeasurement, onDisconnect }) → Promise<{ name, disconnect() }>
+// onMeasurement 收到 parseHeartRateMeasurement 的结果；设备断开（含主动断开）时调用 onDisconnect。
+
+import { parseHeartRateMeasurement, HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT } from './heartRate';
+import { createHeartRateSimulator } from './heartRateSimulator';
+import { t } from './i18n';
+
+const SIMULATOR_INTERVAL = 1000; // ms，与多数心率带的发送频率一致
+
+export const isBluetoothSupported = () => Boolean(navigator.bluetooth);
+
+export const connectBluetoothHeartRateMonitor = async ({ onMeasurement, onDisconnect }) => {
+    if (!isBluetoothSupported()) {
+        throw new Error(t('heartRateMonitor.bluetoothUnsupported'));
+    }
+
+    // 弹出系统的设备选择框；用户取消时抛出 NotFoundError
+    const device = await navigator.bluetooth.requestDevice({ filters: [{ services: [HEART_RATE_SERVICE] }] });
+    const handleDisconnect = () => onDisconnect();
+    device.addEventListener('gattserverdisconnected', handleDisconnect);
+
+    const server = await device.gatt.connect();
+    const service = await server.getPrimaryService(HEART_RATE_SERVICE);
+    const characteristic = await service.getCharacteristic(HEART_RATE_MEASUREMENT);
+    const handleValue = (event) => {
+        try {
+            onMeasurement(parseHeartRateMeasurement(event.target.value));
+        } catch (error) {
+            console.warn('Invalid heart rate measurement:', error);
+        }
+    };
+    characteristic.addEventListener('characteristicvaluechanged', handleValue);
+    await characteristic.startNotifications();
+
+    return {
+        name: device.name || t('heartRateMonitor.device'),
+        disconnect: () => {
+            characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+            if (device.gatt.connected) {
+                device.gatt.disconnect(); // 触发 gattserverdisconnected
+            } else {
+                handleDisconnect();
+            }
+        }
+    };
+};
+
+// getIntensity() 返回当前的运动强度（0-1），通常由当前阶段类型决定
+export const connectSimulatedHeartRateMonitor = async ({ onMeasurement, onDisconnect, getIntensity, maxHeartRate }) => {
+    const simulator = createHeartRateSimulator({ maxHeartRate });
+    const timer = setInterval(() => {
+        onMeasurement(parseHeartRateMeasurement(simulator.next(getIntensity(), SIMULATOR_INTERVAL / 1000)));
+    }, SIMULATOR_INTERVAL);
+
+    return {
+        name: t('heartRateMonitor.simulated'),
+        disconnect: () => {
+            clearInterval(timer);
+            onDisconnect();
+        }
+    };
+};
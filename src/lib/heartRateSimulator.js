@@ -0,0 +1,43 @@
+// 模拟心率带（纯逻辑）：心率按运动强度以指数方式趋近目标值，并叠加少量抖动，
+// 输出与真实设备相同的心率测量数据包（DataView），用于在没有硬件时调试心率功能
+//
+// 强度 0-1：0 为静息心率，1 为最大心率。
+
+import { encodeHeartRateMeasurement } from './heartRate';
+
+// 各类分段的默认强度
+export const PHASE_INTENSITY = {
+    warmup: 0.45,
+    run: 0.85,
+    walk: 0.3,
+    cooldown: 0.35
+};
+export const IDLE_INTENSITY = 0.1;
+
+const RESPONSE_TIME = 20; // seconds，心率变化的时间常数
+const JITTER = 2; // bpm
+
+export const createHeartRateSimulator = ({
+    restingHeartRate = 65,
+    maxHeartRate = 190,
+    random = Math.random
+} = {}) => {
+    let bpm = restingHeartRate;
+    let energyExpended = 0;
+
+    // 经过 seconds 秒后的测量数据
+    const next = (intensity, seconds = 1) => {
+        const target = restingHeartRate + Math.min(1, Math.max(0, intensity)) * (maxHeartRate - restingHeartRate);
+        bpm += (target - bpm) * (1 - Math.exp(-seconds / RESPONSE_TIME));
+        energyExpended += seconds * intensity * 0.05;
+        const reading = Math.round(bpm + (random() * 2 - 1) * JITTER);
+        return encodeHeartRateMeasurement({
+            bpm: reading,
+            contactDetected: true,
+            energyExpended: Math.round(energyExpended),
+            rrIntervals: [60 / reading]
+        });
+    };
+
+    return { next };
+};
@@ -0,0 +1,191 @@
+// 训练记录与统计（纯函数）
+//
+// record: {
+//   id, startedAt, endedAt,            // ms 时间戳
+//   workoutName,
+//   plannedPhases, completedPhases,    // 计划 / 完成的阶段数
+//   plannedDuration, duration,         // 秒
+//   runTime, walkTime,                 // 实际完成的跑步 / 步行秒数
+//   cadence: { average, min, max } | null,
+//   heartRate: { average, max, samples: [[time, bpm]] } | null,  // 连接了心率带时记录，samples 每 5 秒一个平均值
+//   track: { distance, pace, samples: [[time, distance, latitude, longitude]] } | null,  // 开启了定位时记录，samples 每 5 秒一个点
+//   laps: [{ type, label, start, duration, cadence, heartRate, distance, pace, trigger }],  // 每个实际进行过的阶段，start 为相对开始的秒数；有渐变时 cadence 为平均步频
+//                                       // distance（米）/ pace（秒/公里）没有轨迹时为 null
+//                                       // trigger 为阶段结束方式：'time' | 'manual'（训练中跳过）| 'heartRate' | 'distance'
+//   aborted
+// }
+
+import { createId, getTotalDuration, getAverageCadence } from './workout';
+import { summarizeHeartRate } from './heartRate';
+import { summarizeTrack } from './gps';
+
+export const MAX_HISTORY_RECORDS = 1000;
+// 短于该时长的训练（例如误触开始后立即重置）不记录
+export const MIN_RECORD_DURATION = 10; // seconds
+
+// 已完成部分与某阶段的重叠秒数
+const completedPart = (phase, elapsed) => Math.max(0, Math.min(phase.end, elapsed) - phase.start);
+
+// heartRateSamples、trackSamples 为 compactHeartRateSamples、compactTrackSamples 的结果
+export const createSessionRecord = ({
+    workoutName,
+    phases,
+    elapsed,
+    aborted,
+    startedAt,
+    endedAt = Date.now(),
+    heartRateSamples = [],
+    trackSamples = []
+}) => {
+    const done = phases.map(phase => ({ phase, seconds: completedPart(phase, elapsed) }));
+    const withCadence = done.filter(({ phase, seconds }) => phase.cadence && seconds > 0);
+    const cadenceValues = withCadence.flatMap(({ phase }) => [phase.cadence, phase.cadenceEnd]).filter(Boolean);
+    const cadenceSeconds = withCadence.reduce((sum, { seconds }) => sum + seconds, 0);
+    const sumByType = (type) => done
+        .filter(({ phase }) => phase.type === type)
+        .reduce((sum, { seconds }) => sum + seconds, 0);
+
+    return {
+        id: createId(),
+        startedAt: startedAt ?? endedAt - elapsed * 1000,
+        endedAt,
+        workoutName: workoutName || '',
+        plannedPhases: phases.length,
+        completedPhases: phases.filter(phase => phase.end <= elapsed).length,
+        plannedDuration: getTotalDuration(phases),
+        duration: Math.round(elapsed),
+        runTime: Math.round(sumByType('run')),
+        walkTime: Math.round(sumByType('walk')),
+        cadence: cadenceSeconds > 0
+            ? {
+                average: Math.round(withCadence.reduce((sum, { phase, seconds }) => sum + getAverageCadence(phase) * seconds, 0) / cadenceSeconds),
+                min: Math.min(...cadenceValues),
+                max: Math.max(...cadenceValues)
+            }
+            : null,
+        heartRate: heartRateSamples.length > 0
+            ? { ...summarizeHeartRate(heartRateSamples), samples: heartRateSamples }
+            : null,
+        track: trackSamples.length > 0
+            ? { ...summarizeTrack(trackSamples, 0, elapsed), samples: trackSamples }
+            : null,
+        laps: done
+            .filter(({ seconds }) => seconds > 0)
+            .map(({ phase, seconds }) => {
+                const track = summarizeTrack(trackSamples, phase.start, phase.start + seconds);
+                return {
+                    type: phase.type,
+                    label: phase.label,
+                    start: phase.start,
+                    duration: Math.round(seconds),
+                    cadence: getAverageCadence(phase),
+                    heartRate: summarizeHeartRate(heartRateSamples, phase.start, phase.start + seconds),
+                    distance: track?.distance ?? null,
+                    pace: track?.pace ?? null,
+                    trigger: phase.endedBy || 'time'
+                };
+            }),
+        aborted: Boolean(aborted)
+    };
+};
+
+// 新记录放在最前，超过上限时丢弃最旧的
+export const addRecord = (records, record) => [record, ...records].slice(0, MAX_HISTORY_RECORDS);
+
+export const deleteRecord = (records, id) => records.filter(record => record.id !== id);
+
+export const sanitizeRecords = (records) => (Array.isArray(records) ? records : []).filter(record =>
+    record
+    && typeof record.id === 'string'
+    && Number.isFinite(record.startedAt)
+    && Number.isFinite(record.duration)
+).map(record => (Array.isArray(record.laps) ? record : { ...record, laps: [] }));
+
+// 本地时区的当天 0 点
+export const startOfDay = (time) => {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+};
+
+// 以周一为一周的开始
+export const startOfWeek = (time) => {
+    const date = new Date(startOfDay(time));
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+};
+
+export const startOfMonth = (time) => {
+    const date = new Date(startOfDay(time));
+    date.setDate(1);
+    return date.getTime();
+};
+
+const addDays = (time, days) => {
+    const date = new Date(time);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+};
+
+const totalsOf = (records) => ({
+    sessions: records.length,
+    completed: records.filter(record => !record.aborted).length,
+    duration: records.reduce((sum, record) => sum + record.duration, 0),
+    runTime: records.reduce((sum, record) => sum + record.runTime, 0),
+    walkTime: records.reduce((sum, record) => sum + record.walkTime, 0)
+});
+
+const recordsBetween = (records, from, to) =>
+    records.filter(record => record.startedAt >= from && record.startedAt < to);
+
+// 至少完成一个阶段的日子才计入连续训练天数
+const trainingDays = (records) => new Set(
+    records.filter(record => record.completedPhases > 0).map(record => startOfDay(record.startedAt))
+);
+
+export const getStreaks = (records, now = Date.now()) => {
+    const days = trainingDays(records);
+
+    // 今天还没练不算中断，从昨天开始往前数
+    let cursor = startOfDay(now);
+    if (!days.has(cursor)) cursor = addDays(cursor, -1);
+    let current = 0;
+    while (days.has(cursor)) {
+        current++;
+        cursor = addDays(cursor, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of [...days].sort((a, b) => a - b)) {
+        run = previous !== null && addDays(previous, 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    }
+
+    return { current, longest };
+};
+
+export const summarizeHistory = (records, now = Date.now()) => {
+    const weekStart = startOfWeek(now);
+    const monthStart = startOfMonth(now);
+    const nextMonth = new Date(monthStart);
+    nextMonth.setMonth(nextMonth.getMonth() + 1);
+
+    return {
+        week: totalsOf(recordsBetween(records, weekStart, addDays(weekStart, 7))),
+        month: totalsOf(recordsBetween(records, monthStart, nextMonth.getTime())),
+        all: totalsOf(records),
+        streaks: getStreaks(records, now)
+    };
+};
+
+// 最近 count 周（含本周）每周的合计，按时间先后排列，用于趋势图
+export const getWeeklyTotals = (records, count = 12, now = Date.now()) => {
+    const thisWeek = startOfWeek(now);
+    return Array.from({ length: count }, (_, i) => {
+        const weekStart = addDays(thisWeek, -7 * (count - 1 - i));
+        return { weekStart, ...totalsOf(recordsBetween(records, weekStart, addDays(weekStart, 7))) };
+    });
+};
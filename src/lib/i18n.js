@@ -0,0 +1,73 @@
+// 界面文字的多语言支持（中文 / English）
+//
+// 各语言的文案在 src/locales 下，键名按模块分组、用点连接（如 'timer.start'）。
+// 值可以是带 {name} 占位符的字符串，也可以是 (params) => 字符串 的函数（英文复数等）。
+//
+// 当前语言是模块级状态：App 切换语言时调用 setLocale 并重新渲染，组件和 lib 中的函数直接调用 t()。
+// 某个语言缺少的键回退到中文；各语言是否齐全由 findMissingKeys 检查（见 i18n.test.js）。
+
+import zhCN from '../locales/zh-CN';
+import enUS from '../locales/en-US';
+
+export const LOCALES = [
+    { id: 'zh-CN', name: '中文', catalog: zhCN },
+    { id: 'en-US', name: 'English', catalog: enUS }
+];
+export const DEFAULT_LOCALE = 'zh-CN';
+
+let currentLocale = DEFAULT_LOCALE;
+
+export const isSupportedLocale = (locale) => LOCALES.some(item => item.id === locale);
+
+// 按浏览器语言偏好选择：先完全匹配（en-US），再匹配语种（en-GB → en-US），都没有时用中文
+export const detectLocale = (languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+    const candidates = languages.filter(Boolean).map(language => language.toLowerCase());
+    for (const language of candidates) {
+        const exact = LOCALES.find(item => item.id.toLowerCase() === language);
+        if (exact) return exact.id;
+        const sameLanguage = LOCALES.find(item => item.id.split('-')[0].toLowerCase() === language.split('-')[0]);
+        if (sameLanguage) return sameLanguage.id;
+    }
+    return DEFAULT_LOCALE;
+};
+
+// 保存的语言设置：null 表示跟随浏览器
+export const sanitizeLocale = (locale) => (isSupportedLocale(locale) ? locale : null);
+
+export const getLocale = () => currentLocale;
+
+export const setLocale = (locale) => {
+    currentLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+};
+
+const getCatalog = (locale) => (LOCALES.find(item => item.id === locale) || LOCALES[0]).catalog;
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// 取 locale 语言中 key 对应的文字，用 params 替换占位符
+export const translate = (locale, key, params = {}) => {
+    let value = lookup(getCatalog(locale), key);
+    if (value === undefined) value = lookup(getCatalog(DEFAULT_LOCALE), key);
+    if (value === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+    if (typeof value === 'function') return value(params);
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+// 当前界面语言的文字
+export const t = (key, params) => translate(currentLocale, key, params);
+
+// 文案树展开后的全部键
+const collectKeys = (node, prefix = '') => Object.entries(node).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return value && typeof value === 'object' ? collectKeys(value, key) : [key];
+});
+
+// 各语言缺少的键（与所有语言键的并集比较）：[{ locale, key }]，为空表示齐全
+export const findMissingKeys = (locales = LOCALES) => {
+    const keySets = locales.map(({ id, catalog }) => ({ id, keys: new Set(collectKeys(catalog)) }));
+    const allKeys = [...new Set(keySets.flatMap(({ keys }) => [...keys]))].sort();
+    return keySets.flatMap(({ id, keys }) => allKeys.filter(key => !keys.has(key)).map(key => ({ locale: id, key })));
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { findMissingKeys, translate, detectLocale } from './i18n';
+
+describe('locale catalogs', () => {
+    it('define every key in every locale', () => {
+        expect(findMissingKeys()).toEqual([]);
+    });
+
+    it('report keys missing from any locale', () => {
+        const locales = [
+            { id: 'a', catalog: { timer: { start: 'Start', pause: 'Pause' }, title: 'A' } },
+            { id: 'b', catalog: { timer: { start: 'Start' }, extra: 'B' } }
+        ];
+        expect(findMissingKeys(locales)).toEqual([
+            { locale: 'a', key: 'extra' },
+            { locale: 'b', key: 'timer.pause' },
+            { locale: 'b', key: 'title' }
+        ]);
+    });
+});
+
+describe('translate', () => {
+    it('fills placeholders and leaves unknown ones untouched', () => {
+        expect(translate('zh-CN', 'validation.repeatTimes', { where: '#1', max: 500 })).toBe('#1: 重复次数必须是 1 到 500 之间的整数');
+        expect(translate('en-US', 'validation.repeatTimes', { where: '#1' })).toBe('#1: repeat count must be an integer from 1 to {max}');
+    });
+
+    it('falls back to Chinese for unsupported locales', () => {
+        expect(translate('fr-FR', 'validation.workout')).toBe('训练');
+    });
+});
+
+describe('detectLocale', () => {
+    it('matches the exact locale first, then the language', () => {
+        expect(detectLocale(['en-US'])).toBe('en-US');
+        expect(detectLocale(['fr-FR', 'en-GB'])).toBe('en-US');
+        expect(detectLocale(['zh-TW'])).toBe('zh-CN');
+        expect(detectLocale(['fr-FR'])).toBe('zh-CN');
+    });
+});
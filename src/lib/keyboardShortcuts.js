@@ -0,0 +1,53 @@
+// 键盘快捷键（纯函数）：把 keydown 事件映射为计时器操作，由 App 统一监听
+//
+// 焦点在输入框、下拉框等表单控件中时不触发，避免和输入冲突；空格落在按钮上时保留按钮自身的点击。
+// 带 Ctrl / Alt / Meta 的组合键和按住不放的自动重复都交给浏览器。
+
+import { t } from './i18n';
+
+// 左方向键：当前阶段开始后这么久以内回到上一段，否则重新开始当前阶段（与播放器的“上一曲”一致）
+export const RESTART_PHASE_THRESHOLD = 3; // seconds
+
+const EDITABLE_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+const CLICKABLE_TAGS = ['BUTTON', 'A', 'SUMMARY'];
+
+// key 为 KeyboardEvent.key（字母统一小写），ariaKey 用于 aria-keyshortcuts，
+// label 为界面上显示的按键名，没有时从文案中读取
+const shortcut = (action, key, ariaKey, label) => ({
+    action,
+    key,
+    ariaKey,
+    get label() { return label ?? t(`shortcuts.keys.${action}`); },
+    get description() { return t(`shortcuts.${action}`); }
+});
+
+export const KEYBOARD_SHORTCUTS = [
+    shortcut('toggle', ' ', 'Space'),
+    shortcut('reset', 'r', 'R', 'R'),
+    shortcut('mute', 'm', 'M', 'M'),
+    shortcut('previous', 'ArrowLeft', 'ArrowLeft', '←'),
+    shortcut('next', 'ArrowRight', 'ArrowRight', '→'),
+    shortcut('glance', 'g', 'G', 'G'),
+    shortcut('exitGlance', 'Escape', 'Escape', 'Esc')
+];
+
+export const getAriaKeyShortcut = (action) => KEYBOARD_SHORTCUTS.find(item => item.action === action).ariaKey;
+
+const isEditable = (target) => Boolean(target) && (target.isContentEditable || EDITABLE_TAGS.includes(target.tagName));
+
+const isClickable = (target) => Boolean(target)
+    && (CLICKABLE_TAGS.includes(target.tagName) || target.getAttribute?.('role') === 'button');
+
+// 返回快捷键对应的操作名，不是快捷键时返回 null
+export const getShortcutAction = ({ key, ctrlKey, altKey, metaKey, repeat, target }) => {
+    if (ctrlKey || altKey || metaKey || repeat || typeof key !== 'string') return null;
+    if (isEditable(target)) return null;
+    if (key === ' ' && isClickable(target)) return null;
+
+    const normalized = key.length === 1 ? key.toLowerCase() : key;
+    return KEYBOARD_SHORTCUTS.find(item => item.key === normalized)?.action ?? null;
+};
+
+// 左方向键的跳转目标：已是第一段或当前阶段已进行超过 RESTART_PHASE_THRESHOLD 秒时重新开始当前阶段，否则回到上一段
+export const getPreviousPhaseTarget = (phases, elapsed, index) =>
+    index > 0 && elapsed - phases[index].start < RESTART_PHASE_THRESHOLD ? index - 1 : index;
@@ -0,0 +1,71 @@
+// 训练库：用户保存的命名训练预设（纯函数，返回新的列表）
+import { createId, sanitizeWorkout, validateWorkout } from './workout';
+import { t } from './i18n';
+
+export const MAX_PRESET_NAME_LENGTH = 40;
+
+export const normalizePresetName = (name) =>
+    String(name ?? '').trim().slice(0, MAX_PRESET_NAME_LENGTH) || t('library.untitled');
+
+// 与设置面板相同的约束整理后再校验；不合法时抛出带原因的错误
+export const toLibraryWorkout = (workout, name) => {
+    const sanitized = sanitizeWorkout({ ...workout, name: normalizePresetName(name) });
+    const errors = validateWorkout(sanitized);
+    if (errors.length > 0) {
+        throw new Error(t('library.invalid', { errors: errors.join(t('common.listSeparator')) }));
+    }
+    return sanitized;
+};
+
+export const createPreset = (workout, name) => {
+    const normalizedName = normalizePresetName(name);
+    return {
+        id: createId(),
+        name: normalizedName,
+        workout: toLibraryWorkout(workout, normalizedName),
+        createdAt: Date.now()
+    };
+};
+
+export const addPreset = (presets, workout, name) => [...presets, createPreset(workout, name)];
+
+// 复制到列表中原预设之后；内置模板复制到末尾
+export const duplicatePreset = (presets, preset) => {
+    const index = presets.findIndex(item => item.id === preset.id);
+    if (index === -1) return [...presets, createPreset(preset.workout, preset.name)];
+    const copy = createPreset(preset.workout, t('library.copyName', { name: preset.name }));
+    return [...presets.slice(0, index + 1), copy, ...presets.slice(index + 1)];
+};
+
+export const renamePreset = (presets, id, name) => presets.map(preset => {
+    if (preset.id !== id) return preset;
+    const normalizedName = normalizePresetName(name);
+    return { ...preset, name: normalizedName, workout: { ...preset.workout, name: normalizedName } };
+});
+
+export const movePreset = (presets, id, delta) => {
+    const index = presets.findIndex(preset => preset.id === id);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= presets.length) return presets;
+    const next = [...presets];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+};
+
+export const deletePreset = (presets, id) => presets.filter(preset => preset.id !== id);
+
+// 从存储读入时丢弃不合法的条目
+export const sanitizePresets = (presets) => (Array.isArray(presets) ? presets : []).flatMap(preset => {
+    try {
+        const name = normalizePresetName(preset?.name);
+        return [{
+            id: typeof preset?.id === 'string' && preset.id ? preset.id : createId(),
+            name,
+            workout: toLibraryWorkout(preset?.workout, name),
+            createdAt: typeof preset?.createdAt === 'number' ? preset.createdAt : Date.now()
+        }];
+    } catch (error) {
+        console.warn('Dropping invalid preset from library:', error);
+        return [];
+    }
+});
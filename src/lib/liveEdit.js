@@ -0,0 +1,106 @@
+// 训练进行中修改阶段列表（纯函数）：跳过当前阶段剩余时间、延长、删减最后一轮、跳转到指定阶段
+//
+// 都作用于 flattenWorkout 展开后的阶段列表，不改动原训练。已经走过的部分保持不变，
+// 修改后重新计算各阶段的 index / start / end；起止时间没变的阶段保留原对象。
+// 被截短或延长的渐变阶段记下 rampDuration（原时长），步频曲线仍按原时长计算，延长部分保持目标步频。
+
+import { SEGMENT_TYPES } from './workout';
+
+export const EXTEND_SECONDS = 30;
+
+export const retimePhases = (phases) => {
+    let cursor = 0;
+    return phases.map((phase, index) => {
+        const start = cursor;
+        cursor += phase.duration;
+        return phase.index === index && phase.start === start && phase.end === cursor
+            ? phase
+            : { ...phase, index, start, end: cursor };
+    });
+};
+
+const withDuration = (phase, duration) => ({
+    ...phase,
+    duration,
+    ...(phase.cadenceEnd ? { rampDuration: phase.rampDuration || phase.duration } : {})
+});
+
+// 当前阶段在 elapsed 处结束（截短后可能为 0 秒），其后接上 rest。
+// 截短的阶段记下 plannedDuration，向前跳转重走时恢复原时长；endedBy 记录结束方式：'manual' | 'heartRate' | 'distance'
+const cutAt = (phases, elapsed, index, rest, endedBy = 'manual') => {
+    const phase = phases[index];
+    const done = Math.min(phase.duration, Math.max(0, elapsed - phase.start));
+    const cut = { ...withDuration(phase, done), plannedDuration: phase.plannedDuration ?? phase.duration, endedBy };
+    return retimePhases([...phases.slice(0, index), cut, ...rest]);
+};
+
+const restorePlanned = (phase) => {
+    if (phase.plannedDuration === undefined) return phase;
+    const restored = { ...phase, duration: phase.plannedDuration };
+    delete restored.plannedDuration;
+    delete restored.endedBy;
+    return restored;
+};
+
+export const skipPhase = (phases, elapsed, index, endedBy) =>
+    cutAt(phases, elapsed, index, phases.slice(index + 1), endedBy);
+
+// 跳转到第 target 段：向后跳过中间的阶段，向前（或跳到当前段）则从 target 起重新走一遍
+export const jumpToPhase = (phases, elapsed, index, target) => {
+    if (target < 0 || target >= phases.length) return null;
+    return cutAt(phases, elapsed, index, phases.slice(target).map(restorePlanned));
+};
+
+export const extendPhase = (phases, index, seconds = EXTEND_SECONDS) =>
+    retimePhases(phases.map((phase, i) => (i === index ? withDuration(phase, phase.duration + seconds) : phase)));
+
+// 与 context 处在同一个重复块实例中（外层轮次相同）的阶段
+const inSameInstance = (phase, context, depth) => {
+    const repeat = phase.repeats[depth];
+    return repeat?.id === context.repeats[depth].id
+        && context.repeats.slice(0, depth).every((outer, i) => phase.repeats[i]?.iteration === outer.iteration);
+};
+
+// 可以删减最后一轮的重复块：当前阶段所在的重复块由内到外，当前不在重复块中时取之后的第一个重复块。
+// 要求最后一轮还没开始且删减后至少剩一轮。返回 { context, depth }，没有时返回 null
+export const findDroppableRepeat = (phases, index) => {
+    const current = phases[index];
+    if (!current) return null;
+    const context = current.repeats.length > 0
+        ? current
+        : phases.slice(index + 1).find(phase => phase.repeats.length > 0);
+    if (!context) return null;
+
+    for (let depth = context.repeats.length - 1; depth >= 0; depth--) {
+        const { times } = context.repeats[depth];
+        const iteration = context === current ? context.repeats[depth].iteration : 0;
+        if (times > 1 && iteration < times) return { context, depth };
+    }
+    return null;
+};
+
+export const dropLastCycle = (phases, index) => {
+    const target = findDroppableRepeat(phases, index);
+    if (!target) return null;
+
+    const { context, depth } = target;
+    const { times } = context.repeats[depth];
+    // 只删当前阶段之后的（向前跳转过时，已经走过的部分里也可能有最后一轮）
+    return retimePhases(phases
+        .filter((phase, i) => i <= index || !(inSameInstance(phase, context, depth) && phase.repeats[depth].iteration === times))
+        .map(phase => {
+            if (!inSameInstance(phase, context, depth)) return phase;
+            const repeats = phase.repeats.map((repeat, i) => (i === depth ? { ...repeat, times: times - 1 } : repeat));
+            return { ...phase, repeats };
+        }));
+};
+
+// 检查保存的阶段列表（如刷新前的训练进度）结构完整、首尾相接
+export const isValidPhaseList = (phases) => Array.isArray(phases) && phases.length > 0 && phases.every((phase, i) =>
+    phase
+    && SEGMENT_TYPES[phase.type]
+    && Number.isFinite(phase.duration) && phase.duration >= 0
+    && phase.start === (i === 0 ? 0 : phases[i - 1].end)
+    && phase.end === phase.start + phase.duration
+    && Array.isArray(phase.repeats)
+);
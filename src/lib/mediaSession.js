@@ -0,0 +1,109 @@
+// 锁屏 / 耳机控制（Media Session API）
+//
+// 浏览器只在页面播放 <audio> / <video> 时才显示媒体控件，Web Audio 的节拍不算，
+// 因此训练期间循环播放一段无声音频来“占住”媒体会话。
+
+import { formatTime } from './format';
+import { getSegmentLabel } from './workout';
+import { t } from './i18n';
+
+export const isMediaSessionSupported = () => 'mediaSession' in navigator;
+
+const MEDIA_ACTIONS = ['play', 'pause', 'nexttrack'];
+const SILENCE_SAMPLE_RATE = 8000;
+
+// 1 秒无声的 16 位单声道 WAV
+const createSilenceUrl = () => {
+    const dataSize = SILENCE_SAMPLE_RATE * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // 单声道
+    view.setUint32(24, SILENCE_SAMPLE_RATE, true);
+    view.setUint32(28, SILENCE_SAMPLE_RATE * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    return URL.createObjectURL(new Blob([view], { type: 'audio/wav' }));
+};
+
+// 锁屏上显示的文字：标题为阶段和剩余时间，副标题为轮次 / 段数
+export const describeMediaState = ({ phase, remaining, cycleInfo, phaseCount, workoutName }) => ({
+    title: phase ? `${getSegmentLabel(phase)} · ${t('common.remaining', { time: formatTime(remaining) })}` : t('app.title'),
+    artist: phase
+        ? [
+            cycleInfo.unit === 'cycle' ? t('common.cycle', cycleInfo) : null,
+            t('common.phase', { current: phase.index + 1, total: phaseCount }),
+            phase.cadence ? t('common.cadence', { cadence: phase.cadence }) : null
+        ].filter(Boolean).join(' · ')
+        : '',
+    album: workoutName || t('app.shortTitle')
+});
+
+export const createMediaSession = () => {
+    let audio = null;
+
+    const activate = () => {
+        if (!isMediaSessionSupported()) return;
+        if (!audio) {
+            audio = new Audio(createSilenceUrl());
+            audio.loop = true;
+        }
+        audio.play().catch(error => console.warn('Media session audio blocked:', error));
+    };
+
+    const setPlaybackState = (state) => {
+        if (!isMediaSessionSupported()) return;
+        navigator.mediaSession.playbackState = state;
+        // 暂停时停掉无声音频，但保留控件以便从锁屏继续
+        if (state !== 'playing') audio?.pause();
+    };
+
+    // handlers: { play, pause, nexttrack }，下一曲即跳过当前阶段
+    const setHandlers = (handlers) => {
+        if (!isMediaSessionSupported()) return;
+        MEDIA_ACTIONS.forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action] || null);
+            } catch {
+                // 部分浏览器不支持某些操作
+            }
+        });
+    };
+
+    // 锁屏进度条显示当前阶段的进度
+    const update = ({ title, artist, album }, { duration, position }) => {
+        if (!isMediaSessionSupported()) return;
+        navigator.mediaSession.metadata = new window.MediaMetadata({
+            title,
+            artist,
+            album,
+            artwork: [{ src: '/run.svg', sizes: 'any', type: 'image/svg+xml' }]
+        });
+        if (navigator.mediaSession.setPositionState && duration > 0) {
+            navigator.mediaSession.setPositionState({
+                duration,
+                position: Math.min(Math.max(0, position), duration),
+                playbackRate: 1
+            });
+        }
+    };
+
+    const deactivate = () => {
+        if (!isMediaSessionSupported()) return;
+        audio?.pause();
+        setHandlers({});
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+    };
+
+    return { activate, setPlaybackState, setHandlers, update, deactivate };
+};
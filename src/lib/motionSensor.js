@@ -0,0 +1,39 @@
+// 加速度计：把 devicemotion 事件转换为 stepDetector 使用的采样 { time, x, y, z }
+//
+// iOS 13+ 需要在用户操作中调用 DeviceMotionEvent.requestPermission 授权，其他浏览器无需授权。
+
+export const isMotionSupported = () => typeof window !== 'undefined' && 'DeviceMotionEvent' in window;
+
+export const needsMotionPermission = () =>
+    isMotionSupported() && typeof window.DeviceMotionEvent.requestPermission === 'function';
+
+// 返回 'granted' | 'denied' | 'unsupported'；必须在点击等用户操作中调用
+export const requestMotionPermission = async () => {
+    if (!isMotionSupported()) return 'unsupported';
+    if (!needsMotionPermission()) return 'granted';
+    try {
+        return await window.DeviceMotionEvent.requestPermission();
+    } catch (error) {
+        console.warn('Motion permission request failed:', error);
+        return 'denied';
+    }
+};
+
+// 开始接收加速度采样，返回停止函数
+export const startMotionTracking = (onSample) => {
+    if (!isMotionSupported()) return () => {};
+
+    const handleMotion = (event) => {
+        const acceleration = event.accelerationIncludingGravity;
+        if (acceleration?.x === null || acceleration?.x === undefined) return;
+        // event.timeStamp 与 performance.now() 同一时间原点（毫秒）
+        onSample({
+            time: event.timeStamp / 1000,
+            x: acceleration.x,
+            y: acceleration.y ?? 0,
+            z: acceleration.z ?? 0
+        });
+    };
+    window.addEventListener('devicemotion', handleMotion);
+    return () => window.removeEventListener('devicemotion', handleMotion);
+};
@@ -0,0 +1,121 @@
+// 应用使用的各个持久化存储
+//
+// 修改结构时递增对应的 version，并在 migrations 中加入 [新版本]: (旧数据) => 新数据。
+
+import { createStore } from './storage';
+import { DEFAULT_WORKOUT, flattenWorkout, getTotalDuration, validateWorkout } from './workout';
+import { sanitizePresets } from './library';
+import { sanitizeRecords } from './history';
+import { sanitizePlans } from './plan';
+import { isCustomSoundId } from './customSounds';
+import { DEFAULT_ALERT_SETTINGS, sanitizeAlertSettings } from './phaseAlerts';
+import { isValidPhaseList } from './liveEdit';
+import { DEFAULT_HEART_RATE_SETTINGS, sanitizeHeartRateSettings } from './heartRate';
+import { DEFAULT_CADENCE_SENSOR_SETTINGS, sanitizeCadenceSensorSettings } from './cadenceFeedback';
+import { sanitizeLocale } from './i18n';
+import { beatSounds, DEFAULT_BEAT_SOUND } from '../audio/beatSounds';
+import { DEFAULT_VOICE_SETTINGS, sanitizeVoiceSettings } from '../audio/voiceCoach';
+import { DEFAULT_BEAT_PATTERN, sanitizeBeatPattern } from '../audio/beatPattern';
+import { DEFAULT_MIXER, sanitizeMixer } from '../audio/mixer';
+import { DEFAULT_SYNTH_TUNING, isSynthSoundId, sanitizeSynthTuning } from '../audio/synthSounds';
+
+const isValidWorkout = (workout) => validateWorkout(workout).length === 0;
+
+// 偏好设置：当前训练、编辑中的草稿、节拍音效和节拍型、音量混合、语音播报、阶段提醒、心率和步频检测设置、界面语言、大字模式
+export const preferencesStore = createStore('farklet.preferences', {
+    version: 2,
+    migrations: {
+        // v2 起音量由 mixer 管理，原来的 isMuted（只静音节拍器）成为节拍器通道的静音
+        2: ({ isMuted, ...preferences } = {}) => ({
+            ...preferences,
+            mixer: { ...DEFAULT_MIXER, metronome: { ...DEFAULT_MIXER.metronome, muted: Boolean(isMuted) } }
+        })
+    },
+    defaults: () => ({
+        settings: DEFAULT_WORKOUT,
+        draft: DEFAULT_WORKOUT,
+        selectedBeatSound: DEFAULT_BEAT_SOUND,
+        beatPattern: DEFAULT_BEAT_PATTERN,
+        synthTuning: DEFAULT_SYNTH_TUNING,
+        mixer: DEFAULT_MIXER,
+        voice: DEFAULT_VOICE_SETTINGS,
+        alerts: DEFAULT_ALERT_SETTINGS,
+        heartRate: DEFAULT_HEART_RATE_SETTINGS,
+        cadenceSensor: DEFAULT_CADENCE_SENSOR_SETTINGS,
+        locale: null,
+        glanceMode: false
+    }),
+    validate: (data) => {
+        const settings = isValidWorkout(data?.settings) ? data.settings : DEFAULT_WORKOUT;
+        return {
+            settings,
+            // 草稿允许暂时不合法（用户可能正在编辑），只要结构完整即可
+            draft: Array.isArray(data?.draft?.segments) ? data.draft : settings,
+            // 自定义音效在 IndexedDB 中，载入后再确认它是否还存在
+            selectedBeatSound: beatSounds.some(sound => sound.id === data?.selectedBeatSound)
+                || isSynthSoundId(data?.selectedBeatSound)
+                || isCustomSoundId(data?.selectedBeatSound)
+                ? data.selectedBeatSound
+                : DEFAULT_BEAT_SOUND,
+            // 较早保存的数据没有 beatPattern / synthTuning / voice / alerts / heartRate / cadenceSensor / locale / glanceMode 字段，按默认设置补齐
+            beatPattern: sanitizeBeatPattern(data?.beatPattern),
+            synthTuning: sanitizeSynthTuning(data?.synthTuning),
+            mixer: sanitizeMixer(data?.mixer),
+            voice: sanitizeVoiceSettings(data?.voice),
+            alerts: sanitizeAlertSettings(data?.alerts),
+            heartRate: sanitizeHeartRateSettings(data?.heartRate),
+            cadenceSensor: sanitizeCadenceSensorSettings(data?.cadenceSensor),
+            // null 表示跟随浏览器语言
+            locale: sanitizeLocale(data?.locale),
+            glanceMode: typeof data?.glanceMode === 'boolean' ? data.glanceMode : false
+        };
+    }
+});
+
+// 进行中的训练：刷新页面后可从同一阶段、同一时间点继续
+// phases 为训练中跳过、延长等修改后的阶段列表；较早保存的数据没有该字段，由 workout 展开。
+// heartRateSamples 为已记录的心率采样（[[time, bpm]]），trackSamples 为已记录的轨迹（[[time, distance, latitude, longitude]]），
+// planDay 为训练来自训练计划时的 { planId, date }
+export const sessionStore = createStore('farklet.session', {
+    version: 1,
+    defaults: () => null,
+    validate: (data) => {
+        if (!data || !isValidWorkout(data.workout) || typeof data.elapsed !== 'number') return null;
+        const phases = isValidPhaseList(data.phases) ? data.phases : flattenWorkout(data.workout);
+        const total = getTotalDuration(phases);
+        if (data.elapsed <= 0 || data.elapsed >= total) return null;
+        const heartRateSamples = Array.isArray(data.heartRateSamples)
+            ? data.heartRateSamples.filter(sample => Array.isArray(sample) && sample.every(Number.isFinite))
+            : [];
+        const trackSamples = Array.isArray(data.trackSamples)
+            ? data.trackSamples.filter(sample => Array.isArray(sample) && sample.length === 4 && sample.every(Number.isFinite))
+            : [];
+        const planDay = typeof data.planDay?.planId === 'string' && typeof data.planDay.date === 'string' ? data.planDay : null;
+        return { ...data, phases, heartRateSamples, trackSamples, planDay };
+    }
+});
+
+// 训练库中用户保存的预设
+export const libraryStore = createStore('farklet.library', {
+    version: 1,
+    defaults: () => [],
+    validate: (data) => sanitizePresets(data)
+});
+
+// 训练计划
+export const planStore = createStore('farklet.plans', {
+    version: 1,
+    defaults: () => [],
+    validate: (data) => sanitizePlans(data)
+});
+
+// 训练记录，最新的在前
+export const historyStore = createStore('farklet.history', {
+    version: 2,
+    migrations: {
+        // v2 起每条记录带有逐阶段的 laps；旧记录没有阶段明细
+        2: (records) => (Array.isArray(records) ? records : []).map(record => ({ ...record, laps: [] }))
+    },
+    defaults: () => [],
+    validate: (data) => sanitizeRecords(data)
+});
@@ -0,0 +1,73 @@
+// 阶段切换的系统通知和振动，供关闭声音或锁屏时使用
+//
+// 通知只在页面不可见时发出（页面可见时界面本身已经提示）；振动不受此限制。
+// Android 上只能通过 Service Worker 发通知，没有注册时退回 new Notification。
+
+import { getSegmentLabel } from './workout';
+import { t } from './i18n';
+
+export const DEFAULT_ALERT_SETTINGS = {
+    notify: false,
+    vibrate: false
+};
+
+// 振动模式（毫秒，振动 / 间隔交替）：跑步长振两下，其余阶段短振一下，完成时三连振
+export const VIBRATION_PATTERNS = {
+    run: [400, 150, 400],
+    other: [200],
+    complete: [200, 100, 200, 100, 600]
+};
+
+export const isNotificationSupported = () => 'Notification' in window;
+export const isVibrationSupported = () => 'vibrate' in navigator;
+
+export const sanitizeAlertSettings = (data) => ({
+    notify: typeof data?.notify === 'boolean' ? data.notify : DEFAULT_ALERT_SETTINGS.notify,
+    vibrate: typeof data?.vibrate === 'boolean' ? data.vibrate : DEFAULT_ALERT_SETTINGS.vibrate
+});
+
+// 通知内容：phase 为 null 表示训练完成
+export const getPhaseAlert = (phase, cycleInfo) => {
+    if (!phase) {
+        return { title: t('alerts.completeTitle'), body: t('alerts.completeBody'), vibrate: VIBRATION_PATTERNS.complete };
+    }
+    const details = [
+        cycleInfo.unit === 'cycle' ? t('common.cycle', cycleInfo) : null,
+        t('common.seconds', { value: phase.duration }),
+        phase.cadence ? t('common.cadence', { cadence: `${phase.cadence}${phase.cadenceEnd ? `→${phase.cadenceEnd}` : ''}` }) : null
+    ];
+    return {
+        title: getSegmentLabel(phase),
+        body: details.filter(Boolean).join(' · '),
+        vibrate: phase.type === 'run' ? VIBRATION_PATTERNS.run : VIBRATION_PATTERNS.other
+    };
+};
+
+// 读屏软件播报的文字（页面中的 ARIA live region）
+export const getAnnouncement = ({ title, body }) => t('alerts.announcement', { title, body });
+
+// 返回最终的授权状态：'granted' | 'denied' | 'default' | 'unsupported'
+export const requestNotificationPermission = async () => {
+    if (!isNotificationSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+};
+
+const showNotification = async ({ title, body, vibrate }) => {
+    const options = { body, vibrate, tag: 'farklet-phase', renotify: true, icon: '/run.svg' };
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+        return registration.showNotification(title, options);
+    }
+    return new Notification(title, options);
+};
+
+export const showPhaseAlert = (alert, settings) => {
+    if (settings.vibrate && isVibrationSupported()) {
+        navigator.vibrate(alert.vibrate);
+    }
+    if (settings.notify && isNotificationSupported() && Notification.permission === 'granted'
+        && document.visibilityState === 'hidden') {
+        showNotification(alert).catch(error => console.warn('Phase notification failed:', error));
+    }
+};
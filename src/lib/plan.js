@@ -0,0 +1,180 @@
+// 训练计划：跨越多周、把训练安排到具体日期的日程（纯函数，返回新的列表），交换格式见 docs/workout-format.md
+//
+// 计划从 startDate 开始共 weeks 周，每周从 startDate 那天算起。sessions 中的每个训练日安排在每周的第 day 天（0-6），
+// 设置了 week 时只安排在那一周。progression 为每周的递进：第 n 周的训练在 sessions 中训练的基础上，
+// 最外层重复块的次数增加 (n - 1) × cycles，所有步频（含渐变目标）增加 (n - 1) × cadence。
+// 日期都是本地日期 'YYYY-MM-DD'；completed 为已完成的训练日日期。
+
+import { createId, sanitizeWorkout, validateWorkout } from './workout';
+import { t } from './i18n';
+
+export const DAYS_PER_WEEK = 7;
+export const MAX_PLAN_WEEKS = 52;
+export const MAX_PLAN_NAME_LENGTH = 40;
+export const DEFAULT_PROGRESSION = { cycles: 0, cadence: 0 };
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export const toDateKey = (date = new Date()) =>
+    `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+
+// 解析为本地时区当天 0 点的 Date；格式不对或日期不存在（如 2 月 30 日）时返回 null
+export const parseDateKey = (key) => {
+    const match = typeof key === 'string' ? DATE_KEY_PATTERN.exec(key) : null;
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateKey(date) === key ? date : null;
+};
+
+export const isValidDateKey = (key) => parseDateKey(key) !== null;
+
+export const addDays = (key, days) => {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+// 从 from 到 to 相隔的天数；四舍五入抵消夏令时造成的一小时差
+export const daysBetween = (from, to) => Math.round((parseDateKey(to) - parseDateKey(from)) / (24 * 60 * 60 * 1000));
+
+export const normalizePlanName = (name) =>
+    String(name ?? '').trim().slice(0, MAX_PLAN_NAME_LENGTH) || t('plans.untitled');
+
+// 第 week 周（从 1 开始）的训练
+export const progressWorkout = (workout, progression, week) => {
+    const steps = week - 1;
+    if (steps <= 0 || (!progression.cycles && !progression.cadence)) return workout;
+
+    const addCadence = (cadence) => (cadence == null ? cadence : cadence + steps * progression.cadence);
+    const progress = (segments, depth) => segments.map(segment => {
+        if (segment.type === 'repeat') {
+            return {
+                ...segment,
+                times: depth === 0 ? segment.times + steps * progression.cycles : segment.times,
+                children: progress(segment.children, depth + 1)
+            };
+        }
+        return { ...segment, cadence: addCadence(segment.cadence), cadenceEnd: addCadence(segment.cadenceEnd) };
+    });
+    return { ...workout, segments: progress(workout.segments, 0) };
+};
+
+const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+
+// 校验计划结构，返回错误信息列表（空数组表示合法）。训练按递进后最后一次安排的那周校验，保证每周都不超限
+export const validatePlan = (plan) => {
+    if (!plan || typeof plan !== 'object') return [t('plans.errors.notObject')];
+
+    const errors = [];
+    if (!isValidDateKey(plan.startDate)) errors.push(t('plans.errors.startDate'));
+    const weeksValid = Number.isInteger(plan.weeks) && plan.weeks >= 1 && plan.weeks <= MAX_PLAN_WEEKS;
+    if (!weeksValid) errors.push(t('plans.errors.weeks', { max: MAX_PLAN_WEEKS }));
+    const progression = plan.progression ?? DEFAULT_PROGRESSION;
+    const progressionValid = isNonNegativeInt(progression.cycles) && isNonNegativeInt(progression.cadence);
+    if (!progressionValid) errors.push(t('plans.errors.progression'));
+    if (plan.completed !== undefined && !Array.isArray(plan.completed)) errors.push(t('plans.errors.completed'));
+    if (!Array.isArray(plan.sessions) || plan.sessions.length === 0) {
+        errors.push(t('plans.errors.noSessions'));
+        return errors;
+    }
+
+    plan.sessions.forEach((session, i) => {
+        const where = t('plans.errors.session', { index: i + 1 });
+        if (!Number.isInteger(session?.day) || session.day < 0 || session.day >= DAYS_PER_WEEK) {
+            errors.push(t('plans.errors.day', { where }));
+        }
+        const week = session?.week ?? null;
+        if (week !== null && (!Number.isInteger(week) || week < 1 || (weeksValid && week > plan.weeks))) {
+            errors.push(t('plans.errors.week', { where }));
+        }
+        const workoutErrors = validateWorkout(session?.workout);
+        if (workoutErrors.length === 0 && weeksValid && progressionValid) {
+            workoutErrors.push(...validateWorkout(progressWorkout(session.workout, progression, week ?? plan.weeks)));
+        }
+        errors.push(...workoutErrors.map(error => t('plans.errors.item', { where, error })));
+    });
+    return errors;
+};
+
+// 整理外部来源（表单、存储、导入）的计划；结果仍需经过 validatePlan
+export const sanitizePlan = (plan) => ({
+    id: typeof plan?.id === 'string' && plan.id ? plan.id : createId(),
+    name: normalizePlanName(plan?.name),
+    startDate: plan?.startDate,
+    weeks: plan?.weeks,
+    progression: {
+        cycles: plan?.progression?.cycles ?? DEFAULT_PROGRESSION.cycles,
+        cadence: plan?.progression?.cadence ?? DEFAULT_PROGRESSION.cadence
+    },
+    sessions: (Array.isArray(plan?.sessions) ? plan.sessions : []).map(session => ({
+        day: session?.day,
+        week: session?.week ?? null,
+        workout: sanitizeWorkout(session?.workout)
+    })),
+    completed: [...new Set((Array.isArray(plan?.completed) ? plan.completed : []).filter(isValidDateKey))].sort(),
+    createdAt: Number.isFinite(plan?.createdAt) ? plan.createdAt : Date.now()
+});
+
+// 整理后再校验；不合法时抛出带原因的错误
+export const createPlan = (plan) => {
+    const sanitized = sanitizePlan(plan);
+    const errors = validatePlan(sanitized);
+    if (errors.length > 0) {
+        throw new Error(t('plans.invalid', { errors: errors.join(t('common.listSeparator')) }));
+    }
+    return sanitized;
+};
+
+export const addPlan = (plans, plan) => [...plans, createPlan(plan)];
+
+export const deletePlan = (plans, id) => plans.filter(plan => plan.id !== id);
+
+export const setDayCompleted = (plans, id, date, completed) => plans.map(plan => {
+    if (plan.id !== id) return plan;
+    const others = plan.completed.filter(day => day !== date);
+    return { ...plan, completed: completed ? [...others, date].sort() : others };
+});
+
+// 从存储读入时丢弃不合法的计划
+export const sanitizePlans = (plans) => (Array.isArray(plans) ? plans : []).flatMap(plan => {
+    try {
+        return [createPlan(plan)];
+    } catch (error) {
+        console.warn('Dropping invalid training plan:', error);
+        return [];
+    }
+});
+
+export const getPlanEndDate = (plan) => addDays(plan.startDate, plan.weeks * DAYS_PER_WEEK - 1);
+
+// 计划的全部训练日，按日期排列：{ planId, planName, date, week, day, workout, completed }，workout 已按周递进
+export const getPlanSchedule = (plan) => {
+    const completed = new Set(plan.completed);
+    const entries = [];
+    for (let week = 1; week <= plan.weeks; week++) {
+        plan.sessions.forEach(session => {
+            if (session.week !== null && session.week !== week) return;
+            const date = addDays(plan.startDate, (week - 1) * DAYS_PER_WEEK + session.day);
+            entries.push({
+                planId: plan.id,
+                planName: plan.name,
+                date,
+                week,
+                day: session.day,
+                workout: progressWorkout(session.workout, plan.progression, week),
+                completed: completed.has(date)
+            });
+        });
+    }
+    return entries.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// 各计划安排在 date 这天的训练
+export const getPlanEntries = (plans, date) =>
+    plans.flatMap(plan => getPlanSchedule(plan).filter(entry => entry.date === date));
+
+// 已完成 / 安排的训练日数（同一天安排多个训练时按一天计）
+export const getPlanProgress = (plan) => {
+    const dates = new Set(getPlanSchedule(plan).map(entry => entry.date));
+    return { done: plan.completed.filter(date => dates.has(date)).length, total: dates.size };
+};
@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createPlan,
+    getPlanProgress,
+    getPlanSchedule,
+    progressWorkout,
+    sanitizePlan,
+    setDayCompleted,
+    validatePlan
+} from './plan';
+import { createRepeat, createSegment } from './workout';
+
+// 热身 + 3 轮 [跑 1:00 @170 · 走 0:30]，重复块内再嵌套一个 2 轮的块
+const intervals = () => ({
+    name: 'Intervals',
+    segments: [
+        createSegment('warmup', { duration: 300, cadence: null }),
+        createRepeat(3, [
+            createSegment('run', { duration: 60, cadence: 170, cadenceEnd: 180 }),
+            createRepeat(2, [createSegment('walk', { duration: 30, cadence: null })])
+        ])
+    ]
+});
+
+// 2026-03-02 是周一：每周一、周三训练，第 2 周的周五加一次
+const basePlan = (overrides = {}) => ({
+    name: 'Spring',
+    startDate: '2026-03-02',
+    weeks: 2,
+    progression: { cycles: 1, cadence: 2 },
+    sessions: [
+        { day: 0, workout: intervals() },
+        { day: 2, workout: intervals() },
+        { day: 4, week: 2, workout: intervals() }
+    ],
+    ...overrides
+});
+
+describe('progressWorkout', () => {
+    it('leaves the first week unchanged', () => {
+        const workout = intervals();
+        expect(progressWorkout(workout, { cycles: 1, cadence: 2 }, 1)).toBe(workout);
+    });
+
+    it('returns the workout itself when there is no progression', () => {
+        const workout = intervals();
+        expect(progressWorkout(workout, { cycles: 0, cadence: 0 }, 5)).toBe(workout);
+    });
+
+    it('adds cycles to top-level repeats and cadence to every target', () => {
+        const [warmup, repeat] = progressWorkout(intervals(), { cycles: 1, cadence: 2 }, 3).segments;
+        expect(warmup.cadence).toBe(null);
+        expect(repeat.times).toBe(5);
+        const [run, inner] = repeat.children;
+        expect(run).toMatchObject({ cadence: 174, cadenceEnd: 184 });
+        expect(inner.times).toBe(2);
+        expect(inner.children[0].cadence).toBe(null);
+    });
+
+    it('does not modify the original workout', () => {
+        const workout = intervals();
+        progressWorkout(workout, { cycles: 2, cadence: 5 }, 4);
+        expect(workout.segments[1].times).toBe(3);
+        expect(workout.segments[1].children[0].cadence).toBe(170);
+    });
+});
+
+describe('getPlanSchedule', () => {
+    it('places sessions on their weekday in every week, sorted by date', () => {
+        const schedule = getPlanSchedule(createPlan(basePlan()));
+        expect(schedule.map(entry => [entry.date, entry.week, entry.day])).toEqual([
+            ['2026-03-02', 1, 0],
+            ['2026-03-04', 1, 2],
+            ['2026-03-09', 2, 0],
+            ['2026-03-11', 2, 2],
+            ['2026-03-13', 2, 4]
+        ]);
+    });
+
+    it('applies the weekly progression to each entry', () => {
+        const schedule = getPlanSchedule(createPlan(basePlan()));
+        expect(schedule.map(entry => entry.workout.segments[1].times)).toEqual([3, 3, 4, 4, 4]);
+        expect(schedule[2].workout.segments[1].children[0].cadence).toBe(172);
+    });
+
+    it('counts weeks from the start date rather than from Monday', () => {
+        const plan = createPlan(basePlan({ startDate: '2026-03-05', weeks: 1, sessions: [{ day: 3, workout: intervals() }] }));
+        expect(getPlanSchedule(plan).map(entry => entry.date)).toEqual(['2026-03-08']);
+    });
+
+    it('marks completed days', () => {
+        const plan = createPlan(basePlan({ completed: ['2026-03-04'] }));
+        expect(getPlanSchedule(plan).filter(entry => entry.completed).map(entry => entry.date)).toEqual(['2026-03-04']);
+    });
+});
+
+describe('validatePlan', () => {
+    it('accepts a well-formed plan', () => {
+        expect(validatePlan(sanitizePlan(basePlan()))).toEqual([]);
+    });
+
+    it('rejects non-objects', () => {
+        expect(validatePlan(null)).toEqual(['计划不是对象']);
+    });
+
+    it('rejects bad dates, week counts and progressions', () => {
+        const errors = validatePlan(basePlan({ startDate: '2026-02-30', weeks: 0, progression: { cycles: -1, cadence: 0 } }));
+        expect(errors).toEqual([
+            '开始日期必须是 YYYY-MM-DD 格式的有效日期',
+            '周数必须是 1 到 52 之间的整数',
+            '每周递进的轮数和步频必须是非负整数'
+        ]);
+    });
+
+    it('requires at least one session', () => {
+        expect(validatePlan(basePlan({ sessions: [] }))).toEqual(['至少需要安排一个训练日']);
+    });
+
+    it('reports sessions on invalid days or outside the plan', () => {
+        const errors = validatePlan(basePlan({
+            sessions: [{ day: 7, workout: intervals() }, { day: 1, week: 3, workout: intervals() }]
+        }));
+        expect(errors).toEqual([
+            '第 1 个训练日: day 必须是 0 到 6 之间的整数',
+            '第 2 个训练日: week 必须是计划范围内的周数'
+        ]);
+    });
+
+    it('checks the workout as progressed in its last scheduled week', () => {
+        const plan = basePlan({ weeks: 52, progression: { cycles: 20, cadence: 0 } });
+        // 第 52 周重复 3 + 51 × 20 次，超过上限；只安排在第 2 周的训练日重复 23 次，不超限
+        expect(validatePlan(plan)).toEqual([
+            '第 1 个训练日: #2: 重复次数必须是 1 到 500 之间的整数',
+            '第 2 个训练日: #2: 重复次数必须是 1 到 500 之间的整数'
+        ]);
+
+        // 只安排在第 1 周的训练不受递进影响
+        expect(validatePlan({ ...plan, sessions: [{ day: 0, week: 1, workout: intervals() }] })).toEqual([]);
+    });
+});
+
+describe('sanitizePlan', () => {
+    it('fills in defaults', () => {
+        const plan = sanitizePlan({ startDate: '2026-03-02', weeks: 1, sessions: [{ day: 0, workout: intervals() }] });
+        expect(typeof plan.id).toBe('string');
+        expect(plan.name).toBe('未命名计划');
+        expect(plan.progression).toEqual({ cycles: 0, cadence: 0 });
+        expect(plan.sessions[0].week).toBe(null);
+        expect(plan.completed).toEqual([]);
+        expect(Number.isFinite(plan.createdAt)).toBe(true);
+    });
+
+    it('trims the name and keeps only unique, valid completed dates in order', () => {
+        const plan = sanitizePlan(basePlan({
+            name: '  Spring  ',
+            completed: ['2026-03-09', 'yesterday', '2026-03-02', '2026-03-09']
+        }));
+        expect(plan.name).toBe('Spring');
+        expect(plan.completed).toEqual(['2026-03-02', '2026-03-09']);
+    });
+
+    it('throws from createPlan when the sanitized plan is still invalid', () => {
+        expect(() => createPlan(basePlan({ weeks: 100 }))).toThrow('计划不合法：周数必须是 1 到 52 之间的整数');
+    });
+});
+
+describe('completion tracking', () => {
+    it('marks and unmarks a day on the matching plan only', () => {
+        const spring = createPlan(basePlan());
+        const autumn = createPlan(basePlan({ name: 'Autumn' }));
+        let plans = setDayCompleted([spring, autumn], spring.id, '2026-03-09', true);
+        plans = setDayCompleted(plans, spring.id, '2026-03-02', true);
+        expect(plans[0].completed).toEqual(['2026-03-02', '2026-03-09']);
+        expect(plans[1]).toBe(autumn);
+
+        plans = setDayCompleted(plans, spring.id, '2026-03-09', false);
+        expect(plans[0].completed).toEqual(['2026-03-02']);
+    });
+
+    it('does not duplicate a day marked twice', () => {
+        const plan = createPlan(basePlan());
+        const plans = setDayCompleted(setDayCompleted([plan], plan.id, '2026-03-02', true), plan.id, '2026-03-02', true);
+        expect(plans[0].completed).toEqual(['2026-03-02']);
+    });
+
+    it('counts progress by scheduled date', () => {
+        const plan = createPlan(basePlan());
+        expect(getPlanProgress(plan)).toEqual({ done: 0, total: 5 });
+        const [updated] = setDayCompleted([plan], plan.id, '2026-03-04', true);
+        expect(getPlanProgress(updated)).toEqual({ done: 1, total: 5 });
+    });
+
+    it('counts two sessions on the same day once and ignores unscheduled dates', () => {
+        const plan = createPlan(basePlan({
+            weeks: 1,
+            sessions: [{ day: 0, workout: intervals() }, { day: 0, workout: intervals() }],
+            completed: ['2026-03-02', '2026-03-03']
+        }));
+        expect(getPlanProgress(plan)).toEqual({ done: 1, total: 1 });
+    });
+});
@@ -0,0 +1,87 @@
+// 定位来源：设备 GPS（Geolocation API）、模拟跑道或回放录制好的定位点，三者接口相同
+//
+// connect({ onPosition, onError, ... }) → Promise<{ name, disconnect() }>
+// onPosition 收到 { timestamp, latitude, longitude, accuracy }（timestamp 为毫秒时间戳），
+// onError 收到可直接显示的错误信息；断开（含回放结束）时调用 onDisconnect。
+
+import { createRouteSimulator } from './routeSimulator';
+import { t } from './i18n';
+
+const SIMULATOR_INTERVAL = 1000; // ms，与多数手机 GPS 的更新频率一致
+
+// GeolocationPositionError 的 code：1 拒绝授权，2 无法获取，3 超时
+const GEOLOCATION_ERRORS = { 1: 'permissionDenied', 2: 'unavailable', 3: 'timeout' };
+
+export const isGeolocationSupported = () => typeof navigator !== 'undefined' && Boolean(navigator.geolocation);
+
+export const connectGeolocation = async ({ onPosition, onError, onDisconnect }) => {
+    if (!isGeolocationSupported()) {
+        throw new Error(t('location.unsupported'));
+    }
+
+    // 首次调用时浏览器弹出定位授权
+    const watchId = navigator.geolocation.watchPosition(
+        ({ timestamp, coords }) => onPosition({
+            timestamp,
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy
+        }),
+        (error) => onError(GEOLOCATION_ERRORS[error.code] ? t(`location.errors.${GEOLOCATION_ERRORS[error.code]}`) : error.message),
+        { enableHighAccuracy: true, maximumAge: 0, timeout: 15000 }
+    );
+
+    return {
+        name: 'GPS',
+        disconnect: () => {
+            navigator.geolocation.clearWatch(watchId);
+            onDisconnect();
+        }
+    };
+};
+
+// getSpeed() 返回当前的模拟速度（米/秒），通常由当前阶段类型决定
+export const connectSimulatedPositions = async ({ onPosition, onDisconnect, getSpeed }) => {
+    const simulator = createRouteSimulator();
+    const timer = setInterval(() => {
+        onPosition({ timestamp: Date.now(), ...simulator.next(getSpeed(), SIMULATOR_INTERVAL / 1000) });
+    }, SIMULATOR_INTERVAL);
+
+    return {
+        name: t('location.simulated'),
+        disconnect: () => {
+            clearInterval(timer);
+            onDisconnect();
+        }
+    };
+};
+
+// 按原来的时间间隔回放录制的定位点（[{ time, latitude, longitude, accuracy }]，time 为秒），
+// speed 为回放倍速；时间戳按回放时的当前时间重新生成
+export const connectReplayedPositions = async ({ positions, onPosition, onDisconnect, speed = 1 }) => {
+    let timer = null;
+    let index = 0;
+    let connected = true;
+
+    const disconnect = () => {
+        if (!connected) return;
+        connected = false;
+        clearTimeout(timer);
+        onDisconnect();
+    };
+
+    const emitNext = () => {
+        if (index >= positions.length) {
+            disconnect();
+            return;
+        }
+        const { time, ...position } = positions[index];
+        onPosition({ timestamp: Date.now(), ...position });
+        index++;
+        const gap = index < positions.length ? positions[index].time - time : 0;
+        timer = setTimeout(emitNext, Math.max(0, gap) * 1000 / speed);
+    };
+    timer = setTimeout(emitNext, 0);
+
+    return { name: t('location.replay'), disconnect };
+};
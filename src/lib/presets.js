@@ -0,0 +1,84 @@
+// 内置的经典法特莱克训练模板
+import { createSegment, createRepeat, createIntervalWorkout } from './workout';
+import { getLocale, t } from './i18n';
+
+const run = (duration, cadence, label = '') => createSegment('run', { duration, cadence, label });
+const walk = (duration, label = '') => createSegment('walk', { duration, label });
+
+const buildPresets = () => [
+    {
+        id: 'builtin-10x1-1',
+        name: "10×1' / 1'",
+        builtIn: true,
+        workout: createIntervalWorkout({ runTime: 60, walkTime: 60, cycles: 10, cadence: 180 }, "10×1' / 1'")
+    },
+    {
+        id: 'builtin-pyramid',
+        name: t('presets.pyramid'),
+        builtIn: true,
+        workout: {
+            name: t('presets.pyramid'),
+            segments: [
+                createSegment('warmup', { duration: 300 }),
+                run(60, 180), walk(60),
+                run(120, 178), walk(60),
+                run(180, 175), walk(90),
+                run(120, 178), walk(60),
+                run(60, 182),
+                createSegment('cooldown', { duration: 300 })
+            ]
+        }
+    },
+    {
+        id: 'builtin-swedish-45',
+        name: t('presets.swedish'),
+        builtIn: true,
+        workout: {
+            name: t('presets.swedish'),
+            segments: [
+                createSegment('warmup', { duration: 600, cadence: 165 }),
+                createRepeat(5, [run(120, 185, t('presets.labels.fast')), run(60, 165, t('presets.labels.easy'))]),
+                createRepeat(4, [run(30, 190, t('presets.labels.sprint')), run(90, 160, t('presets.labels.jog'))]),
+                createSegment('cooldown', { duration: 720 })
+            ]
+        }
+    },
+    {
+        id: 'builtin-mona',
+        name: t('presets.mona'),
+        builtIn: true,
+        workout: {
+            name: t('presets.mona'),
+            segments: [
+                createSegment('warmup', { duration: 600 }),
+                createRepeat(2, [run(90, 182), run(90, 165, t('presets.labels.easy'))]),
+                createRepeat(4, [run(60, 185), run(60, 165, t('presets.labels.easy'))]),
+                createRepeat(4, [run(30, 188), run(30, 165, t('presets.labels.easy'))]),
+                createRepeat(4, [run(15, 192), run(15, 165, t('presets.labels.easy'))]),
+                createSegment('cooldown', { duration: 600 })
+            ]
+        }
+    },
+    {
+        id: 'builtin-strides',
+        name: t('presets.strides'),
+        builtIn: true,
+        workout: {
+            name: t('presets.strides'),
+            segments: [
+                createSegment('warmup', { duration: 600, cadence: 165 }),
+                createRepeat(6, [run(20, 195, t('presets.labels.stride')), walk(60)]),
+                createSegment('cooldown', { duration: 300 })
+            ]
+        }
+    }
+];
+
+// 名称和分段名称按界面语言生成；同一语言下返回同一份列表，分段 id 保持不变
+let cache = null;
+
+export const getBuiltInPresets = () => {
+    const locale = getLocale();
+    if (cache?.locale !== locale) cache = { locale, presets: buildPresets() };
+    return cache.presets;
+};
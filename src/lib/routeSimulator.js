@@ -0,0 +1,31 @@
+// 模拟定位：沿一圈 400 米的跑道移动，速度由当前阶段类型决定，每个点带几米的随机偏差
+//
+// 没有 GPS（桌面浏览器）或在室内时用来体验距离分段和配速显示。
+
+// 各阶段类型的模拟速度（米/秒）
+export const PHASE_SPEED = { warmup: 2.5, run: 3.6, walk: 1.4, cooldown: 2.2 };
+export const IDLE_SPEED = 0;
+
+const METERS_PER_DEGREE = 111320;
+const DEFAULT_CENTER = { latitude: 39.9929, longitude: 116.3966 };
+
+// random 可替换为固定种子的生成器，得到可重放的轨迹
+export const createRouteSimulator = ({ center = DEFAULT_CENTER, lapLength = 400, noise = 2, random = Math.random } = {}) => {
+    const radius = lapLength / (2 * Math.PI);
+    let travelled = 0;
+
+    // 前进 seconds 秒后的定位点 { latitude, longitude, accuracy }
+    const next = (speed, seconds) => {
+        travelled += speed * seconds;
+        const angle = travelled / radius;
+        const east = radius * Math.cos(angle) + (random() - 0.5) * 2 * noise;
+        const north = radius * Math.sin(angle) + (random() - 0.5) * 2 * noise;
+        return {
+            latitude: center.latitude + north / METERS_PER_DEGREE,
+            longitude: center.longitude + east / (METERS_PER_DEGREE * Math.cos(center.latitude * Math.PI / 180)),
+            accuracy: Math.round(4 + random() * 4)
+        };
+    };
+
+    return { next };
+};
@@ -0,0 +1,58 @@
+// 注册 Service Worker，并在新版本安装完成、等待接管时通知页面
+//
+// onUpdate(applyUpdate)：调用 applyUpdate() 让新版本接管，接管后页面自动刷新。
+// sw.js 放在部署路径（Vite 的 base）下，作用域覆盖整个应用。
+// 开发模式下不注册（dist/sw.js 只在构建时生成）。返回取消通知的函数。
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // ms
+
+export const registerServiceWorker = (onUpdate) => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+
+    let cancelled = false;
+    let checkTimer = null;
+    // 只有本页面发起的更新才自动刷新，其他标签页里进行中的训练不受打扰
+    let updateRequested = false;
+
+    const notify = (worker) => {
+        if (cancelled) return;
+        onUpdate(() => {
+            updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+    };
+
+    // 首次安装时页面还没有 controller，这时不是“更新”，不需要提示
+    const watchInstalling = (worker) => {
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                notify(worker);
+            }
+        });
+    };
+
+    const handleControllerChange = () => {
+        if (!updateRequested) return;
+        updateRequested = false;
+        window.location.reload();
+    };
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+        .then(registration => {
+            if (cancelled) return;
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                notify(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+            navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+            // 长时间开着的页面也定期检查新版本
+            checkTimer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+        })
+        .catch(error => console.error('Service worker registration failed:', error));
+
+    return () => {
+        cancelled = true;
+        clearInterval(checkTimer);
+        navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    };
+};
@@ -0,0 +1,158 @@
+// 把训练编码进 URL hash（#w=...），用于通过聊天消息分享
+//
+// 为了让链接尽量短，分段用数组表示：
+//   普通分段  [类型代码, duration, cadence?, label?, cadenceEnd?, rampSteps?, until?, distance?]
+//             until 写成 '+4'（心率达到 4 区）或 '-2'（降到 2 区以下），distance 为米
+//   重复块    ['x', times, [子分段...], label?, cadenceStep?]
+// 整体为 { v, n: 名称, s: 分段, b: 节拍音效 }，JSON 后做 UTF-8 + base64url 编码。
+
+import { MAX_REPEAT_TIMES, sanitizeWorkout, validateWorkout } from './workout';
+import { isValidEndCondition } from './heartRate';
+import { t } from './i18n';
+
+export const SHARE_LINK_VERSION = 1;
+export const SHARE_HASH_KEY = 'w';
+export const MAX_SHARE_PAYLOAD_LENGTH = 4000; // characters
+
+const TYPE_CODES = { warmup: 'w', run: 'r', walk: 'k', cooldown: 'c', repeat: 'x' };
+const CODE_TYPES = Object.fromEntries(Object.entries(TYPE_CODES).map(([type, code]) => [code, type]));
+
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// 去掉末尾的空值，让数组更短
+const trimTrailing = (items) => {
+    const result = items.map(item => item ?? null);
+    while (result.length > 0 && [null, '', 0].includes(result[result.length - 1])) {
+        result.pop();
+    }
+    return result;
+};
+
+const packEndCondition = (until) => (until ? `${until.direction === 'reach' ? '+' : '-'}${until.zone}` : null);
+
+const unpackEndCondition = (packed) => {
+    if (packed == null) return null;
+    const match = /^([+-])(\d)$/.exec(packed);
+    const until = match && { direction: match[1] === '+' ? 'reach' : 'below', zone: Number(match[2]) };
+    if (!isValidEndCondition(until)) throw new Error(t('shareLink.invalidUntil', { value: packed }));
+    return until;
+};
+
+const packSegments = (segments) => segments.map(segment => (
+    segment.type === 'repeat'
+        ? trimTrailing(['x', segment.times, packSegments(segment.children), segment.label, segment.cadenceStep])
+        : trimTrailing([
+            TYPE_CODES[segment.type],
+            segment.duration,
+            segment.cadence,
+            segment.label,
+            segment.cadenceEnd,
+            segment.rampSteps,
+            packEndCondition(segment.until),
+            segment.distance
+        ])
+));
+
+const unpackSegments = (packed, depth = 0) => {
+    if (!Array.isArray(packed) || depth > 4) throw new Error(t('shareLink.invalidSegments'));
+    return packed.map(item => {
+        if (!Array.isArray(item)) throw new Error(t('shareLink.invalidSegments'));
+        const type = CODE_TYPES[item[0]];
+        if (!type) throw new Error(t('shareLink.unknownType', { type: item[0] }));
+        if (type === 'repeat') {
+            // 在展开校验之前拒绝过大的重复次数
+            if (!Number.isInteger(item[1]) || item[1] < 1 || item[1] > MAX_REPEAT_TIMES) {
+                throw new Error(t('shareLink.invalidTimes', { value: item[1], max: MAX_REPEAT_TIMES }));
+            }
+            return {
+                type,
+                times: item[1],
+                children: unpackSegments(item[2], depth + 1),
+                label: item[3] ?? '',
+                cadenceStep: item[4] ?? 0
+            };
+        }
+        return {
+            type,
+            duration: item[1],
+            cadence: item[2] ?? null,
+            label: item[3] ?? '',
+            cadenceEnd: item[4] ?? null,
+            rampSteps: item[5] ?? null,
+            until: unpackEndCondition(item[6]),
+            distance: item[7] ?? null
+        };
+    });
+};
+
+export const encodeShareLink = (workout, beatSound) => toBase64Url(JSON.stringify({
+    v: SHARE_LINK_VERSION,
+    n: workout.name || undefined,
+    s: packSegments(workout.segments),
+    b: beatSound || undefined
+}));
+
+export const buildShareUrl = (workout, beatSound, location = window.location) =>
+    `${location.origin}${location.pathname}#${SHARE_HASH_KEY}=${encodeShareLink(workout, beatSound)}`;
+
+// 从 hash 中取出分享内容；没有分享内容时返回 null，内容不合法时抛出带原因的错误
+export const parseShareHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const payload = params.get(SHARE_HASH_KEY);
+    if (payload === null) return null;
+
+    if (payload.length > MAX_SHARE_PAYLOAD_LENGTH) {
+        throw new Error(t('shareLink.tooLong', { max: MAX_SHARE_PAYLOAD_LENGTH }));
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(payload)) {
+        throw new Error(t('shareLink.invalidCharacters'));
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(payload));
+    } catch {
+        throw new Error(t('shareLink.undecodable'));
+    }
+
+    if (!data || typeof data !== 'object') throw new Error(t('shareLink.invalidContent'));
+    if (data.v !== SHARE_LINK_VERSION) {
+        throw new Error(t('shareLink.unsupportedVersion', { version: data.v }));
+    }
+
+    const workout = { name: typeof data.n === 'string' ? data.n : '', segments: unpackSegments(data.s) };
+    const errors = validateWorkout(workout);
+    if (errors.length > 0) {
+        throw new Error(t('shareLink.invalidWorkout', { errors: errors.join(t('common.listSeparator')) }));
+    }
+
+    return {
+        workout: sanitizeWorkout(workout),
+        beatSound: typeof data.b === 'string' ? data.b : null
+    };
+};
+
+// 读取当前地址中的分享链接，错误转换为 { error } 以便界面展示
+export const readShareLink = (hash = window.location.hash) => {
+    try {
+        return parseShareHash(hash);
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+// 处理完分享链接后把它从地址栏移除，避免刷新时再次询问
+export const clearShareHash = () => {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+};
@@ -0,0 +1,100 @@
+// 计步（纯函数）：从加速度计数据估计实际步频
+//
+// 跑步时每一步落地都会在加速度模长上产生一个峰。处理流程：
+//   1. 取含重力加速度的模长，与手机的朝向无关
+//   2. 减去慢速滑动平均（约 1 秒）去掉重力和姿态变化，得到动态分量
+//   3. 轻度低通平滑，抑制高频抖动
+//   4. 动态分量超过阈值（近期平均幅度，且不低于绝对下限）并且距上一步足够久时记一步；
+//      回落到零以下后才允许下一步，避免一个峰被记成多步
+// 步频取最近若干步间隔的中位数，个别漏检、误检不会让读数跳动。
+//
+// 采样：{ time, x, y, z }，time 为秒，加速度单位 m/s²。采样间隔不必均匀。
+
+export const MIN_STEP_INTERVAL = 60 / 240; // seconds，对应 240 步/分
+export const MAX_STEP_INTERVAL = 60 / 50; // seconds，更慢视为已停下
+
+const GRAVITY_TIME_CONSTANT = 1; // seconds
+const SMOOTHING_TIME_CONSTANT = 0.04; // seconds
+const AMPLITUDE_TIME_CONSTANT = 2; // seconds
+const MIN_THRESHOLD = 1.2; // m/s²，低于该幅度的晃动不算步
+const MAX_SAMPLE_GAP = 0.5; // seconds，采样中断（如切到后台）后重新开始滤波
+const CADENCE_INTERVALS = 8; // 用最近 8 个步间隔估计步频
+const MIN_CADENCE_INTERVALS = 4;
+
+const ema = (previous, value, dt, timeConstant) => previous + (value - previous) * (1 - Math.exp(-dt / timeConstant));
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const createStepDetector = () => {
+    let lastTime = null;
+    let gravity = 0;
+    let signal = 0;
+    let amplitude = 0;
+    let armed = true;
+    let steps = [];
+
+    const reset = () => {
+        lastTime = null;
+        signal = 0;
+        amplitude = 0;
+        armed = true;
+        steps = [];
+    };
+
+    // 处理一个采样，检测到一步时返回 true
+    const push = ({ time, x, y, z }) => {
+        const magnitude = Math.hypot(x, y, z);
+        if (!Number.isFinite(magnitude)) return false;
+        if (lastTime === null || time - lastTime > MAX_SAMPLE_GAP) {
+            lastTime = time;
+            gravity = magnitude;
+            signal = 0;
+            armed = true;
+            return false;
+        }
+        const dt = time - lastTime;
+        if (dt <= 0) return false;
+        lastTime = time;
+
+        gravity = ema(gravity, magnitude, dt, GRAVITY_TIME_CONSTANT);
+        signal = ema(signal, magnitude - gravity, dt, SMOOTHING_TIME_CONSTANT);
+        amplitude = ema(amplitude, Math.abs(signal), dt, AMPLITUDE_TIME_CONSTANT);
+
+        const threshold = Math.max(MIN_THRESHOLD, amplitude);
+        const lastStep = steps[steps.length - 1] ?? -Infinity;
+        if (armed && signal > threshold && time - lastStep >= MIN_STEP_INTERVAL) {
+            armed = false;
+            steps.push(time);
+            if (steps.length > CADENCE_INTERVALS + 1) steps.shift();
+            return true;
+        }
+        if (!armed && signal < 0) armed = true;
+        return false;
+    };
+
+    // now 时刻的步频（步/分）；步数不足或已停下时返回 null
+    const getCadence = (now) => {
+        const lastStep = steps[steps.length - 1];
+        if (lastStep === undefined || now - lastStep > MAX_STEP_INTERVAL) return null;
+
+        const intervals = steps.slice(1)
+            .map((time, i) => time - steps[i])
+            .filter(interval => interval <= MAX_STEP_INTERVAL);
+        if (intervals.length < MIN_CADENCE_INTERVALS) return null;
+        return Math.round(60 / median(intervals));
+    };
+
+    return { push, getCadence, reset };
+};
+
+// 处理一段录制好的加速度数据（[{ time, x, y, z }]），返回检测到的每一步的时间和结束时的步频
+export const detectSteps = (trace) => {
+    const detector = createStepDetector();
+    const steps = trace.filter(sample => detector.push(sample)).map(sample => sample.time);
+    const end = trace.length > 0 ? trace[trace.length - 1].time : 0;
+    return { steps, cadence: detector.getCadence(end) };
+};
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { createStepDetector, detectSteps, MAX_STEP_INTERVAL } from './stepDetector';
+import { trackCadenceDrift, DRIFT_HOLD_SECONDS, FEEDBACK_INTERVAL } from './cadenceFeedback';
+import run170 from './fixtures/accel-run-170.json';
+import walk110 from './fixtures/accel-walk-110.json';
+import standing from './fixtures/accel-standing.json';
+import runGap from './fixtures/accel-run-gap.json';
+import runSpeedup from './fixtures/accel-run-speedup.json';
+
+// 加速度记录（fixtures/accel-*.json）是合成数据，不是真机录制：由 fixtures/generate-accel-traces.js
+// 按步频生成落地冲击并叠加重力倾斜、晃动和噪声。采样为 [time, x, y, z]，description 说明了其中的动作
+const toTrace = ({ samples }) => samples.map(([time, x, y, z]) => ({ time, x, y, z }));
+
+// 逐个采样送入检测器，每秒读一次步频：[{ time, cadence }]
+const replay = (fixture, onSecond = () => {}) => {
+    const detector = createStepDetector();
+    const readings = [];
+    let next = 1;
+    toTrace(fixture).forEach(sample => {
+        detector.push(sample);
+        if (sample.time >= next) {
+            const reading = { time: next, cadence: detector.getCadence(sample.time) };
+            readings.push(reading);
+            onSecond(reading);
+            next++;
+        }
+    });
+    return readings;
+};
+
+describe('detectSteps', () => {
+    it('counts running steps and estimates the cadence', () => {
+        const { steps, cadence } = detectSteps(toTrace(run170));
+        // 20 秒 × 170 步/分 ≈ 57 步
+        expect(steps.length).toBeGreaterThanOrEqual(55);
+        expect(steps.length).toBeLessThanOrEqual(58);
+        expect(cadence).toBeGreaterThanOrEqual(167);
+        expect(cadence).toBeLessThanOrEqual(173);
+    });
+
+    it('detects the smaller walking steps', () => {
+        const { steps, cadence } = detectSteps(toTrace(walk110));
+        expect(steps.length).toBeGreaterThanOrEqual(35);
+        expect(steps.length).toBeLessThanOrEqual(38);
+        expect(cadence).toBeGreaterThanOrEqual(107);
+        expect(cadence).toBeLessThanOrEqual(113);
+    });
+
+    it('does not count sway and sensor noise while standing', () => {
+        expect(detectSteps(toTrace(standing))).toEqual({ steps: [], cadence: null });
+    });
+
+    it('never counts two steps closer than the fastest possible cadence', () => {
+        const { steps } = detectSteps(toTrace(run170));
+        steps.slice(1).forEach((time, i) => expect(time - steps[i]).toBeGreaterThanOrEqual(60 / 240));
+    });
+
+    it('restarts filtering after a sampling gap without inventing steps', () => {
+        const { steps, cadence } = detectSteps(toTrace(runGap));
+        expect(steps.filter(time => time >= 8 && time < 10)).toEqual([]);
+        // 去掉 2 秒中断后共 16 秒 × 165 步/分 ≈ 44 步
+        expect(steps.length).toBeGreaterThanOrEqual(42);
+        expect(steps.length).toBeLessThanOrEqual(46);
+        expect(cadence).toBeGreaterThanOrEqual(162);
+        expect(cadence).toBeLessThanOrEqual(168);
+    });
+});
+
+describe('createStepDetector', () => {
+    it('follows a change of cadence within a few seconds', () => {
+        const readings = replay(runSpeedup);
+        const at = (time) => readings.find(reading => reading.time === time).cadence;
+        expect(at(1)).toBe(null);
+        expect(Math.abs(at(10) - 160)).toBeLessThanOrEqual(4);
+        expect(Math.abs(at(25) - 180)).toBeLessThanOrEqual(4);
+    });
+
+    it('reports no cadence once the steps stop, and after reset', () => {
+        const detector = createStepDetector();
+        const trace = toTrace(run170);
+        trace.forEach(sample => detector.push(sample));
+        const end = trace[trace.length - 1].time;
+        expect(detector.getCadence(end)).not.toBe(null);
+        expect(detector.getCadence(end + MAX_STEP_INTERVAL + 0.5)).toBe(null);
+
+        detector.reset();
+        expect(detector.getCadence(end)).toBe(null);
+    });
+});
+
+describe('trackCadenceDrift', () => {
+    const step = (state, measured, time) => trackCadenceDrift(state, { measured, target: 170, tolerance: 5, time });
+
+    it('cues only after the drift holds and not more often than the feedback interval', () => {
+        let result = step(null, 160, 0);
+        expect(result.cue).toBe(null);
+        result = step(result.state, 160, DRIFT_HOLD_SECONDS - 1);
+        expect(result.cue).toBe(null);
+        result = step(result.state, 160, DRIFT_HOLD_SECONDS);
+        expect(result.cue).toBe('faster');
+        result = step(result.state, 160, DRIFT_HOLD_SECONDS + 1);
+        expect(result.cue).toBe(null);
+        result = step(result.state, 160, DRIFT_HOLD_SECONDS + FEEDBACK_INTERVAL);
+        expect(result.cue).toBe('faster');
+    });
+
+    it('restarts the hold when the cadence comes back into range or drifts the other way', () => {
+        let result = step(null, 160, 0);
+        result = step(result.state, 168, 3);
+        expect(result.state.since).toBe(null);
+        result = step(result.state, 180, 4);
+        expect(result.state).toMatchObject({ direction: 'slower', since: 4 });
+        result = step(result.state, 180, 4 + DRIFT_HOLD_SECONDS);
+        expect(result.cue).toBe('slower');
+    });
+
+    it('ignores missing readings and targets', () => {
+        expect(step(null, null, 10).cue).toBe(null);
+        expect(trackCadenceDrift(null, { measured: 150, target: null, tolerance: 5, time: 10 }).cue).toBe(null);
+    });
+
+    it('asks to speed up and later slow down on a recorded run', () => {
+        // 目标 170 ± 5：前 15 秒约 160 步/分，之后约 180 步/分
+        let state = null;
+        const cues = [];
+        replay(runSpeedup, ({ time, cadence }) => {
+            const result = trackCadenceDrift(state, { measured: cadence, target: 170, tolerance: 5, time });
+            state = result.state;
+            if (result.cue) cues.push({ time, cue: result.cue });
+        });
+        expect(cues.map(({ cue }) => cue)).toEqual(['faster', 'slower']);
+        expect(cues[0].time).toBeLessThan(15);
+        expect(cues[1].time - cues[0].time).toBeGreaterThanOrEqual(FEEDBACK_INTERVAL);
+    });
+});
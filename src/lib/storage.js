@@ -0,0 +1,65 @@
+// 带版本号的 localStorage 存储
+//
+// 每个键保存为 { version, data }。读取时若版本较旧，依次执行 migrations[v + 1](data)
+// 升级到当前版本；版本比当前代码新或数据损坏时回退到默认值。回退后保存的内容仍是这份默认值时
+// （例如应用启动时的保存）跳过写入，原数据一直保留到用户修改了设置为止。
+
+export const createStore = (key, { version, migrations = {}, defaults, validate = (data) => data }) => {
+    let fallbackJson = null; // 回退时默认值的 JSON
+
+    const fallback = () => {
+        const data = defaults();
+        fallbackJson = JSON.stringify(data);
+        return data;
+    };
+
+    const load = () => {
+        try {
+            const raw = window.localStorage.getItem(key);
+            if (raw === null) return defaults();
+
+            const envelope = JSON.parse(raw);
+            let dataVersion = envelope.version ?? 0;
+            let data = envelope.data;
+
+            if (dataVersion > version) {
+                console.warn(`Stored ${key} has version ${dataVersion}, newer than supported ${version}; ignoring it.`);
+                return fallback();
+            }
+            while (dataVersion < version) {
+                const migrate = migrations[dataVersion + 1];
+                if (!migrate) throw new Error(`No migration from version ${dataVersion} to ${dataVersion + 1}`);
+                data = migrate(data);
+                dataVersion++;
+            }
+
+            return validate(data) ?? fallback();
+        } catch (error) {
+            console.error(`Failed to load ${key} from storage:`, error);
+            return fallback();
+        }
+    };
+
+    const save = (data) => {
+        try {
+            if (fallbackJson !== null) {
+                if (JSON.stringify(data) === fallbackJson) return;
+                fallbackJson = null;
+            }
+            window.localStorage.setItem(key, JSON.stringify({ version, data }));
+        } catch (error) {
+            console.error(`Failed to save ${key} to storage:`, error);
+        }
+    };
+
+    const clear = () => {
+        fallbackJson = null;
+        try {
+            window.localStorage.removeItem(key);
+        } catch (error) {
+            console.error(`Failed to clear ${key} from storage:`, error);
+        }
+    };
+
+    return { load, save, clear };
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createStore } from './storage';
+
+const KEY = 'farklet.test';
+
+// 只实现用到的 localStorage 接口
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const createTestStore = () => createStore(KEY, {
+    version: 2,
+    migrations: { 2: ({ count }) => ({ count, label: 'migrated' }) },
+    defaults: () => ({ count: 0, label: '' }),
+    validate: (data) => (Number.isInteger(data?.count) ? data : null)
+});
+
+describe('createStore', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+        vi.stubGlobal('window', { localStorage: storage });
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('saves data with its version and loads it back', () => {
+        const store = createTestStore();
+        expect(store.load()).toEqual({ count: 0, label: '' });
+        store.save({ count: 3, label: 'a' });
+        expect(JSON.parse(storage.getItem(KEY))).toEqual({ version: 2, data: { count: 3, label: 'a' } });
+        expect(createTestStore().load()).toEqual({ count: 3, label: 'a' });
+    });
+
+    it('migrates older versions', () => {
+        storage.setItem(KEY, JSON.stringify({ version: 1, data: { count: 7 } }));
+        expect(createTestStore().load()).toEqual({ count: 7, label: 'migrated' });
+    });
+
+    it('does not overwrite data from a newer version with the defaults', () => {
+        const newer = JSON.stringify({ version: 3, data: { count: 9, extra: true } });
+        storage.setItem(KEY, newer);
+        const store = createTestStore();
+        const data = store.load();
+        expect(data).toEqual({ count: 0, label: '' });
+
+        // 启动时按载入的默认值保存（可能不止一次）
+        store.save(data);
+        store.save({ ...data });
+        expect(storage.getItem(KEY)).toBe(newer);
+
+        // 用户修改后正常保存
+        store.save({ count: 1, label: '' });
+        expect(JSON.parse(storage.getItem(KEY))).toEqual({ version: 2, data: { count: 1, label: '' } });
+        store.save({ count: 0, label: '' });
+        expect(JSON.parse(storage.getItem(KEY)).data).toEqual({ count: 0, label: '' });
+    });
+
+    it('does not overwrite corrupt or invalid data with the defaults', () => {
+        ['{not json', JSON.stringify({ version: 2, data: { count: 'x' } })].forEach(raw => {
+            storage.setItem(KEY, raw);
+            const store = createTestStore();
+            store.save(store.load());
+            expect(storage.getItem(KEY)).toBe(raw);
+        });
+    });
+
+    it('clears the stored data', () => {
+        const store = createTestStore();
+        store.save({ count: 2, label: '' });
+        store.clear();
+        expect(storage.getItem(KEY)).toBe(null);
+    });
+});
@@ -0,0 +1,97 @@
+// 把训练记录导出为 TCX（Training Center XML），每个跑步 / 步行阶段对应一个 Lap，
+// 可上传到 Garmin Connect、Strava 等训练平台
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const isoTime = (time) => new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// 步行算恢复段，其余都算活动段
+const lapIntensity = (type) => (type === 'walk' ? 'Resting' : 'Active');
+
+const TRIGGER_METHODS = { time: 'Time', manual: 'Manual', heartRate: 'HeartRate', distance: 'Distance' };
+
+// 没有逐阶段明细的旧记录导出为单个 Lap
+const recordLaps = (record) => (record.laps?.length
+    ? record.laps
+    : [{ type: 'run', label: record.workoutName, start: 0, duration: record.duration, cadence: record.cadence?.average ?? null }]);
+
+const renderPosition = ([, distance, latitude, longitude]) => `
+            <Position>
+              <LatitudeDegrees>${latitude}</LatitudeDegrees>
+              <LongitudeDegrees>${longitude}</LongitudeDegrees>
+            </Position>
+            <DistanceMeters>${distance}</DistanceMeters>`;
+
+// 每个心率采样和轨迹点一个 Trackpoint（按时间排列），都没有时只标出 Lap 的起止时间
+const renderTrackpoints = (record, lap, start, end) => {
+    const inLap = ([time]) => time >= lap.start && time < lap.start + lap.duration;
+    const points = [
+        ...(record.heartRate?.samples || []).filter(inLap).map(sample => ({ time: sample[0], heartRate: sample[1] })),
+        ...(record.track?.samples || []).filter(inLap).map(sample => ({ time: sample[0], track: sample }))
+    ].sort((a, b) => a.time - b.time);
+    if (points.length === 0) {
+        return `
+          <Trackpoint><Time>${isoTime(start)}</Time></Trackpoint>
+          <Trackpoint><Time>${isoTime(end)}</Time></Trackpoint>`;
+    }
+    return points.map(({ time, heartRate, track }) => `
+          <Trackpoint>
+            <Time>${isoTime(record.startedAt + time * 1000)}</Time>${track ? renderPosition(track) : ''}${heartRate ? `
+            <HeartRateBpm><Value>${heartRate}</Value></HeartRateBpm>` : ''}
+          </Trackpoint>`).join('');
+};
+
+const renderLap = (record, lap) => {
+    const start = record.startedAt + lap.start * 1000;
+    const end = start + lap.duration * 1000;
+    const heartRate = lap.heartRate
+        ? `
+        <AverageHeartRateBpm><Value>${lap.heartRate.average}</Value></AverageHeartRateBpm>
+        <MaximumHeartRateBpm><Value>${lap.heartRate.max}</Value></MaximumHeartRateBpm>`
+        : '';
+    // TCX 中的跑步步频按单脚计（步/分钟的一半）
+    const cadenceExtension = lap.cadence
+        ? `
+        <Extensions>
+          <ns3:LX>
+            <ns3:AvgRunCadence>${Math.round(lap.cadence / 2)}</ns3:AvgRunCadence>
+          </ns3:LX>
+        </Extensions>`
+        : '';
+
+    return `
+      <Lap StartTime="${isoTime(start)}">
+        <TotalTimeSeconds>${lap.duration}</TotalTimeSeconds>
+        <DistanceMeters>${lap.distance ?? 0}</DistanceMeters>
+        <Calories>0</Calories>${heartRate}
+        <Intensity>${lapIntensity(lap.type)}</Intensity>
+        <TriggerMethod>${TRIGGER_METHODS[lap.trigger] || 'Time'}</TriggerMethod>
+        <Track>${renderTrackpoints(record, lap, start, end)}
+        </Track>
+        <Notes>${escapeXml(lap.label || lap.type)}</Notes>${cadenceExtension}
+      </Lap>`;
+};
+
+export const sessionToTcx = (record) => `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase
+  xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>${isoTime(record.startedAt)}</Id>${recordLaps(record).map(lap => renderLap(record, lap)).join('')}
+      <Notes>${escapeXml(record.workoutName || 'Fartlek')}${record.aborted ? ' (aborted)' : ''}</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`;
+
+export const tcxFileName = (record) => {
+    const date = new Date(record.startedAt);
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `fartlek-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.tcx`;
+};
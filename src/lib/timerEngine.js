@@ -0,0 +1,170 @@
+// 基于时间戳的训练计时引擎（纯逻辑，不依赖 React 和浏览器定时器）
+//
+// 已用时间 = (now - 开始时间 - 累计暂停时间) / 1000，定时器只负责调用 tick(now)。
+// 后台节流或设备休眠导致 tick 迟到时，tick 会补发期间错过的所有阶段切换事件。
+//
+// 事件：
+//   { type: 'phase', phaseIndex, phase, late }  进入新阶段，late 为迟到的秒数
+//   { type: 'complete', late }                   训练完成
+
+import { getPhaseIndexAt, getTotalDuration } from './workout';
+
+export const createTimerEngine = (initialPhases = []) => {
+    let phases = initialPhases;
+    let status = 'idle'; // 'idle' | 'running' | 'paused' | 'finished'
+    let startedAt = 0; // ms
+    let pausedTotal = 0; // ms
+    let pausedAt = 0; // ms
+    let lastPhaseIndex = 0;
+
+    const totalDuration = () => getTotalDuration(phases);
+
+    const getElapsed = (now) => {
+        if (status === 'idle') return 0;
+        if (status === 'finished') return totalDuration();
+        const end = status === 'paused' ? pausedAt : now;
+        const elapsed = (end - startedAt - pausedTotal) / 1000;
+        return Math.min(Math.max(0, elapsed), totalDuration());
+    };
+
+    const tick = (now) => {
+        if (status !== 'running') return [];
+
+        const events = [];
+        const elapsed = (now - startedAt - pausedTotal) / 1000;
+        const phaseIndex = getPhaseIndexAt(phases, Math.min(elapsed, totalDuration()));
+
+        // 补发错过的阶段切换
+        for (let i = lastPhaseIndex + 1; i <= phaseIndex; i++) {
+            events.push({ type: 'phase', phaseIndex: i, phase: phases[i], late: elapsed - phases[i].start });
+        }
+        lastPhaseIndex = phaseIndex;
+
+        if (elapsed >= totalDuration()) {
+            status = 'finished';
+            events.push({ type: 'complete', late: elapsed - totalDuration() });
+        }
+
+        return events;
+    };
+
+    // 训练中修改阶段列表（跳过、延长、删减、跳转），fn(phases, elapsed, phaseIndex) 返回新的列表，
+    // 返回 null 表示不修改。已用时间不变；修改后所处的阶段变了时产生 phase 事件，暂停中也可修改
+    const edit = (now, fn) => {
+        if (status !== 'running' && status !== 'paused') return [];
+        const elapsed = getElapsed(now);
+        const nextPhases = fn(phases, elapsed, lastPhaseIndex);
+        if (!nextPhases) return [];
+
+        phases = nextPhases;
+        const previousIndex = lastPhaseIndex;
+        if (elapsed >= totalDuration()) {
+            status = 'finished';
+            lastPhaseIndex = phases.length - 1;
+            return [{ type: 'complete', late: 0 }];
+        }
+        lastPhaseIndex = getPhaseIndexAt(phases, elapsed);
+        return lastPhaseIndex === previousIndex
+            ? []
+            : [{ type: 'phase', phaseIndex: lastPhaseIndex, phase: phases[lastPhaseIndex], late: elapsed - phases[lastPhaseIndex].start }];
+    };
+
+    // 从头开始，或从暂停处继续
+    const start = (now) => {
+        if (phases.length === 0) return [];
+        if (status === 'paused') {
+            pausedTotal += now - pausedAt;
+            status = 'running';
+            return tick(now);
+        }
+        if (status === 'running') return [];
+
+        startedAt = now;
+        pausedTotal = 0;
+        lastPhaseIndex = 0;
+        status = 'running';
+        return [{ type: 'phase', phaseIndex: 0, phase: phases[0], late: 0 }];
+    };
+
+    // 暂停前先结算到当前时刻，返回期间发生的事件
+    const pause = (now) => {
+        if (status !== 'running') return [];
+        const events = tick(now);
+        if (status === 'running') {
+            pausedAt = now;
+            status = 'paused';
+        }
+        return events;
+    };
+
+    const reset = () => {
+        status = 'idle';
+        startedAt = 0;
+        pausedTotal = 0;
+        pausedAt = 0;
+        lastPhaseIndex = 0;
+    };
+
+    // 恢复到暂停于 elapsed 秒的状态（例如刷新页面后继续训练），不产生事件
+    const restore = (elapsed) => {
+        const clamped = Math.min(Math.max(0, elapsed), totalDuration());
+        startedAt = 0;
+        pausedTotal = 0;
+        pausedAt = clamped * 1000;
+        lastPhaseIndex = getPhaseIndexAt(phases, clamped);
+        status = 'paused';
+    };
+
+    // 对齐到 now 时刻已用 elapsed 秒（组队训练中跟随主机），running 为 false 时停在该时刻。
+    // 所处阶段变了时产生 phase 事件，到达终点时产生 complete 事件
+    const align = (now, elapsed, running) => {
+        if (phases.length === 0) return [];
+        const previousIndex = status === 'idle' ? -1 : lastPhaseIndex;
+        const wasFinished = status === 'finished';
+        const clamped = Math.min(Math.max(0, elapsed), totalDuration());
+        startedAt = now - clamped * 1000;
+        pausedTotal = 0;
+        pausedAt = now;
+
+        if (clamped >= totalDuration()) {
+            status = 'finished';
+            lastPhaseIndex = phases.length - 1;
+            return wasFinished ? [] : [{ type: 'complete', late: elapsed - totalDuration() }];
+        }
+        status = running ? 'running' : 'paused';
+        lastPhaseIndex = getPhaseIndexAt(phases, clamped);
+        return lastPhaseIndex === previousIndex
+            ? []
+            : [{ type: 'phase', phaseIndex: lastPhaseIndex, phase: phases[lastPhaseIndex], late: clamped - phases[lastPhaseIndex].start }];
+    };
+
+    const load = (nextPhases) => {
+        phases = nextPhases;
+        reset();
+    };
+
+    const getSnapshot = (now) => {
+        const elapsed = getElapsed(now);
+        return {
+            status,
+            elapsed,
+            phaseIndex: status === 'idle' ? 0 : lastPhaseIndex,
+            totalDuration: totalDuration()
+        };
+    };
+
+    return {
+        start,
+        pause,
+        reset,
+        restore,
+        align,
+        load,
+        tick,
+        edit,
+        getElapsed,
+        getSnapshot,
+        getStatus: () => status,
+        getPhases: () => phases
+    };
+};
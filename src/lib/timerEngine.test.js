@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { createTimerEngine } from './timerEngine';
+import { createIntervalWorkout, flattenWorkout } from './workout';
+
+// 跑 60 秒 / 走 30 秒 × 3 轮，共 6 个阶段、270 秒
+const phases = flattenWorkout(createIntervalWorkout({ runTime: 60, walkTime: 30, cycles: 3, cadence: 180 }));
+const T0 = 1_000_000;
+const at = (seconds) => T0 + seconds * 1000;
+
+describe('createTimerEngine', () => {
+    it('emits the first phase on start and measures elapsed time from timestamps', () => {
+        const engine = createTimerEngine(phases);
+        expect(engine.start(at(0))).toEqual([{ type: 'phase', phaseIndex: 0, phase: phases[0], late: 0 }]);
+        expect(engine.tick(at(59.9))).toEqual([]);
+        expect(engine.getSnapshot(at(42))).toEqual({ status: 'running', elapsed: 42, phaseIndex: 0, totalDuration: 270 });
+    });
+
+    it('catches up on every missed phase change after a long gap', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        engine.tick(at(10));
+
+        // 设备休眠 160 秒后才再次 tick：依次补发阶段 1 ~ 3，late 为迟到的秒数
+        const events = engine.tick(at(170));
+        expect(events.map(event => event.phaseIndex)).toEqual([1, 2, 3]);
+        expect(events.map(event => event.late)).toEqual([110, 80, 20]);
+        expect(events.every(event => event.type === 'phase')).toBe(true);
+        expect(engine.getSnapshot(at(170)).phaseIndex).toBe(3);
+    });
+
+    it('reports the remaining phases and completion when the gap passes the end', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        engine.tick(at(100));
+
+        const events = engine.tick(at(300));
+        expect(events.map(event => event.type)).toEqual(['phase', 'phase', 'phase', 'complete']);
+        expect(events.slice(0, 3).map(event => event.phaseIndex)).toEqual([3, 4, 5]);
+        expect(events[3]).toEqual({ type: 'complete', late: 30 });
+        expect(engine.getStatus()).toBe('finished');
+        expect(engine.getElapsed(at(400))).toBe(270);
+        expect(engine.tick(at(400))).toEqual([]);
+    });
+
+    it('completes exactly at the total duration', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        engine.tick(at(269));
+        expect(engine.tick(at(270))).toEqual([{ type: 'complete', late: 0 }]);
+    });
+
+    it('excludes paused time from the elapsed time', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        expect(engine.pause(at(50))).toEqual([]);
+        expect(engine.getStatus()).toBe('paused');
+        expect(engine.getElapsed(at(500))).toBe(50);
+        expect(engine.tick(at(500))).toEqual([]);
+
+        // 暂停 450 秒后继续，仍从 50 秒处计时
+        expect(engine.start(at(500))).toEqual([]);
+        expect(engine.getElapsed(at(505))).toBe(55);
+        expect(engine.tick(at(510)).map(event => event.phaseIndex)).toEqual([1]);
+
+        // 多次暂停累计
+        engine.pause(at(520));
+        engine.start(at(620));
+        expect(engine.getElapsed(at(630))).toBe(80);
+    });
+
+    it('settles phase changes that happened before a pause', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        const events = engine.pause(at(95));
+        expect(events.map(event => event.phaseIndex)).toEqual([1, 2]);
+        expect(engine.getSnapshot(at(200))).toMatchObject({ status: 'paused', elapsed: 95, phaseIndex: 2 });
+    });
+
+    it('restores a paused session without emitting events', () => {
+        const engine = createTimerEngine(phases);
+        engine.restore(130);
+        expect(engine.getSnapshot(at(0))).toEqual({ status: 'paused', elapsed: 130, phaseIndex: 2, totalDuration: 270 });
+
+        // 继续后从恢复的位置计时，只产生之后的阶段切换
+        expect(engine.start(at(0))).toEqual([]);
+        expect(engine.getElapsed(at(10))).toBe(140);
+        expect(engine.tick(at(30)).map(event => event.phaseIndex)).toEqual([3]);
+    });
+
+    it('clamps restored time to the workout length', () => {
+        const engine = createTimerEngine(phases);
+        engine.restore(1000);
+        expect(engine.getSnapshot(at(0))).toMatchObject({ elapsed: 270, phaseIndex: 5 });
+        engine.restore(-5);
+        expect(engine.getSnapshot(at(0))).toMatchObject({ elapsed: 0, phaseIndex: 0 });
+    });
+
+    it('completes when an edit removes the rest of the workout', () => {
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        engine.tick(at(100));
+
+        const events = engine.edit(at(100), (current) => current.slice(0, 2));
+        expect(events).toEqual([{ type: 'complete', late: 0 }]);
+        expect(engine.getStatus()).toBe('finished');
+        expect(engine.getSnapshot(at(100))).toMatchObject({ elapsed: 90, phaseIndex: 1 });
+    });
+
+    it('ignores start without phases and reset returns to idle', () => {
+        expect(createTimerEngine([]).start(at(0))).toEqual([]);
+
+        const engine = createTimerEngine(phases);
+        engine.start(at(0));
+        engine.tick(at(100));
+        engine.reset();
+        expect(engine.getSnapshot(at(100))).toEqual({ status: 'idle', elapsed: 0, phaseIndex: 0, totalDuration: 270 });
+    });
+});
@@ -0,0 +1,47 @@
+// 训练期间保持屏幕常亮（Screen Wake Lock API）
+//
+// 页面切到后台时浏览器会自动释放锁，回到前台后需要重新申请。
+// 不支持该 API 或申请被拒绝（如省电模式）时静默忽略，不影响训练。
+
+export const isWakeLockSupported = () => 'wakeLock' in navigator;
+
+export const createWakeLock = () => {
+    let sentinel = null;
+    let active = false;
+
+    const request = async () => {
+        if (!active || sentinel || !isWakeLockSupported()) return;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            if (!active) {
+                lock.release();
+                return;
+            }
+            sentinel = lock;
+            lock.addEventListener('release', () => {
+                if (sentinel === lock) sentinel = null;
+            });
+        } catch (error) {
+            console.warn('Screen wake lock unavailable:', error);
+        }
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.visibilityState === 'visible') request();
+    };
+
+    return {
+        acquire: () => {
+            if (active) return;
+            active = true;
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            request();
+        },
+        release: () => {
+            active = false;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            sentinel?.release();
+            sentinel = null;
+        }
+    };
+};
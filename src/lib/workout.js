@@ -0,0 +1,339 @@
+// 训练结构：有序的分段列表，支持可嵌套的重复块
+//
+// segment: { id, type: 'warmup' | 'run' | 'walk' | 'cooldown', duration, cadence, cadenceEnd, rampSteps, until, distance, label }
+// repeat:  { id, type: 'repeat', times, cadenceStep, label, children: [...] }
+//
+// cadence 为 null 表示该段不播放节拍器。
+// cadenceEnd 不为 null 时步频在该段内从 cadence 渐变到 cadenceEnd：rampSteps 为 null 时线性变化，
+// 否则分成 rampSteps 级阶梯。重复块的 cadenceStep 为递增模式，每多一轮其中所有步频增加该值。
+// until 为心率结束条件（见 heartRate.js），distance 为距离（米，由 GPS 测量），跑完即结束；
+// 两者都为 null 时按时长结束，设置了任一条件时 duration 是时长上限。
+
+import { isValidEndCondition, sanitizeEndCondition } from './heartRate';
+import { t } from './i18n';
+
+// label 随界面语言变化
+const segmentType = (type, info) => ({
+    ...info,
+    get label() { return t(`segmentTypes.${type}`); }
+});
+
+export const SEGMENT_TYPES = {
+    warmup: segmentType('warmup', { color: 'amber', defaultDuration: 300, defaultCadence: null }),
+    run: segmentType('run', { color: 'cyan', defaultDuration: 60, defaultCadence: 180 }),
+    walk: segmentType('walk', { color: 'red', defaultDuration: 30, defaultCadence: null }),
+    cooldown: segmentType('cooldown', { color: 'green', defaultDuration: 300, defaultCadence: null })
+};
+
+export const MAX_REPEAT_DEPTH = 3;
+export const MAX_PHASES = 500;
+// 每轮至少展开一个阶段，超过阶段上限的重复次数没有意义
+export const MAX_REPEAT_TIMES = MAX_PHASES;
+// 展开时多展开一个阶段即停止，足以判断是否超过上限
+const FLATTEN_LIMIT = MAX_PHASES + 1;
+
+let idCounter = 0;
+export const createId = () => `s${Date.now().toString(36)}${(idCounter++).toString(36)}`;
+
+// 与设置面板输入框相同的约束：正整数，最小为 1
+export const toPositiveInt = (value, min = 1) => Math.max(min, parseInt(value) || min);
+
+export const createSegment = (type = 'run', overrides = {}) => ({
+    id: createId(),
+    type,
+    duration: SEGMENT_TYPES[type].defaultDuration,
+    cadence: SEGMENT_TYPES[type].defaultCadence,
+    cadenceEnd: null,
+    rampSteps: null,
+    until: null,
+    distance: null,
+    label: '',
+    ...overrides
+});
+
+export const createRepeat = (times = 2, children = [], overrides = {}) => ({
+    id: createId(),
+    type: 'repeat',
+    times,
+    cadenceStep: 0,
+    label: '',
+    children,
+    ...overrides
+});
+
+// 由经典的 跑/走 + 循环次数 参数生成训练
+export const createIntervalWorkout = ({ runTime, walkTime, cycles, cadence }, name = '') => ({
+    name,
+    segments: [
+        createRepeat(cycles, [
+            createSegment('run', { duration: runTime, cadence }),
+            createSegment('walk', { duration: walkTime })
+        ])
+    ]
+});
+
+export const DEFAULT_WORKOUT = createIntervalWorkout({ runTime: 60, walkTime: 30, cycles: 5, cadence: 180 });
+
+// 自定义名称优先，否则为当前界面语言的类型名；分段和阶段都可以用
+export const getSegmentLabel = (segment) => segment.label || SEGMENT_TYPES[segment.type]?.label || '';
+
+// 展开为线性的阶段列表，每个阶段带有起止时间和所属重复块的轮次信息。
+// 阶段的 label 只保留自定义名称，显示时用 getSegmentLabel，切换语言后类型名随之变化
+export const flattenWorkout = (workout) => {
+    const phases = [];
+    let cursor = 0;
+
+    // cadenceOffset 为外层递增模式重复块累计增加的步频
+    const walk = (segments, repeats, cadenceOffset) => {
+        for (const segment of segments) {
+            if (phases.length >= FLATTEN_LIMIT) return;
+
+            if (segment.type === 'repeat') {
+                // 达到阶段上限后停止展开，否则很大的重复次数会让循环空转
+                for (let i = 0; i < segment.times && phases.length < FLATTEN_LIMIT; i++) {
+                    walk(
+                        segment.children,
+                        [...repeats, { id: segment.id, iteration: i + 1, times: segment.times }],
+                        cadenceOffset + i * (segment.cadenceStep || 0)
+                    );
+                }
+                continue;
+            }
+
+            phases.push({
+                index: phases.length,
+                segmentId: segment.id,
+                type: segment.type,
+                label: segment.label || '',
+                duration: segment.duration,
+                cadence: segment.cadence ? segment.cadence + cadenceOffset : null,
+                cadenceEnd: segment.cadence && segment.cadenceEnd ? segment.cadenceEnd + cadenceOffset : null,
+                rampSteps: segment.rampSteps || null,
+                until: segment.until || null,
+                distance: segment.distance || null,
+                start: cursor,
+                end: cursor + segment.duration,
+                repeats
+            });
+            cursor += segment.duration;
+        }
+    };
+
+    walk(workout.segments, [], 0);
+    return phases;
+};
+
+// 阶段开始 offset 秒后的目标步频（未取整）；没有节拍时返回 null
+export const getCadenceAt = (phase, offset) => {
+    if (!phase?.cadence) return null;
+    if (!phase.cadenceEnd) return phase.cadence;
+
+    // 训练中延长或截短过的阶段按原时长渐变（见 liveEdit.js）
+    const progress = Math.min(1, Math.max(0, offset / (phase.rampDuration || phase.duration)));
+    const delta = phase.cadenceEnd - phase.cadence;
+    if (phase.rampSteps) {
+        const step = Math.min(phase.rampSteps - 1, Math.floor(progress * phase.rampSteps));
+        return phase.cadence + delta * step / (phase.rampSteps - 1);
+    }
+    return phase.cadence + delta * progress;
+};
+
+// 整个阶段的平均目标步频（线性和阶梯渐变都取首尾平均）
+export const getAverageCadence = (phase) => (
+    phase.cadence && phase.cadenceEnd ? Math.round((phase.cadence + phase.cadenceEnd) / 2) : phase.cadence
+);
+
+export const getTotalDuration = (phases) => (phases.length ? phases[phases.length - 1].end : 0);
+
+// 找到 time 所在的阶段；超出总时长时返回最后一个阶段
+export const getPhaseIndexAt = (phases, time) => {
+    for (let i = 0; i < phases.length; i++) {
+        if (time < phases[i].end) return i;
+    }
+    return phases.length - 1;
+};
+
+// 轮次以最内层的重复块为准；不在重复块中时按阶段序号计
+export const getCycleInfo = (phases, phase) => {
+    if (!phase) return { current: 0, total: 0, unit: 'phase' };
+    const innermost = phase.repeats[phase.repeats.length - 1];
+    if (innermost) {
+        return { current: innermost.iteration, total: innermost.times, unit: 'cycle' };
+    }
+    return { current: phase.index + 1, total: phases.length, unit: 'phase' };
+};
+
+// 没有目标步频的阶段估算步数时使用的典型步频（步/分钟）
+export const TYPICAL_CADENCE = {
+    warmup: 150,
+    run: 170,
+    walk: 110,
+    cooldown: 140
+};
+
+// 预计步数：有目标步频的阶段按平均目标步频计算，其余按该类型的典型步频
+export const estimateSteps = (phases) => Math.round(phases.reduce(
+    (sum, phase) => sum + (phase.duration / 60) * (getAverageCadence(phase) || TYPICAL_CADENCE[phase.type]),
+    0
+));
+
+// 训练概要；跑走比（workRestRatio）为跑步与步行总时长之比，热身和放松不计入，没有步行时为 null
+export const summarizeWorkout = (phases) => {
+    const cadences = phases.flatMap(p => [p.cadence, p.cadenceEnd]).filter(Boolean);
+    const runTime = phases.filter(p => p.type === 'run').reduce((sum, p) => sum + p.duration, 0);
+    const walkTime = phases.filter(p => p.type === 'walk').reduce((sum, p) => sum + p.duration, 0);
+    return {
+        totalDuration: getTotalDuration(phases),
+        phaseCount: phases.length,
+        runTime,
+        walkTime,
+        workRestRatio: walkTime > 0 ? runTime / walkTime : null,
+        estimatedSteps: estimateSteps(phases),
+        cadenceMin: cadences.length ? Math.min(...cadences) : null,
+        cadenceMax: cadences.length ? Math.max(...cadences) : null
+    };
+};
+
+// 校验训练结构，返回错误信息列表（空数组表示合法）
+export const validateWorkout = (workout) => {
+    const errors = [];
+
+    if (!workout || !Array.isArray(workout.segments)) {
+        return [t('validation.missingSegments')];
+    }
+
+    const check = (segments, depth, path) => {
+        if (!Array.isArray(segments) || segments.length === 0) {
+            errors.push(t('validation.emptySegments', { where: path || t('validation.workout') }));
+            return;
+        }
+        segments.forEach((segment, i) => {
+            const where = `${path}${path ? ' > ' : ''}#${i + 1}`;
+            if (segment.type === 'repeat') {
+                if (depth >= MAX_REPEAT_DEPTH) {
+                    errors.push(t('validation.repeatDepth', { where, max: MAX_REPEAT_DEPTH }));
+                    return;
+                }
+                if (!Number.isInteger(segment.times) || segment.times < 1 || segment.times > MAX_REPEAT_TIMES) {
+                    errors.push(t('validation.repeatTimes', { where, max: MAX_REPEAT_TIMES }));
+                }
+                if (segment.cadenceStep != null && (!Number.isInteger(segment.cadenceStep) || segment.cadenceStep < 0)) {
+                    errors.push(t('validation.cadenceStep', { where }));
+                }
+                check(segment.children, depth + 1, where);
+                return;
+            }
+            if (!SEGMENT_TYPES[segment.type]) {
+                errors.push(t('validation.unknownType', { where, type: segment.type }));
+                return;
+            }
+            if (!Number.isInteger(segment.duration) || segment.duration < 1) {
+                errors.push(t('validation.duration', { where }));
+            }
+            if (segment.cadence != null && (!Number.isInteger(segment.cadence) || segment.cadence < 1)) {
+                errors.push(t('validation.cadence', { where }));
+            }
+            if (segment.cadenceEnd != null) {
+                if (!Number.isInteger(segment.cadenceEnd) || segment.cadenceEnd < 1) {
+                    errors.push(t('validation.cadenceEnd', { where }));
+                } else if (segment.cadence == null) {
+                    errors.push(t('validation.rampWithoutCadence', { where }));
+                }
+            }
+            if (segment.rampSteps != null && (!Number.isInteger(segment.rampSteps) || segment.rampSteps < 2)) {
+                errors.push(t('validation.rampSteps', { where }));
+            }
+            if (segment.until != null && !isValidEndCondition(segment.until)) {
+                errors.push(t('validation.until', { where }));
+            }
+            if (segment.distance != null && (!Number.isInteger(segment.distance) || segment.distance < 1)) {
+                errors.push(t('validation.distance', { where }));
+            }
+        });
+    };
+
+    check(workout.segments, 0, '');
+
+    if (errors.length === 0 && flattenWorkout(workout).length > MAX_PHASES) {
+        errors.push(t('validation.tooManyPhases', { max: MAX_PHASES }));
+    }
+
+    return errors;
+};
+
+// 以下为按 id 不可变地编辑分段树的辅助函数
+
+const mapTree = (segments, fn) => segments.flatMap(segment => {
+    const mapped = fn(segment);
+    if (mapped === null) return [];
+    if (mapped.type === 'repeat') {
+        return [{ ...mapped, children: mapTree(mapped.children, fn) }];
+    }
+    return [mapped];
+});
+
+export const updateSegment = (segments, id, patch) =>
+    mapTree(segments, segment => (segment.id === id ? { ...segment, ...patch } : segment));
+
+export const removeSegment = (segments, id) =>
+    mapTree(segments, segment => (segment.id === id ? null : segment));
+
+// parentId 为 null 时添加到顶层
+export const appendSegment = (segments, parentId, segment) => {
+    if (parentId === null) return [...segments, segment];
+    return mapTree(segments, item =>
+        item.id === parentId ? { ...item, children: [...item.children, segment] } : item
+    );
+};
+
+export const moveSegment = (segments, id, delta) => {
+    const index = segments.findIndex(segment => segment.id === id);
+    if (index !== -1) {
+        const target = index + delta;
+        if (target < 0 || target >= segments.length) return segments;
+        const next = [...segments];
+        [next[index], next[target]] = [next[target], next[index]];
+        return next;
+    }
+    return segments.map(segment =>
+        segment.type === 'repeat'
+            ? { ...segment, children: moveSegment(segment.children, id, delta) }
+            : segment
+    );
+};
+
+// 把外部来源（存储、导入、预设库）的训练整理成合法取值：
+// 数值按设置面板输入框的规则取正整数，缺失的 id 自动补齐。结果仍需经过 validateWorkout。
+const optionalInt = (value) => (value == null || value === '' ? null : toPositiveInt(value));
+
+export const sanitizeWorkout = (workout) => {
+    const sanitize = (segments) => (Array.isArray(segments) ? segments : []).map(segment => {
+        const base = {
+            id: typeof segment?.id === 'string' && segment.id ? segment.id : createId(),
+            type: segment?.type,
+            label: typeof segment?.label === 'string' ? segment.label : ''
+        };
+        if (segment?.type === 'repeat') {
+            return {
+                ...base,
+                times: Math.min(MAX_REPEAT_TIMES, toPositiveInt(segment.times)),
+                cadenceStep: toPositiveInt(segment.cadenceStep, 0),
+                children: sanitize(segment.children)
+            };
+        }
+        return {
+            ...base,
+            duration: toPositiveInt(segment?.duration),
+            cadence: optionalInt(segment?.cadence),
+            cadenceEnd: optionalInt(segment?.cadenceEnd),
+            rampSteps: segment?.rampSteps == null || segment.rampSteps === '' ? null : toPositiveInt(segment.rampSteps, 2),
+            until: sanitizeEndCondition(segment?.until),
+            distance: optionalInt(segment?.distance)
+        };
+    });
+
+    return {
+        name: typeof workout?.name === 'string' ? workout.name : '',
+        segments: sanitize(workout?.segments)
+    };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createRepeat,
+    createSegment,
+    flattenWorkout,
+    sanitizeWorkout,
+    validateWorkout,
+    MAX_PHASES,
+    MAX_REPEAT_TIMES
+} from './workout';
+
+// times 轮、每轮 perRound 个分段的训练
+const repeatedWorkout = (times, perRound = 1) => ({
+    name: '',
+    segments: [createRepeat(times, Array.from({ length: perRound }, () => createSegment('run', { duration: 1 })))]
+});
+
+describe('phase limit', () => {
+    it('accepts a workout that expands to exactly the maximum number of phases', () => {
+        const workout = repeatedWorkout(MAX_PHASES / 2, 2);
+        expect(flattenWorkout(workout)).toHaveLength(MAX_PHASES);
+        expect(validateWorkout(workout)).toEqual([]);
+    });
+
+    it('rejects a workout with one phase more than the maximum', () => {
+        const workout = {
+            name: '',
+            segments: [...repeatedWorkout(MAX_PHASES / 2, 2).segments, createSegment('walk', { duration: 1 })]
+        };
+        expect(flattenWorkout(workout)).toHaveLength(MAX_PHASES + 1);
+        expect(validateWorkout(workout)).toEqual([`训练展开后超过 ${MAX_PHASES} 个阶段`]);
+    });
+
+    it('stops flattening nested repeats soon after the limit', () => {
+        const workout = { name: '', segments: [createRepeat(MAX_REPEAT_TIMES, repeatedWorkout(MAX_REPEAT_TIMES).segments)] };
+        expect(flattenWorkout(workout)).toHaveLength(MAX_PHASES + 1);
+        expect(validateWorkout(workout)).toHaveLength(1);
+    });
+});
+
+describe('repeat count limit', () => {
+    it('rejects repeat counts above the maximum without expanding them', () => {
+        const workout = repeatedWorkout(1e9);
+        const started = Date.now();
+        expect(validateWorkout(workout)).toEqual([`#1: 重复次数必须是 1 到 ${MAX_REPEAT_TIMES} 之间的整数`]);
+        expect(flattenWorkout(workout)).toHaveLength(MAX_PHASES + 1);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('clamps repeat counts when sanitizing', () => {
+        expect(sanitizeWorkout(repeatedWorkout(1e9)).segments[0].times).toBe(MAX_REPEAT_TIMES);
+        expect(sanitizeWorkout(repeatedWorkout('0')).segments[0].times).toBe(1);
+    });
+});
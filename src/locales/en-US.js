@@ -0,0 +1,561 @@
+// English UI text. Keys mirror zh-CN.js; see src/lib/i18n.js
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+export default {
+    segmentTypes: {
+        warmup: 'Warm-up',
+        run: 'Run',
+        walk: 'Walk',
+        cooldown: 'Cool-down'
+    },
+    validation: {
+        missingSegments: 'Workout has no segment list',
+        workout: 'Workout',
+        emptySegments: '{where}: needs at least one segment',
+        repeatDepth: '{where}: repeat blocks can be nested at most {max} levels deep',
+        repeatTimes: '{where}: repeat count must be an integer from 1 to {max}',
+        cadenceStep: '{where}: cadence step per round must be a non-negative integer',
+        unknownType: '{where}: unknown segment type "{type}"',
+        duration: '{where}: duration must be a positive integer (seconds)',
+        cadence: '{where}: cadence must be a positive integer',
+        cadenceEnd: '{where}: target cadence must be a positive integer',
+        rampWithoutCadence: '{where}: set a starting cadence before adding a cadence ramp',
+        rampSteps: '{where}: step count must be an integer of at least 2',
+        until: '{where}: invalid heart rate end condition',
+        distance: '{where}: distance must be a positive integer (meters)',
+        tooManyPhases: 'Workout expands to more than {max} phases'
+    },
+    heartRate: {
+        zones: {
+            1: 'Recovery',
+            2: 'Aerobic',
+            3: 'Tempo',
+            4: 'Threshold',
+            5: 'Maximum'
+        },
+        reach: 'heart rate reaches zone {zone}',
+        below: 'heart rate drops below zone {zone}',
+        truncated: 'Heart rate measurement is truncated'
+    },
+    sounds: {
+        hard: '{name} (hard)',
+        soft: '{name} (soft)',
+        instruments: {
+            '808_kick': '808 Kick',
+            '808_snare': '808 Snare',
+            '909_kick': '909 Kick',
+            '909_snare': '909 Snare',
+            beep: 'Beep',
+            bongo_drum: 'Bongo',
+            clave: 'Clave',
+            click: 'Click',
+            clock_tick: 'Clock Tick',
+            cowbell: 'Cowbell',
+            hammer_hit: 'Hammer',
+            kick_drum: 'Kick Drum',
+            metronome_click: 'Metronome',
+            snare_drum: 'Snare Drum',
+            woodblock: 'Woodblock',
+            woodfish: 'Wood Fish'
+        },
+        synth: {
+            click: 'Synth Click',
+            woodblock: 'Synth Woodblock',
+            cowbell: 'Synth Cowbell',
+            kick: 'Synth Kick',
+            hihat: 'Synth Hi-hat'
+        }
+    },
+    beatPatterns: {
+        steady: 'Every step the same',
+        feet: 'Left / right (hard-soft)',
+        bar4: '4-beat bar'
+    },
+    mixer: {
+        title: 'Volume',
+        master: 'Master',
+        mute: 'Mute {name}',
+        unmute: 'Unmute {name}',
+        volumeOf: '{name} volume',
+        loaded: 'Sounds loaded {loaded} / {total}',
+        notLoaded: 'Sounds load when you start a workout or test the audio',
+        failed: 'These sounds failed to load and will be replaced by similar synthesized sounds: {files}',
+        retry: 'Retry',
+        channels: {
+            metronome: 'Metronome',
+            cues: 'Cue tones',
+            voice: 'Voice'
+        }
+    },
+    format: {
+        minutes: '{value} min',
+        day: '{month}/{day}',
+        dateTime: '{date} {hh}:{mm}',
+        clock: '{m}:{ss}',
+        meters: '{value} m',
+        kilometers: '{value} km',
+        weekdays: {
+            0: 'Sun',
+            1: 'Mon',
+            2: 'Tue',
+            3: 'Wed',
+            4: 'Thu',
+            5: 'Fri',
+            6: 'Sat'
+        }
+    },
+    voiceSettings: {
+        title: 'Voice coach',
+        enabled: 'On',
+        test: 'Preview',
+        unavailable: 'No {language} voice is available in this browser; cue tones will be used instead',
+        cues: {
+            phase: 'Phase',
+            cycle: 'Round',
+            halfway: 'Halfway',
+            countdown: '3-2-1',
+            complete: 'Finish'
+        }
+    },
+    speech: {
+        duration: ({ seconds }) => {
+            if (seconds < 120) return plural(seconds, 'second');
+            if (seconds % 60 !== 0) return `${plural(Math.floor(seconds / 60), 'minute')} ${plural(seconds % 60, 'second')}`;
+            return plural(seconds / 60, 'minute');
+        },
+        distance: ({ meters }) => (meters < 1000 ? plural(meters, 'meter') : plural(meters / 1000, 'kilometer')),
+        cadence: ({ cadence, cadenceEnd }) => (cadenceEnd ? `cadence ${cadence} to ${cadenceEnd}` : `cadence ${cadence}`),
+        separator: ', ',
+        cycle: 'Round {current} of {total}',
+        halfway: 'Halfway',
+        complete: 'Workout complete. Great job',
+        cadenceDrift: ({ direction, target }) => `${direction === 'faster' ? 'Quicker' : 'Slower'} steps, target ${target}`
+    },
+    app: {
+        subtitle: 'Interval running to build endurance and speed',
+        testAudio: 'Tap to test audio',
+        language: 'Language',
+        autoLanguage: 'System default',
+        title: 'Fartlek Runner',
+        shortTitle: 'Fartlek Run'
+    },
+    common: {
+        pace: 'pace {pace}',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        fileTooLarge: 'File is too large (over {size} MB)',
+        enumerationSeparator: ', ',
+        confirm: 'OK',
+        rename: 'Rename',
+        delete: 'Delete',
+        cycle: 'Round {current} / {total}',
+        phase: 'Phase {current} / {total}',
+        cadence: 'cadence {cadence}',
+        seconds: '{value} s',
+        remaining: '{time} left',
+        listSeparator: '; '
+    },
+    alerts: {
+        completeTitle: 'Workout complete',
+        completeBody: 'Well done! Remember to stretch',
+        announcement: '{title}. {body}'
+    },
+    library: {
+        confirmDelete: 'Delete "{name}"?',
+        shareTooLong: 'This workout has too many segments for a share link; export a file instead',
+        shareCopied: 'Share link copied',
+        sharePrompt: 'Copy the share link below',
+        exchange: 'Import / export',
+        exportCurrent: 'Export current workout',
+        exportLibrary: 'Export library',
+        copyShareLink: 'Copy share link',
+        saveCurrent: 'Save current workout',
+        namePlaceholder: 'Workout name',
+        save: 'Save',
+        mine: 'My workouts',
+        empty: 'No saved workouts yet. Start by copying one of the templates below.',
+        load: 'Load',
+        duplicate: 'Duplicate',
+        builtIn: 'Templates',
+        copyToMine: 'Copy to my workouts',
+        untitled: 'Untitled workout',
+        invalid: 'Invalid workout: {errors}',
+        copyName: '{name} copy'
+    },
+    customSounds: {
+        added: 'Added "{name}"',
+        uploadFailed: 'Upload failed: {message}',
+        confirmDelete: 'Delete the sound "{name}"?',
+        processing: 'Processing…',
+        upload: 'Upload custom sound',
+        defaultName: 'Custom sound',
+        silent: 'The audio is silent'
+    },
+    exchange: {
+        notObject: 'not an object',
+        nonNegative: '{field} must be a non-negative number',
+        lapsArray: 'laps must be an array',
+        invalidTime: 'startedAt is not a valid time',
+        invalidJson: 'File is not valid JSON',
+        wrongFormat: 'Not a Fartlek workout file (format should be "{format}")',
+        missingVersion: 'File has no valid version field',
+        newerVersion: 'File version {version} is newer than the supported version {supported}; please update the app',
+        fieldArray: 'The {field} field must be an array',
+        workout: 'Workout {index}',
+        namedWorkout: 'Workout {index} "{name}"',
+        record: 'History record {index}',
+        itemError: '{where}: {error}',
+        empty: 'The file contains no workouts, history or plans',
+        plan: 'Plan {index}',
+        namedPlan: 'Plan {index} "{name}"'
+    },
+    shareLink: {
+        invalidUntil: 'Invalid heart rate end condition "{value}" in link',
+        invalidSegments: 'Invalid segment format in link',
+        unknownType: 'Unknown segment type "{type}" in link',
+        invalidTimes: 'Invalid repeat count {value} in link; expected an integer from 1 to {max}',
+        tooLong: 'Share link is too long (over {max} characters)',
+        invalidCharacters: 'Share link contains invalid characters; it may have been truncated or modified',
+        undecodable: 'Share link cannot be decoded; it may have been truncated',
+        invalidContent: 'Share link content is invalid',
+        unsupportedVersion: 'Unsupported share link version {version}',
+        invalidWorkout: 'Shared workout is invalid: {errors}'
+    },
+    heartRateMonitor: {
+        bluetoothUnsupported: 'This browser does not support Web Bluetooth',
+        device: 'Heart rate strap',
+        simulated: 'Simulated strap'
+    },
+    location: {
+        unsupported: 'This browser does not support geolocation',
+        simulated: 'Simulated track',
+        replay: 'Replayed route',
+        errors: {
+            permissionDenied: 'Location permission denied; allow this site to access your location in browser settings',
+            unavailable: 'Location temporarily unavailable',
+            timeout: 'Location timed out, retrying…'
+        }
+    },
+    presets: {
+        pyramid: "Pyramid 1-2-3-2-1'",
+        swedish: "Swedish Fartlek 45'",
+        mona: 'Mona Fartlek',
+        strides: 'Strides 6×20"',
+        labels: {
+            fast: 'Fast',
+            easy: 'Easy',
+            sprint: 'Sprint',
+            jog: 'Jog',
+            stride: 'Stride'
+        }
+    },
+    alertSettings: {
+        title: 'Phase alerts',
+        notify: 'Notifications',
+        vibrate: 'Vibration',
+        denied: 'Notification permission was denied; allow this site to send notifications in browser settings'
+    },
+    update: {
+        ready: 'A new version is ready; reload to apply it',
+        reload: 'Reload',
+        later: 'Later'
+    },
+    import: {
+        done: ({ workouts, records, plans }) => `Imported ${plural(workouts, 'workout')}, ${plural(records, 'history record')} and ${plural(plans, 'plan')}`,
+        skippedPlans: ({ count }) => `${plural(count, 'plan')} already existed and ${count === 1 ? 'was' : 'were'} skipped`,
+        button: 'Import file'
+    },
+    resume: {
+        title: 'Unfinished workout found',
+        name: '"{name}" ',
+        progress: '{elapsed} done, stopped in phase {current} / {total} ({label}, {remaining} left)',
+        resume: 'Resume',
+        discard: 'Discard'
+    },
+    liveControls: {
+        iteration: ' (round {iteration})',
+        skip: 'Skip',
+        skipTitle: 'Skip the rest of the current phase',
+        extend: '+{seconds} s',
+        extendTitle: 'Extend the current phase by {seconds} seconds',
+        dropCycle: 'One round less',
+        dropCycleTitle: 'Drop the last round of the repeat block',
+        jump: 'Jump to…',
+        jumpLabel: 'Jump to phase',
+        restart: 'restart'
+    },
+    locationPanel: {
+        title: 'GPS distance',
+        accuracy: 'accuracy ±{accuracy} m',
+        locating: 'locating…',
+        stop: 'Stop',
+        connect: 'Enable location',
+        connectTitle: 'Measure distance and pace with the phone GPS',
+        simulateTitle: 'Try distance segments on a simulated 400 m track when GPS is not available',
+        lowAccuracy: 'Location is not accurate enough; distance is paused. Wait a moment in an open area'
+    },
+    cadenceSensor: {
+        title: 'Cadence detection',
+        measured: 'measured {cadence} spm',
+        detecting: 'detecting…',
+        enabled: 'On',
+        feedbackBefore: 'Alert when off target by more than',
+        feedbackAfter: 'spm',
+        unsupported: 'This device or browser has no accelerometer access',
+        denied: 'Sensor permission was denied; allow motion and orientation access in browser settings',
+        hint: 'Keep the phone in a pocket or on an armband; measured cadence is shown next to the beat info'
+    },
+    heartRatePanel: {
+        title: 'Heart rate',
+        bpm: '{bpm} bpm',
+        waiting: 'waiting for data…',
+        disconnect: 'Disconnect',
+        connect: 'Connect strap',
+        connectTitle: 'Connect a Bluetooth strap that supports the standard Heart Rate Service',
+        simulate: 'Simulated device',
+        simulateTitle: 'Try the heart rate features with simulated data when you have no strap',
+        maxHeartRate: 'Max heart rate',
+        zoneRange: 'Z{zone} {range}'
+    },
+    summary: {
+        totalDuration: 'Total {time}',
+        phases: ({ count }) => `${count} phase${count === 1 ? '' : 's'}`,
+        runWalk: 'run {run} walk {walk}',
+        sound: 'sound {name}'
+    },
+    share: {
+        buildUp: '+{step} per round',
+        conditions: ' ({conditions}, max {duration})',
+        or: ' or ',
+        errorTitle: 'Cannot open the share link',
+        dismissError: 'Got it',
+        title: 'Shared workout received',
+        namedTitle: 'Shared workout received: "{name}"',
+        apply: 'Replace current workout',
+        save: 'Save to library',
+        dismiss: 'Ignore'
+    },
+    history: {
+        totals: ({ sessions, completed, run, walk }) => `${sessions} session${sessions === 1 ? '' : 's'} (${completed} completed) · run ${run} · walk ${walk}`,
+        weekTitle: ({ date, duration, sessions }) => `Week of ${date}: ${duration}, ${sessions} session${sessions === 1 ? '' : 's'}`,
+        confirmClear: 'Clear all workout history?',
+        export: 'Export history',
+        empty: 'No workouts yet. Each completed or stopped workout is recorded here automatically.',
+        week: 'This week',
+        month: 'This month',
+        streakBefore: 'Streak: ',
+        streakAfter: ' days',
+        longestStreak: 'best {days} days',
+        trend: 'Training time, last {weeks} weeks',
+        records: 'Workouts',
+        clear: 'Clear history',
+        phases: 'phases {completed}/{planned}',
+        aborted: 'stopped early',
+        exportTcx: 'Export TCX',
+        more: 'Show more'
+    },
+    builder: {
+        repeatBlock: 'Repeat block',
+        repeat: 'Repeat',
+        times: 'times',
+        cadenceStep: 'cadence per round +',
+        cadenceStepTitle: 'Build-up: every extra round raises all cadences in the block by this amount',
+        labelPlaceholder: 'Name (optional)',
+        durationTitle: 'Duration (seconds)',
+        seconds: 's',
+        noBeat: 'No beat',
+        cadenceTitle: 'Cadence (steps/min); leave empty for no metronome',
+        unchanged: 'Same',
+        cadenceEndTitle: 'Cadence at the end of the segment; leave empty to keep it constant',
+        spm: 'spm',
+        rampTitle: 'Cadence ramp',
+        linear: 'Linear',
+        steps: '{steps} steps',
+        untilTitle: 'End condition: ends early once the heart rate condition is met, with the duration as the limit; without a heart rate strap it ends by duration',
+        byDuration: 'By duration',
+        unlimited: 'Any',
+        distanceTitle: 'Distance (meters): ends once GPS measures this distance, with the duration as the limit; without location it ends by duration',
+        meters: 'm'
+    },
+    timer: {
+        phase: '{label}',
+        noWorkout: 'No workout set',
+        until: 'Until {condition} (max {duration})',
+        noHeartRateMonitor: 'no heart rate strap, ends by duration',
+        phaseDistance: 'This segment {covered} / {distance} m (max {duration})',
+        noLocation: 'location off, ends by duration',
+        averagePace: 'average {pace}',
+        zone: 'Z{zone} {name}',
+        cadence: 'Beat: {cadence} steps/min',
+        muted: '(muted)',
+        measured: 'measured {cadence}',
+        sound: 'Sound: {name}',
+        start: 'Start',
+        pause: 'Pause',
+        started: 'Started',
+        paused: 'Paused',
+        resetDone: 'Reset',
+        reset: 'Reset',
+        muteBeat: 'Mute beat',
+        following: 'Following the host · room {room}'
+    },
+    sound: {
+        title: 'Metronome sound',
+        loadFailed: '{name} (failed to load)',
+        synthGroup: 'Synthesized',
+        customGroup: 'Custom sounds',
+        halfTime: 'Half time',
+        test: 'Test sound',
+        pitch: 'Pitch',
+        decay: 'Decay'
+    },
+    panels: {
+        settings: 'Workout settings',
+        library: 'Library',
+        history: 'History',
+        plans: 'Plans'
+    },
+    settings: {
+        name: 'Workout name',
+        quickInterval: 'Quick intervals',
+        runTime: 'Run time (s)',
+        walkTime: 'Walk time (s)',
+        cycles: 'Rounds',
+        cadence: 'Run cadence (steps/min)',
+        generate: 'Generate run/walk intervals',
+        segments: 'Segments',
+        save: 'Save and reset',
+        summary: {
+            totalDuration: 'Total time',
+            phaseCount: 'Phases',
+            runWalk: 'Run / walk',
+            cadence: 'Cadence'
+        }
+    },
+    errors: {
+        heartRateConnect: 'Connection failed: {message}',
+        location: 'Cannot enable location: {message}',
+        audioInit: 'Cannot initialize audio',
+        decodeAudio: 'Cannot decode this audio file',
+        groupConnect: 'Could not connect to the relay: {message}'
+    },
+    glance: {
+        title: 'Glance mode',
+        exit: 'Exit',
+        next: 'Next: {label} {duration}',
+        last: 'Last segment'
+    },
+    shortcuts: {
+        title: 'Keyboard shortcuts',
+        keys: {
+            toggle: 'Space'
+        },
+        toggle: 'start / pause',
+        reset: 'reset',
+        mute: 'mute beat',
+        previous: 'previous segment',
+        next: 'next segment',
+        glance: 'glance mode',
+        exitGlance: 'exit glance mode'
+    },
+    timeline: {
+        label: 'Workout timeline',
+        valueText: '{phase} · {label}'
+    },
+    preview: {
+        title: 'Workout overview',
+        runTime: 'Run time',
+        walkTime: 'Walk time',
+        ratio: 'Run:walk',
+        ratioTitle: 'Total run time to total walk time, excluding warm-up and cool-down',
+        steps: 'Est. steps',
+        stepsValue: '~{steps}',
+        stepsTitle: 'Segments with a target cadence use it; others use a typical cadence for their type'
+    },
+    groupPanel: {
+        title: 'Group session',
+        roles: {
+            host: 'Host',
+            guest: 'Member'
+        },
+        room: 'room {room}',
+        members: ({ count }) => plural(count, 'member'),
+        status: {
+            connecting: 'connecting…',
+            reconnecting: 'connection lost, reconnecting…'
+        },
+        roomPlaceholder: 'Room code',
+        join: 'Join',
+        joinTitle: 'Join the room and follow the workout and timer of the host',
+        host: 'Create room',
+        hostTitle: 'Host on this device: start, pause, skip and the workout are shared with everyone in the room',
+        leave: 'Leave',
+        waitingHost: 'Waiting for the host',
+        clock: 'Clock offset to relay {offset} ms (±{uncertainty} ms)',
+        syncing: 'Synchronizing clocks…',
+        relay: 'Relay',
+        relayTitle: 'Defaults to the computer serving this page, started with npm run dev -- --host or npm run preview -- --host',
+        errors: {
+            version: 'The relay runs a different version; reload the page',
+            invalidRoom: 'Room codes may only contain letters, digits, - and _',
+            hostTaken: 'This room already has a host',
+            notJoined: 'Not in a room yet',
+            notHost: 'Only the host can broadcast the workout',
+            invalidMessage: 'The relay did not understand the message'
+        }
+    },
+    plans: {
+        untitled: 'Untitled plan',
+        invalid: 'Invalid plan: {errors}',
+        errors: {
+            notObject: 'plan is not an object',
+            startDate: 'start date must be a valid YYYY-MM-DD date',
+            weeks: 'weeks must be an integer from 1 to {max}',
+            progression: 'weekly round and cadence increases must be non-negative integers',
+            completed: 'completed must be a list of dates',
+            noSessions: 'schedule at least one workout day',
+            session: 'day {index}',
+            day: '{where}: day must be an integer from 0 to 6',
+            week: '{where}: week must be within the plan',
+            item: '{where}: {error}'
+        },
+        exportAll: 'Export all plans',
+        export: 'Export plan',
+        mine: 'My plans',
+        empty: 'No training plans yet',
+        confirmDelete: 'Delete the plan "{name}"? Completion marks are deleted too',
+        range: ({ start, end, weeks }) => `${start} – ${end} · ${plural(weeks, 'week')}`,
+        progress: ({ done, total }) => `${done} of ${plural(total, 'day')} done`,
+        progressionInfo: '+{cycles} rounds and +{cadence} spm per week',
+        week: 'Week {week}',
+        dayLabel: '{date}, {status}',
+        status: {
+            done: 'done',
+            missed: 'missed',
+            planned: 'planned'
+        },
+        entryInfo: '{weekday} {date} · week {week}',
+        start: 'Start this workout',
+        completed: 'Done',
+        markCompleted: 'Mark done',
+        create: 'New plan',
+        name: 'Plan name',
+        startDate: 'Start date',
+        weeks: 'Weeks',
+        cycles: 'Extra rounds per week',
+        cyclesTitle: 'Each week the outermost repeat blocks get this many more rounds',
+        cadence: 'Extra cadence per week',
+        cadenceTitle: 'Each week every cadence in the workout (including ramp targets) rises by this many spm',
+        dayNumber: 'Day {day}',
+        rest: 'Rest',
+        currentWorkout: 'Current workout ({name})',
+        add: 'Create plan'
+    },
+    today: {
+        title: 'Workout for today',
+        info: '{plan} · week {week}',
+        start: 'Start',
+        dismiss: 'Not now'
+    }
+};
@@ -0,0 +1,559 @@
+// 中文界面文案（默认语言）。键名说明见 src/lib/i18n.js，新增的键需要同时加到其他语言
+
+export default {
+    segmentTypes: {
+        warmup: '热身',
+        run: '跑步',
+        walk: '步行',
+        cooldown: '放松'
+    },
+    validation: {
+        missingSegments: '训练结构缺少分段列表',
+        workout: '训练',
+        emptySegments: '{where}: 至少需要一个分段',
+        repeatDepth: '{where}: 重复块最多嵌套 {max} 层',
+        repeatTimes: '{where}: 重复次数必须是 1 到 {max} 之间的整数',
+        cadenceStep: '{where}: 每轮步频增量必须是非负整数',
+        unknownType: '{where}: 未知的分段类型 "{type}"',
+        duration: '{where}: 时长必须是正整数（秒）',
+        cadence: '{where}: 步频必须是正整数',
+        cadenceEnd: '{where}: 目标步频必须是正整数',
+        rampWithoutCadence: '{where}: 设置步频渐变前需要先设置起始步频',
+        rampSteps: '{where}: 阶梯数必须是不小于 2 的整数',
+        until: '{where}: 心率结束条件不正确',
+        distance: '{where}: 距离必须是正整数（米）',
+        tooManyPhases: '训练展开后超过 {max} 个阶段'
+    },
+    heartRate: {
+        zones: {
+            1: '恢复',
+            2: '有氧',
+            3: '节奏',
+            4: '乳酸阈',
+            5: '最大'
+        },
+        reach: '心率达到 {zone} 区',
+        below: '心率降到 {zone} 区以下',
+        truncated: '心率数据长度不足'
+    },
+    sounds: {
+        hard: '{name}(强)',
+        soft: '{name}(弱)',
+        instruments: {
+            '808_kick': '808底鼓',
+            '808_snare': '808军鼓',
+            '909_kick': '909底鼓',
+            '909_snare': '909军鼓',
+            beep: '蜂鸣声',
+            bongo_drum: '邦戈鼓',
+            clave: '克拉韦',
+            click: '点击声',
+            clock_tick: '钟表滴答',
+            cowbell: '牛铃',
+            hammer_hit: '锤击声',
+            kick_drum: '底鼓',
+            metronome_click: '节拍器',
+            snare_drum: '军鼓',
+            woodblock: '木鱼',
+            woodfish: '木鱼声'
+        },
+        synth: {
+            click: '合成点击声',
+            woodblock: '合成木鱼',
+            cowbell: '合成牛铃',
+            kick: '合成底鼓',
+            hihat: '合成踩镲'
+        }
+    },
+    beatPatterns: {
+        steady: '每步相同',
+        feet: '左右脚（强-弱）',
+        bar4: '4 拍一小节'
+    },
+    mixer: {
+        title: '音量',
+        master: '总音量',
+        mute: '静音{name}',
+        unmute: '取消静音{name}',
+        volumeOf: '{name}音量',
+        loaded: '音效已加载 {loaded} / {total}',
+        notLoaded: '开始训练或测试音频后加载音效',
+        failed: '以下音效加载失败，播放时将改用相近的合成音效：{files}',
+        retry: '重试',
+        channels: {
+            metronome: '节拍器',
+            cues: '提示音',
+            voice: '语音'
+        }
+    },
+    format: {
+        minutes: '{value} 分钟',
+        day: '{month}/{day}',
+        dateTime: '{date} {hh}:{mm}',
+        clock: '{mm}:{ss}',
+        meters: '{value} 米',
+        kilometers: '{value} 公里',
+        weekdays: {
+            0: '周日',
+            1: '周一',
+            2: '周二',
+            3: '周三',
+            4: '周四',
+            5: '周五',
+            6: '周六'
+        }
+    },
+    voiceSettings: {
+        title: '语音播报',
+        enabled: '开启',
+        test: '试听',
+        unavailable: '当前浏览器没有可用的{language}语音，将使用提示音',
+        cues: {
+            phase: '阶段',
+            cycle: '轮次',
+            halfway: '半程',
+            countdown: '3-2-1',
+            complete: '完成'
+        }
+    },
+    speech: {
+        duration: ({ seconds }) => {
+            if (seconds < 120) return `${seconds} 秒`;
+            if (seconds % 60 !== 0) return `${Math.floor(seconds / 60)} 分 ${seconds % 60} 秒`;
+            return `${seconds / 60} 分钟`;
+        },
+        distance: ({ meters }) => (meters < 1000 ? `${meters} 米` : `${meters / 1000} 公里`),
+        cadence: ({ cadence, cadenceEnd }) => (cadenceEnd ? `步频 ${cadence} 到 ${cadenceEnd}` : `步频 ${cadence}`),
+        separator: '，',
+        cycle: '第 {current} 轮，共 {total} 轮',
+        halfway: '已过半程',
+        complete: '训练完成，辛苦了',
+        cadenceDrift: ({ direction, target }) => `${direction === 'faster' ? '加快' : '放慢'}步频，目标 ${target}`
+    },
+    app: {
+        subtitle: '间歇式跑步训练，提升耐力与速度',
+        testAudio: '点击测试音频',
+        language: '界面语言',
+        autoLanguage: '跟随系统',
+        title: '法特莱克跑训练器',
+        shortTitle: '法特莱克跑'
+    },
+    common: {
+        pace: '配速 {pace}',
+        moveUp: '上移',
+        moveDown: '下移',
+        fileTooLarge: '文件过大（超过 {size} MB）',
+        enumerationSeparator: '、',
+        confirm: '确定',
+        rename: '重命名',
+        delete: '删除',
+        cycle: '第 {current} / {total} 轮',
+        phase: '第 {current} / {total} 段',
+        cadence: '步频 {cadence}',
+        seconds: '{value} 秒',
+        remaining: '剩余 {time}',
+        listSeparator: '；'
+    },
+    alerts: {
+        completeTitle: '训练完成',
+        completeBody: '做得好！记得拉伸放松',
+        announcement: '{title}。{body}'
+    },
+    library: {
+        confirmDelete: '确定删除「{name}」吗？',
+        shareTooLong: '训练分段过多，无法生成分享链接，请改用导出文件',
+        shareCopied: '分享链接已复制',
+        sharePrompt: '复制下面的分享链接',
+        exchange: '导入 / 导出',
+        exportCurrent: '导出当前训练',
+        exportLibrary: '导出训练库',
+        copyShareLink: '复制分享链接',
+        saveCurrent: '保存当前训练',
+        namePlaceholder: '训练名称',
+        save: '保存',
+        mine: '我的训练',
+        empty: '还没有保存的训练，可以先从下方经典模板复制一个。',
+        load: '载入',
+        duplicate: '复制',
+        builtIn: '经典模板',
+        copyToMine: '复制到我的训练',
+        untitled: '未命名训练',
+        invalid: '训练不合法：{errors}',
+        copyName: '{name} 副本'
+    },
+    customSounds: {
+        added: '已添加「{name}」',
+        uploadFailed: '上传失败：{message}',
+        confirmDelete: '确定删除音效「{name}」吗？',
+        processing: '处理中…',
+        upload: '上传自定义音效',
+        defaultName: '自定义音效',
+        silent: '音频中没有声音'
+    },
+    exchange: {
+        notObject: '不是对象',
+        nonNegative: '{field} 必须是非负数',
+        lapsArray: 'laps 必须是数组',
+        invalidTime: 'startedAt 不是有效的时间',
+        invalidJson: '文件不是合法的 JSON',
+        wrongFormat: '不是法特莱克训练文件（format 字段应为 "{format}"）',
+        missingVersion: '文件缺少有效的 version 字段',
+        newerVersion: '文件版本 {version} 高于当前支持的版本 {supported}，请先升级应用',
+        fieldArray: '{field} 字段必须是数组',
+        workout: '第 {index} 个训练',
+        namedWorkout: '第 {index} 个训练「{name}」',
+        record: '第 {index} 条训练记录',
+        itemError: '{where}：{error}',
+        empty: '文件中没有训练、训练记录或训练计划',
+        plan: '第 {index} 个训练计划',
+        namedPlan: '第 {index} 个训练计划「{name}」'
+    },
+    shareLink: {
+        invalidUntil: '链接中的心率结束条件 "{value}" 不正确',
+        invalidSegments: '链接中的分段格式不正确',
+        unknownType: '链接中有未知的分段类型 "{type}"',
+        invalidTimes: '链接中的重复次数 {value} 不正确，应为 1 到 {max} 之间的整数',
+        tooLong: '分享链接过长（超过 {max} 个字符）',
+        invalidCharacters: '分享链接包含非法字符，可能已被截断或修改',
+        undecodable: '分享链接无法解码，可能已被截断',
+        invalidContent: '分享链接内容不正确',
+        unsupportedVersion: '不支持的分享链接版本 {version}',
+        invalidWorkout: '分享的训练不合法：{errors}'
+    },
+    heartRateMonitor: {
+        bluetoothUnsupported: '当前浏览器不支持 Web Bluetooth',
+        device: '心率带',
+        simulated: '模拟心率带'
+    },
+    location: {
+        unsupported: '当前浏览器不支持定位',
+        simulated: '模拟跑道',
+        replay: '回放轨迹',
+        errors: {
+            permissionDenied: '定位权限被拒绝，请在浏览器设置中允许本站获取位置',
+            unavailable: '暂时无法获取位置',
+            timeout: '定位超时，正在重试…'
+        }
+    },
+    presets: {
+        pyramid: "金字塔 1-2-3-2-1'",
+        swedish: "瑞典法特莱克 45'",
+        mona: 'Mona 法特莱克',
+        strides: '加速跑 6×20"',
+        labels: {
+            fast: '快跑',
+            easy: '轻松跑',
+            sprint: '冲刺',
+            jog: '慢跑',
+            stride: '加速跑'
+        }
+    },
+    alertSettings: {
+        title: '阶段提醒',
+        notify: '系统通知',
+        vibrate: '振动',
+        denied: '通知权限已被拒绝，请在浏览器设置中允许本站发送通知'
+    },
+    update: {
+        ready: '新版本已就绪，刷新后生效',
+        reload: '刷新',
+        later: '稍后'
+    },
+    import: {
+        done: '已导入 {workouts} 个训练、{records} 条训练记录、{plans} 个训练计划',
+        skippedPlans: '{count} 个训练计划已存在，未重复导入',
+        button: '导入文件'
+    },
+    resume: {
+        title: '检测到未完成的训练',
+        name: '「{name}」',
+        progress: '已进行 {elapsed}，中断于第 {current} / {total} 段（{label}，剩余 {remaining}）',
+        resume: '继续训练',
+        discard: '放弃'
+    },
+    liveControls: {
+        iteration: '（第 {iteration} 轮）',
+        skip: '跳过',
+        skipTitle: '跳过当前阶段剩余时间',
+        extend: '+{seconds} 秒',
+        extendTitle: '当前阶段延长 {seconds} 秒',
+        dropCycle: '少一轮',
+        dropCycleTitle: '删减重复块的最后一轮',
+        jump: '跳转到…',
+        jumpLabel: '跳转到阶段',
+        restart: '重新开始'
+    },
+    locationPanel: {
+        title: 'GPS 距离',
+        accuracy: '精度 ±{accuracy} 米',
+        locating: '正在定位…',
+        stop: '停止',
+        connect: '开启定位',
+        connectTitle: '用手机 GPS 测量距离和配速',
+        simulateTitle: '没有 GPS 时沿模拟的 400 米跑道体验距离分段',
+        lowAccuracy: '定位精度不足，距离暂不累计；到开阔处稍等片刻'
+    },
+    cadenceSensor: {
+        title: '步频检测',
+        measured: '实测 {cadence} 步/分',
+        detecting: '检测中…',
+        enabled: '开启',
+        feedbackBefore: '偏离目标超过',
+        feedbackAfter: '步/分时提醒',
+        unsupported: '当前设备或浏览器不支持加速度计',
+        denied: '传感器权限已被拒绝，请在浏览器设置中允许访问动作与方向',
+        hint: '训练时把手机放在口袋或绑在手臂上，实测步频显示在节拍信息旁'
+    },
+    heartRatePanel: {
+        title: '心率',
+        bpm: '{bpm} 次/分',
+        waiting: '等待数据…',
+        disconnect: '断开',
+        connect: '连接心率带',
+        connectTitle: '连接支持标准心率服务的蓝牙心率带',
+        simulate: '模拟设备',
+        simulateTitle: '没有心率带时用模拟数据体验心率功能',
+        maxHeartRate: '最大心率',
+        zoneRange: '{zone} 区 {range}'
+    },
+    summary: {
+        totalDuration: '总时长 {time}',
+        phases: '{count} 段',
+        runWalk: '跑 {run} 走 {walk}',
+        sound: '音效 {name}'
+    },
+    share: {
+        buildUp: '每轮+{step}',
+        conditions: '（{conditions}，最长 {duration}）',
+        or: '或',
+        errorTitle: '无法打开分享链接',
+        dismissError: '知道了',
+        title: '收到分享的训练',
+        namedTitle: '收到分享的训练「{name}」',
+        apply: '替换当前训练',
+        save: '存入训练库',
+        dismiss: '忽略'
+    },
+    history: {
+        totals: '{sessions} 次（完成 {completed}）· 跑 {run} · 走 {walk}',
+        weekTitle: '{date} 起一周：{duration}，{sessions} 次',
+        confirmClear: '确定清空全部训练记录吗？',
+        export: '导出记录',
+        empty: '还没有训练记录。完成或中途结束一次训练后会自动记录在这里。',
+        week: '本周',
+        month: '本月',
+        streakBefore: '连续训练 ',
+        streakAfter: ' 天',
+        longestStreak: '最长 {days} 天',
+        trend: '近 {weeks} 周训练时长',
+        records: '训练明细',
+        clear: '清空记录',
+        phases: '阶段 {completed}/{planned}',
+        aborted: '中途结束',
+        exportTcx: '导出 TCX',
+        more: '显示更多'
+    },
+    builder: {
+        repeatBlock: '重复块',
+        repeat: '重复',
+        times: '次',
+        cadenceStep: '每轮步频 +',
+        cadenceStepTitle: '递增模式：每多一轮，块内所有步频增加该值',
+        labelPlaceholder: '名称（可选）',
+        durationTitle: '时长 (秒)',
+        seconds: '秒',
+        noBeat: '无节拍',
+        cadenceTitle: '步频 (步/分钟)，留空则不播放节拍',
+        unchanged: '不变',
+        cadenceEndTitle: '结束时的步频，留空则整段保持不变',
+        spm: '步/分',
+        rampTitle: '步频渐变方式',
+        linear: '线性',
+        steps: '{steps} 级阶梯',
+        untilTitle: '结束条件：心率条件满足时提前结束，时长作为上限；未连接心率带时按时长结束',
+        byDuration: '按时长',
+        unlimited: '不限',
+        distanceTitle: '距离 (米)：GPS 测得跑完该距离即结束，时长作为上限；没有定位时按时长结束',
+        meters: '米'
+    },
+    timer: {
+        phase: '{label}阶段',
+        noWorkout: '未设置训练',
+        until: '直到{condition}（最长 {duration}）',
+        noHeartRateMonitor: '未连接心率带，按时长结束',
+        phaseDistance: '本段 {covered} / {distance} 米（最长 {duration}）',
+        noLocation: '未开启定位，按时长结束',
+        averagePace: '平均 {pace}',
+        zone: '{zone} 区 {name}',
+        cadence: '步频节拍: {cadence} 步/分钟',
+        muted: '(已静音)',
+        measured: '实测 {cadence}',
+        sound: '音效: {name}',
+        start: '开始',
+        pause: '暂停',
+        started: '已开始',
+        paused: '已暂停',
+        resetDone: '已重置',
+        reset: '重置',
+        muteBeat: '节拍静音',
+        following: '跟随主机计时 · 房间 {room}'
+    },
+    sound: {
+        title: '节拍器音效',
+        loadFailed: '{name}（加载失败）',
+        synthGroup: '合成音效',
+        customGroup: '自定义音效',
+        halfTime: '半速',
+        test: '测试音效',
+        pitch: '音高',
+        decay: '衰减'
+    },
+    panels: {
+        settings: '训练设置',
+        library: '训练库',
+        history: '训练记录',
+        plans: '训练计划'
+    },
+    settings: {
+        name: '训练名称',
+        quickInterval: '快速间歇',
+        runTime: '跑步时间 (秒)',
+        walkTime: '步行时间 (秒)',
+        cycles: '循环次数',
+        cadence: '跑步步频 (步/分钟)',
+        generate: '生成跑/走间歇分段',
+        segments: '分段编排',
+        save: '保存设置并重置',
+        summary: {
+            totalDuration: '总时长',
+            phaseCount: '阶段数',
+            runWalk: '跑步 / 步行',
+            cadence: '步频'
+        }
+    },
+    errors: {
+        heartRateConnect: '连接失败：{message}',
+        location: '无法开启定位：{message}',
+        audioInit: '无法初始化音频',
+        decodeAudio: '无法解码该音频文件',
+        groupConnect: '无法连接中继：{message}'
+    },
+    glance: {
+        title: '大字模式',
+        exit: '退出',
+        next: '接下来：{label} {duration}',
+        last: '最后一段'
+    },
+    shortcuts: {
+        title: '键盘快捷键',
+        keys: {
+            toggle: '空格'
+        },
+        toggle: '开始 / 暂停',
+        reset: '重置',
+        mute: '节拍静音',
+        previous: '上一段',
+        next: '下一段',
+        glance: '大字模式',
+        exitGlance: '退出大字模式'
+    },
+    timeline: {
+        label: '训练时间线',
+        valueText: '{phase} · {label}'
+    },
+    preview: {
+        title: '训练概览',
+        runTime: '跑步时间',
+        walkTime: '步行时间',
+        ratio: '跑走比',
+        ratioTitle: '跑步与步行总时长之比，不含热身和放松',
+        steps: '预计步数',
+        stepsValue: '约 {steps} 步',
+        stepsTitle: '有目标步频的阶段按目标步频估算，其余按该类型的典型步频'
+    },
+    groupPanel: {
+        title: '组队训练',
+        roles: {
+            host: '主机',
+            guest: '组员'
+        },
+        room: '房间 {room}',
+        members: '{count} 人',
+        status: {
+            connecting: '连接中…',
+            reconnecting: '连接断开，正在重连…'
+        },
+        roomPlaceholder: '房间码',
+        join: '加入',
+        joinTitle: '加入同一房间，跟随主机的训练和计时',
+        host: '创建房间',
+        hostTitle: '本机做主机：开始、暂停、跳过和训练内容同步给同一房间的组员',
+        leave: '退出',
+        waitingHost: '等待主机加入',
+        clock: '与中继时钟相差 {offset} ms（±{uncertainty} ms）',
+        syncing: '正在校准时钟…',
+        relay: '中继地址',
+        relayTitle: '默认是提供本页面的电脑，需用 npm run dev -- --host 或 npm run preview -- --host 启动',
+        errors: {
+            version: '中继与本页面的版本不一致，请刷新页面',
+            invalidRoom: '房间码只能包含字母、数字、- 和 _',
+            hostTaken: '这个房间已经有主机了',
+            notJoined: '尚未加入房间',
+            notHost: '只有主机可以广播训练',
+            invalidMessage: '中继无法识别消息'
+        }
+    },
+    plans: {
+        untitled: '未命名计划',
+        invalid: '计划不合法：{errors}',
+        errors: {
+            notObject: '计划不是对象',
+            startDate: '开始日期必须是 YYYY-MM-DD 格式的有效日期',
+            weeks: '周数必须是 1 到 {max} 之间的整数',
+            progression: '每周递进的轮数和步频必须是非负整数',
+            completed: 'completed 必须是日期列表',
+            noSessions: '至少需要安排一个训练日',
+            session: '第 {index} 个训练日',
+            day: '{where}: day 必须是 0 到 6 之间的整数',
+            week: '{where}: week 必须是计划范围内的周数',
+            item: '{where}: {error}'
+        },
+        exportAll: '导出全部计划',
+        export: '导出计划',
+        mine: '我的计划',
+        empty: '还没有训练计划',
+        confirmDelete: '删除计划「{name}」？已完成的标记也会一起删除',
+        range: '{start} – {end} · {weeks} 周',
+        progress: '已完成 {done} / {total} 天',
+        progressionInfo: '每周 +{cycles} 轮、+{cadence} 步/分',
+        week: '第 {week} 周',
+        dayLabel: '{date}，{status}',
+        status: {
+            done: '已完成',
+            missed: '未完成',
+            planned: '待训练'
+        },
+        entryInfo: '{date} {weekday} · 第 {week} 周',
+        start: '开始这天的训练',
+        completed: '已完成',
+        markCompleted: '标记完成',
+        create: '新建计划',
+        name: '计划名称',
+        startDate: '开始日期',
+        weeks: '周数',
+        cycles: '每周增加轮数',
+        cyclesTitle: '每过一周，训练最外层重复块的次数增加这么多',
+        cadence: '每周增加步频',
+        cadenceTitle: '每过一周，训练中所有步频（含渐变目标）增加这么多步/分',
+        dayNumber: '第 {day} 天',
+        rest: '休息',
+        currentWorkout: '当前训练（{name}）',
+        add: '创建计划'
+    },
+    today: {
+        title: '今日训练',
+        info: '{plan} · 第 {week} 周',
+        start: '开始',
+        dismiss: '稍后再说'
+    }
+};
@@ -0,0 +1,50 @@
+// Service Worker：预缓存应用外壳和全部节拍音效，离线（例如野外没有信号时）也能打开并正常训练
+//
+// 构建时由 plugins/serviceWorker.js 填入预缓存清单、缓存版本和部署路径（Vite 的 base），
+// 文件内容随之变化，浏览器据此发现新版本。新版本安装后进入等待状态，
+// 由页面提示用户刷新（发送 SKIP_WAITING 消息）后才接管，避免训练途中被替换。
+
+/* global __PRECACHE_MANIFEST__, __CACHE_VERSION__, __BASE_URL__ */
+
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+const CACHE_NAME = `farklet-${__CACHE_VERSION__}`;
+const APP_SHELL_URL = `${__BASE_URL__}index.html`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('farklet-') && key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// 预缓存的资源优先读缓存；页面导航一律返回缓存的应用外壳，其余请求照常走网络
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(APP_SHELL_URL).then(response => response || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(response => response || fetch(request))
+    );
+});
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from "@tailwindcss/vite";
+import serviceWorker from './plugins/serviceWorker.js'
+import groupRelay from './plugins/groupRelay.js'
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [react(),tailwindcss(),serviceWorker(),groupRelay()],
 })